@@ -3,87 +3,93 @@
  *
  * This module implements a lightweight prototype of the core gameplay loops.
  * The goal of this build is to provide an interactive overworld map, a café
- * interior with a mission system, and three functional crane machine modes: a
- * soft‑body girls pickup, a rigid capsule pickup, and a simple bridge‑style
- * bar drop. The code is intentionally verbose for clarity and extensibility.
+ * interior with a mission system, and functional crane machine modes: a
+ * soft‑body girls pickup, a rigid capsule pickup, a simple bridge‑style bar
+ * drop, a ring hook, a coin pusher, a rope cut, a drop-through goal and a
+ * balance beam, each registered with the simulation's machine registry. The
+ * code is intentionally verbose for clarity and extensibility.
  */
 
-import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.152.2/build/three.module.js';
-import { OrbitControls } from 'https://cdn.jsdelivr.net/npm/three@0.152.2/examples/jsm/controls/OrbitControls.js';
-import * as CANNON from 'https://cdn.jsdelivr.net/npm/cannon-es@0.20.0/dist/cannon-es.js';
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { SAVE_SLOTS, saveToSlot, loadFromSlot, lastUsedSlot, exportSave, importSave } from './game/save.js';
+import { on } from './game/events.js';
+import { createGameState, addGirlToInventory } from './game/sim/economy.js';
+import { activeMissions, availableMissions, trackMissions, expireMissions, getMissionDef, missionRequired, minutesLeft } from './game/sim/missions.js';
+import { enterLocation } from './game/sim/dialogue.js';
+import { getDecorDef, footprint, placeDecor, moveDecor, storeDecor, decorTransform, decorBuffs } from './game/sim/decor.js';
+import { BUFF_LABELS } from './game/data/decor.js';
+import { startCafeDay, advanceCafe, endCafeDay, showStar, raiseHype } from './game/sim/cafe.js';
+import { getChart } from './game/sim/rhythm.js';
+import { advanceClock, clockMinutes, gameTime, formatClock, formatHour, formatDuration, lightingAt } from './game/sim/clock.js';
+import { arcadeAt } from './game/sim/schedule.js';
+import { machinePrices, creditsFor, payForPlay, buyBundle } from './game/sim/pricing.js';
+import { moveWithCollision, doorwayAt, doorwayPoint, missionTargets, createPedestrians, stepPedestrians } from './game/sim/overworld.js';
+import { OVERWORLD_MAP } from './game/data/overworld.js';
+import { BEATMAPS } from './game/data/beatmaps.js';
+import { CAFE_FLOOR, CUSTOMER_TYPES, DAY_LENGTH } from './game/data/cafe.js';
+import { createMachine, advanceMachine, disposeMachine, isMachineOver, PIT_SIZE } from './game/sim/machine.js';
+import { startPayoutPlay } from './game/sim/clawmachines.js';
+import { getMachineDefinition } from './game/sim/registry.js';
+import { createRng, parseSeed, randomSeed } from './game/sim/rng.js';
+import { resolveLootTable, startPityPlay, recordPityWin, playsUntilPity, effectiveOdds } from './game/sim/loot.js';
+import { acquireGal } from './game/sim/gals.js';
+import { escapeChance } from './game/sim/escape.js';
+import { stashCapsule, openCapsule } from './game/sim/capsules.js';
+import { deformOffset } from './game/sim/softbody.js';
+import { startRecording, parseReplay, createReplay, advanceReplay, seekReplay } from './game/sim/replay.js';
+import { openRoster, closeRoster, isRosterOpen } from './game/ui/roster.js';
+import { openMissionBoard, closeMissionBoard, isMissionBoardOpen } from './game/ui/missionboard.js';
+import { openDialogue, closeDialogue, isDialogueOpen, dialogueKey } from './game/ui/dialogue.js';
+import { openStaffPanel, closeStaffPanel, isStaffPanelOpen, showDayReport, hideDayReport, isDayReportOpen } from './game/ui/cafe.js';
+import { openShow, closeShow, isShowOpen, showKey, showKeyUp, updateShow } from './game/ui/parapara.js';
+import { drawMinimap, hideMinimap } from './game/ui/minimap.js';
+import { openExchange, closeExchange, isExchangeOpen, openDecorShop, closeDecorShop, isDecorShopOpen } from './game/ui/shop.js';
+import { toggleLedger, refreshLedger } from './game/ui/ledger.js';
+import { openFusion, closeFusion, isFusionOpen } from './game/ui/fusion.js';
+import { openBindings, isBindingsOpen, bindingsKey } from './game/ui/bindings.js';
+import { touchControlsWanted, showTouchControls } from './game/ui/touch.js';
+import { openReplayBar, closeReplayBar, updateReplayBar, replayKey } from './game/ui/replay.js';
+import { setInputHandlers, trackKey, pollGamepads, readControls, isAction, selectIndex, actionKeyName } from './game/input.js';
 
 // DOM elements for HUD
 const yenEl = document.getElementById('yen');
 const locationEl = document.getElementById('location');
+const seedEl = document.getElementById('seed');
+const clockEl = document.getElementById('clock');
+const cafeStatusEl = document.getElementById('cafe-status');
 const missionsEl = document.getElementById('missions');
 const inventoryEl = document.getElementById('inventory');
 const promptEl = document.getElementById('prompt');
-
-// Define mission templates. Each mission specifies a class, a set of rarities to count
-// towards progress, a goal count and a reward in Yen. Decor items simply store
-// names to indicate what unlocks visually in the café.
-const MISSION_DEFS = [
-  {
-    id: 1,
-    description: 'Rescue a Maid of Rare+ rarity',
-    targetClass: 'Maid',
-    rarities: ['Rare', 'Super Rare', 'Legendary', 'Ultimate'],
-    required: 1,
-    reward: 1000,
-    decor: 'Lanterns'
-  },
-  {
-    id: 2,
-    description: 'Collect two Neko commons',
-    targetClass: 'Neko',
-    rarities: ['Common'],
-    required: 2,
-    reward: 600,
-    decor: 'Neko Poster'
-  },
-  {
-    id: 3,
-    description: 'Obtain a Tech Legendary or better',
-    targetClass: 'Tech',
-    rarities: ['Legendary', 'Ultimate'],
-    required: 1,
-    reward: 2000,
-    decor: 'Hologram Sign'
-  },
-];
-
-// Utility: Weighted random rarity selection
-function rollRarity() {
-  const roll = Math.random();
-  if (roll < 0.01) return 'Ultimate';
-  if (roll < 0.05) return 'Legendary';
-  if (roll < 0.15) return 'Super Rare';
-  if (roll < 0.40) return 'Rare';
-  return 'Common';
-}
-
-// Utility: Random class selection based on arcade themes
-function rollClass(themes) {
-  // Pick from provided themes first; fallback to a random class
-  const classes = ['Maid', 'Idol', 'Tech', 'Shrine', 'Neko'];
-  if (themes && themes.length > 0) {
-    return themes[Math.floor(Math.random() * themes.length)];
-  }
-  return classes[Math.floor(Math.random() * classes.length)];
-}
+const saveSlotEl = document.getElementById('save-slot');
+const oddsPanelEl = document.getElementById('odds-panel');
+const oddsEl = document.getElementById('odds');
 
 // Primary state object storing game variables and references to scenes
 const STATE = {
-  mode: 'overworld', // 'overworld' | 'cafe' | 'arcade'
-  yen: 2000,
-  missions: [],
-  missionIndex: 0,
-  inventory: [],
-  decor: [],
+  mode: 'overworld', // 'overworld' | 'cafe' | 'arcade' | 'replay'
+  // Persistent progress (yen, missions, inventory, decor); see game/sim/economy.js
+  ...createGameState(),
+  saveSlot: SAVE_SLOTS[0],
   selectedArcade: null,
   currentMachine: null,
+  // Simulation of the machine being played (game/sim/machine.js), and
+  // whether its play is over and the player told so
+  machine: null,
+  playOver: false,
+  // Recording of the latest machine session, kept for saving as a replay
+  // file after leaving the machine (see game/sim/replay.js)
+  recording: null,
+  // Replay being watched in 'replay' mode; its machine is STATE.machine
+  replay: null,
+  // Seed for the next machine session; null picks a random one
+  nextSeed: parseSeed(new URLSearchParams(window.location.search).get('seed')),
+  // Plush soft bodies for loose gals; switched off for the session when the
+  // frame rate cannot keep up (?soft=0 starts with them off)
+  softBodies: new URLSearchParams(window.location.search).get('soft') !== '0',
+  // Smoothed frame time while playing a soft-body machine
+  softFrameTime: 0,
   scene: null,
-  world: null,
   camera: null,
   renderer: null,
   player: {
@@ -91,108 +97,467 @@ const STATE = {
     velocity: new THREE.Vector3(),
     speed: 8,
     target: new THREE.Vector3(),
+    // Degrees clockwise from north of the last move, for the minimap
+    heading: 0,
   },
-  keys: {},
-  arcades: [
-    { name: 'Joybox Alley', pos: new THREE.Vector3(-20, 0, -10), color: 0xff62a1, machines: ['girls', 'bridge'], themes: ['Neko', 'Maid'] },
-    { name: 'Neo-Taito', pos: new THREE.Vector3(20, 0, -10), color: 0x7a6cff, machines: ['capsules', 'bridge'], themes: ['Tech', 'Idol'] },
-    { name: 'Giga Dome', pos: new THREE.Vector3(-20, 0, 10), color: 0xffc857, machines: ['girls', 'capsules'], themes: ['Maid', 'Shrine'] },
-    { name: 'Otome Plaza', pos: new THREE.Vector3(20, 0, 10), color: 0x00c7ff, machines: ['girls'], themes: ['Idol', 'Neko'] },
-    { name: 'Mecha Mart', pos: new THREE.Vector3(0, 0, 20), color: 0x7abeff, machines: ['capsules', 'bridge'], themes: ['Tech'] },
-  ],
-  cafe: { name: 'Cafe', pos: new THREE.Vector3(0, 0, 0), color: 0xffdbe6 },
-  physicsObjects: [],
-  machineObjects: [],
+  // Arcades on the street map (see game/data/overworld.js)
+  arcades: OVERWORLD_MAP.locations.filter((l) => l.kind === 'arcade'),
+  // Pedestrians on the overworld sidewalks and their meshes; the crowd is
+  // created on the first visit and keeps walking from there
+  crowd: null,
+  crowdRandom: createRng(randomSeed()).stream('cosmetic'),
+  pedestrianMeshes: [],
+  // Overworld lights driven by the in-game clock: { hemi, sun, lamps }
+  daylight: null,
+  // Meshes mirroring the current machine, keyed by prize id
+  prizeMeshes: new Map(),
+  // The current machine type's own meshes (see MACHINE_VIEWS)
+  machineView: null,
+  // Capsule being opened on the café counter (see startCapsuleOpening)
+  capsuleOpening: null,
+  // Key whose press went to a conversation or the décor editor, until it is
+  // released, so the release does not act on the scene behind
+  heldOverlayKey: null,
+  // Business day running in the café (see game/sim/cafe.js); it carries on
+  // where it left off when you come back. Null once a day has ended.
+  cafeDay: null,
+  // Customer meshes, keyed by customer id
+  customerMeshes: new Map(),
+  // Café décor meshes, rebuilt whenever décor changes
+  decorGroup: null,
+  // Décor placement mode in the café: { index } of the selected entry in
+  // STATE.decor, or null when not placing
+  placement: null,
+  // Index into BEATMAPS of the next Para-Para show's chart
+  nextBeatmap: 0,
 };
 
-// Handle keyboard input
+// What dialogue choices can ask of the presentation (see data/dialogue.js)
+const STORY_HANDLERS = {
+  onAction: (action) => {
+    if (action === 'missionBoard') openMissionBoard(STATE, autosave);
+  },
+  onEnd: () => autosave(),
+};
+
+// Run the story event for a location the player just entered, if any
+function playStoryEvent(location) {
+  const dialogue = enterLocation(STATE, location);
+  if (dialogue) openDialogue(STATE, dialogue, STORY_HANDLERS);
+}
+
+// Handle key presses, and the gamepad and touch presses game/input.js hands
+// over as key-like events
 function onKeyDown(event) {
-  STATE.keys[event.code] = true;
-  // Interact in café
-  if (STATE.mode === 'cafe' && event.code === 'Space') {
-    // Talk to Uka: show current mission info
-    if (STATE.missions.length > 0) {
-      const current = STATE.missions[STATE.missions.length - 1];
-      showPrompt(`Mission: ${current.description} — Progress ${current.progress}/${current.required}`);
+  // The controls screen takes every key while it is open
+  if (isBindingsOpen()) {
+    bindingsKey(event);
+    STATE.heldOverlayKey = event.code;
+    return;
+  }
+  // A Para-Para show takes the lane keys until it ends; back stops it
+  if (isShowOpen()) {
+    if (isAction(event, 'back')) {
+      closeShow();
+      showPrompt('Show stopped. No hype this time.');
+      STATE.heldOverlayKey = event.code;
+    } else {
+      showKey(event);
     }
+    return;
+  }
+  // An open conversation takes every key until it ends; back walks away.
+  // The key's release is swallowed too so it does not also pick a machine.
+  if (isDialogueOpen()) {
+    if (isAction(event, 'back')) closeDialogue();
+    else dialogueKey(event);
+    STATE.heldOverlayKey = event.code;
+    return;
+  }
+  if (STATE.placement) {
+    placementKey(event);
+    STATE.heldOverlayKey = event.code;
+    return;
+  }
+  if (STATE.mode === 'replay' && replayKey(event)) {
+    STATE.heldOverlayKey = event.code;
+    return;
+  }
+  if (STATE.mode === 'cafe' && !event.repeat) cafeKey(event);
+}
+
+// The café's overlays; each key opens its own and closes it again, and only
+// one is open at a time
+const CAFE_OVERLAYS = [
+  { isOpen: isMissionBoardOpen, close: closeMissionBoard },
+  { isOpen: isRosterOpen, close: closeRoster },
+  { isOpen: isStaffPanelOpen, close: closeStaffPanel },
+  { isOpen: isDecorShopOpen, close: closeDecorShop },
+  { isOpen: isFusionOpen, close: closeFusion },
+];
+function closeCafeOverlay() {
+  const open = CAFE_OVERLAYS.find((overlay) => overlay.isOpen());
+  if (open) open.close();
+  return Boolean(open);
+}
+
+function cafeKey(event) {
+  const overlayOpen = CAFE_OVERLAYS.some((overlay) => overlay.isOpen());
+  // Talk to Uka; the mission board she hands over closes the same way
+  if (isAction(event, 'grab') || isAction(event, 'confirm')) {
+    if (isMissionBoardOpen()) closeMissionBoard();
+    else if (!overlayOpen) openDialogue(STATE, 'uka', STORY_HANDLERS);
+  }
+  // Browse the collection
+  if (event.code === 'KeyR') {
+    if (isRosterOpen()) closeRoster();
+    else if (!overlayOpen) openRoster(STATE, autosave);
+  }
+  // Put gals to work
+  if (event.code === 'KeyT') {
+    if (isStaffPanelOpen()) closeStaffPanel();
+    else if (!overlayOpen) openStaffPanel(STATE, { changed: autosave, refused: (role) => showPrompt(`${role} is full. Take someone off duty first.`) });
+  }
+  // Level up, fuse and dress gals
+  if (event.code === 'KeyF') {
+    if (isFusionOpen()) closeFusion();
+    else if (!overlayOpen) openFusion(STATE, autosave);
+  }
+  // Buy décor
+  if (event.code === 'KeyB') {
+    if (isDecorShopOpen()) closeDecorShop();
+    else if (!overlayOpen) openDecorShop(STATE, autosave);
+  }
+  if (overlayOpen) return;
+  // Arrange the décor
+  if (event.code === 'KeyP') {
+    startPlacement();
+    STATE.heldOverlayKey = event.code;
+  }
+  // Put on a Para-Para show
+  if (event.code === 'KeyH') startShow();
+  // Open the next stashed capsule
+  if (event.code === 'KeyO') {
+    if (STATE.capsules.length === 0) showPrompt('No capsules to open. Win some at a capsule machine!');
+    else startCapsuleOpening();
+  }
+  // Open for the next day once the last one's report has been read
+  if (event.code === 'KeyN' && isDayReportOpen()) {
+    hideDayReport();
+    openCafeDay();
   }
 }
 
 function onKeyUp(event) {
-  STATE.keys[event.code] = false;
+  showKeyUp(event);
+  if (STATE.heldOverlayKey === event.code) {
+    STATE.heldOverlayKey = null;
+    return;
+  }
   // Global key actions
-  if (event.code === 'Escape') {
-    if (STATE.mode === 'cafe' || STATE.mode === 'arcade') {
+  if (event.code === 'KeyL') toggleLedger(STATE);
+  if (isAction(event, 'back')) {
+    // Close any café overlay or the exchange counter before leaving
+    if (closeCafeOverlay()) return;
+    if (isExchangeOpen()) {
+      closeExchange();
+      return;
+    }
+    // A finished play goes back to the machine menu
+    if (STATE.mode === 'arcade' && STATE.playOver) {
+      STATE.currentMachine = null;
+      showArcadeMenu();
+      return;
+    }
+    if (STATE.mode === 'cafe' || STATE.mode === 'arcade' || STATE.mode === 'replay') {
       // Return to overworld
       buildOverworld();
     }
   }
-  // Enter action to interact with buildings
-  if (event.code === 'Enter') {
+  // Confirm to go into buildings, or to play a finished machine again
+  if (isAction(event, 'confirm')) {
+    if (STATE.mode === 'arcade' && STATE.playOver) {
+      startPlay(STATE.currentMachine);
+      return;
+    }
     if (STATE.mode === 'overworld') {
-      // Determine if near a location
-      const p = STATE.player.mesh.position;
-      const cafeDist = p.distanceTo(STATE.cafe.pos);
-      if (cafeDist < 4) {
+      // Go in through the doorway the player is standing in
+      const location = doorwayAt(STATE.player.mesh.position);
+      if (location && location.kind === 'cafe') {
         buildCafe();
-        return;
-      }
-      for (const arcade of STATE.arcades) {
-        if (p.distanceTo(arcade.pos) < 4) {
+      } else if (location) {
+        // Today's line-up, prices and events as of walking in
+        const arcade = arcadeAt(location, gameTime(STATE));
+        if (!arcade.open) {
+          showPrompt(`${arcade.name} is closed. Opens at ${formatHour(arcade.opensAt)}.`);
+        } else {
           STATE.selectedArcade = arcade;
           showArcadeMenu();
-          return;
         }
       }
+      return;
     }
   }
   // Machine selection within arcade
   if (STATE.mode === 'arcade' && STATE.currentMachine == null) {
-    let index = null;
-    if (event.code === 'Digit1' || event.code === 'Numpad1') index = 0;
-    if (event.code === 'Digit2' || event.code === 'Numpad2') index = 1;
-    if (event.code === 'Digit3' || event.code === 'Numpad3') index = 2;
-    if (index !== null && STATE.selectedArcade.machines[index]) {
-      // Check for yen cost
-      const cost = 200;
-      if (STATE.yen >= cost) {
-        STATE.yen -= cost;
-        const machine = STATE.selectedArcade.machines[index];
-        buildArcadeMachine(machine);
-      } else {
-        showPrompt('Not enough yen!');
+    // Trade duplicates and tickets at the counter
+    if (event.code === 'KeyX') {
+      if (isExchangeOpen()) closeExchange();
+      else openExchange(STATE, autosave);
+      return;
+    }
+    if (isExchangeOpen()) return;
+    if (event.code === 'KeyS') {
+      // Replay a reported session by entering its seed
+      const seed = parseSeed(window.prompt('Seed for the next play (blank for random):', STATE.nextSeed ?? ''));
+      STATE.nextSeed = seed;
+      showPrompt(seed === null ? 'Next play uses a random seed' : `Next play uses seed ${seed}`);
+      return;
+    }
+    const index = selectIndex(event);
+    if (index !== -1 && STATE.selectedArcade.machines[index]) {
+      // Shift buys the machine's bundle first. A play uses up a prepaid
+      // credit before charging; the pusher is free to sit at and charges per
+      // token.
+      const arcade = STATE.selectedArcade;
+      const machine = arcade.machines[index];
+      if (event.shiftKey && !buyBundle(STATE, arcade, machine)) {
+        showPrompt(machinePrices(arcade, machine).bundle ? 'Not enough yen for the bundle!' : 'No bundle on this machine.');
+        return;
       }
+      startPlay(machine);
     }
   }
 }
 
-// Add rescued girl to inventory and update missions
-function addGirlToInventory(girl) {
-  STATE.inventory.push(girl);
-  // Update missions
-  for (const mission of STATE.missions) {
-    if (!mission.completed && mission.targetClass === girl.class && mission.rarities.includes(girl.rarity)) {
-      mission.progress++;
-      if (mission.progress >= mission.required) {
-        mission.completed = true;
-        STATE.yen += mission.reward;
-        STATE.decor.push(mission.decor);
-        // Display completion message
-        showPrompt(`Mission complete! ${mission.description}. Reward: ¥${mission.reward}`);
-        // Automatically accept next mission if available
-        acceptNextMission();
-      }
-    }
+// Pay for a play of `type` at the selected arcade and start it
+function startPlay(type) {
+  const arcade = STATE.selectedArcade;
+  const paid = payForPlay(STATE, arcade, type);
+  if (paid) {
+    if (paid !== 'free') trackMissions(STATE, { type: 'play', arcade: arcade.name, machine: type });
+    buildArcadeMachine(type, paid);
+    if (paid === 'credit') showPrompt(`Prepaid play used. ${creditsFor(STATE, arcade, type)} left here.`);
+  } else {
+    showPrompt('Not enough yen!');
   }
 }
 
-// Accept next mission from definitions
-function acceptNextMission() {
-  if (STATE.missionIndex < MISSION_DEFS.length) {
-    const def = MISSION_DEFS[STATE.missionIndex++];
-    STATE.missions.push({ ...def, progress: 0, completed: false });
+// The machine has stopped: offer the next play, from a prepaid credit if
+// there is one, or a way back to the machine menu
+function endPlay() {
+  STATE.playOver = true;
+  const arcade = STATE.selectedArcade;
+  const type = STATE.currentMachine;
+  const credits = creditsFor(STATE, arcade, type);
+  const price = credits > 0 ? `${credits} prepaid left` : `¥${machinePrices(arcade, type).play}`;
+  showPrompt(`Play over! Press ${actionKeyName('confirm')} to play again (${price}) or ${actionKeyName('back')} to choose another machine.`);
+}
+
+// Add a prize won in a machine to the collection and save straight away.
+// Capsules go to the stash unopened.
+function awardPrize(prize) {
+  recordPityWin(STATE, STATE.machine.lootTable, prize.rarity);
+  renderOddsPanel(STATE.machine.lootTable);
+  const acquired = { arcade: STATE.selectedArcade.name, machine: STATE.currentMachine };
+  trackMissions(STATE, { type: 'win', ...acquired });
+  if (prize.kind === 'capsule') {
+    stashCapsule(STATE, prize, acquired);
+    showPrompt(`Capsule won! ${STATE.capsules.length} waiting to be opened at the café (O).`);
+    autosave();
+    return;
+  }
+  const gal = acquireGal(STATE, prize.gal, acquired);
+  addGirlToInventory(STATE, gal);
+  showPrompt(`Rescued ${gal.name}! ${gal.rarity} ${gal.class}, ${gal.personality}`);
+  autosave();
+}
+
+// Surface simulation events in the HUD
+function registerGameEvents() {
+  on('mission-complete', ({ def }) => {
+    showPrompt(`Mission complete! ${def.description}. Reward: ¥${def.reward}${def.decor ? ` and ${def.decor}` : ''}`);
+    autosave();
+  });
+  on('mission-accepted', ({ def }) => {
     showPrompt(`New mission: ${def.description}`);
+  });
+  // Café floor news worth a heads-up
+  on('customer-arrived', (customer) => {
+    if (customer.type === 'VIP') showPrompt('A VIP just walked in!');
+  });
+  on('customer-left', ({ customer, paid }) => {
+    if (!paid) showPrompt(`A ${customer.type.toLowerCase()} got tired of waiting and walked out.`);
+  });
+  on('yen-changed', () => refreshLedger(STATE));
+  on('gal-traded', ({ gal, payout, value }) => {
+    showPrompt(`Traded ${gal.name} for ${payout === 'tickets' ? `${value.tickets} tickets` : `¥${value.yen}`}.`);
+  });
+  on('gal-levelled', ({ gal, level }) => {
+    showPrompt(`${gal.name} reached level ${level}!`);
+  });
+  on('rarity-upgraded', ({ gal, costume }) => {
+    showPrompt(`${gal.name} is now ${gal.rarity}!${costume ? ` New costume: ${costume.name}.` : ''}`);
+  });
+  // Mission rewards and shop décor are set out in the café straight away
+  on('decor-added', () => {
+    if (STATE.mode === 'cafe') renderCafeDecor();
+  });
+  on('mission-failed', ({ def, reason }) => {
+    showPrompt(`Mission failed: ${def.description} (${reason === 'time' ? 'out of time' : 'out of plays'})`);
+    autosave();
+  });
+  // Claw feedback for live gals
+  on('prize-grabbed', ({ prize, claw }) => {
+    if (!claw.livePrizes || !prize.gal) return;
+    const chance = Math.round(escapeChance(prize.gal, claw.grip) * 100);
+    showPrompt(`Got ${prize.gal.name} (${prize.gal.personality}) — ${chance}% escape chance per wriggle`);
+  });
+  // Capsule pickup depends on how squarely the claw closed
+  on('capsule-grip', ({ chance, held }) => {
+    const percent = Math.round(chance * 100);
+    showPrompt(held ? `Clean grab! (${percent}% hold chance)` : `The capsule slipped out of the prongs (${percent}% hold chance)`);
+  });
+  // Prizes that fall anywhere but the way out are lost
+  on('prize-lost', (prize) => {
+    removePrizeMesh(prize.id);
+    showPrompt(MACHINE_VIEWS[STATE.currentMachine].lost || 'The prize is lost!');
+  });
+  // Pusher tokens are paid from and refunded to the wallet straight away
+  on('token-dropped', () => autosave());
+  on('token-refused', ({ cost }) => showPrompt(`Not enough yen for a token (¥${cost})`));
+  on('token-won', ({ value }) => {
+    showPrompt(`A token fell over the edge! +¥${value}`);
+    autosave();
+  });
+  on('bridge-push', ({ pushesLeft }) => showPrompt(`Push! ${pushesLeft} left`));
+  on('hook-state', (hook) => {
+    if (hook.state === 'lower') showPrompt(`Lowering the hook · ${hook.lowers} left`);
+  });
+  // Rope cut wear: how close the rope is to snapping and what the blade has left
+  on('rope-fray', (rope) => {
+    const passes = STATE.machine.ropeCut.cutter.passes;
+    showPrompt(`Rope ${Math.round((rope.damage / rope.strength) * 100)}% frayed · ${passes} blade passes left`);
+  });
+  on('rope-cut', (rope) => showPrompt(`The rope snapped! (${rope.prize.rarity})`));
+  on('blade-dull', () => showPrompt('The blade has gone dull.'));
+  // Drop goal balls. One in an empty slot is lost; the rest wait to see
+  // which landed in the best slot.
+  on('ball-dropped', ({ ballsLeft }) => showPrompt(`Ball away! ${ballsLeft} left`));
+  on('ball-landed', ({ prize, slot, tier, best }) => {
+    if (!tier) return;
+    removePrizeMesh(prize.id);
+    showPrompt(`Slot ${slot}: ${tier} or better.${best ? ' Best so far!' : ''}`);
+  });
+  on('ram-lowered', ({ lowers }) => showPrompt(`Ram down! ${lowers} left`));
+  on('prize-wriggle', (prize) => {
+    // Squash the mesh; syncMachineView eases it back
+    const mesh = STATE.prizeMeshes.get(prize.id);
+    if (mesh) mesh.scale.set(1.2, 0.8, 1.2);
+  });
+  on('prize-escaped', (prize) => {
+    showPrompt(`${prize.gal.name} wriggled free!`);
+    const mesh = STATE.prizeMeshes.get(prize.id);
+    if (mesh && mesh.material) {
+      mesh.material.emissive.setHex(0xff3366);
+      setTimeout(() => mesh.material.emissive.setHex(0x000000), 400);
+    }
+  });
+}
+
+// Persist the current state to the active save slot
+function autosave() {
+  saveToSlot(STATE, STATE.saveSlot);
+}
+
+// Wire up the save panel in the HUD: slot picker, manual save/load and
+// export/import of save files
+function setupSaveControls() {
+  for (const slot of SAVE_SLOTS) {
+    const option = document.createElement('option');
+    option.value = slot;
+    option.textContent = slot;
+    saveSlotEl.appendChild(option);
   }
+  saveSlotEl.value = STATE.saveSlot;
+  saveSlotEl.addEventListener('change', () => {
+    STATE.saveSlot = saveSlotEl.value;
+    saveSlotEl.blur();
+  });
+  document.getElementById('save-btn').addEventListener('click', (event) => {
+    event.target.blur();
+    showPrompt(saveToSlot(STATE, STATE.saveSlot) ? `Saved to ${STATE.saveSlot}` : 'Saving is unavailable in this browser');
+  });
+  document.getElementById('load-btn').addEventListener('click', (event) => {
+    event.target.blur();
+    if (loadFromSlot(STATE, STATE.saveSlot)) {
+      buildOverworld();
+      showPrompt(`Loaded ${STATE.saveSlot}`);
+    } else {
+      showPrompt(`No save in ${STATE.saveSlot}`);
+    }
+  });
+  document.getElementById('export-btn').addEventListener('click', (event) => {
+    event.target.blur();
+    const blob = new Blob([exportSave(STATE)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `gatcha-gal-panic-${STATE.saveSlot}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  });
+  document.getElementById('controls-btn').addEventListener('click', (event) => {
+    event.target.blur();
+    openBindings();
+  });
+  // Replays of machine sessions (see game/sim/replay.js)
+  document.getElementById('replay-save-btn').addEventListener('click', (event) => {
+    event.target.blur();
+    const recording = STATE.recording;
+    if (!recording) {
+      showPrompt('Play a machine first to record a replay.');
+      return;
+    }
+    const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `gatcha-gal-panic-replay-${recording.type}-${recording.seed}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  });
+  const replayInput = document.getElementById('replay-file');
+  document.getElementById('replay-watch-btn').addEventListener('click', (event) => {
+    event.target.blur();
+    replayInput.click();
+  });
+  replayInput.addEventListener('change', async () => {
+    const file = replayInput.files[0];
+    replayInput.value = '';
+    if (!file) return;
+    try {
+      watchReplay(parseReplay(await file.text()));
+      showPrompt(`Watching ${file.name}`);
+    } catch (err) {
+      showPrompt(`Replay failed: ${err.message}`);
+    }
+  });
+  const fileInput = document.getElementById('import-file');
+  document.getElementById('import-btn').addEventListener('click', (event) => {
+    event.target.blur();
+    fileInput.click();
+  });
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files[0];
+    fileInput.value = '';
+    if (!file) return;
+    try {
+      importSave(STATE, await file.text());
+      buildOverworld();
+      showPrompt(`Imported ${file.name} into ${STATE.saveSlot}`);
+    } catch (err) {
+      showPrompt(`Import failed: ${err.message}`);
+    }
+  });
 }
 
 // Show prompt overlay text briefly
@@ -206,14 +571,24 @@ function showPrompt(message) {
   }, 4000);
 }
 
+// Close whatever was open over the scene being left
+function closeSceneOverlays() {
+  removeArcadeMenu();
+  finishCapsuleOpening();
+  closeDialogue();
+  closeCafeOverlay();
+  hideDayReport();
+  closeShow();
+  STATE.placement = null;
+}
+
 // Build the overworld scene with simple geometry and no physics simulation
 function buildOverworld() {
   STATE.mode = 'overworld';
   locationEl.textContent = 'Location: Overworld';
-  // Ensure any arcade menu overlay is removed
-  removeArcadeMenu();
-  // Clean up previous physics world if any
-  if (STATE.world) STATE.world = null;
+  closeSceneOverlays();
+  // Clean up previous machine if any
+  disposeCurrentMachine();
   // Create Three.js scene
   STATE.scene = new THREE.Scene();
   STATE.scene.background = new THREE.Color(0xf5f5fa);
@@ -224,65 +599,31 @@ function buildOverworld() {
   const dir = new THREE.DirectionalLight(0xffffff, 0.6);
   dir.position.set(30, 50, -30);
   STATE.scene.add(dir);
-  // Ground plane
-  const groundGeom = new THREE.PlaneGeometry(200, 200);
-  const groundMat = new THREE.MeshLambertMaterial({ color: 0xf3f6ff });
-  const ground = new THREE.Mesh(groundGeom, groundMat);
-  ground.rotation.x = -Math.PI / 2;
-  STATE.scene.add(ground);
-  // Create buildings for arcades and cafe
-  for (const arcade of STATE.arcades) {
-    const boxGeom = new THREE.BoxGeometry(6, 6, 6);
-    const boxMat = new THREE.MeshLambertMaterial({ color: arcade.color });
-    const cube = new THREE.Mesh(boxGeom, boxMat);
-    cube.position.copy(arcade.pos);
-    cube.position.y = 3;
-    STATE.scene.add(cube);
-    // Label via sprite or simple text plane
-    const spriteCanvas = document.createElement('canvas');
-    spriteCanvas.width = 256;
-    spriteCanvas.height = 64;
-    const ctx = spriteCanvas.getContext('2d');
-    ctx.fillStyle = '#000';
-    ctx.font = '32px sans-serif';
-    ctx.textAlign = 'center';
-    ctx.fillText(arcade.name, 128, 40);
-    const texture = new THREE.CanvasTexture(spriteCanvas);
-    const spriteMat = new THREE.SpriteMaterial({ map: texture, transparent: true });
-    const sprite = new THREE.Sprite(spriteMat);
-    sprite.scale.set(6, 1.5, 1);
-    sprite.position.set(arcade.pos.x, 6.8, arcade.pos.z);
-    STATE.scene.add(sprite);
-  }
-  // Café building
-  {
-    const cafeGeom = new THREE.BoxGeometry(8, 6, 8);
-    const cafeMat = new THREE.MeshLambertMaterial({ color: STATE.cafe.color });
-    const cafeCube = new THREE.Mesh(cafeGeom, cafeMat);
-    cafeCube.position.copy(STATE.cafe.pos);
-    cafeCube.position.y = 3;
-    STATE.scene.add(cafeCube);
-    const spriteCanvas = document.createElement('canvas');
-    spriteCanvas.width = 256;
-    spriteCanvas.height = 64;
-    const ctx = spriteCanvas.getContext('2d');
-    ctx.fillStyle = '#000';
-    ctx.font = '32px sans-serif';
-    ctx.textAlign = 'center';
-    ctx.fillText('Cafe', 128, 40);
-    const texture = new THREE.CanvasTexture(spriteCanvas);
-    const spriteMat = new THREE.SpriteMaterial({ map: texture, transparent: true });
-    const sprite = new THREE.Sprite(spriteMat);
-    sprite.scale.set(6, 1.5, 1);
-    sprite.position.set(STATE.cafe.pos.x, 6.8, STATE.cafe.pos.z);
-    STATE.scene.add(sprite);
+  // Ground, roads and the buildings of Neo-Akiba from the map data
+  buildStreets();
+  // Lights follow the in-game clock from here on
+  STATE.daylight = { hemi, sun: dir, lamps: buildStreetLamps() };
+  applyDaylight();
+  for (const location of OVERWORLD_MAP.locations) buildLocation(location);
+  for (const b of OVERWORLD_MAP.buildings) {
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(b.w, b.height, b.d), new THREE.MeshLambertMaterial({ color: b.color }));
+    mesh.position.set(b.x, b.height / 2, b.z);
+    STATE.scene.add(mesh);
   }
+  // Pedestrians keep walking their routes between visits
+  if (!STATE.crowd) STATE.crowd = createPedestrians(STATE.crowdRandom);
+  STATE.pedestrianMeshes = STATE.crowd.pedestrians.map((p) => {
+    const mesh = new THREE.Mesh(new THREE.CylinderGeometry(0.35, 0.35, 1.6, 10), new THREE.MeshLambertMaterial({ color: p.color }));
+    mesh.position.set(p.x, 0.8, p.z);
+    STATE.scene.add(mesh);
+    return mesh;
+  });
   // Create player if not exists
   if (!STATE.player.mesh) {
     const sphereGeom = new THREE.SphereGeometry(0.8, 16, 16);
     const sphereMat = new THREE.MeshStandardMaterial({ color: 0x3333ff });
     const playerMesh = new THREE.Mesh(sphereGeom, sphereMat);
-    playerMesh.position.set(0, 0.8, 0);
+    playerMesh.position.set(OVERWORLD_MAP.start.x, 0.8, OVERWORLD_MAP.start.z);
     STATE.scene.add(playerMesh);
     STATE.player.mesh = playerMesh;
   } else {
@@ -297,24 +638,120 @@ function buildOverworld() {
   if (!STATE.camera) {
     STATE.camera = new THREE.PerspectiveCamera(60, window.innerWidth / window.innerHeight, 0.1, 500);
   }
-  STATE.camera.position.set(0, 20, 25);
-  STATE.camera.lookAt(0, 0, 0);
-  // Remove leftover machine objects
-  STATE.physicsObjects = [];
-  STATE.machineObjects = [];
-  STATE.world = null;
+  const { x, z } = STATE.player.mesh.position;
+  STATE.camera.position.set(x, 15, z + 25);
+  STATE.camera.lookAt(x, 0, z);
   STATE.currentMachine = null;
   STATE.selectedArcade = null;
+  autosave();
+}
+
+// Flat layers of the street map: ground, roads, sidewalks and zebra
+// crossings at every junction
+function buildStreets() {
+  const map = OVERWORLD_MAP;
+  const size = map.bounds * 2;
+  const flat = (w, d, color, x, z, y) => {
+    const mesh = new THREE.Mesh(new THREE.PlaneGeometry(w, d), new THREE.MeshLambertMaterial({ color }));
+    mesh.rotation.x = -Math.PI / 2;
+    mesh.position.set(x, y, z);
+    STATE.scene.add(mesh);
+  };
+  flat(size + 40, size + 40, 0xdde3d0, 0, 0, 0);
+  flat(size, size, 0xf3f6ff, 0, 0, 0.005);
+  const walk = map.roadWidth + map.sidewalk * 2;
+  for (const x of map.avenues) flat(walk, size, 0xe4e4ec, x, 0, 0.01);
+  for (const z of map.streets) flat(size, walk, 0xe4e4ec, 0, z, 0.01);
+  for (const x of map.avenues) flat(map.roadWidth, size, 0x6b6f7e, x, 0, 0.02);
+  for (const z of map.streets) flat(size, map.roadWidth, 0x6b6f7e, 0, z, 0.02);
+  // Stripes across each road just outside the junction
+  const half = map.roadWidth / 2;
+  for (const x of map.avenues) {
+    for (const z of map.streets) {
+      for (let i = 0; i < 4; i++) {
+        const along = -half + 1 + i * 2;
+        for (const side of [-1, 1]) {
+          flat(1, 1.4, 0xffffff, x + along, z + side * (half + 1), 0.03);
+          flat(1.4, 1, 0xffffff, x + side * (half + 1), z + along, 0.03);
+        }
+      }
+    }
+  }
+}
+
+// A lamp post on the corner of every junction, sharing one material so
+// they can be lit together at dusk
+function buildStreetLamps() {
+  const map = OVERWORLD_MAP;
+  const reach = map.roadWidth / 2 + map.sidewalk - 0.4;
+  const postMat = new THREE.MeshLambertMaterial({ color: 0x4a4a5a });
+  const lampMat = new THREE.MeshLambertMaterial({ color: 0xfff4c0, emissive: 0x000000 });
+  for (const x of map.avenues) {
+    for (const z of map.streets) {
+      for (const [sx, sz] of [[-1, -1], [1, -1], [-1, 1], [1, 1]]) {
+        const post = new THREE.Mesh(new THREE.CylinderGeometry(0.1, 0.1, 4, 6), postMat);
+        post.position.set(x + sx * reach, 2, z + sz * reach);
+        STATE.scene.add(post);
+        const lamp = new THREE.Mesh(new THREE.SphereGeometry(0.35, 10, 8), lampMat);
+        lamp.position.set(x + sx * reach, 4.1, z + sz * reach);
+        STATE.scene.add(lamp);
+      }
+    }
+  }
+  return lampMat;
+}
+
+// Light the overworld for the time of day
+const LAMP_GLOW = new THREE.Color(0xffd27a);
+function applyDaylight() {
+  const light = lightingAt(gameTime(STATE).hour);
+  STATE.scene.background.setHex(light.sky);
+  STATE.daylight.hemi.intensity = light.ambient;
+  STATE.daylight.sun.intensity = light.sun;
+  STATE.daylight.lamps.emissive.copy(LAMP_GLOW).multiplyScalar(light.lamps);
+}
+
+// A location's building with its sign, its door and a mat marking the
+// doorway
+function buildLocation(location) {
+  const b = location.building;
+  const mesh = new THREE.Mesh(new THREE.BoxGeometry(b.w, b.height, b.d), new THREE.MeshLambertMaterial({ color: location.color }));
+  mesh.position.set(b.x, b.height / 2, b.z);
+  STATE.scene.add(mesh);
+  const spriteCanvas = document.createElement('canvas');
+  spriteCanvas.width = 256;
+  spriteCanvas.height = 64;
+  const ctx = spriteCanvas.getContext('2d');
+  ctx.fillStyle = '#000';
+  ctx.font = '32px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.fillText(location.name, 128, 40);
+  const texture = new THREE.CanvasTexture(spriteCanvas);
+  const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, transparent: true }));
+  sprite.scale.set(6, 1.5, 1);
+  sprite.position.set(b.x, b.height + 0.8, b.z);
+  STATE.scene.add(sprite);
+  const { door } = location;
+  const across = door.facing === 'n' || door.facing === 's';
+  const doorMesh = new THREE.Mesh(new THREE.BoxGeometry(across ? 2 : 0.2, 2.6, across ? 0.2 : 2), new THREE.MeshLambertMaterial({ color: 0x3a2a4a }));
+  doorMesh.position.set(door.x, 1.3, door.z);
+  STATE.scene.add(doorMesh);
+  const mat = new THREE.Mesh(new THREE.CircleGeometry(1.2, 24), new THREE.MeshBasicMaterial({ color: 0xffe066, transparent: true, opacity: 0.6 }));
+  const point = doorwayPoint(location);
+  mat.rotation.x = -Math.PI / 2;
+  mat.position.set(point.x, 0.04, point.z);
+  STATE.scene.add(mat);
 }
 
 // Build café interior
 function buildCafe() {
   STATE.mode = 'cafe';
+  hideMinimap();
   locationEl.textContent = 'Location: Cafe';
   // Clear world and scene
   STATE.scene = new THREE.Scene();
   STATE.scene.background = new THREE.Color(0xfaf8ff);
-  STATE.world = null;
+  disposeCurrentMachine();
   // Lights
   const ambient = new THREE.AmbientLight(0xffffff, 0.7);
   STATE.scene.add(ambient);
@@ -343,30 +780,289 @@ function buildCafe() {
   const rightWall = leftWall.clone();
   rightWall.position.set(10, 3, 0);
   STATE.scene.add(rightWall);
+  STATE.decorGroup = null;
+  STATE.placement = null;
+  renderCafeDecor();
+  // A table between each pair of seats
+  const tableMat = new THREE.MeshLambertMaterial({ color: 0xe8d6c0 });
+  for (let i = 0; i < CAFE_FLOOR.seats.length; i += 2) {
+    const [a, b] = CAFE_FLOOR.seats.slice(i, i + 2);
+    const table = new THREE.Mesh(new THREE.BoxGeometry(Math.abs(b.x - a.x) - 0.8, 0.8, 0.9), tableMat);
+    table.position.set((a.x + b.x) / 2, 0.4, (a.z + b.z) / 2);
+    STATE.scene.add(table);
+  }
+  STATE.customerMeshes.clear();
   // Uka NPC represented by cylinder
   const ukaGeom = new THREE.CylinderGeometry(0.8, 0.8, 2.4, 16);
   const ukaMat = new THREE.MeshLambertMaterial({ color: 0xffaacc });
   const uka = new THREE.Mesh(ukaGeom, ukaMat);
   uka.position.set(0, 1.2, -3);
   STATE.scene.add(uka);
-  // Accept next mission if none
-  if (STATE.missions.length === 0) {
-    acceptNextMission();
-  }
   // Camera
   STATE.camera.position.set(0, 8, 12);
   STATE.camera.lookAt(0, 1, 0);
+  autosave();
   // Prompt
-  showPrompt('Press Space to talk to Uka. Press Escape to return to map.');
+  const capsules = STATE.capsules.length > 0 ? `, O to open a capsule (${STATE.capsules.length})` : '';
+  const offers = availableMissions(STATE).length;
+  const board = offers > 0 ? ` (${offers} new mission${offers > 1 ? 's' : ''})` : '';
+  showPrompt(`Press ${actionKeyName('grab')} to talk to Uka${board}, R to view your roster, T to assign staff, H for a Para-Para show${capsules}, F to raise gals, P to arrange décor, B to buy décor. Press ${actionKeyName('back')} to return to map.`);
+  if (!STATE.cafeDay) openCafeDay();
+  playStoryEvent('Cafe');
+}
+
+// Open the café for a new business day with today's staff and décor
+function openCafeDay() {
+  STATE.cafeDay = startCafeDay(STATE, randomSeed());
+}
+
+// Put the café's Idol on stage with the next chart in rotation. The result
+// builds hype for the next business day.
+function startShow() {
+  const star = showStar(STATE);
+  if (!star) {
+    showPrompt('You need an Idol in your roster to put on a Para-Para show.');
+    return;
+  }
+  const ids = Object.keys(BEATMAPS);
+  const chart = getChart(ids[STATE.nextBeatmap % ids.length]);
+  STATE.nextBeatmap++;
+  openShow(chart, star, performance.now(), (result) => {
+    const gain = raiseHype(STATE, star, result);
+    const combo = result.fullCombo ? ' Full combo!' : '';
+    showPrompt(`${star.name}'s show: ${result.perfect} Perfect, ${result.great} Great, ${result.miss} Miss.${combo} Hype +${Math.round(gain * 100)}% (now ${Math.round(STATE.cafe.hype * 100)}%) from the next day.`);
+    autosave();
+  });
+}
+
+// Run the café while the player is in it and post the report at closing
+function updateCafe(dt) {
+  if (!STATE.cafeDay) return;
+  if (advanceCafe(STATE.cafeDay, dt)) {
+    showDayReport(endCafeDay(STATE, STATE.cafeDay));
+    STATE.cafeDay = null;
+    autosave();
+  }
+  syncCustomers();
+}
+
+// Customers queue by the door, then walk to their seat; each mesh eases
+// towards where its customer is
+const customerTarget = new THREE.Vector3();
+function syncCustomers() {
+  const customers = STATE.cafeDay ? STATE.cafeDay.customers : [];
+  const live = new Set();
+  let queued = 0;
+  for (const customer of customers) {
+    let mesh = STATE.customerMeshes.get(customer.id);
+    if (!mesh) {
+      const material = new THREE.MeshLambertMaterial({ color: CUSTOMER_TYPES[customer.type].color });
+      mesh = new THREE.Mesh(new THREE.CylinderGeometry(0.35, 0.35, 1.4, 12), material);
+      mesh.position.set(CAFE_FLOOR.door.x, 0.7, CAFE_FLOOR.door.z);
+      STATE.scene.add(mesh);
+      STATE.customerMeshes.set(customer.id, mesh);
+    }
+    if (customer.seat === null) {
+      customerTarget.set(CAFE_FLOOR.door.x + (queued++ - 1) * 0.9, 0.7, CAFE_FLOOR.door.z - 0.5);
+    } else {
+      const seat = CAFE_FLOOR.seats[customer.seat];
+      customerTarget.set(seat.x, 0.7, seat.z);
+    }
+    mesh.position.lerp(customerTarget, 0.1);
+    // Glow while waiting on their food, fade once it arrives
+    mesh.material.emissive.setHex(customer.state === 'ordered' || customer.state === 'ready' ? 0x302010 : 0x000000);
+    live.add(customer.id);
+  }
+  for (const [id, mesh] of STATE.customerMeshes) {
+    if (live.has(id)) continue;
+    STATE.scene.remove(mesh);
+    STATE.customerMeshes.delete(id);
+  }
+}
+
+// Mesh for a catalogue item, facing +z with its footprint centred on the origin
+function buildDecorMesh(item) {
+  const group = new THREE.Group();
+  for (const part of getDecorDef(item).parts) {
+    let geometry;
+    if (part.shape === 'box') geometry = new THREE.BoxGeometry(...part.size);
+    else if (part.shape === 'cylinder') geometry = new THREE.CylinderGeometry(part.radius, part.radius, part.height, 12);
+    else geometry = new THREE.SphereGeometry(part.radius, 12, 12);
+    const material = new THREE.MeshLambertMaterial({ color: part.color, emissive: part.glow || 0x000000 });
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.position.set(...part.offset);
+    group.add(mesh);
+  }
+  return group;
+}
+
+// Draw the placed décor, with the item being arranged outlined on the floor:
+// green while placed, grey while stored at its last spot
+function renderCafeDecor() {
+  if (STATE.decorGroup) STATE.scene.remove(STATE.decorGroup);
+  STATE.decorGroup = new THREE.Group();
+  const selected = STATE.placement ? STATE.decor[STATE.placement.index] : null;
+  for (const entry of STATE.decor) {
+    const { x, z, angle } = decorTransform(entry);
+    if (entry.placed) {
+      const mesh = buildDecorMesh(entry.item);
+      mesh.position.set(x, 0, z);
+      mesh.rotation.y = angle;
+      STATE.decorGroup.add(mesh);
+    }
+    if (entry === selected) {
+      const { w, d } = footprint(entry.item, entry.rotation);
+      const outline = new THREE.Mesh(
+        new THREE.PlaneGeometry(w, d),
+        new THREE.MeshBasicMaterial({ color: entry.placed ? 0x5ad67a : 0x9aa0ab, transparent: true, opacity: 0.5 }),
+      );
+      outline.rotation.x = -Math.PI / 2;
+      outline.position.set(x, 0.02, z);
+      STATE.decorGroup.add(outline);
+    }
+  }
+  STATE.scene.add(STATE.decorGroup);
+}
+
+// Summary of the selected item and the café's total buffs
+function showPlacementStatus() {
+  const entry = STATE.decor[STATE.placement.index];
+  const buffs = Object.entries(decorBuffs(STATE)).map(([buff, value]) => `+${Math.round(value * 100)}% ${BUFF_LABELS[buff]}`).join(', ');
+  showPrompt(`${entry.item} (${entry.placed ? 'placed' : 'stored'}) ${STATE.placement.index + 1}/${STATE.decor.length} — ` +
+    `Move to shift, ${actionKeyName('aimLeft')}/${actionKeyName('aimRight')} rotate, Tab next, X store/place, P done` + (buffs ? ` · Café: ${buffs}` : ''));
+}
+
+function startPlacement() {
+  if (STATE.decor.length === 0) {
+    showPrompt('No décor yet. Complete missions for Uka to earn some!');
+    return;
+  }
+  STATE.placement = { index: 0 };
+  renderCafeDecor();
+  showPlacementStatus();
+}
+
+function endPlacement() {
+  STATE.placement = null;
+  renderCafeDecor();
+  autosave();
+  showPrompt('Décor saved.');
+}
+
+// Keys while arranging décor: the move actions nudge the selected item and
+// the aim actions turn it. Moves that would hit a wall, the counter or
+// another item are refused.
+const PLACEMENT_MOVES = { moveUp: [0, -1], moveDown: [0, 1], moveLeft: [-1, 0], moveRight: [1, 0] };
+function placementKey(event) {
+  if (event.code === 'KeyP' || isAction(event, 'back')) {
+    if (!event.repeat) endPlacement();
+    return;
+  }
+  event.preventDefault();
+  const entry = STATE.decor[STATE.placement.index];
+  const move = Object.keys(PLACEMENT_MOVES).find((action) => isAction(event, action));
+  let ok = true;
+  if (event.code === 'Tab') {
+    STATE.placement.index = (STATE.placement.index + 1) % STATE.decor.length;
+  } else if (event.code === 'KeyX') {
+    if (entry.placed) storeDecor(entry);
+    else ok = placeDecor(STATE, entry);
+  } else if (isAction(event, 'aimLeft') || isAction(event, 'aimRight')) {
+    ok = moveDecor(STATE, entry, entry.x, entry.z, (entry.rotation + (isAction(event, 'aimRight') ? 1 : 3)) % 4);
+  } else if (move) {
+    const [dx, dz] = PLACEMENT_MOVES[move];
+    ok = moveDecor(STATE, entry, entry.x + dx, entry.z + dz);
+  } else {
+    return;
+  }
+  renderCafeDecor();
+  if (ok) showPlacementStatus();
+  else if (event.code === 'KeyX') showPrompt('No room for it. Store something first.');
+  else showPrompt(entry.placed ? 'Blocked!' : 'It is stored. Press X to set it out.');
+}
+
+// Reveal colours for the capsule opening, by rarity
+const RARITY_COLORS = { Common: 0xb8c4d6, Rare: 0x4da6ff, 'Super Rare': 0xb066ff, Legendary: 0xffc21a, Ultimate: 0xff4fa3 };
+// Opening timeline in seconds: the capsule shakes, splits in a flash of its
+// rarity colour, reveals the gal and the flash fades
+const OPENING_SHAKE = 1.2;
+const OPENING_REVEAL = 1.6;
+const OPENING_END = 3;
+
+// Put the oldest stashed capsule on the café counter and start opening it.
+// It only leaves the stash, and the gal joins the roster, at the reveal.
+function startCapsuleOpening() {
+  if (STATE.capsuleOpening) return;
+  const capsule = STATE.capsules[0];
+  const halfGeo = new THREE.SphereGeometry(0.7, 16, 16, 0, Math.PI * 2, 0, Math.PI / 2);
+  const top = new THREE.Mesh(halfGeo, new THREE.MeshLambertMaterial({ color: 0xffffff, transparent: true, opacity: 0.6 }));
+  const bottom = new THREE.Mesh(halfGeo, new THREE.MeshLambertMaterial({ color: new THREE.Color().setHSL(capsule.hue, 0.6, 0.6) }));
+  bottom.rotation.x = Math.PI;
+  const group = new THREE.Group();
+  group.add(top);
+  group.add(bottom);
+  group.position.set(0, 1.5, 0);
+  const color = RARITY_COLORS[capsule.gal.rarity] || 0xffffff;
+  const flash = new THREE.Mesh(new THREE.SphereGeometry(0.5, 16, 16), new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0 }));
+  flash.position.copy(group.position);
+  const light = new THREE.PointLight(color, 0, 12);
+  light.position.copy(group.position);
+  STATE.scene.add(group);
+  STATE.scene.add(flash);
+  STATE.scene.add(light);
+  STATE.capsuleOpening = { time: 0, revealed: false, group, top, bottom, flash, light };
+  showPrompt('Opening capsule...');
+}
+
+// Advance the opening animation
+function updateCapsuleOpening(dt) {
+  const opening = STATE.capsuleOpening;
+  if (!opening) return;
+  opening.time += dt;
+  const t = opening.time;
+  if (t < OPENING_SHAKE) {
+    // Wobble harder as the moment nears
+    opening.group.rotation.z = Math.sin(t * 40) * (t / OPENING_SHAKE) * 0.4;
+  } else {
+    const split = Math.min(1, (t - OPENING_SHAKE) / (OPENING_REVEAL - OPENING_SHAKE));
+    const fade = Math.max(0, Math.min(1, (t - OPENING_REVEAL) / (OPENING_END - OPENING_REVEAL)));
+    opening.group.rotation.z = 0;
+    opening.top.position.y = split * 1.2;
+    opening.bottom.position.y = -split * 0.3;
+    opening.flash.scale.setScalar(1 + split * 4);
+    opening.flash.material.opacity = 0.8 * split * (1 - fade);
+    opening.light.intensity = 3 * split * (1 - fade);
+  }
+  if (t >= OPENING_REVEAL && !opening.revealed) revealCapsule(opening);
+  if (t >= OPENING_END) finishCapsuleOpening();
+}
+
+function revealCapsule(opening) {
+  opening.revealed = true;
+  const gal = openCapsule(STATE);
+  showPrompt(`${gal.name}! ${gal.rarity} ${gal.class}, ${gal.personality}`);
+  autosave();
+}
+
+// Clear the opening from the counter. One cut short before the reveal leaves
+// the capsule in the stash.
+function finishCapsuleOpening() {
+  const opening = STATE.capsuleOpening;
+  if (!opening) return;
+  STATE.scene.remove(opening.group);
+  STATE.scene.remove(opening.flash);
+  STATE.scene.remove(opening.light);
+  STATE.capsuleOpening = null;
 }
 
 // Show arcade menu overlay in Overworld (choose machine)
 function showArcadeMenu() {
   STATE.mode = 'arcade';
+  hideMinimap();
   locationEl.textContent = `Location: ${STATE.selectedArcade.name}`;
   STATE.scene = new THREE.Scene();
   STATE.scene.background = new THREE.Color(0xfefafe);
-  STATE.world = null;
+  disposeCurrentMachine();
   // Lights
   const light = new THREE.AmbientLight(0xffffff, 0.8);
   STATE.scene.add(light);
@@ -391,29 +1087,114 @@ function showArcadeMenu() {
   instructions.style.fontSize = '18px';
   instructions.style.color = '#1b1e27';
   instructions.style.textAlign = 'center';
-  instructions.innerHTML = `<strong>${STATE.selectedArcade.name}</strong><br/>` +
-    'Press 1: ' + STATE.selectedArcade.machines[0] + '<br/>' +
-    (STATE.selectedArcade.machines[1] ? 'Press 2: ' + STATE.selectedArcade.machines[1] + '<br/>' : '') +
-    (STATE.selectedArcade.machines[2] ? 'Press 3: ' + STATE.selectedArcade.machines[2] + '<br/>' : '') +
-    '<small>Esc: back to map</small>';
+  // Each machine is listed from the registry, with its odds summary for disclosure
+  const arcade = STATE.selectedArcade;
+  const machineLines = arcade.machines.map((type, index) => {
+    const { label } = getMachineDefinition(type);
+    const { play, bundle } = machinePrices(arcade, type);
+    const credits = creditsFor(STATE, arcade, type);
+    let price = play > 0 ? `¥${play}` : 'pay per token';
+    if (bundle) price += ` · Shift+${index + 1}: ${bundle.plays} for ¥${bundle.price}`;
+    if (credits > 0) price += ` · ${credits} prepaid`;
+    return `Press ${index + 1}: ${label} (${price})<br/><small>${formatOddsSummary(resolveLootTable(arcade, type, clockMinutes(STATE)))}</small><br/>`;
+  });
+  const events = arcade.events.map((e) => `${e.name} until ${formatHour(e.to)}${e.cost < 1 ? ` (${Math.round((1 - e.cost) * 100)}% off)` : ''}`);
+  instructions.innerHTML = `<strong>${arcade.name}</strong><br/>` +
+    `<small>${formatClock(gameTime(STATE))} · open ${formatHour(arcade.opensAt)}–${formatHour(arcade.closesAt)}</small><br/>` +
+    (events.length > 0 ? `<small><strong>${events.join(' · ')}</strong></small><br/>` : '') +
+    machineLines.join('') +
+    `<small>X: prize exchange · S: play with a seed · ${actionKeyName('back')}: back to map</small>`;
   // Append to body
   instructions.id = 'arcade-menu';
   document.body.appendChild(instructions);
+  playStoryEvent(STATE.selectedArcade.name);
   // Remove instructions on machine start or exit
 }
 
+// Short rarity odds line, e.g. "U 1% · L 4% · SR 10% · R 25% · C 60%"
+const RARITY_ABBR = { Ultimate: 'U', Legendary: 'L', 'Super Rare': 'SR', Rare: 'R', Common: 'C' };
+function formatPercent(chance) {
+  return `${+(chance * 100).toFixed(2)}%`;
+}
+function formatOddsSummary(table) {
+  const odds = effectiveOdds(table);
+  let text = odds.rarities.map((r) => `${RARITY_ABBR[r.rarity]} ${formatPercent(r.chance)}`).join(' · ');
+  const specials = [...odds.banners.map((b) => b.name), ...odds.events];
+  if (specials.length > 0) text += ` — ${specials.join(', ')}`;
+  return text;
+}
+
+// Full odds for the machine being played, shown in the HUD
+function renderOddsPanel(table) {
+  const odds = effectiveOdds(table);
+  oddsEl.innerHTML = '';
+  const addLine = (text) => {
+    const li = document.createElement('li');
+    li.textContent = text;
+    oddsEl.appendChild(li);
+  };
+  for (const banner of odds.banners) {
+    addLine(`Banner: ${banner.name} (until day ${banner.endDay})`);
+  }
+  for (const event of odds.events) addLine(`Event: ${event}`);
+  for (const r of odds.rarities) addLine(`${r.rarity}: ${formatPercent(r.chance)}`);
+  addLine(odds.classes.map((c) => `${c.class} ${formatPercent(c.chance)}`).join(' · '));
+  for (const f of odds.featured) addLine(`Featured ${f.rarity} ${f.class}: ${formatPercent(f.chance)}`);
+  if (machinePrices(STATE.machine.arcade, STATE.machine.type).play > 0) {
+    addLine(`${odds.pity.minRarity}+ guaranteed in ${playsUntilPity(STATE, table)} plays`);
+  }
+  oddsPanelEl.style.display = 'block';
+}
+
 // Remove arcade menu DOM element if present
 function removeArcadeMenu() {
   const menu = document.getElementById('arcade-menu');
   if (menu) menu.remove();
 }
 
-// Build a specific machine game within an arcade
-function buildArcadeMachine(type) {
+// Build a specific machine game within an arcade, paid for as `paid` (from
+// payForPlay). The rules run in the simulation (game/sim/machine.js); this
+// only builds meshes that mirror it.
+function buildArcadeMachine(type, paid) {
   removeArcadeMenu();
+  disposeCurrentMachine();
   STATE.currentMachine = type;
-  // Setup physics world for machines
-  STATE.world = new CANNON.World({ gravity: new CANNON.Vec3(0, -9.82, 0) });
+  const lootTable = resolveLootTable(STATE.selectedArcade, type, clockMinutes(STATE));
+  const minRarity = paid === 'free' ? null : startPityPlay(STATE, lootTable);
+  const seed = STATE.nextSeed ?? randomSeed();
+  STATE.machine = createMachine(type, {
+    arcade: STATE.selectedArcade,
+    seed,
+    lootTable,
+    minRarity,
+    payout: startPayoutPlay(STATE, type, createRng(seed).stream('payout')),
+    softBodies: STATE.softBodies,
+    wallet: STATE,
+  });
+  STATE.recording = startRecording(STATE.machine, { softBodies: STATE.softBodies, yen: STATE.yen });
+  STATE.softFrameTime = 0;
+  STATE.nextSeed = null;
+  buildMachineScene(STATE.selectedArcade.name);
+}
+
+// Names of the keys bound to the machine controls, for machine prompts:
+// single-letter moves read as one word ('WASD'), longer ones are split
+function machineKeyNames() {
+  const move = ['moveUp', 'moveLeft', 'moveDown', 'moveRight'].map(actionKeyName);
+  return {
+    move: move.join(move.every((name) => name.length === 1) ? '' : '/'),
+    sideways: `${actionKeyName('moveLeft')}/${actionKeyName('moveRight')}`,
+    aim: `${actionKeyName('aimLeft')}/${actionKeyName('aimRight')}`,
+    grab: actionKeyName('grab'),
+    back: actionKeyName('back'),
+  };
+}
+
+// Meshes for STATE.machine, a machine of type STATE.currentMachine, at the
+// arcade called `place`
+function buildMachineScene(place) {
+  const type = STATE.currentMachine;
+  renderOddsPanel(STATE.machine.lootTable);
   STATE.scene = new THREE.Scene();
   STATE.scene.background = new THREE.Color(0xfff9fb);
   // Lights
@@ -422,62 +1203,81 @@ function buildArcadeMachine(type) {
   const dir = new THREE.DirectionalLight(0xffffff, 0.6);
   dir.position.set(10, 15, 5);
   STATE.scene.add(dir);
-  // Floor physics and mesh
-  const floorBody = new CANNON.Body({ mass: 0, shape: new CANNON.Plane(), material: new CANNON.Material('floor') });
-  floorBody.quaternion.setFromEuler(-Math.PI / 2, 0, 0);
-  STATE.world.addBody(floorBody);
+  // Floor mesh (the physics floor lives in the simulation). Claw pits sit
+  // above it with their own floor so the chute shows as a hole.
   const floorGeom = new THREE.PlaneGeometry(20, 20);
-  const floorMat = new THREE.MeshLambertMaterial({ color: 0xfef0fa });
+  const floorMat = new THREE.MeshLambertMaterial({ color: STATE.machine.floorY < 0 ? 0xd8cce6 : 0xfef0fa });
   const floorMesh = new THREE.Mesh(floorGeom, floorMat);
   floorMesh.rotation.x = -Math.PI / 2;
+  floorMesh.position.y = STATE.machine.floorY;
   STATE.scene.add(floorMesh);
+  addStaticMeshes();
   // Setup camera for machine
-  STATE.camera.position.set(0, 15, 20);
-  STATE.camera.lookAt(0, 0, 0);
-  // Reset arrays
-  STATE.physicsObjects = [];
-  STATE.machineObjects = [];
+  const view = MACHINE_VIEWS[type];
+  const camera = view.camera || DEFAULT_MACHINE_CAMERA;
+  STATE.camera.position.set(...camera.position);
+  STATE.camera.lookAt(...camera.target);
   // Create environment per type
-  if (type === 'girls') {
-    spawnGirlsMachine();
-    showPrompt('Girls Machine: use WASD to move, Space to grab/release. Esc to quit.');
-  } else if (type === 'capsules') {
-    spawnCapsuleMachine();
-    showPrompt('Capsule Machine: use WASD to move, Space to grab/release. Esc to quit.');
-  } else if (type === 'bridge') {
-    spawnBridgeMachine();
-    showPrompt('Bridge Machine: press Space to nudge boxes. Esc to quit.');
+  STATE.machineView = view.build();
+  showPrompt(getMachineDefinition(type).prompt(STATE.machine, machineKeyNames()));
+  for (const prize of STATE.machine.prizes) {
+    addPrizeMesh(prize);
   }
+  syncMachineView();
 
   // Update location text to include machine type
-  locationEl.textContent = `Location: ${STATE.selectedArcade.name} — ${type}`;
-}
-
-// Spawn girls with soft‑body proxy (approximated via spheres) and claw
-function spawnGirlsMachine() {
-  // Boundaries / walls
-  const wallMat = new CANNON.Material('wall');
-  const planeSize = 16;
-  // Four walls around edges
-  const walls = [];
-  function addWall(x, z, rotation) {
-    const body = new CANNON.Body({ mass: 0, material: wallMat });
-    body.addShape(new CANNON.Plane());
-    body.position.set(x, 0, z);
-    body.quaternion.setFromEuler(0, rotation, 0);
-    STATE.world.addBody(body);
-  }
-  // +X wall
-  addWall(planeSize / 2, 0, Math.PI / 2);
-  // -X wall
-  addWall(-planeSize / 2, 0, -Math.PI / 2);
-  // +Z wall
-  addWall(0, planeSize / 2, Math.PI);
-  // -Z wall
-  addWall(0, -planeSize / 2, 0);
-  // Visual walls
+  locationEl.textContent = `Location: ${place} — ${type}`;
+}
+
+// Watch a recorded session play back. Nothing won in a replay is awarded.
+function watchReplay(recording) {
+  closeSceneOverlays();
+  disposeCurrentMachine();
+  STATE.mode = 'replay';
+  hideMinimap();
+  STATE.replay = createReplay(recording);
+  STATE.currentMachine = recording.type;
+  STATE.machine = STATE.replay.machine;
+  buildMachineScene(replayPlace());
+  openReplayBar(STATE.replay, { seek: seekReplayTo, close: buildOverworld });
+}
+
+function replayPlace() {
+  return `${STATE.replay.recording.arcade.name || 'Headless'} (replay)`;
+}
+
+// Jump the replay being watched to `tick`. Going back restarts its machine,
+// so the meshes are built again.
+function seekReplayTo(tick) {
+  const machine = STATE.replay.machine;
+  const won = seekReplay(STATE.replay, tick);
+  if (STATE.replay.machine !== machine) {
+    STATE.machine = STATE.replay.machine;
+    STATE.prizeMeshes.clear();
+    buildMachineScene(replayPlace());
+  } else {
+    for (const prize of won) removePrizeMesh(prize.id);
+    syncMachineView();
+  }
+}
+
+// Drop the current machine simulation and its mirrored meshes
+function disposeCurrentMachine() {
+  if (STATE.machine) disposeMachine(STATE.machine);
+  STATE.machine = null;
+  STATE.playOver = false;
+  STATE.replay = null;
+  closeReplayBar();
+  STATE.prizeMeshes.clear();
+  STATE.machineView = null;
+  oddsPanelEl.style.display = 'none';
+}
+
+// Visual walls matching the simulation's pit
+function addPitWallMeshes(color) {
+  const planeSize = PIT_SIZE;
   const wallGeom = new THREE.BoxGeometry(0.5, 3, planeSize);
-  const wallMeshMat = new THREE.MeshLambertMaterial({ color: 0xe0d6ff });
+  const wallMeshMat = new THREE.MeshLambertMaterial({ color });
   const wall1 = new THREE.Mesh(wallGeom, wallMeshMat);
   wall1.position.set(planeSize / 2, 1.5, 0);
   STATE.scene.add(wall1);
@@ -487,250 +1287,340 @@ function spawnGirlsMachine() {
   wall3.position.set(0, 1.5, planeSize / 2);
   STATE.scene.add(wall3);
   const wall4 = wall3.clone(); wall4.position.set(0, 1.5, -planeSize / 2); STATE.scene.add(wall4);
-  // Claw representation
-  const clawGeom = new THREE.BoxGeometry(1, 0.5, 1);
-  const clawMat = new THREE.MeshLambertMaterial({ color: 0x8888ff });
-  const clawMesh = new THREE.Mesh(clawGeom, clawMat);
-  clawMesh.position.set(0, 8, 0);
-  STATE.scene.add(clawMesh);
-  STATE.machineObjects.push({ type: 'claw', mesh: clawMesh, grabbing: false, grabbed: null });
-  // Spawn girls as soft spheres
-  for (let i = 0; i < 8; i++) {
-    const radius = 0.6;
-    const shape = new CANNON.Sphere(radius);
-    const body = new CANNON.Body({ mass: 0.5, shape });
-    body.position.set((Math.random() - 0.5) * 10, 3 + Math.random() * 2, (Math.random() - 0.5) * 10);
-    STATE.world.addBody(body);
-    // Three.js mesh
-    const color = new THREE.Color().setHSL(Math.random(), 0.6, 0.7);
-    const mesh = new THREE.Mesh(new THREE.SphereGeometry(radius, 16, 16), new THREE.MeshLambertMaterial({ color }));
+}
+
+// Claw head and prongs, mirrored from the simulated bodies every frame
+function buildClawView(wallColor, color) {
+  addPitWallMeshes(wallColor);
+  const clawMat = new THREE.MeshLambertMaterial({ color });
+  const head = new THREE.Mesh(new THREE.BoxGeometry(1, 0.5, 1), clawMat);
+  STATE.scene.add(head);
+  const prongs = STATE.machine.claw.prongs.map((prong) => {
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(prong.size.x, prong.size.y, prong.size.z), clawMat);
     STATE.scene.add(mesh);
-    // Assign class and rarity
-    const girlClass = rollClass(STATE.selectedArcade.themes);
-    const girlRarity = rollRarity();
-    STATE.physicsObjects.push({ body, mesh, class: girlClass, rarity: girlRarity });
-  }
-}
-
-// Spawn capsule machine
-function spawnCapsuleMachine() {
-  // Walls same as girls machine
-  const planeSize = 16;
-  const wallMat = new CANNON.Material('wall');
-  function addWall(x, z, rotation) {
-    const body = new CANNON.Body({ mass: 0, material: wallMat });
-    body.addShape(new CANNON.Plane());
-    body.position.set(x, 0, z);
-    body.quaternion.setFromEuler(0, rotation, 0);
-    STATE.world.addBody(body);
-  }
-  addWall(planeSize / 2, 0, Math.PI / 2);
-  addWall(-planeSize / 2, 0, -Math.PI / 2);
-  addWall(0, planeSize / 2, Math.PI);
-  addWall(0, -planeSize / 2, 0);
-  // Visual walls
-  const wallGeom = new THREE.BoxGeometry(0.5, 3, planeSize);
-  const wallMatViz = new THREE.MeshLambertMaterial({ color: 0xd0f0ff });
-  const w1 = new THREE.Mesh(wallGeom, wallMatViz);
-  w1.position.set(planeSize / 2, 1.5, 0);
-  STATE.scene.add(w1);
-  const w2 = w1.clone(); w2.position.set(-planeSize / 2, 1.5, 0); STATE.scene.add(w2);
-  const wallGeom2 = new THREE.BoxGeometry(planeSize, 3, 0.5);
-  const w3 = new THREE.Mesh(wallGeom2, wallMatViz);
-  w3.position.set(0, 1.5, planeSize / 2);
-  STATE.scene.add(w3);
-  const w4 = w3.clone(); w4.position.set(0, 1.5, -planeSize / 2); STATE.scene.add(w4);
-  // Claw
-  const clawGeom = new THREE.BoxGeometry(1, 0.5, 1);
-  const clawMat = new THREE.MeshLambertMaterial({ color: 0x88ccff });
-  const clawMesh = new THREE.Mesh(clawGeom, clawMat);
-  clawMesh.position.set(0, 8, 0);
-  STATE.scene.add(clawMesh);
-  STATE.machineObjects.push({ type: 'claw', mesh: clawMesh, grabbing: false, grabbed: null });
-  // Spawn capsules as rigid spheres
-  for (let i = 0; i < 8; i++) {
-    const radius = 0.7;
-    const shape = new CANNON.Sphere(radius);
-    const body = new CANNON.Body({ mass: 0.7, shape });
-    body.position.set((Math.random() - 0.5) * 10, 3 + Math.random() * 2, (Math.random() - 0.5) * 10);
-    STATE.world.addBody(body);
+    return mesh;
+  });
+  return { head, prongs };
+}
+
+function syncClawView(machine, view) {
+  view.head.position.copy(machine.claw.head.position);
+  machine.claw.prongs.forEach((prong, i) => {
+    view.prongs[i].position.copy(prong.body.position);
+    view.prongs[i].quaternion.copy(prong.body.quaternion);
+  });
+}
+
+// Bridge pusher arm; it glows hotter as a push charges
+function buildBridgeView(color) {
+  const size = STATE.machine.bridge.pusher.size;
+  const arm = new THREE.Mesh(new THREE.BoxGeometry(size.x, size.y, size.z), new THREE.MeshLambertMaterial({ color }));
+  STATE.scene.add(arm);
+  return { arm };
+}
+
+function syncBridgeView(machine, view) {
+  const pusher = machine.bridge.pusher;
+  view.arm.position.copy(pusher.body.position);
+  view.arm.quaternion.copy(pusher.body.quaternion);
+  view.arm.material.emissive.setRGB(pusher.charge * 0.8, pusher.charge * 0.2, 0);
+}
+
+// Ring hook: one box per part of the compound hook body
+function buildHookView(color) {
+  const material = new THREE.MeshLambertMaterial({ color });
+  const hook = new THREE.Group();
+  for (const part of STATE.machine.ringHook.hook.parts) {
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(part.size.x, part.size.y, part.size.z), material);
+    mesh.position.set(part.offset.x, part.offset.y, part.offset.z);
+    hook.add(mesh);
+  }
+  STATE.scene.add(hook);
+  return { hook };
+}
+
+function syncHookView(machine, view) {
+  view.hook.position.copy(machine.ringHook.hook.body.position);
+}
+
+// Pusher shelf, the dropper marker riding above its front face and the loose
+// tokens, which come and go every few ticks so are matched by body id
+function buildPusherView(color) {
+  const shelf = STATE.machine.pusher.shelf;
+  const body = new THREE.Mesh(new THREE.BoxGeometry(shelf.size.x, shelf.size.y, shelf.size.z), new THREE.MeshLambertMaterial({ color }));
+  const dropper = new THREE.Mesh(new THREE.ConeGeometry(0.25, 0.5, 12), new THREE.MeshLambertMaterial({ color: 0xff62a1 }));
+  dropper.rotation.x = Math.PI;
+  STATE.scene.add(body, dropper);
+  return { body, dropper, tokens: new Map() };
+}
+
+// Coin-shaped mesh for a pusher token
+const tokenMaterial = new THREE.MeshLambertMaterial({ color: 0xd9b84a });
+function addTokenMesh(view, token) {
+  const shape = token.shapes[0];
+  const mesh = new THREE.Mesh(new THREE.CylinderGeometry(shape.radiusTop, shape.radiusBottom, shape.height, 16), tokenMaterial);
+  STATE.scene.add(mesh);
+  view.tokens.set(token.id, mesh);
+  return mesh;
+}
+
+function syncPusherView(machine, view) {
+  const { config, shelf, tokens } = machine.pusher;
+  view.body.position.copy(shelf.body.position);
+  view.dropper.position.set(shelf.dropperX, config.dropper.height + 0.3, config.dropper.z);
+  const live = new Set();
+  for (const token of tokens) {
+    const mesh = view.tokens.get(token.id) || addTokenMesh(view, token);
+    mesh.position.copy(token.position);
+    mesh.quaternion.copy(token.quaternion);
+    live.add(token.id);
+  }
+  for (const [id, mesh] of view.tokens) {
+    if (live.has(id)) continue;
+    STATE.scene.remove(mesh);
+    view.tokens.delete(id);
+  }
+}
+
+// Rope cut: the blade on its carriage arm, and one line per rope drawn
+// through its links
+function buildRopeCutView(color) {
+  const { config, ropes } = STATE.machine.ropeCut;
+  const { length, thickness, width } = config.blade;
+  const group = new THREE.Group();
+  const blade = new THREE.Mesh(new THREE.BoxGeometry(length, thickness, width), new THREE.MeshLambertMaterial({ color: 0xd0d6e0 }));
+  const arm = new THREE.Mesh(new THREE.BoxGeometry(0.15, 0.15, 1.5), new THREE.MeshLambertMaterial({ color }));
+  arm.position.z = 0.75 + width / 2;
+  group.add(blade, arm);
+  const ropeMat = new THREE.LineBasicMaterial({ color: 0x8a6a4a });
+  const lines = ropes.map((rope) => {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(rope.constraints.length * 6), 3));
+    const line = new THREE.LineSegments(geometry, ropeMat);
+    // Links swing and fall, so skip bounds upkeep
+    line.frustumCulled = false;
+    STATE.scene.add(line);
+    return line;
+  });
+  STATE.scene.add(group);
+  return { group, blade, lines };
+}
+
+function syncRopeCutView(machine, view) {
+  const { config, cutter, ropes } = machine.ropeCut;
+  view.group.position.set(cutter.x, config.blade.height, cutter.z);
+  view.blade.scale.x = cutter.extended ? 1 : 0.3;
+  ropes.forEach((rope, i) => {
+    const position = view.lines[i].geometry.attributes.position;
+    rope.constraints.forEach((constraint, j) => {
+      // The snapped link and the piece carried off with a won prize collapse to nothing
+      const a = constraint.bodyA.position;
+      const shown = machine.world.constraints.includes(constraint);
+      const b = shown ? constraint.bodyB.position : a;
+      position.setXYZ(j * 2, a.x, a.y, a.z);
+      position.setXYZ(j * 2 + 1, b.x, b.y, b.z);
+    });
+    position.needsUpdate = true;
+  });
+}
+
+// Drop goal: the dropper, holding the next ball while there are any left
+function buildDropGoalView(color) {
+  const { config } = STATE.machine.dropGoal;
+  const dropper = new THREE.Group();
+  dropper.add(new THREE.Mesh(new THREE.BoxGeometry(0.6, 0.2, config.board.depth), new THREE.MeshLambertMaterial({ color })));
+  const ball = new THREE.Mesh(new THREE.SphereGeometry(config.ball.radius, 12, 12), new THREE.MeshLambertMaterial({ color: 0xffffff }));
+  ball.position.y = -config.ball.radius - 0.1;
+  dropper.add(ball);
+  dropper.position.y = config.board.height + 0.1;
+  STATE.scene.add(dropper);
+  // Slot floors coloured by the tier they pay out at; grey pays nothing
+  const slotWidth = config.board.width / config.slots.length;
+  config.slots.forEach((tier, i) => {
+    const material = new THREE.MeshLambertMaterial({ color: tier ? RARITY_COLORS[tier] : 0x9aa0ab });
+    const slot = new THREE.Mesh(new THREE.BoxGeometry(slotWidth - 0.1, 0.05, config.board.depth), material);
+    slot.position.set(-config.board.width / 2 + (i + 0.5) * slotWidth, 0.03, 0);
+    STATE.scene.add(slot);
+  });
+  return { dropper, ball };
+}
+
+function syncDropGoalView(machine, view) {
+  const goal = machine.dropGoal;
+  view.dropper.position.x = goal.dropperX;
+  view.ball.visible = goal.ballsLeft > 0 && machine.prizes.length === 0;
+}
+
+// Balance beam: the plank and the ram
+function buildBalanceView(color) {
+  const { beam, ram } = STATE.machine.balance;
+  const plank = new THREE.Mesh(new THREE.BoxGeometry(beam.size.x, beam.size.y, beam.size.z), new THREE.MeshLambertMaterial({ color: 0xffd1e8 }));
+  const ramMesh = new THREE.Mesh(new THREE.BoxGeometry(ram.size, ram.size, ram.size), new THREE.MeshLambertMaterial({ color }));
+  STATE.scene.add(plank, ramMesh);
+  return { plank, ram: ramMesh };
+}
+
+function syncBalanceView(machine, view) {
+  const { beam, ram } = machine.balance;
+  view.plank.position.copy(beam.body.position);
+  view.plank.quaternion.copy(beam.body.quaternion);
+  view.ram.position.copy(ram.body.position);
+}
+
+// How each machine type is drawn. `build` adds the type's own meshes and
+// returns what `sync` needs to mirror the simulation each frame; `camera`
+// overrides the default view and `lost` is shown when a prize is lost. The
+// rules, cost and how-to-play prompt come from the simulation's registry
+// (game/sim/registry.js).
+const DEFAULT_MACHINE_CAMERA = { position: [0, 15, 20], target: [0, 0, 0] };
+const MACHINE_VIEWS = {
+  girls: { build: () => buildClawView(0xe0d6ff, 0x8888ff), sync: syncClawView },
+  capsules: { build: () => buildClawView(0xd0f0ff, 0x88ccff), sync: syncClawView },
+  bridge: { build: () => buildBridgeView(0xff62a1), sync: syncBridgeView, lost: 'The box fell off the bars and is lost!' },
+  ringhook: {
+    build: () => buildHookView(0x7a6cff),
+    sync: syncHookView,
+    camera: { position: [0, 9, 11], target: [0, 2, -1] },
+    lost: 'The prize fell off the shelf and is lost!',
+  },
+  pusher: {
+    build: () => buildPusherView(0xffc857),
+    sync: syncPusherView,
+    camera: { position: [0, 8, 9], target: [0, 0, -0.5] },
+    lost: 'A prize spilled off the side and is lost!',
+  },
+  ropecut: { build: () => buildRopeCutView(0xff62a1), sync: syncRopeCutView, camera: { position: [0, 5, 10], target: [0, 3.5, 0] } },
+  dropgoal: {
+    build: () => buildDropGoalView(0x7a6cff),
+    sync: syncDropGoalView,
+    camera: { position: [0, 3.5, 10], target: [0, 3.5, 0] },
+    lost: 'The ball landed in an empty slot.',
+  },
+  balance: {
+    build: () => buildBalanceView(0xff62a1),
+    sync: syncBalanceView,
+    camera: { position: [0, 7, 9], target: [0, 2, 0] },
+    lost: 'The prize slid off the side of the beam and is lost!',
+  },
+};
+
+// Static geometry from the simulation: pit floor, chute barrier, bars, pegs
+const STATIC_COLORS = { floor: 0xfef0fa, barrier: 0xbfe8ff, bar: 0xffd1e8, peg: 0xd9b84a };
+function addStaticMeshes() {
+  for (const item of STATE.machine.statics) {
+    const material = new THREE.MeshLambertMaterial({ color: STATIC_COLORS[item.role] || 0xffffff });
+    if (item.role === 'barrier') {
+      material.transparent = true;
+      material.opacity = 0.5;
+    }
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(item.size.x, item.size.y, item.size.z), material);
+    mesh.position.copy(item.body.position);
+    mesh.quaternion.copy(item.body.quaternion);
+    STATE.scene.add(mesh);
+  }
+}
+
+// Create the mesh for a simulated prize according to its kind
+function addPrizeMesh(prize) {
+  let mesh;
+  if (prize.kind === 'girl') {
+    // Sphere, skinned to the particle cluster when she is a soft body
+    const color = new THREE.Color().setHSL(prize.hue, 0.6, 0.7);
+    mesh = new THREE.Mesh(new THREE.SphereGeometry(prize.radius, 16, 16), new THREE.MeshLambertMaterial({ color }));
+    if (prize.soft) mesh.userData.rest = restVertices(mesh.geometry);
+  } else if (prize.kind === 'capsule') {
     // Visual: half clear (color on bottom, transparent top)
-    const capsuleGeo = new THREE.SphereGeometry(radius, 16, 16);
+    const capsuleGeo = new THREE.SphereGeometry(prize.radius, 16, 16);
     const material = new THREE.MeshLambertMaterial({ color: 0xffffff, transparent: true, opacity: 0.6 });
-    const mesh = new THREE.Mesh(capsuleGeo, material);
+    const clear = new THREE.Mesh(capsuleGeo, material);
     // Add colored half shell
-    const shellGeo = new THREE.SphereGeometry(radius, 16, 16, 0, Math.PI * 2, 0, Math.PI / 2);
-    const shellMat = new THREE.MeshLambertMaterial({ color: new THREE.Color().setHSL(Math.random(), 0.6, 0.6) });
+    const shellGeo = new THREE.SphereGeometry(prize.radius, 16, 16, 0, Math.PI * 2, 0, Math.PI / 2);
+    const shellMat = new THREE.MeshLambertMaterial({ color: new THREE.Color().setHSL(prize.hue, 0.6, 0.6) });
     const shell = new THREE.Mesh(shellGeo, shellMat);
     shell.rotation.x = Math.PI;
-    const capsuleGroup = new THREE.Group();
-    capsuleGroup.add(mesh);
-    capsuleGroup.add(shell);
-    STATE.scene.add(capsuleGroup);
-    // Assign class/rarity
-    const girlClass = rollClass(STATE.selectedArcade.themes);
-    const girlRarity = rollRarity();
-    STATE.physicsObjects.push({ body, mesh: capsuleGroup, class: girlClass, rarity: girlRarity });
-  }
-}
-
-// Spawn bridge‑style machine
-function spawnBridgeMachine() {
-  // Set up world boundaries but open at one end
-  const planeSize = 16;
-  // Bars: Represented by thin boxes suspended in mid‑air. Prize boxes sit on top.
-  const barLength = 12;
-  const barWidth = 0.5;
-  const barHeight = 0.3;
-  const barOffset = 1.0; // distance between bars
-  // Physics bars (static bodies)
-  const barShape = new CANNON.Box(new CANNON.Vec3(barLength / 2, barHeight / 2, barWidth / 2));
-  const bar1 = new CANNON.Body({ mass: 0, shape: barShape });
-  bar1.position.set(0, 2.5, -barOffset / 2);
-  STATE.world.addBody(bar1);
-  const bar2 = new CANNON.Body({ mass: 0, shape: barShape });
-  bar2.position.set(0, 2.5, barOffset / 2);
-  STATE.world.addBody(bar2);
-  // Visual bars
-  const barGeom = new THREE.BoxGeometry(barLength, barHeight, barWidth);
-  const barMat = new THREE.MeshLambertMaterial({ color: 0xffd1e8 });
-  const barMesh1 = new THREE.Mesh(barGeom, barMat);
-  barMesh1.position.copy(bar1.position);
-  STATE.scene.add(barMesh1);
-  const barMesh2 = new THREE.Mesh(barGeom, barMat);
-  barMesh2.position.copy(bar2.position);
-  STATE.scene.add(barMesh2);
-  // Prize boxes (rigid bodies)
-  for (let i = 0; i < 5; i++) {
-    const boxSize = 1;
-    const shape = new CANNON.Box(new CANNON.Vec3(boxSize / 2, boxSize / 2, boxSize / 2));
-    const body = new CANNON.Body({ mass: 1.0, shape });
-    // Place randomly along bars
-    const xPos = (Math.random() - 0.5) * (barLength - 2);
-    const zPos = (Math.random() < 0.5 ? -barOffset / 2 : barOffset / 2);
-    body.position.set(xPos, 3.5, zPos);
-    STATE.world.addBody(body);
-    // Visual
-    const color = new THREE.Color().setHSL(Math.random(), 0.5, 0.7);
-    const mesh = new THREE.Mesh(new THREE.BoxGeometry(boxSize, boxSize, boxSize), new THREE.MeshLambertMaterial({ color }));
-    mesh.position.copy(body.position);
-    STATE.scene.add(mesh);
-    // Assign class/rarity
-    const gClass = rollClass(STATE.selectedArcade.themes);
-    const rarity = rollRarity();
-    STATE.physicsObjects.push({ body, mesh, class: gClass, rarity });
-  }
-  // Bridge nudge control: We'll interpret "space" as applying impulse to nearest box
-}
-
-// Update physics and meshes each frame
-function updatePhysics(dt) {
-  if (!STATE.world) return;
-  STATE.world.step(1 / 60, dt);
-  // Sync meshes with bodies
-  for (const obj of STATE.physicsObjects) {
-    obj.mesh.position.copy(obj.body.position);
-    obj.mesh.quaternion.copy(obj.body.quaternion);
-  }
-}
-
-// Update claw logic
-function updateClaw(dt) {
-  for (const claw of STATE.machineObjects) {
-    if (claw.type !== 'claw') continue;
-    // Move claw horizontally according to keys
-    const speed = 8;
-    const moveX = (STATE.keys['ArrowRight'] || STATE.keys['KeyD'] ? 1 : 0) - (STATE.keys['ArrowLeft'] || STATE.keys['KeyA'] ? 1 : 0);
-    const moveZ = (STATE.keys['ArrowUp'] || STATE.keys['KeyW'] ? -1 : 0) + (STATE.keys['ArrowDown'] || STATE.keys['KeyS'] ? 1 : 0);
-    claw.mesh.position.x += moveX * speed * dt;
-    claw.mesh.position.z += moveZ * speed * dt;
-    // Clamp within bounds
-    const limit = 7;
-    claw.mesh.position.x = Math.max(-limit, Math.min(limit, claw.mesh.position.x));
-    claw.mesh.position.z = Math.max(-limit, Math.min(limit, claw.mesh.position.z));
-    // Handle grabbing
-    if (STATE.keys['Space']) {
-      if (!claw.grabbing) {
-        // Attempt to grab nearest prize below the claw
-        let nearest = null;
-        let nearestDist = 1.2; // threshold
-        const clawPos = claw.mesh.position;
-        for (const obj of STATE.physicsObjects) {
-          if (obj.body.sleepState === CANNON.Body.SLEEPING) continue;
-          const dist = clawPos.distanceTo(obj.body.position);
-          if (dist < nearestDist) {
-            nearest = obj;
-            nearestDist = dist;
-          }
-        }
-        if (nearest) {
-          claw.grabbing = true;
-          claw.grabbed = nearest;
-          // Disable physics for grabbed body temporarily
-          nearest.body.type = CANNON.Body.KINEMATIC;
-          nearest.body.velocity.setZero();
-        }
-      }
-    } else {
-      // Release if currently grabbing
-      if (claw.grabbing && claw.grabbed) {
-        const obj = claw.grabbed;
-        obj.body.type = CANNON.Body.DYNAMIC;
-        // Drop downward by small offset
-        obj.body.position.set(claw.mesh.position.x, 6, claw.mesh.position.z);
-        claw.grabbing = false;
-        claw.grabbed = null;
-      }
-    }
-    // If grabbing, update grabbed position to follow claw
-    if (claw.grabbing && claw.grabbed) {
-      claw.grabbed.body.position.set(claw.mesh.position.x, 6, claw.mesh.position.z);
-    }
+    mesh = new THREE.Group();
+    mesh.add(clear);
+    mesh.add(shell);
+  } else if (prize.kind === 'ball') {
+    const color = new THREE.Color().setHSL(prize.hue, 0.7, 0.6);
+    mesh = new THREE.Mesh(new THREE.SphereGeometry(prize.radius, 12, 12), new THREE.MeshLambertMaterial({ color }));
+  } else {
+    const color = new THREE.Color().setHSL(prize.hue, 0.5, 0.7);
+    mesh = new THREE.Mesh(new THREE.BoxGeometry(prize.size.x, prize.size.y, prize.size.z), new THREE.MeshLambertMaterial({ color }));
   }
+  if (prize.links) {
+    // Ring links are separate bodies, so their meshes live in the scene
+    const linkMat = new THREE.MeshLambertMaterial({ color: 0xd9b84a });
+    mesh.userData.links = prize.links.map((link) => {
+      const linkMesh = new THREE.Mesh(new THREE.SphereGeometry(link.shapes[0].radius * 1.4, 8, 8), linkMat);
+      STATE.scene.add(linkMesh);
+      return linkMesh;
+    });
+  }
+  STATE.scene.add(mesh);
+  STATE.prizeMeshes.set(prize.id, mesh);
+  return mesh;
 }
 
-// Check for prizes delivered to chute (within bounding box near origin)
-function checkChute() {
-  if (!STATE.currentMachine) return;
-  const chuteRange = 2;
-  for (let i = STATE.physicsObjects.length - 1; i >= 0; i--) {
-    const obj = STATE.physicsObjects[i];
-    if (!obj.body || !obj.mesh) continue;
-    // Consider a drop successful if object's Y < 0.5 and distance to origin < range
-    if (obj.body.position.y < 0.5 && Math.abs(obj.body.position.x) < chuteRange && Math.abs(obj.body.position.z) < chuteRange) {
-      // Remove from physics world and scene
-      STATE.world.removeBody(obj.body);
-      STATE.scene.remove(obj.mesh);
-      // Add to inventory (only if it's not a bridge box)
-      addGirlToInventory({ class: obj.class, rarity: obj.rarity });
-      // Remove from array
-      STATE.physicsObjects.splice(i, 1);
-    }
+function removePrizeMesh(id) {
+  const mesh = STATE.prizeMeshes.get(id);
+  if (!mesh) return;
+  STATE.scene.remove(mesh);
+  for (const link of mesh.userData.links || []) STATE.scene.remove(link);
+  STATE.prizeMeshes.delete(id);
+}
+
+// Rest-pose direction and distance of every vertex, for deformSoftMesh
+function restVertices(geometry) {
+  const position = geometry.attributes.position;
+  const rest = [];
+  for (let i = 0; i < position.count; i++) {
+    const vertex = new THREE.Vector3().fromBufferAttribute(position, i);
+    const distance = vertex.length();
+    rest.push({ direction: vertex.normalize(), distance });
   }
+  return rest;
 }
 
-// Update loop for bridge machine: apply nudge on space press and handle falls
-function updateBridge(dt) {
-  // Nudge: if space pressed in this frame
-  if (STATE.keys['Space']) {
-    // For each body, apply small impulse
-    for (const obj of STATE.physicsObjects) {
-      obj.body.applyImpulse(new CANNON.Vec3((Math.random() - 0.5) * 0.5, 0, (Math.random() - 0.5) * 0.5), obj.body.position);
-    }
-    // Clear space key to avoid continuous impulse
-    STATE.keys['Space'] = false;
-  }
-  // Check for any box falling below bars (y < 1.5) -> success
-  for (let i = STATE.physicsObjects.length - 1; i >= 0; i--) {
-    const obj = STATE.physicsObjects[i];
-    if (obj.body.position.y < 1.4) {
-      // Success! Remove and reward
-      STATE.world.removeBody(obj.body);
-      STATE.scene.remove(obj.mesh);
-      STATE.physicsObjects.splice(i, 1);
-      addGirlToInventory({ class: obj.class, rarity: obj.rarity });
+// Move each vertex of a soft gal's mesh to follow her surface particles
+const softOffset = new THREE.Vector3();
+function deformSoftMesh(mesh, soft) {
+  const position = mesh.geometry.attributes.position;
+  mesh.userData.rest.forEach(({ direction, distance }, i) => {
+    deformOffset(soft, direction, distance, softOffset);
+    position.setXYZ(i, softOffset.x, softOffset.y, softOffset.z);
+  });
+  position.needsUpdate = true;
+  mesh.geometry.computeVertexNormals();
+  mesh.geometry.computeBoundingSphere();
+}
+
+// Copy simulated positions onto the meshes
+const UNIT_SCALE = new THREE.Vector3(1, 1, 1);
+function syncMachineView() {
+  const machine = STATE.machine;
+  for (const prize of machine.prizes) {
+    // Prizes can appear mid-play (pusher restocks)
+    const mesh = STATE.prizeMeshes.get(prize.id) || addPrizeMesh(prize);
+    mesh.position.copy(prize.body.position);
+    if (prize.soft) {
+      // Offsets are already in world orientation
+      deformSoftMesh(mesh, prize.soft);
+    } else {
+      mesh.quaternion.copy(prize.body.quaternion);
     }
+    // Recover from wriggle squash
+    mesh.scale.lerp(UNIT_SCALE, 0.15);
+    if (prize.links) prize.links.forEach((link, i) => mesh.userData.links[i].position.copy(link.position));
   }
+  MACHINE_VIEWS[STATE.currentMachine].sync(machine, STATE.machineView);
+}
+
+// Held controls as simulation input for this frame; nothing while the
+// controls screen has the keys
+const NO_CONTROLS = { moveX: 0, moveZ: 0, aim: 0, action: false };
+function readMachineInput() {
+  return isBindingsOpen() ? NO_CONTROLS : readControls();
 }
 
 // Main animation loop
@@ -738,20 +1628,31 @@ const clock = new THREE.Clock();
 function animate() {
   requestAnimationFrame(animate);
   const dt = clock.getDelta();
+  pollGamepads();
   if (STATE.mode === 'overworld') {
     updateOverworld(dt);
   } else if (STATE.mode === 'cafe') {
-    // No physics; maybe add small idle animation
+    updateCapsuleOpening(dt);
+    updateCafe(dt);
+    updateShow(performance.now());
   } else if (STATE.mode === 'arcade' && STATE.currentMachine) {
-    // Update physics and machine logic
-    updatePhysics(dt);
-    if (STATE.currentMachine === 'girls' || STATE.currentMachine === 'capsules') {
-      updateClaw(dt);
-      checkChute();
-    } else if (STATE.currentMachine === 'bridge') {
-      updateBridge(dt);
+    // Step the simulation and mirror it onto the meshes
+    for (const prize of advanceMachine(STATE.machine, dt, readMachineInput())) {
+      removePrizeMesh(prize.id);
+      awardPrize(prize);
     }
+    syncMachineView();
+    watchSoftBodyCost(dt);
+    if (isMachineOver(STATE.machine) && !STATE.playOver) endPlay();
+  } else if (STATE.mode === 'replay') {
+    for (const prize of advanceReplay(STATE.replay, dt)) removePrizeMesh(prize.id);
+    syncMachineView();
+    updateReplayBar();
   }
+  // The in-game clock runs whatever the player is doing; timed missions
+  // run on it
+  advanceClock(STATE, dt);
+  expireMissions(STATE);
   // Render
   if (STATE.renderer && STATE.scene && STATE.camera) {
     STATE.renderer.render(STATE.scene, STATE.camera);
@@ -759,46 +1660,53 @@ function animate() {
   updateHUD();
 }
 
+// Fall back to rigid gals for later plays if soft bodies drag the frame rate
+// below ~30 fps
+const SLOW_FRAME_TIME = 1 / 30;
+function watchSoftBodyCost(dt) {
+  if (!STATE.softBodies || !STATE.machine.springs.length) return;
+  STATE.softFrameTime += (Math.min(dt, 0.25) - STATE.softFrameTime) * 0.02;
+  if (STATE.machine.tick > 180 && STATE.softFrameTime > SLOW_FRAME_TIME) {
+    STATE.softBodies = false;
+    showPrompt('Running slowly: gals will use simple physics from the next play.');
+  }
+}
+
+// Size of the player's sphere, for bumping into buildings
+const PLAYER_RADIUS = 0.8;
+
 // Update player in overworld
 function updateOverworld(dt) {
-  // Movement
-  const dir = new THREE.Vector3();
-  if (STATE.keys['ArrowUp'] || STATE.keys['KeyW']) dir.z -= 1;
-  if (STATE.keys['ArrowDown'] || STATE.keys['KeyS']) dir.z += 1;
-  if (STATE.keys['ArrowLeft'] || STATE.keys['KeyA']) dir.x -= 1;
-  if (STATE.keys['ArrowRight'] || STATE.keys['KeyD']) dir.x += 1;
-  dir.normalize();
+  // Movement, sliding along buildings. A half-pushed stick walks slower.
+  const { moveX, moveZ } = readMachineInput();
+  const dir = new THREE.Vector3(moveX, 0, moveZ);
+  if (dir.lengthSq() > 1) dir.normalize();
   const moveSpeed = STATE.player.speed;
-  STATE.player.mesh.position.x += dir.x * moveSpeed * dt;
-  STATE.player.mesh.position.z += dir.z * moveSpeed * dt;
-  // Boundaries to keep within map
-  const limit = 35;
-  STATE.player.mesh.position.x = Math.max(-limit, Math.min(limit, STATE.player.mesh.position.x));
-  STATE.player.mesh.position.z = Math.max(-limit, Math.min(limit, STATE.player.mesh.position.z));
+  const position = STATE.player.mesh.position;
+  moveWithCollision(position, dir.x * moveSpeed * dt, dir.z * moveSpeed * dt, PLAYER_RADIUS);
+  if (dir.lengthSq() > 0) STATE.player.heading = (Math.atan2(dir.x, -dir.z) * 180) / Math.PI;
   // Camera follow (offset behind)
   const camOffset = new THREE.Vector3(0, 15, 25);
-  const targetPos = STATE.player.mesh.position.clone().add(camOffset);
+  const targetPos = position.clone().add(camOffset);
   STATE.camera.position.lerp(targetPos, 0.1);
-  STATE.camera.lookAt(STATE.player.mesh.position.x, 0, STATE.player.mesh.position.z);
-  // Prompt for nearby locations
-  let nearest = null;
-  let nearestDist = 4;
-  // Check café
-  const distCafe = STATE.player.mesh.position.distanceTo(STATE.cafe.pos);
-  if (distCafe < nearestDist) {
-    nearest = { name: 'Cafe' };
-    nearestDist = distCafe;
-  }
-  // Check arcades
-  for (const arcade of STATE.arcades) {
-    const d = STATE.player.mesh.position.distanceTo(arcade.pos);
-    if (d < nearestDist) {
-      nearest = { name: arcade.name };
-      nearestDist = d;
-    }
-  }
-  if (nearest) {
-    promptEl.textContent = `Press Enter to enter ${nearest.name}`;
+  STATE.camera.lookAt(position.x, 0, position.z);
+  applyDaylight();
+  // Pedestrians
+  stepPedestrians(STATE.crowd, dt, STATE.crowdRandom);
+  STATE.crowd.pedestrians.forEach((p, i) => STATE.pedestrianMeshes[i].position.set(p.x, 0.8, p.z));
+  drawMinimap(OVERWORLD_MAP, {
+    player: position,
+    heading: STATE.player.heading,
+    pedestrians: STATE.crowd.pedestrians,
+    targets: missionTargets(STATE),
+  });
+  // Prompt while standing in a doorway
+  const location = doorwayAt(position);
+  if (location) {
+    const arcade = location.kind === 'arcade' ? arcadeAt(location, gameTime(STATE)) : null;
+    promptEl.textContent = arcade && !arcade.open
+      ? `${location.name} is closed. Opens at ${formatHour(arcade.opensAt)}.`
+      : `Press ${actionKeyName('confirm')} to enter ${location.name}`;
     promptEl.style.display = 'block';
   } else {
     promptEl.style.display = 'none';
@@ -807,18 +1715,35 @@ function updateOverworld(dt) {
 
 // Update HUD elements
 function updateHUD() {
-  yenEl.textContent = `Yen: ¥${STATE.yen}`;
+  yenEl.textContent = `Yen: ¥${STATE.yen}` + (STATE.tickets > 0 ? ` · ${STATE.tickets} tickets` : '');
+  const time = gameTime(STATE);
+  clockEl.textContent = `${formatClock(time)} · Day ${time.day}`;
+  // Seed of the running machine session, for bug reports
+  seedEl.textContent = STATE.machine ? `Seed: ${STATE.machine.seed}` : '';
+  // Café day clock and takings so far
+  const day = STATE.mode === 'cafe' ? STATE.cafeDay : null;
+  if (day) {
+    const left = Math.max(0, Math.ceil(DAY_LENGTH - day.time));
+    const clock = day.open ? `closes in ${Math.floor(left / 60)}:${String(left % 60).padStart(2, '0')}` : 'closing';
+    const hype = day.report.hype > 0 ? ` · hype ${Math.round(day.report.hype * 100)}%` : '';
+    cafeStatusEl.textContent = `Café day ${day.number} — ${clock} · ¥${day.report.sales + day.report.tips} taken · ${day.report.served} served${hype}`;
+  } else {
+    cafeStatusEl.textContent = '';
+  }
   // Location text is set when building scenes
   // Missions
   missionsEl.innerHTML = '';
-  if (STATE.missions.length === 0) {
+  const active = activeMissions(STATE);
+  if (active.length === 0) {
     const li = document.createElement('li');
-    li.textContent = 'No missions';
+    li.textContent = 'No missions — talk to Uka in the café';
     missionsEl.appendChild(li);
   } else {
-    for (const mission of STATE.missions) {
+    for (const mission of active) {
+      const def = getMissionDef(mission.id);
+      const minutes = minutesLeft(STATE, mission);
       const li = document.createElement('li');
-      li.textContent = mission.description + ' — ' + mission.progress + '/' + mission.required + (mission.completed ? ' (Complete)' : '');
+      li.textContent = def.description + ' — ' + mission.progress + '/' + missionRequired(def) + (minutes !== null ? ` (${formatDuration(minutes)})` : '');
       missionsEl.appendChild(li);
     }
   }
@@ -835,15 +1760,37 @@ function updateHUD() {
     li.textContent = `${r}: ${count}`;
     inventoryEl.appendChild(li);
   }
+  const dupes = STATE.inventory.filter((g) => g.duplicateOf).length;
+  const summary = document.createElement('li');
+  summary.textContent = `${STATE.inventory.length} gals (${dupes} duplicates) — roster (R) and fusion (F) in café`;
+  inventoryEl.appendChild(summary);
+  if (STATE.capsules.length > 0) {
+    const capsules = document.createElement('li');
+    capsules.textContent = `${STATE.capsules.length} capsules to open — café (O)`;
+    inventoryEl.appendChild(capsules);
+  }
 }
 
 // Initialize renderer, events and start loop
 function init() {
+  // Restore the last used save slot, if any
+  STATE.saveSlot = lastUsedSlot();
+  loadFromSlot(STATE, STATE.saveSlot);
+  setupSaveControls();
+  registerGameEvents();
   // Build initial overworld scene
   buildOverworld();
   // Register event listeners
-  window.addEventListener('keydown', onKeyDown);
-  window.addEventListener('keyup', onKeyUp);
+  setInputHandlers(onKeyDown, onKeyUp);
+  window.addEventListener('keydown', (event) => {
+    trackKey(event, true);
+    onKeyDown(event);
+  });
+  window.addEventListener('keyup', (event) => {
+    trackKey(event, false);
+    onKeyUp(event);
+  });
+  if (touchControlsWanted()) showTouchControls();
   window.addEventListener('resize', onResize);
   animate();
 }
@@ -0,0 +1,70 @@
+/*
+ * Para-Para beatmaps
+ *
+ * Charts for the rhythm shows Idols put on in the café, and the timing rules
+ * they are judged by. Charts are parsed and judged by sim/rhythm.js.
+ *
+ * A beatmap is plain text. `key: value` lines set the header:
+ *
+ *   title   shown before the show starts
+ *   bpm     beats per minute
+ *   offset  seconds from the start of the show to the first beat
+ *
+ * Every other non-blank line is one measure of four beats, written as rows
+ * separated by spaces. Each row has one character per lane, `x` for a note
+ * and `.` for none, and the rows split the measure evenly: four rows are
+ * quarter notes, eight are eighths. Lines starting with `#` are comments.
+ */
+
+// Lanes left to right, with the keys that hit them and the input action
+// (data/input.js) that hits them from a gamepad or the touch controls
+export const LANES = [
+  { label: 'Left', keys: ['ArrowLeft', 'KeyD'], action: 'moveLeft' },
+  { label: 'Down', keys: ['ArrowDown', 'KeyF'], action: 'moveDown' },
+  { label: 'Up', keys: ['ArrowUp', 'KeyJ'], action: 'moveUp' },
+  { label: 'Right', keys: ['ArrowRight', 'KeyK'], action: 'moveRight' },
+];
+
+// Seconds either side of a note a press must land in for each judgment. A
+// press further out than `miss` is ignored; one between `great` and `miss`
+// spends the note as a Miss.
+export const JUDGE_WINDOWS = { perfect: 0.05, great: 0.11, miss: 0.18 };
+
+// Points per judgment; accuracy is points over the most a chart can give
+export const JUDGE_POINTS = { perfect: 2, great: 1, miss: 0 };
+
+export const BEATMAPS = {
+  'neon-para-night': `
+title: Neon Para Night
+bpm: 128
+offset: 2
+
+# Warm up: one arm at a time
+x... .... ...x .... x... .... ...x ....
+.x.. .... ..x. .... .x.. .... ..x. ....
+x... ...x x... ...x .x.. ..x. .x.. ..x.
+x... .x.. ..x. ...x ...x ..x. .x.. x...
+
+# Chorus: eighths and both arms
+x... .... .x.. .... ..x. .... ...x ....
+x..x .... .xx. .... x..x .... .xx. ....
+x... .x.. x... .x.. ...x ..x. ...x ..x.
+x..x .... x..x .... .xx. .... x..x ....
+`,
+  'eurobeat-rush': `
+title: Eurobeat Rush
+bpm: 155
+offset: 2
+
+x... ..x. .x.. ...x
+x... ..x. .x.. ...x
+x... .x.. ..x. ...x ..x. .x.. x... ....
+...x ..x. .x.. x... .x.. ..x. ...x ....
+
+# Double time
+x... ...x x... ...x .x.. ..x. .x.. ..x.
+x..x .... .xx. .... x..x .... .xx. ....
+x... .x.. ..x. ...x x... .x.. ..x. ...x
+x..x .xx. x..x .xx. x... .... ...x ....
+`,
+};
@@ -0,0 +1,90 @@
+/*
+ * Café data
+ *
+ * Roles, class strengths, customer types and the menu for the café
+ * simulation in sim/cafe.js. Stats are the gal stats from data/gals.js, which
+ * run roughly 1-25; STAT_SCALE turns them into 0-1 skill.
+ */
+
+// Simulated seconds per café tick and per business day
+export const CAFE_TICK = 0.1;
+export const DAY_LENGTH = 180;
+
+export const STAT_SCALE = 25;
+
+// What each role does, the stat it runs on and how many gals can fill it.
+//   waitress  seats customers, takes orders and serves; service sets speed
+//             and how well the visit goes
+//   kitchen   cooks orders; tech sets how fast
+//   performer puts on shows that draw customers and lift everyone's mood;
+//             performance sets how much
+export const CAFE_ROLES = {
+  waitress: { label: 'Waitress', stat: 'service', slots: 3 },
+  kitchen: { label: 'Kitchen', stat: 'tech', slots: 2 },
+  performer: { label: 'Performer', stat: 'performance', slots: 1 },
+};
+
+// Class strengths from the design doc: Maids serve best, Idols draw crowds
+// and VIPs, Neko charm bigger tips, Shrine maidens lift the mood and Tech
+// gals run a quick kitchen. Every bonus applies only in the listed role.
+export const CLASS_BONUSES = {
+  Maid: { role: 'waitress', skill: 0.3 },
+  Idol: { role: 'performer', draw: 0.3, vipChance: 0.1 },
+  Neko: { role: 'waitress', tipRate: 0.5 },
+  Shrine: { role: 'performer', satisfaction: 0.1 },
+  Tech: { role: 'kitchen', skill: 0.3 },
+};
+
+// Customers arrive on average every `arrivalInterval` seconds with no draw or
+// buffs. Seats are places at the café's tables, in café coordinates; the
+// tables are kept clear of décor (see CAFE_GRID in data/decor.js).
+export const CAFE_FLOOR = {
+  arrivalInterval: 9,
+  door: { x: 0, z: 9 },
+  seats: [
+    { x: -6, z: 4 }, { x: -4, z: 4 }, { x: 4, z: 4 }, { x: 6, z: 4 },
+    { x: -6, z: 7 }, { x: -4, z: 7 }, { x: 4, z: 7 }, { x: 6, z: 7 },
+  ],
+};
+
+// How busy the café gets by the in-game hour a business day opens
+// (sim/clock.js): a multiplier on the arrival rate
+export const CAFE_RUSH = [
+  { from: 0, to: 7, rate: 0.4 },
+  { from: 7, to: 11, rate: 0.8 },
+  { from: 11, to: 14, rate: 1.4 },
+  { from: 14, to: 17, rate: 1 },
+  { from: 17, to: 21, rate: 1.3 },
+  { from: 21, to: 24, rate: 0.7 },
+];
+
+// Customer types, weighted by how often they come in. `patience` is seconds
+// they will wait to be served, `spend` multiplies the bill and `tips` their
+// base tip rate.
+export const CUSTOMER_TYPES = {
+  Student: { weight: 40, patience: 40, spend: 0.8, tips: 0.05, color: 0x9ad0ff },
+  Salaryman: { weight: 30, patience: 30, spend: 1.2, tips: 0.1, color: 0x8a8a9a },
+  Otaku: { weight: 25, patience: 60, spend: 1, tips: 0.15, color: 0xffb36b },
+  VIP: { weight: 0, patience: 35, spend: 3, tips: 0.3, color: 0xffd700 },
+};
+
+// Base chance a customer is a VIP, before Idol performers
+export const VIP_CHANCE = 0.03;
+
+// Hype from Idols' Para-Para shows (sim/rhythm.js). A flawless show by a gal
+// with performance STAT_SCALE adds `perShow`, less for lower accuracy or
+// performance, up to `max`. Each point of hype adds that much again to the
+// arrival rate and `vipChance` to the VIP chance; `carryOver` of it is left
+// after each business day.
+export const HYPE = { perShow: 0.4, max: 1, vipChance: 0.05, carryOver: 0.5 };
+
+// Menu items ordered at random: price in yen and seconds to cook
+export const MENU = [
+  { name: 'Omurice', price: 90, cook: 12 },
+  { name: 'Parfait', price: 70, cook: 8 },
+  { name: 'Latte Art', price: 50, cook: 5 },
+  { name: 'Neko Pancakes', price: 80, cook: 10 },
+];
+
+// Seconds a customer spends eating once served
+export const EAT_TIME = 15;
@@ -0,0 +1,145 @@
+/*
+ * Décor data
+ *
+ * The café room's placement grid and the catalogue of décor items. Placement
+ * rules live in sim/decor.js.
+ *
+ * The room is laid out in whole-unit grid cells between the walls built in
+ * the café scene (inner faces at ±9.75). An item covers `footprint.w` ×
+ * `footprint.d` cells before rotation; quarter turns swap the two.
+ *
+ * Each item's `parts` are primitive shapes drawn relative to the centre of
+ * its footprint on the floor, for an item facing +z (towards the camera):
+ *
+ *   { shape: 'box', size: [x, y, z] } | { shape: 'cylinder', radius, height }
+ *   | { shape: 'sphere', radius }
+ *
+ * with `offset: [x, y, z]`, `color` and an optional `glow` (emissive
+ * colour). `buffs` apply while the item is placed; stored items do nothing:
+ *
+ *   tipRate       fraction added to tips
+ *   customerRate  fraction added to how often customers arrive
+ *   satisfaction  flat bonus to how each visit is rated
+ */
+
+export const CAFE_GRID = {
+  // Cell range usable between the walls, in both x and z
+  min: -9,
+  max: 9,
+  // Kept clear for Uka and the counter where capsules are opened, and for
+  // the customer tables (see CAFE_FLOOR in data/cafe.js)
+  reserved: [
+    { x: -1, z: -4, w: 2, d: 5 },
+    { x: -7, z: 3, w: 4, d: 5 },
+    { x: 3, z: 3, w: 4, d: 5 },
+  ],
+};
+
+export const BUFF_LABELS = { tipRate: 'tips', customerRate: 'customers', satisfaction: 'satisfaction' };
+
+export const DECOR_CATALOGUE = {
+  Lanterns: {
+    footprint: { w: 2, d: 1 },
+    parts: [
+      { shape: 'box', size: [0.1, 2.6, 0.1], offset: [-0.9, 1.3, 0], color: 0x5a3a2a },
+      { shape: 'box', size: [0.1, 2.6, 0.1], offset: [0.9, 1.3, 0], color: 0x5a3a2a },
+      { shape: 'box', size: [1.9, 0.08, 0.08], offset: [0, 2.6, 0], color: 0x5a3a2a },
+      { shape: 'sphere', radius: 0.28, offset: [-0.5, 2.2, 0], color: 0xff5a4a, glow: 0x803020 },
+      { shape: 'sphere', radius: 0.28, offset: [0.5, 2.2, 0], color: 0xff5a4a, glow: 0x803020 },
+    ],
+    buffs: { satisfaction: 0.05 },
+  },
+  'Neko Poster': {
+    footprint: { w: 2, d: 1 },
+    parts: [
+      { shape: 'box', size: [0.1, 1.2, 0.1], offset: [0, 0.6, -0.2], color: 0x8a8a9a },
+      { shape: 'box', size: [1.4, 1.8, 0.08], offset: [0, 1.9, -0.2], color: 0xffc0d8 },
+      { shape: 'sphere', radius: 0.35, offset: [0, 2, -0.12], color: 0xffffff },
+    ],
+    buffs: { customerRate: 0.05 },
+  },
+  'Hologram Sign': {
+    footprint: { w: 2, d: 1 },
+    parts: [
+      { shape: 'box', size: [1.6, 0.3, 0.6], offset: [0, 0.15, 0], color: 0x2a2a3a },
+      { shape: 'box', size: [1.4, 1.2, 0.05], offset: [0, 1.1, 0], color: 0x7af0ff, glow: 0x3a90a0 },
+    ],
+    buffs: { customerRate: 0.1, tipRate: 0.05 },
+  },
+  'Sakura Planter': {
+    footprint: { w: 1, d: 1 },
+    parts: [
+      { shape: 'box', size: [0.8, 0.6, 0.8], offset: [0, 0.3, 0], color: 0xb07a50 },
+      { shape: 'cylinder', radius: 0.08, height: 1.2, offset: [0, 1.2, 0], color: 0x5a3a2a },
+      { shape: 'sphere', radius: 0.6, offset: [0, 2, 0], color: 0xffb7d5 },
+    ],
+    buffs: { satisfaction: 0.05 },
+  },
+  'Capsule Display': {
+    footprint: { w: 1, d: 1 },
+    parts: [
+      { shape: 'box', size: [0.9, 1, 0.9], offset: [0, 0.5, 0], color: 0xffffff },
+      { shape: 'sphere', radius: 0.3, offset: [0, 1.3, 0], color: 0x4da6ff },
+    ],
+    buffs: { tipRate: 0.05 },
+  },
+  'Neon Counter': {
+    footprint: { w: 3, d: 1 },
+    parts: [
+      { shape: 'box', size: [2.8, 1, 0.8], offset: [0, 0.5, 0], color: 0x3a2a4a },
+      { shape: 'box', size: [2.8, 0.06, 0.06], offset: [0, 0.9, 0.42], color: 0xff62a1, glow: 0xff62a1 },
+    ],
+    buffs: { tipRate: 0.1, satisfaction: 0.05 },
+  },
+  // Sold in the café shop (see DECOR_SHOP in data/economy.js)
+  'Paper Screen': {
+    footprint: { w: 2, d: 1 },
+    parts: [
+      { shape: 'box', size: [0.9, 2, 0.06], offset: [-0.46, 1, 0], color: 0xfff6e6 },
+      { shape: 'box', size: [0.9, 2, 0.06], offset: [0.46, 1, 0], color: 0xfff6e6 },
+      { shape: 'box', size: [1.9, 0.08, 0.1], offset: [0, 2, 0], color: 0x6a4a3a },
+      { shape: 'box', size: [1.9, 0.08, 0.1], offset: [0, 0.04, 0], color: 0x6a4a3a },
+    ],
+    buffs: { satisfaction: 0.05 },
+  },
+  'Maneki Neko': {
+    footprint: { w: 1, d: 1 },
+    parts: [
+      { shape: 'box', size: [0.8, 0.5, 0.8], offset: [0, 0.25, 0], color: 0xc04040 },
+      { shape: 'sphere', radius: 0.32, offset: [0, 0.8, 0], color: 0xffffff },
+      { shape: 'sphere', radius: 0.24, offset: [0, 1.25, 0], color: 0xffffff },
+      { shape: 'sphere', radius: 0.09, offset: [0.25, 1.3, 0.1], color: 0xffffff },
+      { shape: 'sphere', radius: 0.08, offset: [0, 0.95, 0.26], color: 0xffd700, glow: 0x806000 },
+    ],
+    buffs: { customerRate: 0.05, tipRate: 0.05 },
+  },
+  'Bubble Tea Bar': {
+    footprint: { w: 2, d: 1 },
+    parts: [
+      { shape: 'box', size: [1.9, 1, 0.8], offset: [0, 0.5, 0], color: 0xf2d6b3 },
+      { shape: 'cylinder', radius: 0.12, height: 0.35, offset: [-0.5, 1.18, 0], color: 0xd9a66b },
+      { shape: 'cylinder', radius: 0.12, height: 0.35, offset: [0, 1.18, 0], color: 0xb5e3c1 },
+      { shape: 'cylinder', radius: 0.12, height: 0.35, offset: [0.5, 1.18, 0], color: 0xe8b5d9 },
+    ],
+    buffs: { tipRate: 0.1 },
+  },
+  // Prizes from the arcade exchange counter (see EXCHANGE_PRIZES)
+  'Arcade Lamp': {
+    footprint: { w: 1, d: 1 },
+    parts: [
+      { shape: 'cylinder', radius: 0.3, height: 0.1, offset: [0, 0.05, 0], color: 0x2a2a3a },
+      { shape: 'cylinder', radius: 0.05, height: 1.8, offset: [0, 0.95, 0], color: 0x8a8a9a },
+      { shape: 'sphere', radius: 0.3, offset: [0, 2, 0], color: 0xff62a1, glow: 0xa03060 },
+    ],
+    buffs: { satisfaction: 0.05, customerRate: 0.05 },
+  },
+  'Mini Gacha Cabinet': {
+    footprint: { w: 1, d: 1 },
+    parts: [
+      { shape: 'box', size: [0.9, 1, 0.9], offset: [0, 0.5, 0], color: 0xff4d6d },
+      { shape: 'sphere', radius: 0.4, offset: [0, 1.4, 0], color: 0xe8f4ff, glow: 0x405060 },
+      { shape: 'sphere', radius: 0.12, offset: [0.15, 1.3, 0.15], color: 0xffd700 },
+    ],
+    buffs: { customerRate: 0.1 },
+  },
+};
@@ -0,0 +1,153 @@
+/*
+ * Dialogue data
+ *
+ * Dialogue trees and the story events that start them. The rules that walk
+ * them live in sim/dialogue.js.
+ *
+ * A tree is { speaker, start, nodes }, where each node is
+ *
+ *   text     the line; {flag} is replaced by that story flag's value
+ *   choices  [{ text, next, condition, set, accept, action }] picked by the
+ *            player. Only choices whose condition holds are shown. `set`
+ *            merges into the story flags, `accept` takes a mission from the
+ *            board and `action` asks the presentation to do something
+ *            (e.g. 'missionBoard' to open it). No `next` ends the dialogue.
+ *   next     for nodes without choices: a node id, or a list of
+ *            { condition, node } where the first that holds wins. No `next`
+ *            ends the dialogue.
+ *
+ * Conditions are plain objects:
+ *
+ *   { flag }, { flag, equals }          story flag set / equal to a value
+ *   { missionComplete }, { missionActive }, { missionAvailable }  by id
+ *   { missionsOffered: true }           anything on the board
+ *   { owns: { class, rarity, minRarity, count } }  gals in the roster
+ *   { yenAtLeast }
+ *   { not }, { all: [] }, { any: [] }
+ *
+ * A story event is { id, trigger, location, condition, dialogue, once,
+ * clear }. `trigger` is 'enter' (the player walks into `location`: 'Cafe' or
+ * an arcade name). The first matching event whose condition holds starts its
+ * dialogue; `once` events never fire again and `clear` lists flags reset when
+ * it fires.
+ */
+
+export const DIALOGUES = {
+  uka: {
+    speaker: 'Uka',
+    start: 'hello',
+    nodes: {
+      hello: {
+        next: [
+          { condition: { all: [{ missionComplete: 'maid-rare' }, { missionAvailable: 'bridge-ace' }, { missionAvailable: 'pusher-hustle' }] }, node: 'favour' },
+          { condition: { missionsOffered: true }, node: 'work' },
+          { node: 'idle' },
+        ],
+      },
+      work: {
+        text: 'Welcome back! I\'ve pinned some new jobs to the board. Want a look?',
+        choices: [
+          { text: 'Show me the board.', action: 'missionBoard' },
+          { text: 'How is the café doing?', next: 'cafe' },
+          { text: 'Later, Uka.' },
+        ],
+      },
+      idle: {
+        text: 'Nothing new on the board right now. Go win us some Gals!',
+        choices: [
+          { text: 'Let me see what I\'m working on.', action: 'missionBoard' },
+          { text: 'How is the café doing?', next: 'cafe' },
+          { text: 'Bye!' },
+        ],
+      },
+      cafe: {
+        next: [
+          { condition: { owns: { minRarity: 'Legendary' } }, node: 'cafe-star' },
+          { condition: { owns: { count: 5 } }, node: 'cafe-busy' },
+          { node: 'cafe-quiet' },
+        ],
+      },
+      'cafe-star': { text: 'With a Legendary on the floor the regulars won\'t stop talking about us!' },
+      'cafe-busy': { text: 'We\'ve got a proper crew now. The tables are filling up.' },
+      'cafe-quiet': { text: 'Quiet, honestly. A few more Gals and this place will really liven up.' },
+      // The first branch in the story: two favours, only one can be taken
+      favour: {
+        text: 'That Maid you brought in was amazing! I need one more favour. Arcade cred or cold hard cash, which is it?',
+        choices: [
+          { text: 'Arcade cred. I\'ll ace the bridge machine.', accept: 'bridge-ace', set: { favour: 'bridge' }, next: 'favour-bridge' },
+          { text: 'Cash. Leave the pusher to me.', accept: 'pusher-hustle', set: { favour: 'pusher' }, next: 'favour-pusher' },
+          { text: 'Let me think about it.' },
+        ],
+      },
+      'favour-bridge': { text: 'Five plays, one prize. Show those bridge regulars how it\'s done!' },
+      'favour-pusher': { text: 'One day, a thousand yen. The clock\'s ticking!' },
+    },
+  },
+  'uka-first': {
+    speaker: 'Uka',
+    start: 'intro',
+    nodes: {
+      intro: {
+        text: 'Oh! You must be the prize game prodigy. I\'m Uka Torigoe, and this humble café is about to become the talk of Neo-Akiba.',
+        next: 'plan',
+      },
+      plan: {
+        text: 'Win Gals at the arcades around town and they can work here. I\'ll post jobs on my board; take whichever you like.',
+        choices: [
+          { text: 'Let\'s see the board.', action: 'missionBoard', set: { metUka: true } },
+          { text: 'Leave it to me!', set: { metUka: true } },
+        ],
+      },
+    },
+  },
+  'uka-rare': {
+    speaker: 'Uka',
+    start: 'react',
+    nodes: {
+      react: {
+        next: [
+          { condition: { flag: 'rarePullRarity', equals: 'Ultimate' }, node: 'ultimate' },
+          { node: 'rare' },
+        ],
+      },
+      ultimate: { text: 'Wait... is that {rarePullName}? An Ultimate?! I need to sit down.', next: 'after' },
+      rare: { text: 'I heard you won {rarePullName}, a {rarePullRarity}! The customers are going to love her.', next: 'after' },
+      after: {
+        text: 'How do you keep pulling these off?',
+        choices: [
+          { text: 'Just luck.', set: { humble: true } },
+          { text: 'All skill.', set: { humble: false } },
+        ],
+      },
+    },
+  },
+  'bridge-rival': {
+    speaker: 'Regular',
+    start: 'taunt',
+    nodes: {
+      taunt: {
+        text: 'Uka sent you to take on the bridge? Nobody clears it in five plays.',
+        choices: [
+          { text: 'Watch me.', set: { rivalTaunted: true } },
+          { text: 'We\'ll see.' },
+        ],
+      },
+    },
+  },
+};
+
+export const STORY_EVENTS = [
+  { id: 'meet-uka', trigger: 'enter', location: 'Cafe', condition: { not: { flag: 'metUka' } }, dialogue: 'uka-first', once: true },
+  { id: 'rare-pull', trigger: 'enter', location: 'Cafe', condition: { flag: 'rarePull' }, dialogue: 'uka-rare', clear: ['rarePull'] },
+  {
+    id: 'bridge-rival',
+    trigger: 'enter',
+    location: 'Joybox Alley',
+    condition: { missionActive: 'bridge-ace' },
+    dialogue: 'bridge-rival',
+    once: true,
+  },
+];
+
+// Pulls at or above this rarity make Uka react the next time you visit
+export const RARE_PULL_RARITY = 'Super Rare';
@@ -0,0 +1,92 @@
+/*
+ * Economy data
+ *
+ * Prices, bundles, exchange rates and the décor shop, kept together so the
+ * game can be balanced from one file against the ledger totals (see
+ * sim/economy.js). Pricing rules live in sim/pricing.js and the prize
+ * exchange and shop in sim/exchange.js.
+ *
+ * A machine's list price for one play is the `cost` in its registry
+ * definition. Arcades may charge their own:
+ *
+ *   play     yen for one play
+ *   bundle   { plays, price }: `plays` prepaid credits for that machine at
+ *            that arcade, for `price` yen; null for no bundle
+ *
+ * Any discount from the arcade's schedule (data/schedule.js) applies on top
+ * of both.
+ */
+
+export const STARTING_YEN = 2000;
+
+// Multi-play bundles at list price, by machine type
+export const PLAY_BUNDLES = {
+  girls: { plays: 3, price: 500 },
+  capsules: { plays: 3, price: 500 },
+  bridge: { plays: 3, price: 500 },
+  ringhook: { plays: 3, price: 500 },
+  ropecut: { plays: 3, price: 500 },
+  dropgoal: { plays: 3, price: 500 },
+  balance: { plays: 3, price: 500 },
+};
+
+// Per arcade, by name, then by machine type: prices that differ from the
+// list price and PLAY_BUNDLES
+export const ARCADE_PRICES = {
+  // The big venue charges more but sells a deeper bundle
+  'Giga Dome': {
+    girls: { play: 300, bundle: { plays: 5, price: 1200 } },
+    balance: { play: 300, bundle: { plays: 5, price: 1200 } },
+  },
+  // Bargain capsules, sold by the half dozen
+  'Mecha Mart': {
+    capsules: { play: 150, bundle: { plays: 6, price: 750 } },
+  },
+  // No bundles on the rope cut
+  'Otome Plaza': {
+    ropecut: { bundle: null },
+  },
+};
+
+// What the prize exchange counter gives for a duplicate gal, by rarity:
+// yen or exchange tickets, the player's choice
+export const TRADE_IN = {
+  Common: { yen: 50, tickets: 1 },
+  Rare: { yen: 150, tickets: 3 },
+  'Super Rare': { yen: 400, tickets: 8 },
+  Legendary: { yen: 1200, tickets: 25 },
+  Ultimate: { yen: 4000, tickets: 80 },
+};
+
+// Prizes on the exchange counter, for tickets. Each gives `yen` or a `decor`
+// item (see data/decor.js); décor prizes can only be had once.
+export const EXCHANGE_PRIZES = [
+  { id: 'yen-400', label: '¥400', tickets: 10, yen: 400 },
+  { id: 'arcade-lamp', label: 'Arcade Lamp', tickets: 15, decor: 'Arcade Lamp' },
+  { id: 'gacha-cabinet', label: 'Mini Gacha Cabinet', tickets: 40, decor: 'Mini Gacha Cabinet' },
+];
+
+// Décor sold in the café shop and its price in yen
+export const DECOR_SHOP = {
+  'Paper Screen': 900,
+  'Maneki Neko': 1500,
+  'Bubble Tea Bar': 2500,
+};
+
+// Ledger sources, for the ledger panel and balancing reports
+export const LEDGER_SOURCES = {
+  start: 'Starting yen',
+  carried: 'Balance before the ledger',
+  play: 'Machine plays',
+  bundle: 'Play bundles',
+  token: 'Pusher tokens',
+  cafe: 'Café takings',
+  mission: 'Mission rewards',
+  exchange: 'Prize exchange',
+  shop: 'Décor shop',
+  upgrade: 'Rarity upgrades',
+};
+
+// Ledger entries kept in the save; older ones are folded into the opening
+// balance, while the per-source totals cover every entry ever recorded
+export const LEDGER_LIMIT = 200;
@@ -0,0 +1,78 @@
+/*
+ * Gal data
+ *
+ * Name pools, personalities and the tables that turn class + rarity into base
+ * stats. Stats run roughly 1-25: service (café tasks), charm (tips, VIPs),
+ * performance (para-para shows), tech (machine calibration) and spirit
+ * (how hard she fights the claw).
+ */
+
+export const STATS = ['service', 'charm', 'performance', 'tech', 'spirit'];
+
+export const CLASS_BASE_STATS = {
+  Maid: { service: 9, charm: 5, performance: 4, tech: 3, spirit: 4 },
+  Idol: { service: 4, charm: 7, performance: 9, tech: 2, spirit: 5 },
+  Tech: { service: 4, charm: 3, performance: 3, tech: 9, spirit: 5 },
+  Shrine: { service: 5, charm: 8, performance: 5, tech: 3, spirit: 4 },
+  Neko: { service: 4, charm: 9, performance: 5, tech: 2, spirit: 7 },
+};
+
+export const RARITY_STAT_MULTIPLIER = {
+  Common: 1,
+  Rare: 1.25,
+  'Super Rare': 1.5,
+  Legendary: 2,
+  Ultimate: 2.5,
+};
+
+// Personality archetypes from the design doc. `stats` are flat modifiers
+// applied after the rarity multiplier. `escape` drives her behaviour while held
+// by a claw: wriggles per second, impulse per wriggle and the base chance that
+// a wriggle breaks free at grip 1.
+export const PERSONALITIES = {
+  Cooperative: {
+    description: 'Easygoing and eager to help.',
+    stats: { service: 2, spirit: -2 },
+    escape: { wriggleRate: 0.5, wriggleImpulse: 0.6, chance: 0.03 },
+  },
+  Shy: {
+    description: 'Quiet, freezes up when grabbed.',
+    stats: { charm: 1, performance: -2, spirit: -1 },
+    escape: { wriggleRate: 0.3, wriggleImpulse: 0.8, chance: 0.08 },
+  },
+  Mischievous: {
+    description: 'Always up to something.',
+    stats: { charm: 2, service: -1, spirit: 2 },
+    escape: { wriggleRate: 2.0, wriggleImpulse: 1.0, chance: 0.06 },
+  },
+  Competitive: {
+    description: 'Hates losing, even to a claw.',
+    stats: { performance: 2, spirit: 3, service: -1 },
+    escape: { wriggleRate: 1.2, wriggleImpulse: 1.6, chance: 0.1 },
+  },
+  Diva: {
+    description: 'Born for the spotlight.',
+    stats: { performance: 3, charm: 1, service: -2, spirit: 1 },
+    escape: { wriggleRate: 0.8, wriggleImpulse: 1.2, chance: 0.12 },
+  },
+};
+
+// Rarer gals fight harder to get out of the claw
+export const RARITY_ESCAPE_MULTIPLIER = {
+  Common: 1,
+  Rare: 1.2,
+  'Super Rare': 1.5,
+  Legendary: 2,
+  Ultimate: 2.6,
+};
+
+export const GIVEN_NAMES = [
+  'Aiko', 'Akari', 'Asuka', 'Chihiro', 'Emi', 'Hana', 'Haruka', 'Hikari', 'Himari', 'Ichika',
+  'Kaede', 'Kanon', 'Kokoro', 'Mai', 'Mao', 'Mei', 'Mio', 'Misaki', 'Nanami', 'Natsuki',
+  'Rin', 'Riko', 'Sakura', 'Saki', 'Sora', 'Tsubasa', 'Yui', 'Yuna', 'Yuzu', 'Momo',
+];
+
+export const FAMILY_NAMES = [
+  'Aoyama', 'Fujiwara', 'Hoshino', 'Ishikawa', 'Kagami', 'Kanzaki', 'Kurosawa', 'Minase', 'Mochizuki', 'Nanase',
+  'Sakuraba', 'Shirakawa', 'Takanashi', 'Tsukishima', 'Yamabuki', 'Yukimura',
+];
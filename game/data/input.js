@@ -0,0 +1,42 @@
+/*
+ * Input data
+ *
+ * The actions the game reads (see game/input.js) with their default keys and
+ * gamepad buttons, and the gamepad's analog settings. Keys are
+ * KeyboardEvent.code strings; each action has up to KEY_SLOTS keys, which
+ * players can rebind. Gamepad buttons use the browser's standard mapping
+ * (0 A, 1 B, 2 X, 3 Y, 4/5 bumpers, 6/7 triggers, 8 back, 9 start, 12-15
+ * d-pad up, down, left, right) and are fixed.
+ *
+ * Para-Para lanes keep their own keys (data/beatmaps.js), and the café and
+ * décor shortcuts are plain keys listed where they are handled.
+ */
+
+export const KEY_SLOTS = 2;
+
+export const ACTIONS = {
+  moveUp: { label: 'Move up', keys: ['KeyW', 'ArrowUp'], buttons: [12] },
+  moveDown: { label: 'Move down', keys: ['KeyS', 'ArrowDown'], buttons: [13] },
+  moveLeft: { label: 'Move left', keys: ['KeyA', 'ArrowLeft'], buttons: [14] },
+  moveRight: { label: 'Move right', keys: ['KeyD', 'ArrowRight'], buttons: [15] },
+  aimLeft: { label: 'Aim / turn left', keys: ['KeyQ'], buttons: [4] },
+  aimRight: { label: 'Aim / turn right', keys: ['KeyE'], buttons: [5] },
+  grab: { label: 'Grab / drop / talk', keys: ['Space'], buttons: [0] },
+  confirm: { label: 'Confirm / enter', keys: ['Enter'], buttons: [0, 9] },
+  back: { label: 'Back', keys: ['Escape'], buttons: [1, 8] },
+  select1: { label: 'Select 1', keys: ['Digit1', 'Numpad1'], buttons: [2] },
+  select2: { label: 'Select 2', keys: ['Digit2', 'Numpad2'], buttons: [3] },
+  select3: { label: 'Select 3', keys: ['Digit3', 'Numpad3'], buttons: [6] },
+  select4: { label: 'Select 4', keys: ['Digit4', 'Numpad4'], buttons: [7] },
+};
+
+// Select actions in order, for menus and dialogue choices
+export const SELECT_ACTIONS = ['select1', 'select2', 'select3', 'select4'];
+
+export const GAMEPAD = {
+  // Stick deflection below this is ignored
+  deadzone: 0.2,
+  // Left stick moves, right stick x aims
+  moveAxes: [0, 1],
+  aimAxis: 2,
+};
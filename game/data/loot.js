@@ -0,0 +1,86 @@
+/*
+ * Loot tables
+ *
+ * Declarative drop odds. The default table is refined by machine type, then by
+ * arcade, then by any banner that is running. Weights are relative, not
+ * percentages; they are normalised when rolled. classWeights apply within the
+ * arcade's themes (classes without a weight count as 1).
+ */
+
+export const DEFAULT_LOOT_TABLE = {
+  rarityWeights: { Common: 60, Rare: 25, 'Super Rare': 10, Legendary: 4, Ultimate: 1 },
+  classWeights: {},
+  // Featured ("rate-up") gals: when the featured rarity is rolled, `share` of
+  // those rolls become the featured class
+  featured: [],
+  // After `plays` sessions without winning minRarity or better, the next
+  // session is guaranteed to contain one
+  pity: { plays: 20, minRarity: 'Super Rare' },
+};
+
+export const MACHINE_LOOT = {
+  girls: {},
+  // Sealed capsules are harder to read, so they pay a little better
+  capsules: {
+    rarityWeights: { Common: 55, Rare: 27, 'Super Rare': 12, Legendary: 4.5, Ultimate: 1.5 },
+  },
+  // Precision machine: fewer commons, but pity takes longer
+  bridge: {
+    rarityWeights: { Common: 50, Rare: 30, 'Super Rare': 14, Legendary: 5, Ultimate: 1 },
+    pity: { plays: 30, minRarity: 'Super Rare' },
+  },
+  // Fiddly to thread, so a slightly richer table
+  ringhook: {
+    rarityWeights: { Common: 52, Rare: 28, 'Super Rare': 13, Legendary: 5.5, Ultimate: 1.5 },
+  },
+  // Rarer prizes hang on stronger ropes, which already makes them harder
+  ropecut: {},
+  // Slot tiers already lift the rarity of well-placed balls
+  dropgoal: {},
+  balance: {
+    rarityWeights: { Common: 55, Rare: 27, 'Super Rare': 12, Legendary: 4.5, Ultimate: 1.5 },
+  },
+  // Prizes come slowly and the tokens pay most of it back, so mostly commons
+  pusher: {
+    rarityWeights: { Common: 70, Rare: 20, 'Super Rare': 7, Legendary: 2.5, Ultimate: 0.5 },
+  },
+};
+
+// Keyed by arcade name
+export const ARCADE_LOOT = {
+  'Joybox Alley': {
+    classWeights: { Neko: 2, Maid: 1 },
+  },
+  'Giga Dome': {
+    rarityWeights: { Common: 65, Rare: 23, 'Super Rare': 8, Legendary: 3, Ultimate: 1 },
+  },
+  'Mecha Mart': {
+    pity: { plays: 15, minRarity: 'Super Rare' },
+  },
+};
+
+// Time-limited banners. Optional `arcades` / `machines` restrict where they
+// run; omitted means everywhere. They run on the in-game clock (sim/clock.js)
+// from the start of `startDay` until the start of `endDay`.
+export const BANNERS = [
+  {
+    id: 'neko-matsuri-2026',
+    name: 'Neko Matsuri',
+    startDay: 1,
+    endDay: 15,
+    arcades: ['Joybox Alley', 'Otome Plaza'],
+    machines: ['girls'],
+    classWeights: { Neko: 3 },
+    featured: [{ class: 'Neko', rarity: 'Legendary', share: 0.5 }],
+  },
+  {
+    id: 'tech-expo-2026',
+    name: 'Tech Expo',
+    startDay: 22,
+    endDay: 29,
+    arcades: ['Neo-Taito', 'Mecha Mart'],
+    rarityWeights: { Common: 50, Rare: 28, 'Super Rare': 15, Legendary: 5, Ultimate: 2 },
+    featured: [{ class: 'Tech', rarity: 'Ultimate', share: 0.5 }],
+    pity: { plays: 10, minRarity: 'Legendary' },
+  },
+];
@@ -0,0 +1,214 @@
+/*
+ * Machine parameters
+ *
+ * Tuning for the claw machines. Forces are motor torque limits on the prong
+ * hinges; payoutRate is the operator setting: the fraction of plays on which
+ * the claw keeps its full grip after lifting (the rest drop to weakGripForce
+ * at the top of the lift, like a real machine's payout cycle).
+ */
+
+// Shared pit layout: a square pit with the chute in the front-left corner
+export const PIT = {
+  size: 16,
+  wallHeight: 3,
+  chute: { x: -6, z: 6, size: 3, barrierHeight: 1.5 },
+};
+
+// Plush soft bodies for loose gals (see sim/softbody.js). maxParticles is the
+// per-machine budget; gals past it fall back to rigid sphere proxies so a
+// CPU-only machine keeps a steady frame rate.
+export const SOFT_BODY = {
+  stiffness: 25,
+  damping: 0.2,
+  maxParticles: 64,
+};
+
+export const CLAW_MACHINES = {
+  girls: {
+    prongs: 3,
+    prongLength: 1.4,
+    // Distance of each prong hinge from the claw centre
+    prongSpread: 0.45,
+    // Prong angles in radians, positive swings the tip outwards
+    openAngle: 0.55,
+    closedAngle: -0.45,
+    gripForce: 40,
+    weakGripForce: 4,
+    payoutRate: 0.35,
+    moveSpeed: 5,
+    descendSpeed: 3,
+    raiseSpeed: 2.5,
+    closeTime: 0.8,
+    openTime: 0.6,
+    homeHeight: 7,
+  },
+  capsules: {
+    prongs: 3,
+    prongLength: 1.5,
+    prongSpread: 0.5,
+    openAngle: 0.6,
+    closedAngle: -0.4,
+    gripForce: 30,
+    weakGripForce: 3,
+    payoutRate: 0.25,
+    // Capsule pickup needs a square grab: tolerance is the off-centre
+    // distance (in capsule radii) where the hold chance reaches zero,
+    // tiltFactor the share kept with the seam vertical, knock the shove
+    // (m/s) given to a capsule that slips
+    alignment: { tolerance: 0.9, tiltFactor: 0.35, knock: 3 },
+    moveSpeed: 5,
+    descendSpeed: 3,
+    raiseSpeed: 2.5,
+    closeTime: 0.8,
+    openTime: 0.6,
+    homeHeight: 7,
+  },
+};
+
+// Bridge (bar drop) machines. Boxes lie across two parallel bars and are won
+// when they drop through the gap between them; anything that falls off the
+// ends or sides is lost. `barGap` is the open space between the inner edges
+// of the bars, so a box fits through once turned to its narrow side. Lengths
+// are in metres, push speeds in m/s, chargeTime in seconds.
+export const BRIDGE = {
+  barLength: 12,
+  barWidth: 0.3,
+  barHeight: 0.3,
+  barY: 2.5,
+  barGap: 0.8,
+  boxes: 5,
+  boxSize: { x: 0.7, y: 0.7, z: 1.6 },
+  boxMass: 1,
+  // Pusher arm: positioned along and across the bars, aimed within
+  // ±maxAim radians of straight back, charged by holding the button
+  moveSpeed: 4,
+  aimSpeed: 1.5,
+  maxAim: Math.PI / 2,
+  chargeTime: 1,
+  minPushSpeed: 1,
+  maxPushSpeed: 6,
+  stroke: 0.8,
+  retractSpeed: 3,
+  // Pushes per play. Turning a box square to the gap takes a few.
+  pushes: 8,
+};
+
+// Per-arcade bridge tuning layered over BRIDGE, keyed by arcade name
+export const ARCADE_BRIDGES = {
+  // Wide gap and small boxes: the friendly one
+  'Joybox Alley': { barGap: 0.9, boxSize: { x: 0.6, y: 0.6, z: 1.6 } },
+  // Tight gap that only just fits a square-on box
+  'Neo-Taito': { barGap: 0.75, boxSize: { x: 0.7, y: 0.7, z: 1.5 } },
+  // Big heavy boxes
+  'Mecha Mart': { boxSize: { x: 0.75, y: 0.75, z: 1.7 }, boxMass: 1.5 },
+};
+
+// Ring hook (loop lift) machine. Prizes stand on a shelf with a ring of
+// linked bodies on top; a thin L-shaped hook has to thread the ring, lift the
+// prize over the lip at the shelf's front edge and let it drop into the chute
+// beyond. The shelf runs from z = -shelf.depth + shelf.front to shelf.front.
+export const RING_HOOK = {
+  shelf: { width: 10, depth: 6, front: 1, top: 2, lipHeight: 0.3 },
+  prizes: 3,
+  prizeSize: { x: 0.8, y: 0.8, z: 0.5 },
+  prizeMass: 0.25,
+  ring: { radius: 0.45, links: 8, linkRadius: 0.05, linkMass: 0.08 },
+  // The locked ring chain needs more solver passes than the default to stay stiff
+  solverIterations: 40,
+  // Hook shaft height and tip length, pointing back (-Z) from the shaft
+  hook: { shaft: 1.5, tip: 0.6, thickness: 0.08 },
+  moveSpeed: 2.5,
+  descendSpeed: 1.5,
+  raiseSpeed: 1.5,
+  homeHeight: 5,
+  // Times the hook can be lowered per play. Threading a ring takes one and
+  // setting the prize down in the chute another.
+  lowers: 3,
+};
+
+// Pusher (coin pusher) machine. A shelf slides back and forth over the back
+// of a table, shoving the bed of tokens and prizes towards the front edge.
+// Each token the player drops costs token.cost yen; every token that falls
+// off the front pays the same back and every prize that does is won.
+// Anything that spills off the sides is lost. The table runs from
+// z = front - depth to front, with its top at y = 0.
+export const PUSHER = {
+  table: { width: 6, depth: 6, front: 2 },
+  // Shelf front face travels `stroke` around z = shelfFront, once per period
+  shelf: { height: 0.6, depth: 4, shelfFront: -1.5, stroke: 2, period: 3 },
+  token: { radius: 0.35, height: 0.12, mass: 0.1, cost: 100 },
+  startTokens: 45,
+  // Open stretch at the front of each side where things can spill off
+  sideGap: 1.5,
+  // Polished table: tokens slide rather than jam
+  friction: 0.1,
+  prizes: 3,
+  prizeSize: 0.6,
+  prizeMass: 0.2,
+  // Token dropper rides above the gap the shelf face sweeps, so new tokens
+  // land in front of it and get shoved into the bed
+  dropper: { z: -1.2, height: 2.5, moveSpeed: 4 },
+};
+
+// Rope cut (string break) machine. Prizes hang in a row along X from a rail
+// at railHeight, each on a rope of `segments` particles. The blade carriage
+// moves at a fixed height across the ropes. Rope strength is the number of
+// full-speed blade passes it takes to break, by the rarity of its prize.
+export const ROPE_CUT = {
+  railHeight: 6,
+  ropes: 4,
+  spacing: 2,
+  rope: { segments: 10, length: 3, particleRadius: 0.06, particleMass: 0.05 },
+  prizeSize: { x: 0.8, y: 0.8, z: 0.6 },
+  prizeMass: 0.3,
+  // Rope chains stretch under the prize's weight with the default passes
+  solverIterations: 30,
+  // A blade pass this fast (units/s across the rope) does one full pass of
+  // damage. The blade is good for `passes` passes per play, then goes dull.
+  // A play's passes cut at most two Common ropes, or one of any rarity.
+  blade: { height: 4.5, length: 1.2, thickness: 0.1, width: 0.3, moveSpeed: 3, fullSpeed: 3, reach: 2.5, passes: 8 },
+  strength: { Common: 4, Rare: 5, 'Super Rare': 6, Legendary: 7, Ultimate: 8 },
+  // Cut prizes count as dropped into the chute once they fall below this
+  winHeight: 1,
+};
+
+// Drop-through goal machine. Balls fall from a dropper through a board of
+// pegs standing between two panes of glass (the XY plane at z = 0) into a row
+// of numbered slots along the bottom. Each slot's tier is the lowest rarity a
+// ball landing there pays out at; null slots pay nothing. Only the ball in
+// the best slot of a play pays out.
+export const DROP_GOAL = {
+  board: { width: 7, height: 7, depth: 0.6 },
+  pegs: { rows: 5, spacing: 1, size: 0.16, bottom: 1.8 },
+  slots: [null, 'Common', 'Rare', 'Super Rare', 'Rare', 'Common', null],
+  slotHeight: 1,
+  ball: { radius: 0.22, mass: 0.1 },
+  // Lively bounces so balls scatter off the pegs rather than rolling along them
+  restitution: 0.5,
+  // Balls per play
+  balls: 3,
+  dropper: { moveSpeed: 3 },
+  // Seconds a ball may sit at rest above the slots before it counts as lost
+  stuckTime: 5,
+};
+
+// Balance beam machine. A plank along X rocks on a hinge at its middle, with
+// stops under each end limiting the tilt; prizes sit balanced on it. The
+// player lowers a ram onto the plank or prizes to tip and shove them. A prize
+// that drops off either end falls into a chute and is won; one that slides
+// off the front or back is lost. With friction above tan(maxTilt), a tilted
+// plank alone does not shed its prizes.
+export const BALANCE_BEAM = {
+  pivotHeight: 2,
+  beam: { length: 8, thickness: 0.2, width: 1.6, mass: 2 },
+  maxTilt: 0.22,
+  friction: 0.3,
+  prizes: 4,
+  prizeSize: { x: 0.7, y: 0.7, z: 0.7 },
+  prizeMass: 0.3,
+  // The ram stays down while the button is held, for at most holdTime
+  // seconds, and moves at shoveSpeed until it is home again
+  ram: { size: 0.5, homeHeight: 4.5, moveSpeed: 2.5, shoveSpeed: 1, descendSpeed: 2, raiseSpeed: 3, holdTime: 1.5 },
+  // Times the ram can be lowered per play
+  lowers: 2,
+};
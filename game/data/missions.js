@@ -0,0 +1,107 @@
+/*
+ * Mission data
+ *
+ * Every mission Uka can offer, in board order. The rules that track and pay
+ * them out live in sim/missions.js. A mission is:
+ *
+ *   id           stable string id, stored in saves
+ *   description  text for the board and the HUD
+ *   objective    what to do; `type` is one of
+ *                  collect    { class, rarities, count }   gals joining the roster
+ *                  win        { arcade?, machine?, count } prizes won; arcade and
+ *                                                          machine narrow where
+ *                  winWithin  { arcade?, machine?, count, plays } as win, but
+ *                                                          failed once more than
+ *                                                          `plays` plays are used
+ *                  spend      { amount, sources? }         yen spent
+ *                  earn       { amount, sources? }         yen earned (not
+ *                                                          mission rewards)
+ *                               `sources` limits spend and earn to those ledger
+ *                               sources (see data/economy.js)
+ *                  ownDecor   { item }                     décor item owned
+ *   reward       yen paid on completion
+ *   decor        décor item given on completion (optional; see data/decor.js)
+ *   requires     ids that must be complete before it is offered (optional)
+ *   excludes     ids of rival branches; once one of them is taken this one is
+ *                no longer offered (optional)
+ *   timeLimit    in-game hours to finish after accepting (optional)
+ */
+
+export const MAX_ACTIVE_MISSIONS = 3;
+
+const RARE_PLUS = ['Rare', 'Super Rare', 'Legendary', 'Ultimate'];
+
+export const MISSION_DEFS = [
+  {
+    id: 'maid-rare',
+    description: 'Rescue a Maid of Rare+ rarity',
+    objective: { type: 'collect', class: 'Maid', rarities: RARE_PLUS, count: 1 },
+    reward: 1000,
+    decor: 'Lanterns',
+  },
+  {
+    id: 'neko-commons',
+    description: 'Collect two Neko commons',
+    objective: { type: 'collect', class: 'Neko', rarities: ['Common'], count: 2 },
+    reward: 600,
+    decor: 'Neko Poster',
+  },
+  {
+    id: 'tech-legend',
+    description: 'Obtain a Tech Legendary or better',
+    objective: { type: 'collect', class: 'Tech', rarities: ['Legendary', 'Ultimate'], count: 1 },
+    reward: 2000,
+    decor: 'Hologram Sign',
+    requires: ['maid-rare'],
+  },
+  {
+    id: 'joybox-regular',
+    description: 'Win three prizes at Joybox Alley',
+    objective: { type: 'win', arcade: 'Joybox Alley', count: 3 },
+    reward: 800,
+    decor: 'Sakura Planter',
+    requires: ['neko-commons'],
+  },
+  // Uka's two favours after the first rescue: only one can be taken
+  {
+    id: 'bridge-ace',
+    description: 'Win a bridge prize within five plays',
+    objective: { type: 'winWithin', machine: 'bridge', count: 1, plays: 5 },
+    reward: 1500,
+    requires: ['maid-rare'],
+    excludes: ['pusher-hustle'],
+  },
+  {
+    id: 'pusher-hustle',
+    description: 'Earn ¥1000 within a day',
+    objective: { type: 'earn', amount: 1000 },
+    reward: 1200,
+    requires: ['maid-rare'],
+    excludes: ['bridge-ace'],
+    timeLimit: 24,
+  },
+  {
+    id: 'capsule-rush',
+    description: 'Win two capsules within 12 hours',
+    objective: { type: 'win', machine: 'capsules', count: 2 },
+    reward: 900,
+    decor: 'Capsule Display',
+    requires: ['joybox-regular'],
+    timeLimit: 12,
+  },
+  {
+    id: 'big-spender',
+    description: 'Spend ¥3000 at the arcades',
+    objective: { type: 'spend', amount: 3000, sources: ['play', 'bundle', 'token'] },
+    reward: 700,
+    decor: 'Neon Counter',
+    requires: ['joybox-regular'],
+  },
+  {
+    id: 'hologram-cafe',
+    description: 'Light up the café with a Hologram Sign',
+    objective: { type: 'ownDecor', item: 'Hologram Sign' },
+    reward: 500,
+    requires: ['neko-commons'],
+  },
+];
@@ -0,0 +1,104 @@
+/*
+ * Overworld map
+ *
+ * The streets of Neo-Akiba in world units, with -z as north. Movement,
+ * doorways and pedestrians are handled by sim/overworld.js.
+ *
+ *   bounds      half size of the walkable square
+ *   avenues     x of the north-south roads; streets are the z of the
+ *               east-west ones. Both run the full width of the map.
+ *   roadWidth   width of every road; a sidewalk of `sidewalk` runs along
+ *               both sides. Each avenue and street crossing gets zebra
+ *               crossings, and the crossings and sidewalks form the paths
+ *               pedestrians walk.
+ *   locations   places you can go inside: `building` is the footprint
+ *               { x, z, w, d } (centre and size), `door` is a point on its
+ *               wall and `facing` the side it opens on (n, s, e or w).
+ *               Arcades list the gal classes their loot leans towards;
+ *               their hours and machines are in data/schedule.js.
+ *   buildings   the rest of the skyline, { x, z, w, d, height, color }
+ *
+ * Buildings stay at least roadWidth / 2 + sidewalk from every road centre
+ * so sidewalks are clear.
+ */
+
+export const OVERWORLD_MAP = {
+  bounds: 48,
+  avenues: [-24, 0, 24],
+  streets: [-24, 0, 24],
+  roadWidth: 8,
+  sidewalk: 2,
+  // Where a new game starts: outside the café door
+  start: { x: -12, z: 5 },
+  locations: [
+    {
+      name: 'Cafe',
+      kind: 'cafe',
+      color: 0xffdbe6,
+      building: { x: -12, z: 12, w: 10, d: 10, height: 6 },
+      door: { x: -12, z: 7, facing: 'n' },
+    },
+    {
+      name: 'Joybox Alley',
+      kind: 'arcade',
+      color: 0xff62a1,
+      building: { x: -38, z: -12, w: 12, d: 10, height: 7 },
+      door: { x: -32, z: -12, facing: 'e' },
+      themes: ['Neko', 'Maid'],
+    },
+    {
+      name: 'Neo-Taito',
+      kind: 'arcade',
+      color: 0x7a6cff,
+      building: { x: 38, z: -12, w: 12, d: 10, height: 8 },
+      door: { x: 32, z: -12, facing: 'w' },
+      themes: ['Tech', 'Idol'],
+    },
+    {
+      name: 'Giga Dome',
+      kind: 'arcade',
+      color: 0xffc857,
+      building: { x: -12, z: -38, w: 12, d: 12, height: 10 },
+      door: { x: -12, z: -32, facing: 's' },
+      themes: ['Maid', 'Shrine'],
+    },
+    {
+      name: 'Otome Plaza',
+      kind: 'arcade',
+      color: 0x00c7ff,
+      building: { x: 12, z: -12, w: 10, d: 10, height: 7 },
+      door: { x: 7, z: -12, facing: 'w' },
+      themes: ['Idol', 'Neko'],
+    },
+    {
+      name: 'Mecha Mart',
+      kind: 'arcade',
+      color: 0x7abeff,
+      building: { x: 12, z: 38, w: 12, d: 10, height: 6 },
+      door: { x: 12, z: 33, facing: 'n' },
+      themes: ['Tech'],
+    },
+  ],
+  buildings: [
+    { x: -38, z: -38, w: 14, d: 12, height: 12, color: 0xd8d4e8 },
+    { x: 12, z: -38, w: 12, d: 12, height: 14, color: 0xcfd8e8 },
+    { x: 38, z: -38, w: 12, d: 14, height: 9, color: 0xe8d8dc },
+    { x: -12, z: -14, w: 10, d: 6, height: 5, color: 0xe0e6d8 },
+    { x: -38, z: 12, w: 12, d: 12, height: 8, color: 0xe6dccf },
+    { x: 12, z: 12, w: 12, d: 12, height: 11, color: 0xd4dce8 },
+    { x: 38, z: 12, w: 12, d: 12, height: 6, color: 0xe8e0d0 },
+    { x: -38, z: 38, w: 14, d: 10, height: 7, color: 0xdcd8e0 },
+    { x: -12, z: 38, w: 12, d: 12, height: 9, color: 0xe0d4dc },
+    { x: 38, z: 38, w: 12, d: 10, height: 13, color: 0xd0dce0 },
+  ],
+};
+
+// Pedestrians wandering the sidewalks: how many, their walking speed range
+// in units per second and the chance of stopping a moment at each corner
+export const PEDESTRIANS = {
+  count: 14,
+  speed: [1.5, 2.6],
+  pauseChance: 0.3,
+  pauseTime: [1, 3],
+  colors: [0xf28b82, 0xfbbc04, 0x81c995, 0x8ab4f8, 0xc58af9, 0xf6aea9, 0x9aa0a6],
+};
@@ -0,0 +1,92 @@
+/*
+ * Progression data
+ *
+ * How gals level up, fuse, limit break and climb rarities, and the costumes
+ * each rarity unlocks. The rules live in sim/progression.js.
+ *
+ * A gal's stats are worked out from the stats she was rolled with: each level
+ * above 1 adds `statGrowth` of them, and a worn costume adds its `stats` on
+ * top. Her level cap is her rarity's cap plus `perLimitBreak` for every limit
+ * break. Once she has every limit break and sits at her cap she can be
+ * upgraded to the next rarity for yen; her rolled stats scale by the ratio
+ * of the rarity multipliers in data/gals.js, and her limit breaks start over.
+ */
+
+export const LEVELS = {
+  // Level cap by rarity, before limit breaks. Each rarity's cap is where the
+  // one below tops out, so an upgrade never leaves her over her cap.
+  caps: { Common: 10, Rare: 30, 'Super Rare': 50, Legendary: 70, Ultimate: 90 },
+  perLimitBreak: 5,
+  maxLimitBreaks: 4,
+  // XP to go from level n to n + 1 is xpBase + xpPerLevel × (n - 1)
+  xpBase: 60,
+  xpPerLevel: 15,
+  // Fraction of her rolled stats gained per level
+  statGrowth: 0.02,
+};
+
+// XP for work in the café
+export const XP_GAINS = {
+  // Every gal on staff when a business day ends, plus `perServed` for each
+  // customer she served or dish she cooked
+  shift: 30,
+  perServed: 4,
+  // The star of a Para-Para show, scaled by accuracy, plus a bonus for a
+  // full combo
+  show: 60,
+  fullCombo: 30,
+};
+
+// Fusing a duplicate into another gal. Any duplicate gives XP by her rarity;
+// one of the same class and rarity can instead be spent on a limit break.
+export const FUSION_XP = {
+  Common: 40,
+  Rare: 100,
+  'Super Rare': 250,
+  Legendary: 600,
+  Ultimate: 1500,
+};
+
+// Rarity upgrades: the rarity reached and its price in yen
+export const RARITY_UPGRADES = {
+  Common: { to: 'Rare', yen: 800 },
+  Rare: { to: 'Super Rare', yen: 2000 },
+  'Super Rare': { to: 'Legendary', yen: 5000 },
+  Legendary: { to: 'Ultimate', yen: 12000 },
+};
+
+// Costumes by class, then by the rarity that unlocks them. A gal can wear any
+// costume of her class up to her rarity; `color` lights her Para-Para stage
+// and `stats` are added while she wears it.
+export const COSTUMES = {
+  Maid: {
+    Rare: { name: 'Frilled Apron', color: 0xfff0f5, stats: { service: 1 } },
+    'Super Rare': { name: 'Victorian Maid', color: 0x2a2a3a, stats: { service: 2, charm: 1 } },
+    Legendary: { name: 'Head Maid Regalia', color: 0x7a1f3d, stats: { service: 3, charm: 2 } },
+    Ultimate: { name: 'Moonlit Tea Gown', color: 0xc0c8ff, stats: { service: 4, charm: 3, spirit: 1 } },
+  },
+  Idol: {
+    Rare: { name: 'Stage Debut', color: 0xff8ac0, stats: { performance: 1 } },
+    'Super Rare': { name: 'Sparkle Tour', color: 0xffd700, stats: { performance: 2, charm: 1 } },
+    Legendary: { name: 'Dome Encore', color: 0xff3d7f, stats: { performance: 3, charm: 2 } },
+    Ultimate: { name: 'Starlight Finale', color: 0xe8f4ff, stats: { performance: 4, charm: 3, spirit: 1 } },
+  },
+  Tech: {
+    Rare: { name: 'Lab Coat', color: 0xf0f0f0, stats: { tech: 1 } },
+    'Super Rare': { name: 'Circuit Hoodie', color: 0x3aa0ff, stats: { tech: 2, spirit: 1 } },
+    Legendary: { name: 'Mecha Pilot Suit', color: 0x4a4a5a, stats: { tech: 3, spirit: 2 } },
+    Ultimate: { name: 'Neon Netrunner', color: 0x7af0ff, stats: { tech: 4, spirit: 2, charm: 2 } },
+  },
+  Shrine: {
+    Rare: { name: 'Festival Yukata', color: 0xff9aa2, stats: { charm: 1 } },
+    'Super Rare': { name: 'Kagura Robes', color: 0xffffff, stats: { charm: 2, performance: 1 } },
+    Legendary: { name: 'Fox Spirit Vestments', color: 0xffb347, stats: { charm: 3, spirit: 2 } },
+    Ultimate: { name: 'Celestial Miko', color: 0xd6c8ff, stats: { charm: 4, performance: 2, spirit: 2 } },
+  },
+  Neko: {
+    Rare: { name: 'Bell Collar', color: 0xffe066, stats: { charm: 1 } },
+    'Super Rare': { name: 'Calico Hoodie', color: 0xffa64d, stats: { charm: 2, spirit: 1 } },
+    Legendary: { name: 'Cat Burglar', color: 0x1c1c2c, stats: { spirit: 3, charm: 2 } },
+    Ultimate: { name: 'Lucky Cat Kimono', color: 0xff4d4d, stats: { charm: 4, spirit: 2, service: 2 } },
+  },
+};
@@ -0,0 +1,101 @@
+/*
+ * Clock and schedule data
+ *
+ * How fast in-game time runs, how the overworld is lit through the day and
+ * when each arcade is open, which machines it runs on which day and its
+ * happy hours and events. The rules live in sim/clock.js and
+ * sim/schedule.js.
+ *
+ * Hours are 0-24 in-game hours. A closing hour past 24 runs into the next
+ * morning (26 is 2:00).
+ */
+
+export const CLOCK = {
+  // In-game minutes per real second: a day lasts 24 real minutes
+  minutesPerSecond: 1,
+  // When a new game starts
+  start: { day: 1, hour: 10 },
+  // Day 1 is a Monday
+  weekdays: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'],
+};
+
+// Overworld lighting keyframes, blended between hours. `sky` is the
+// background colour, `sun` and `ambient` light intensities and `lamps` how
+// brightly the street lamps glow (0-1).
+export const LIGHTING = [
+  { hour: 0, sky: 0x1c1c3c, sun: 0.05, ambient: 0.35, lamps: 1 },
+  { hour: 5, sky: 0x2c2c54, sun: 0.1, ambient: 0.4, lamps: 1 },
+  { hour: 7, sky: 0xffd9c4, sun: 0.4, ambient: 0.8, lamps: 0.2 },
+  { hour: 9, sky: 0xf5f5fa, sun: 0.6, ambient: 1, lamps: 0 },
+  { hour: 17, sky: 0xf5f5fa, sun: 0.6, ambient: 1, lamps: 0 },
+  { hour: 18.5, sky: 0xffbf9a, sun: 0.4, ambient: 0.8, lamps: 0.5 },
+  { hour: 20, sky: 0x3c2c64, sun: 0.1, ambient: 0.5, lamps: 1 },
+  { hour: 24, sky: 0x1c1c3c, sun: 0.05, ambient: 0.35, lamps: 1 },
+];
+
+// Per arcade, by name:
+//   hours      { open, close }
+//   rotation   machine line-ups, one per day in turn from day 1
+//   events     windows that change play cost and loot themes:
+//                name          shown in the arcade menu and the odds
+//                days          weekdays it runs on (every day if missing)
+//                from, to      hours it runs between
+//                cost          multiplier on the price of a play
+//                themeWeights  class weights for the loot table; classes the
+//                              arcade does not normally stock are added
+export const ARCADE_SCHEDULES = {
+  'Joybox Alley': {
+    hours: { open: 10, close: 26 },
+    rotation: [
+      ['girls', 'bridge', 'pusher'],
+      ['girls', 'ropecut', 'pusher'],
+      ['girls', 'bridge', 'ringhook'],
+    ],
+    events: [
+      { name: 'Happy Hour', from: 17, to: 19, cost: 0.5 },
+      { name: 'Neko Night', days: ['Fri', 'Sat'], from: 21, to: 26, cost: 1, themeWeights: { Neko: 4 } },
+    ],
+  },
+  'Neo-Taito': {
+    hours: { open: 9, close: 23 },
+    rotation: [
+      ['capsules', 'bridge', 'dropgoal'],
+      ['capsules', 'dropgoal', 'balance'],
+    ],
+    events: [
+      { name: 'Idol Live Hour', from: 19, to: 21, cost: 1, themeWeights: { Idol: 3 } },
+    ],
+  },
+  'Giga Dome': {
+    hours: { open: 11, close: 24 },
+    rotation: [
+      ['girls', 'capsules', 'ringhook', 'balance'],
+      ['girls', 'capsules', 'dropgoal', 'balance'],
+      ['girls', 'ringhook', 'pusher', 'balance'],
+    ],
+    events: [
+      { name: 'Shrine Festival', days: ['Sun'], from: 11, to: 24, cost: 0.8, themeWeights: { Shrine: 3 } },
+    ],
+  },
+  'Otome Plaza': {
+    hours: { open: 12, close: 28 },
+    rotation: [
+      ['girls', 'ringhook', 'ropecut'],
+      ['girls', 'ropecut', 'balance'],
+    ],
+    events: [
+      { name: 'Late Night Discount', from: 24, to: 28, cost: 0.6 },
+      { name: 'Idol Meet & Greet', days: ['Sat', 'Sun'], from: 14, to: 17, cost: 1, themeWeights: { Idol: 3, Maid: 1 } },
+    ],
+  },
+  'Mecha Mart': {
+    hours: { open: 8, close: 22 },
+    rotation: [
+      ['capsules', 'bridge', 'pusher'],
+    ],
+    events: [
+      { name: 'Morning Tokens', from: 8, to: 10, cost: 0.7 },
+      { name: 'Tech Expo', days: ['Wed'], from: 8, to: 22, cost: 1, themeWeights: { Tech: 3, Idol: 1 } },
+    ],
+  },
+};
@@ -0,0 +1,28 @@
+/*
+ * Event bus
+ *
+ * A tiny publish/subscribe hub shared by the simulation and presentation
+ * layers. Simulation modules emit what happened (a mission completed, a prize
+ * was won); the Three.js/DOM layer subscribes and decides how to show it.
+ * Headless runs simply do not subscribe.
+ */
+
+const listeners = new Map();
+
+// Subscribe to an event type. Returns a function that removes the listener.
+export function on(type, fn) {
+  if (!listeners.has(type)) listeners.set(type, new Set());
+  listeners.get(type).add(fn);
+  return () => off(type, fn);
+}
+
+export function off(type, fn) {
+  const set = listeners.get(type);
+  if (set) set.delete(fn);
+}
+
+export function emit(type, payload) {
+  const set = listeners.get(type);
+  if (!set) return;
+  for (const fn of [...set]) fn(payload);
+}
@@ -0,0 +1,202 @@
+/*
+ * Input actions
+ *
+ * The game reads named actions (data/input.js) instead of raw keys. Keys are
+ * bound per action and the bindings persist in localStorage; gamepad buttons
+ * and the on-screen touch controls press actions directly, and a gamepad's
+ * sticks give analog movement and aim.
+ *
+ * Discrete presses reach the game's key handlers as key-like events:
+ * keyboard events as they come, and for gamepad buttons and touch controls
+ * { code, actions, repeat, timeStamp } objects whose code names the source
+ * ('Gamepad0', 'Touch:grab'), so code-based bookkeeping like swallowing a
+ * release still works. isAction(event, action) answers for both.
+ *
+ * A scripted source can stand in for held controls with setScriptedInput,
+ * and pressAction / releaseAction press actions from code, so tests drive the
+ * game through the same path as a player.
+ */
+
+import { ACTIONS, KEY_SLOTS, SELECT_ACTIONS, GAMEPAD } from './data/input.js';
+
+const BINDINGS_KEY = 'ggp.bindings';
+
+// Keyboard codes held down, actions held by touch or code, and gamepad
+// buttons held at the last poll
+const heldKeys = new Set();
+const heldActions = new Set();
+let heldButtons = new Set();
+// Latest analog stick values, 0 when centred or no pad is connected
+let sticks = { moveX: 0, moveZ: 0, aim: 0 };
+// () => controls, replacing every device while set
+let scripted = null;
+// { down(event), up(event) } the game's key handlers
+let handlers = null;
+
+function defaultBindings() {
+  const bindings = {};
+  for (const [action, def] of Object.entries(ACTIONS)) bindings[action] = def.keys.slice(0, KEY_SLOTS);
+  return bindings;
+}
+
+// Stored bindings over the defaults, so actions added later get their keys
+function loadBindings() {
+  const bindings = defaultBindings();
+  if (typeof localStorage === 'undefined') return bindings;
+  try {
+    const stored = JSON.parse(localStorage.getItem(BINDINGS_KEY) || '{}');
+    for (const action of Object.keys(bindings)) {
+      if (Array.isArray(stored[action])) bindings[action] = stored[action].slice(0, KEY_SLOTS);
+    }
+  } catch (err) {
+    console.warn('Ignoring unreadable key bindings', err);
+  }
+  return bindings;
+}
+
+let bindings = loadBindings();
+
+function saveBindings() {
+  if (typeof localStorage !== 'undefined') localStorage.setItem(BINDINGS_KEY, JSON.stringify(bindings));
+}
+
+// Current keys per action: { action: [code, ...] }
+export function getBindings() {
+  return bindings;
+}
+
+// Bind `code` to slot `slot` of `action`, or clear the slot with null. A key
+// belongs to one action, so it is taken off any other first.
+export function bindKey(action, slot, code) {
+  if (!ACTIONS[action]) throw new Error(`Unknown action: ${action}`);
+  if (code) {
+    for (const keys of Object.values(bindings)) {
+      const i = keys.indexOf(code);
+      if (i !== -1) keys.splice(i, 1);
+    }
+  }
+  const keys = bindings[action];
+  if (code) keys[Math.min(slot, keys.length)] = code;
+  else keys.splice(slot, 1);
+  saveBindings();
+}
+
+export function resetBindings() {
+  bindings = defaultBindings();
+  saveBindings();
+}
+
+// Actions a keyboard code is bound to
+export function actionsForKey(code) {
+  return Object.keys(bindings).filter((action) => bindings[action].includes(code));
+}
+
+// Whether a key handler's event presses `action`
+export function isAction(event, action) {
+  return (event.actions || actionsForKey(event.code)).includes(action);
+}
+
+// 0-based index of the select action an event presses, or -1
+export function selectIndex(event) {
+  return SELECT_ACTIONS.findIndex((action) => isAction(event, action));
+}
+
+// Hand presses from gamepads, touch and code to the game's key handlers
+export function setInputHandlers(down, up) {
+  handlers = { down, up };
+}
+
+// Keep track of held keys; call from the keydown and keyup listeners
+export function trackKey(event, down) {
+  if (down) heldKeys.add(event.code);
+  else heldKeys.delete(event.code);
+}
+
+function dispatch(down, code, actions) {
+  if (!handlers) return;
+  const event = { code, actions, repeat: false, timeStamp: performance.now(), preventDefault() {} };
+  if (down) handlers.down(event);
+  else handlers.up(event);
+}
+
+// Press and release an action from the touch controls or from code
+export function pressAction(action, source = 'Script') {
+  if (heldActions.has(action)) return;
+  heldActions.add(action);
+  dispatch(true, `${source}:${action}`, [action]);
+}
+
+export function releaseAction(action, source = 'Script') {
+  if (!heldActions.delete(action)) return;
+  dispatch(false, `${source}:${action}`, [action]);
+}
+
+function deadzone(value) {
+  return Math.abs(value) < GAMEPAD.deadzone ? 0 : value;
+}
+
+function actionsForButton(button) {
+  return Object.keys(ACTIONS).filter((action) => ACTIONS[action].buttons.includes(button));
+}
+
+// Read the first connected gamepad: fire its button presses and releases
+// and take its sticks. Call once a frame.
+export function pollGamepads() {
+  const pads = typeof navigator !== 'undefined' && navigator.getGamepads ? navigator.getGamepads() : [];
+  const pad = [...pads].find((p) => p && p.connected);
+  const buttons = new Set();
+  if (pad) pad.buttons.forEach((button, i) => button.pressed && buttons.add(i));
+  for (const i of buttons) if (!heldButtons.has(i)) dispatch(true, `Gamepad${i}`, actionsForButton(i));
+  for (const i of heldButtons) if (!buttons.has(i)) dispatch(false, `Gamepad${i}`, actionsForButton(i));
+  heldButtons = buttons;
+  const [x, z] = GAMEPAD.moveAxes;
+  sticks = pad
+    ? { moveX: deadzone(pad.axes[x] || 0), moveZ: deadzone(pad.axes[z] || 0), aim: deadzone(pad.axes[GAMEPAD.aimAxis] || 0) }
+    : { moveX: 0, moveZ: 0, aim: 0 };
+}
+
+// Whether an action is held on any device
+export function actionHeld(action) {
+  return heldActions.has(action) ||
+    bindings[action].some((code) => heldKeys.has(code)) ||
+    ACTIONS[action].buttons.some((button) => heldButtons.has(button));
+}
+
+function axis(negative, positive) {
+  return (actionHeld(positive) ? 1 : 0) - (actionHeld(negative) ? 1 : 0);
+}
+
+function clamp(value) {
+  return Math.max(-1, Math.min(1, value));
+}
+
+// The held controls as simulation input { moveX, moveZ, aim, action } (see
+// sim/machine.js). Sticks add to the digital directions.
+export function readControls() {
+  if (scripted) return scripted();
+  return {
+    moveX: clamp(axis('moveLeft', 'moveRight') + sticks.moveX),
+    moveZ: clamp(axis('moveUp', 'moveDown') + sticks.moveZ),
+    aim: clamp(axis('aimLeft', 'aimRight') + sticks.aim),
+    action: actionHeld('grab'),
+  };
+}
+
+// Let `source()` supply the held controls in place of every device, or give
+// control back with null
+export function setScriptedInput(source) {
+  scripted = source;
+}
+
+// Name of a key for display: 'KeyW' → 'W', 'ArrowUp' → '↑'
+const KEY_NAMES = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→', Space: 'Space', Escape: 'Esc' };
+export function keyName(code) {
+  if (KEY_NAMES[code]) return KEY_NAMES[code];
+  return code.replace(/^Key/, '').replace(/^Digit/, '').replace(/^Numpad/, 'Num ');
+}
+
+// Name of the first key bound to an action, for prompts
+export function actionKeyName(action) {
+  const code = bindings[action][0];
+  return code ? keyName(code) : ACTIONS[action].label;
+}
@@ -0,0 +1,247 @@
+/*
+ * Save subsystem
+ *
+ * Serializes the persistent parts of the game state (everything that is not a
+ * Three.js or cannon-es object) into a versioned JSON document. Saves live in
+ * named localStorage slots and can be exported to / imported from a file so QA
+ * can share reproducible states. When the save format changes, bump
+ * SAVE_VERSION and register a migration from the previous version.
+ */
+
+import { rollGal } from './sim/gals.js';
+import { createRng } from './sim/rng.js';
+import { placeDecor, canPlace } from './sim/decor.js';
+import { createClock } from './sim/clock.js';
+import { getMissionDef } from './sim/missions.js';
+import { createLedger } from './sim/economy.js';
+
+export const SAVE_VERSION = 13;
+
+// Slot names offered in the HUD. Any other string is also a valid slot name.
+export const SAVE_SLOTS = ['slot1', 'slot2', 'slot3'];
+
+const STORAGE_PREFIX = 'ggp.save.';
+const LAST_SLOT_KEY = 'ggp.lastSlot';
+
+// Keys of STATE copied into a save. Everything else is rebuilt at runtime.
+const PERSISTED_KEYS = ['yen', 'missions', 'inventory', 'nextGalId', 'capsules', 'decor', 'pity', 'story', 'cafe', 'clock', 'ledger', 'credits', 'tickets', 'payout'];
+
+// Migrations keyed by the version they upgrade from. Each receives the save
+// document at that version and returns the document at version + 1.
+const MIGRATIONS = {
+  // v2: pity counters per loot pool
+  1: (save) => ({ ...save, state: { ...save.state, pity: {} } }),
+  // v3: inventory entries become full gals. Old entries only had class and
+  // rarity, so the rest is rolled from a fixed seed to keep imports stable.
+  2: (save) => {
+    const random = createRng(0x6a1).stream('migration');
+    const inventory = save.state.inventory.map((entry, i) => ({
+      ...rollGal({ class: entry.class, rarity: entry.rarity }, random),
+      id: i + 1,
+      acquired: { arcade: null, machine: null, date: save.savedAt || null },
+      favorite: false,
+      duplicateOf: null,
+    }));
+    // Later copies of a class/rarity point at the first one
+    for (const gal of inventory) {
+      const original = inventory.find((g) => g.class === gal.class && g.rarity === gal.rarity);
+      if (original !== gal) gal.duplicateOf = original.id;
+    }
+    return { ...save, state: { ...save.state, inventory, nextGalId: inventory.length + 1 } };
+  },
+  // v4: stash of unopened capsules
+  3: (save) => ({ ...save, state: { ...save.state, capsules: [] } }),
+  // v5: mission records from the mission engine. The old linear missions had
+  // numeric ids; the board now offers them as the first of the chain.
+  4: (save) => {
+    const ids = { 1: 'maid-rare', 2: 'neko-commons', 3: 'tech-legend' };
+    const { missionIndex, ...state } = save.state;
+    const missions = save.state.missions.filter((m) => ids[m.id]).map((m) => ({
+      id: ids[m.id],
+      status: m.completed ? 'complete' : 'active',
+      progress: m.progress,
+      plays: 0,
+      deadline: null,
+    }));
+    return { ...save, state: { ...state, missions } };
+  },
+  // v6: story flags and fired story events. Anyone with a save has met Uka.
+  5: (save) => ({ ...save, state: { ...save.state, story: { flags: { metUka: true }, seen: ['meet-uka'] } } }),
+  // v7: décor entries with a spot in the café instead of bare item names.
+  // Items are set out in the order they were won, as a new win would be.
+  6: (save) => {
+    const state = { ...save.state, decor: [] };
+    (save.state.decor || []).forEach((item, i) => {
+      const entry = { id: i + 1, item, placed: false, x: 0, z: 0, rotation: 0 };
+      state.decor.push(entry);
+      placeDecor(state, entry);
+    });
+    return { ...save, state };
+  },
+  // v8: café staff and business days. The customer tables take floor that
+  // décor may already stand on, so anything in their way moves to the first
+  // free spot, or is stored if there is none.
+  7: (save) => {
+    const decor = (save.state.decor || []).map((entry) => ({ ...entry }));
+    const state = { ...save.state, decor, cafe: { staff: [], day: 1, lastReport: null } };
+    for (const entry of decor) {
+      if (!entry.placed || canPlace(state, entry, entry.x, entry.z, entry.rotation)) continue;
+      entry.placed = false;
+      placeDecor(state, entry);
+    }
+    return { ...save, state };
+  },
+  // v9: café hype from Para-Para shows
+  8: (save) => ({ ...save, state: { ...save.state, cafe: { ...save.state.cafe, hype: 0 } } }),
+  // v10: the in-game clock. Mission deadlines move from wall-clock
+  // milliseconds to game minutes, so timed missions restart their limit.
+  9: (save) => {
+    const clock = createClock();
+    const missions = save.state.missions.map((m) => (m.status === 'active' && m.deadline !== null
+      ? { ...m, deadline: clock.minutes + getMissionDef(m.id).timeLimit * 60 }
+      : m));
+    return { ...save, state: { ...save.state, missions, clock } };
+  },
+  // v11: the transaction ledger, bundle credits and exchange tickets. The
+  // balance so far is carried into the ledger as its first entry.
+  10: (save) => {
+    const yen = save.state.yen;
+    const entry = { id: 1, amount: yen, balance: yen, source: 'carried', detail: '', minutes: save.state.clock.minutes, date: save.savedAt || null };
+    const ledger = { ...createLedger(), nextId: 2, entries: [entry], totals: { carried: { in: yen, out: 0, count: 1 } } };
+    return { ...save, state: { ...save.state, ledger, credits: {}, tickets: 0 } };
+  },
+  // v12: gal levels, limit breaks and costumes. Everyone starts at level 1
+  // with her current stats as her base.
+  11: (save) => {
+    const inventory = save.state.inventory.map((gal) => ({
+      ...gal,
+      level: 1,
+      xp: 0,
+      limitBreaks: 0,
+      baseStats: { ...gal.stats },
+      costume: null,
+    }));
+    return { ...save, state: { ...save.state, inventory } };
+  },
+  // v13: claw payout banks, kept across plays now a play is one claw drop
+  12: (save) => ({ ...save, state: { ...save.state, payout: {} } }),
+};
+
+// Build a save document from the game state
+export function serializeState(state) {
+  const data = {};
+  for (const key of PERSISTED_KEYS) {
+    data[key] = state[key];
+  }
+  // Round-trip through JSON so the save never shares references with STATE
+  return {
+    version: SAVE_VERSION,
+    savedAt: new Date().toISOString(),
+    state: JSON.parse(JSON.stringify(data)),
+  };
+}
+
+// Upgrade a save document to the current version
+export function migrateSave(save) {
+  if (!save || typeof save !== 'object' || !save.state) {
+    throw new Error('Not a Gatcha Gal Panic save');
+  }
+  let version = save.version || 0;
+  if (version > SAVE_VERSION) {
+    throw new Error(`Save version ${version} is newer than this build (${SAVE_VERSION})`);
+  }
+  let migrated = save;
+  while (version < SAVE_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) throw new Error(`No migration from save version ${version}`);
+    migrated = migrate(migrated);
+    version++;
+    migrated.version = version;
+  }
+  return migrated;
+}
+
+// Copy a (possibly outdated) save document into the game state
+export function applySave(state, save) {
+  const migrated = migrateSave(save);
+  for (const key of PERSISTED_KEYS) {
+    if (key in migrated.state) state[key] = migrated.state[key];
+  }
+  return migrated;
+}
+
+// localStorage may be missing or blocked (private mode, file://), so every
+// access goes through these helpers and failures are reported, not thrown.
+function storage() {
+  try {
+    return window.localStorage;
+  } catch (err) {
+    return null;
+  }
+}
+
+export function saveToSlot(state, slot) {
+  const store = storage();
+  if (!store) return false;
+  try {
+    store.setItem(STORAGE_PREFIX + slot, JSON.stringify(serializeState(state)));
+    store.setItem(LAST_SLOT_KEY, slot);
+    return true;
+  } catch (err) {
+    console.warn(`Saving to ${slot} failed`, err);
+    return false;
+  }
+}
+
+export function loadFromSlot(state, slot) {
+  const store = storage();
+  if (!store) return false;
+  const raw = store.getItem(STORAGE_PREFIX + slot);
+  if (!raw) return false;
+  try {
+    applySave(state, JSON.parse(raw));
+    store.setItem(LAST_SLOT_KEY, slot);
+    return true;
+  } catch (err) {
+    console.warn(`Loading ${slot} failed`, err);
+    return false;
+  }
+}
+
+export function deleteSlot(slot) {
+  const store = storage();
+  if (store) store.removeItem(STORAGE_PREFIX + slot);
+}
+
+// Summaries of every stored slot, for slot pickers
+export function listSlots() {
+  const store = storage();
+  if (!store) return [];
+  const slots = [];
+  for (let i = 0; i < store.length; i++) {
+    const key = store.key(i);
+    if (!key.startsWith(STORAGE_PREFIX)) continue;
+    try {
+      const save = JSON.parse(store.getItem(key));
+      slots.push({ slot: key.slice(STORAGE_PREFIX.length), version: save.version, savedAt: save.savedAt, yen: save.state.yen });
+    } catch (err) {
+      slots.push({ slot: key.slice(STORAGE_PREFIX.length), corrupt: true });
+    }
+  }
+  return slots;
+}
+
+export function lastUsedSlot() {
+  const store = storage();
+  return (store && store.getItem(LAST_SLOT_KEY)) || SAVE_SLOTS[0];
+}
+
+// Export the state as a pretty-printed JSON string suitable for a .json file
+export function exportSave(state) {
+  return JSON.stringify(serializeState(state), null, 2);
+}
+
+// Import a previously exported save. Throws if the text is not a valid save.
+export function importSave(state, text) {
+  return applySave(state, JSON.parse(text));
+}
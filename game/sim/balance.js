@@ -0,0 +1,192 @@
+/*
+ * Balance beam machine: prizes sit balanced on a plank that rocks on a hinge
+ * at its middle, with stops under each end limiting the tilt. The player
+ * steers a ram above the plank and holds the button to lower it to the plank
+ * beside a prize, then shoves the prize along. Shifting the weight tips the
+ * plank, and a tipped plank makes the shoving easier downhill and harder
+ * up. A prize that drops off either end falls into a chute and is won; one
+ * shoved off the front or back is lost. The ram can only be lowered so many
+ * times per play, and the play is finished once it is home after the last.
+ *
+ * The ram is kinematic and only touches prizes. It rides just above the plank
+ * and will not come down on a prize, which would crush it into the plank.
+ */
+
+import * as CANNON from 'cannon-es';
+import { GROUP, addStaticBox } from './world.js';
+import { addPrize, removePrize } from './prizes.js';
+import { registerMachine } from './registry.js';
+import { emit } from '../events.js';
+import { BALANCE_BEAM } from '../data/machines.js';
+
+// Gap the ram keeps above the plank or a prize below it
+const RAM_CLEARANCE = 0.05;
+
+// Height of the plank's top surface at x with the plank at full tilt that way
+function tippedSurface(config, x) {
+  const { length, thickness } = config.beam;
+  return config.pivotHeight + thickness / 2 - Math.tan(config.maxTilt) * Math.min(Math.abs(x), length / 2);
+}
+
+// Height of the plank's top surface at x as it lies now; past the ends it is
+// taken as level with the end
+function beamSurface(config, beam, x) {
+  const q = beam.body.quaternion;
+  const tilt = 2 * Math.atan2(q.z, q.w);
+  const half = config.beam.length / 2;
+  return config.pivotHeight + config.beam.thickness / 2 + Math.max(-half, Math.min(half, x)) * Math.tan(tilt);
+}
+
+// Fulcrum and end stops as static descriptors; the plank itself is dynamic
+export function addBalanceStand(world, config) {
+  const { length, thickness, width } = config.beam;
+  const fulcrumTop = config.pivotHeight - thickness / 2 - 0.05;
+  const statics = [addStaticBox(world, { x: 0.3, y: fulcrumTop, z: width }, { x: 0, y: fulcrumTop / 2, z: 0 }, 'bar')];
+  const stopX = length / 2 - 0.4;
+  const stopTop = tippedSurface(config, stopX) - thickness;
+  for (const side of [-1, 1]) {
+    statics.push(addStaticBox(world, { x: 0.3, y: stopTop, z: width }, { x: side * stopX, y: stopTop / 2, z: 0 }, 'bar'));
+  }
+  return statics;
+}
+
+// The plank, hinged about the Z axis through its centre
+export function createBeam(world, config) {
+  const { length, thickness, width, mass } = config.beam;
+  const pivot = new CANNON.Body({ mass: 0, type: CANNON.Body.STATIC, position: new CANNON.Vec3(0, config.pivotHeight, 0) });
+  const body = new CANNON.Body({
+    mass,
+    shape: new CANNON.Box(new CANNON.Vec3(length / 2, thickness / 2, width / 2)),
+    position: new CANNON.Vec3(0, config.pivotHeight, 0),
+    // Prizes and the ram treat the plank like the rest of the cabinet
+    collisionFilterGroup: GROUP.STATIC,
+    angularDamping: 0.6,
+  });
+  world.addBody(pivot);
+  world.addBody(body);
+  world.addConstraint(new CANNON.HingeConstraint(pivot, body, {
+    pivotA: new CANNON.Vec3(),
+    axisA: new CANNON.Vec3(0, 0, 1),
+    pivotB: new CANNON.Vec3(),
+    axisB: new CANNON.Vec3(0, 0, 1),
+  }));
+  return { body, size: { x: length, y: thickness, z: width } };
+}
+
+// Set the prizes out in mirrored pairs so the plank starts close to level
+export function addBalancePrizes(machine, config, random) {
+  const size = config.prizeSize;
+  const shape = new CANNON.Box(new CANNON.Vec3(size.x / 2, size.y / 2, size.z / 2));
+  const y = config.pivotHeight + config.beam.thickness / 2 + size.y / 2 + 0.01;
+  for (let i = 0; i < config.prizes; i++) {
+    const pair = Math.floor(i / 2);
+    const side = i % 2 ? 1 : -1;
+    const x = side * (0.9 + pair * 1.4 + random() * 0.3);
+    const prize = addPrize(machine, 'box', shape, config.prizeMass, { x, y, z: (random() - 0.5) * 0.3 });
+    prize.size = size;
+  }
+}
+
+export function createRam(world, config) {
+  const half = config.ram.size / 2;
+  const body = new CANNON.Body({
+    mass: 0,
+    type: CANNON.Body.KINEMATIC,
+    shape: new CANNON.Box(new CANNON.Vec3(half, half, half)),
+    collisionFilterGroup: GROUP.CLAW,
+    collisionFilterMask: GROUP.PRIZE,
+  });
+  body.position.set(0, config.ram.homeHeight, config.beam.width / 2 + 0.5);
+  world.addBody(body);
+  // `held` counts the seconds the press that took the last lower has been
+  // held, or is null once the ram is on its way up
+  return { body, size: config.ram.size, lowers: config.lowers, held: null };
+}
+
+// Distance from the ram's underside down to the nearest prize, sampled at its
+// centre and corners
+const rayResult = new CANNON.RaycastResult();
+function prizeClearance(machine, ram) {
+  const half = ram.size / 2;
+  const pos = ram.body.position;
+  let nearest = Infinity;
+  for (const [dx, dz] of [[0, 0], [-1, -1], [-1, 1], [1, -1], [1, 1]]) {
+    const from = new CANNON.Vec3(pos.x + dx * half * 0.9, pos.y - half, pos.z + dz * half * 0.9);
+    const to = new CANNON.Vec3(from.x, 0, from.z);
+    rayResult.reset();
+    machine.world.raycastClosest(from, to, { collisionFilterMask: GROUP.PRIZE, skipBackfaces: true }, rayResult);
+    if (rayResult.hasHit) nearest = Math.min(nearest, rayResult.distance);
+  }
+  return nearest;
+}
+
+// Steer the ram and lower it while the button is held, if the press had a
+// lower left and for no longer than the hold time; call before stepping the
+// world
+export function updateBalance(machine, input, dt) {
+  const { config, ram } = machine.balance;
+  const { moveSpeed, shoveSpeed, descendSpeed, raiseSpeed, homeHeight, holdTime } = config.ram;
+  const pos = ram.body.position;
+  if (input.action && !machine.prevAction && ram.lowers > 0) {
+    ram.lowers--;
+    ram.held = 0;
+    emit('ram-lowered', ram);
+  } else if (ram.held !== null) {
+    ram.held += dt;
+  }
+  if (!input.action || ram.held >= holdTime) ram.held = null;
+  const limitX = config.beam.length / 2 + 0.5;
+  const limitZ = config.beam.width / 2 + 0.6;
+  const speed = pos.y < homeHeight ? shoveSpeed : moveSpeed;
+  const x = Math.max(-limitX, Math.min(limitX, pos.x + input.moveX * speed * dt));
+  const z = Math.max(-limitZ, Math.min(limitZ, pos.z + input.moveZ * speed * dt));
+  let y = pos.y;
+  if (ram.held !== null) {
+    const step = Math.min(descendSpeed * dt, prizeClearance(machine, ram) - RAM_CLEARANCE);
+    y -= Math.max(0, step);
+  } else {
+    y = Math.min(homeHeight, y + raiseSpeed * dt);
+  }
+  // Ride up over the plank as it tips beneath the ram
+  y = Math.max(y, beamSurface(config, machine.balance.beam, x) + ram.size / 2 + RAM_CLEARANCE);
+  ram.body.velocity.set((x - pos.x) / dt, (y - pos.y) / dt, (z - pos.z) / dt);
+}
+
+// Prizes that reached the ground: off an end is a win, off the front or back
+// is lost. Returns the prizes won this tick.
+export function checkBalanceDrops(machine) {
+  const config = machine.balance.config;
+  const won = [];
+  for (const prize of [...machine.prizes]) {
+    const pos = prize.body.position;
+    if (pos.y > config.prizeSize.y) continue;
+    removePrize(machine, prize);
+    if (Math.abs(pos.x) > config.beam.length / 2 && Math.abs(pos.z) < config.beam.width / 2 + 0.5) {
+      won.push(prize);
+    } else {
+      prize.lost = true;
+      machine.lost.push(prize);
+      emit('prize-lost', prize);
+    }
+  }
+  return won;
+}
+
+registerMachine('balance', {
+  label: 'Balance Beam',
+  cost: 200,
+  prompt: (machine, keys) => `Balance Beam: ${keys.move} to move the ram, hold ${keys.grab} to lower it (${machine.balance.ram.lowers} lowers per play). Tip the beam and shove prizes off either end into the chutes; prizes pushed off the front or back are lost. ${keys.back} to quit.`,
+  spawn(machine, { random }) {
+    machine.world.defaultContactMaterial.friction = BALANCE_BEAM.friction;
+    machine.statics = addBalanceStand(machine.world, BALANCE_BEAM);
+    machine.balance = { config: BALANCE_BEAM, beam: createBeam(machine.world, BALANCE_BEAM), ram: createRam(machine.world, BALANCE_BEAM) };
+    addBalancePrizes(machine, BALANCE_BEAM, random);
+  },
+  update: updateBalance,
+  checkWins: checkBalanceDrops,
+  finished(machine) {
+    const { config, ram } = machine.balance;
+    const rested = ram.held === null && ram.body.position.y >= config.ram.homeHeight;
+    return rested && (ram.lowers === 0 || machine.prizes.length === 0);
+  },
+});
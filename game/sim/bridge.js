@@ -0,0 +1,191 @@
+/*
+ * Bridge-style (bar drop) machine: prize boxes lie across two parallel bars
+ * along X. The player steers a pusher arm over the bars, aims it and holds the
+ * button to charge a push; releasing drives the arm forward into whatever is
+ * in front of it. A box is won when it drops through the gap between the
+ * bars and lost when it falls off anywhere else.
+ *
+ * The arm cycles aim -> charge -> strike -> retract -> aim, and stops at done
+ * once the play's pushes are used up. It is a kinematic body that only
+ * collides during the strike, so it can be moved over boxes.
+ */
+
+import * as CANNON from 'cannon-es';
+import { FIXED_DT, GROUP, addStaticBox } from './world.js';
+import { addPrize, removePrize } from './prizes.js';
+import { registerMachine } from './registry.js';
+import { emit } from '../events.js';
+import { BRIDGE, ARCADE_BRIDGES } from '../data/machines.js';
+
+const ARM_HALF = new CANNON.Vec3(0.12, 0.12, 0.5);
+// How far the arm may stray from the bars across Z
+const ARM_REACH = 1.5;
+
+// Bridge tuning for an arcade: the defaults with its overrides on top
+export function bridgeConfig(arcade) {
+  return { ...BRIDGE, ...(arcade && ARCADE_BRIDGES[arcade.name]) };
+}
+
+// Centre line of each bar across Z
+function barCentres(config) {
+  const offset = config.barGap / 2 + config.barWidth / 2;
+  return [-offset, offset];
+}
+
+// Static bars, returned as static descriptors for the view
+export function addBridgeBars(world, config) {
+  const size = { x: config.barLength, y: config.barHeight, z: config.barWidth };
+  return barCentres(config).map((z) => addStaticBox(world, size, { x: 0, y: config.barY, z }, 'bar'));
+}
+
+// Lay the prize boxes across both bars, spread along their length with a
+// little seeded jitter and twist
+export function addBridgeBoxes(machine, config, random) {
+  const { boxSize, boxes } = config;
+  const shape = new CANNON.Box(new CANNON.Vec3(boxSize.x / 2, boxSize.y / 2, boxSize.z / 2));
+  const span = config.barLength - 2;
+  const y = config.barY + config.barHeight / 2 + boxSize.y / 2 + 0.02;
+  for (let i = 0; i < boxes; i++) {
+    const x = -span / 2 + (boxes > 1 ? (i / (boxes - 1)) * span : span / 2) + (random() - 0.5) * 0.4;
+    const prize = addPrize(machine, 'box', shape, config.boxMass, { x, y, z: (random() - 0.5) * 0.2 });
+    prize.body.quaternion.setFromEuler(0, (random() - 0.5) * 0.5, 0);
+    prize.size = boxSize;
+  }
+}
+
+// The pusher arm, parked at the front of the bars aiming straight back
+export function createPusher(world, config) {
+  const body = new CANNON.Body({
+    mass: 0,
+    type: CANNON.Body.KINEMATIC,
+    shape: new CANNON.Box(ARM_HALF),
+    collisionFilterGroup: GROUP.CLAW,
+    collisionFilterMask: GROUP.PRIZE,
+  });
+  body.collisionResponse = false;
+  world.addBody(body);
+  const pusher = {
+    body,
+    size: { x: ARM_HALF.x * 2, y: ARM_HALF.y * 2, z: ARM_HALF.z * 2 },
+    // Arm tip position and aim (radians from pushing straight back, -Z)
+    x: 0,
+    z: ARM_REACH,
+    y: config.barY + config.barHeight / 2 + config.boxSize.y / 2,
+    aim: 0,
+    state: 'aim',
+    // Pushes left this play
+    pushes: config.pushes,
+    // Charge 0..1 while the button is held
+    charge: 0,
+    travelled: 0,
+    speed: 0,
+  };
+  placePusher(pusher, 0, FIXED_DT);
+  return pusher;
+}
+
+// Unit vector the arm pushes along
+export function pushDirection(aim) {
+  return { x: Math.sin(aim), z: -Math.cos(aim) };
+}
+
+// Put the arm tip `advance` along the aim from its rest spot. During a strike
+// the kinematic body moves by velocity so the solver sees real motion.
+function placePusher(pusher, advance, dt) {
+  const dir = pushDirection(pusher.aim);
+  const tipX = pusher.x + dir.x * advance;
+  const tipZ = pusher.z + dir.z * advance;
+  const body = pusher.body;
+  const targetX = tipX - dir.x * ARM_HALF.z;
+  const targetZ = tipZ - dir.z * ARM_HALF.z;
+  if (pusher.state === 'strike') {
+    body.velocity.set((targetX - body.position.x) / dt, 0, (targetZ - body.position.z) / dt);
+  } else {
+    // Not touching anything: place it directly
+    body.velocity.setZero();
+    body.position.set(targetX, pusher.y, targetZ);
+  }
+  body.quaternion.setFromEuler(0, -pusher.aim, 0);
+}
+
+// Drive the pusher from input for one tick; call before stepping the world
+export function updateBridge(machine, input, dt) {
+  const config = machine.bridge.config;
+  const pusher = machine.bridge.pusher;
+  const released = !input.action && machine.prevAction;
+  switch (pusher.state) {
+    case 'aim':
+    case 'charge': {
+      const limitX = config.barLength / 2;
+      pusher.x = Math.max(-limitX, Math.min(limitX, pusher.x + input.moveX * config.moveSpeed * dt));
+      pusher.z = Math.max(-ARM_REACH, Math.min(ARM_REACH, pusher.z + input.moveZ * config.moveSpeed * dt));
+      pusher.aim = Math.max(-config.maxAim, Math.min(config.maxAim, pusher.aim + (input.aim || 0) * config.aimSpeed * dt));
+      if (input.action) {
+        pusher.state = 'charge';
+        pusher.charge = Math.min(1, pusher.charge + dt / config.chargeTime);
+      } else if (released && pusher.state === 'charge') {
+        pusher.speed = config.minPushSpeed + (config.maxPushSpeed - config.minPushSpeed) * pusher.charge;
+        pusher.travelled = 0;
+        pusher.pushes--;
+        pusher.state = 'strike';
+        pusher.body.collisionResponse = true;
+        emit('bridge-push', { charge: pusher.charge, aim: pusher.aim, pushesLeft: pusher.pushes });
+      }
+      break;
+    }
+    case 'strike':
+      pusher.travelled = Math.min(config.stroke, pusher.travelled + pusher.speed * dt);
+      if (pusher.travelled >= config.stroke) {
+        pusher.state = 'retract';
+        pusher.body.collisionResponse = false;
+      }
+      break;
+    case 'retract':
+      pusher.travelled = Math.max(0, pusher.travelled - config.retractSpeed * dt);
+      if (pusher.travelled === 0) {
+        pusher.state = pusher.pushes > 0 ? 'aim' : 'done';
+        pusher.charge = 0;
+      }
+      break;
+    default:
+      break;
+  }
+  placePusher(pusher, pusher.travelled, dt);
+}
+
+// Boxes below the bars: through the gap is a win, anywhere else is lost.
+// Returns the prizes won this tick.
+export function checkBridgeDrops(machine) {
+  const config = machine.bridge.config;
+  const won = [];
+  const below = config.barY - config.boxSize.y;
+  for (const prize of [...machine.prizes]) {
+    const pos = prize.body.position;
+    if (pos.y >= below) continue;
+    removePrize(machine, prize);
+    const inGap = Math.abs(pos.z) < config.barGap / 2 && Math.abs(pos.x) < config.barLength / 2;
+    if (inGap) {
+      won.push(prize);
+    } else {
+      prize.lost = true;
+      machine.lost.push(prize);
+      emit('prize-lost', prize);
+    }
+  }
+  return won;
+}
+
+registerMachine('bridge', {
+  label: 'Bridge',
+  cost: 200,
+  prompt: (machine, keys) => `Bridge Machine: ${keys.move} to move the pusher, ${keys.aim} to aim, hold ${keys.grab} to charge and release to push (${machine.bridge.pusher.pushes} pushes per play). Drop boxes through the gap between the bars; boxes that fall off are lost. ${keys.back} to quit.`,
+  spawn(machine, { random }) {
+    const config = bridgeConfig(machine.arcade);
+    machine.statics = addBridgeBars(machine.world, config);
+    machine.bridge = { config, pusher: createPusher(machine.world, config) };
+    addBridgeBoxes(machine, config, random);
+  },
+  update: updateBridge,
+  checkWins: checkBridgeDrops,
+  finished: (machine) => machine.bridge.pusher.state === 'done',
+});
@@ -0,0 +1,343 @@
+/*
+ * Café simulation
+ *
+ * Gals from the roster are assigned to the roles in data/cafe.js and the café
+ * runs in business days. Customers arrive at random, wait for a seat, have
+ * their order taken by a waitress, wait for the kitchen, are served, eat and
+ * pay: the bill for their order plus a tip that grows with how well the visit
+ * went. Customers who wait longer than their patience walk out without
+ * paying. Uka fills in for an empty waitress or kitchen role at low skill, so
+ * the café always opens. Idols' Para-Para shows build hype, which brings in
+ * more customers and VIPs and fades a little each day. How busy a day gets
+ * also depends on the in-game hour it opens: lunch and evening rushes bring
+ * more customers than the small hours.
+ *
+ * Staff assignments live in state.cafe (persisted); a day in progress is a
+ * separate object that is never saved. Randomness comes from the 'customers'
+ * stream of the day's seed, so a day with the same staff, décor and seed
+ * plays out the same.
+ */
+
+import { emit } from '../events.js';
+import { createRng } from './rng.js';
+import { earnYen } from './economy.js';
+import { decorBuffs } from './decor.js';
+import { gameTime, clockMinutes } from './clock.js';
+import { gainXp, shiftXp, showXp } from './progression.js';
+import {
+  CAFE_TICK, DAY_LENGTH, STAT_SCALE, CAFE_ROLES, CLASS_BONUSES, CAFE_FLOOR,
+  CUSTOMER_TYPES, VIP_CHANCE, HYPE, CAFE_RUSH, MENU, EAT_TIME,
+} from '../data/cafe.js';
+
+// Skill Uka works at when she has to cover a role herself
+const UKA_SKILL = 0.2;
+// Seconds a waitress spends taking an order or serving a dish at skill 0
+const ORDER_TIME = 6;
+const SERVE_TIME = 4;
+// Customers still inside this long after closing leave unserved
+const CLOSING_GRACE = 60;
+
+export function createCafeState() {
+  return { staff: [], day: 1, lastReport: null, hype: 0 };
+}
+
+function findGal(state, galId) {
+  return state.inventory.find((g) => g.id === galId) || null;
+}
+
+// Gals assigned to a role, skipping any no longer in the roster
+export function staffFor(state, role) {
+  return state.cafe.staff.filter((s) => s.role === role).map((s) => findGal(state, s.galId)).filter(Boolean);
+}
+
+export function roleOf(state, galId) {
+  const assignment = state.cafe.staff.find((s) => s.galId === galId);
+  return assignment ? assignment.role : null;
+}
+
+// Put a gal in a role, or take her off the floor with role null. Returns
+// false if the role is full.
+export function assignRole(state, galId, role) {
+  if (role && !CAFE_ROLES[role]) throw new Error(`Unknown café role: ${role}`);
+  if (role && roleOf(state, galId) !== role && staffFor(state, role).length >= CAFE_ROLES[role].slots) return false;
+  state.cafe.staff = state.cafe.staff.filter((s) => s.galId !== galId);
+  if (role) state.cafe.staff.push({ galId, role });
+  emit('staff-changed', { galId, role });
+  return true;
+}
+
+// How good a gal is at a role, 0 to about 1.5
+export function roleSkill(gal, role) {
+  const bonus = CLASS_BONUSES[gal.class];
+  const classSkill = bonus && bonus.role === role ? bonus.skill || 0 : 0;
+  return gal.stats[CAFE_ROLES[role].stat] / STAT_SCALE + classSkill;
+}
+
+// The Idol who headlines a Para-Para show: the café's performer if she is
+// one, otherwise the roster's best Idol on stage. Null without any Idols.
+export function showStar(state) {
+  const performer = staffFor(state, 'performer').find((g) => g.class === 'Idol');
+  if (performer) return performer;
+  const idols = state.inventory.filter((g) => g.class === 'Idol');
+  return idols.reduce((best, g) => (!best || g.stats.performance > best.stats.performance ? g : best), null);
+}
+
+// Add the hype from a finished show (a showResult from sim/rhythm.js) and
+// give its star her XP. Returns the hype gained.
+export function raiseHype(state, gal, result) {
+  const gain = HYPE.perShow * result.accuracy * Math.min(1, gal.stats.performance / STAT_SCALE);
+  gainXp(gal, showXp(result));
+  const before = state.cafe.hype;
+  state.cafe.hype = Math.min(HYPE.max, before + gain);
+  emit('hype-raised', { gal, result, gain: state.cafe.hype - before, hype: state.cafe.hype });
+  return state.cafe.hype - before;
+}
+
+// Class bonus of a gal if it applies in her role
+function classBonus(gal, role, key) {
+  const bonus = CLASS_BONUSES[gal.class];
+  return bonus && bonus.role === role ? bonus[key] || 0 : 0;
+}
+
+function worker(gal, role) {
+  return { gal, role, skill: gal ? roleSkill(gal, role) : UKA_SKILL, task: null, served: 0 };
+}
+
+function pickWeighted(entries, random) {
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  let roll = random() * total;
+  for (const [value, weight] of entries) {
+    roll -= weight;
+    if (roll < 0) return value;
+  }
+  return entries[entries.length - 1][0];
+}
+
+// Arrival rate multiplier for a day opening at a fractional in-game hour
+export function cafeRush(hour) {
+  const rush = CAFE_RUSH.find((r) => hour >= r.from && hour < r.to);
+  return rush ? rush.rate : 1;
+}
+
+// Open the café for a day with the current staff and décor, at the current
+// in-game time
+export function startCafeDay(state, seed) {
+  const rng = createRng(seed);
+  const buffs = decorBuffs(state);
+  const waitresses = staffFor(state, 'waitress').map((g) => worker(g, 'waitress'));
+  const cooks = staffFor(state, 'kitchen').map((g) => worker(g, 'kitchen'));
+  const performers = staffFor(state, 'performer').map((g) => worker(g, 'performer'));
+  // Shows draw customers and lift the mood for everyone
+  let draw = state.cafe.hype;
+  let vipChance = VIP_CHANCE + state.cafe.hype * HYPE.vipChance;
+  let mood = buffs.satisfaction || 0;
+  for (const p of performers) {
+    draw += p.skill * (0.5 + classBonus(p.gal, 'performer', 'draw'));
+    vipChance += p.skill * classBonus(p.gal, 'performer', 'vipChance');
+    mood += p.skill * 0.1 + classBonus(p.gal, 'performer', 'satisfaction');
+  }
+  const day = {
+    number: state.cafe.day,
+    seed,
+    random: rng.stream('customers'),
+    time: 0,
+    accumulator: 0,
+    open: true,
+    waitresses: waitresses.length > 0 ? waitresses : [worker(null, 'waitress')],
+    cooks: cooks.length > 0 ? cooks : [worker(null, 'kitchen')],
+    performers,
+    arrivalRate: ((1 + draw + (buffs.customerRate || 0)) * cafeRush(gameTime(state).hour)) / CAFE_FLOOR.arrivalInterval,
+    vipChance,
+    mood,
+    tipBonus: buffs.tipRate || 0,
+    customers: [],
+    nextCustomerId: 1,
+    nextArrival: 0,
+    report: { day: state.cafe.day, opened: clockMinutes(state), hype: state.cafe.hype, served: 0, walkouts: 0, vips: 0, sales: 0, tips: 0, satisfaction: 0 },
+  };
+  day.nextArrival = nextArrivalTime(day);
+  emit('cafe-opened', day);
+  return day;
+}
+
+function nextArrivalTime(day) {
+  return day.time - Math.log(1 - day.random()) / day.arrivalRate;
+}
+
+function freeSeat(day) {
+  const taken = new Set(day.customers.map((c) => c.seat).filter((s) => s !== null));
+  const index = CAFE_FLOOR.seats.findIndex((seat, i) => !taken.has(i));
+  return index === -1 ? null : index;
+}
+
+function arrive(day) {
+  const vip = day.random() < day.vipChance;
+  const type = vip ? 'VIP' : pickWeighted(Object.entries(CUSTOMER_TYPES).map(([name, t]) => [name, t.weight]), day.random);
+  const customer = {
+    id: day.nextCustomerId++,
+    type,
+    order: MENU[Math.floor(day.random() * MENU.length)],
+    // queue → seated → ordered → ready → eating → gone
+    state: 'queue',
+    seat: null,
+    waited: 0,
+    cooked: 0,
+    eaten: 0,
+    server: null,
+  };
+  day.customers.push(customer);
+  if (vip) day.report.vips++;
+  emit('customer-arrived', customer);
+}
+
+function leave(day, customer, paid) {
+  customer.state = 'gone';
+  day.customers.splice(day.customers.indexOf(customer), 1);
+  if (paid) {
+    const type = CUSTOMER_TYPES[customer.type];
+    const server = customer.server;
+    const patience = type.patience;
+    // How the visit went, 0-1: the server's skill and the café's mood, less
+    // the time spent waiting
+    const satisfaction = Math.max(0, Math.min(1, 0.4 + server.skill * 0.3 + day.mood - (customer.waited / patience) * 0.4));
+    const bill = Math.round(customer.order.price * type.spend);
+    const tipRate = type.tips + day.tipBonus + (server.gal ? classBonus(server.gal, 'waitress', 'tipRate') * server.skill : 0);
+    const tip = Math.round(bill * tipRate * satisfaction * 2);
+    customer.satisfaction = satisfaction;
+    customer.paid = bill + tip;
+    server.served++;
+    day.report.served++;
+    day.report.sales += bill;
+    day.report.tips += tip;
+    day.report.satisfaction += satisfaction;
+  } else {
+    day.report.walkouts++;
+  }
+  emit('customer-left', { customer, paid });
+}
+
+// Give each idle waitress the most urgent job: serving ready dishes first,
+// then taking orders
+function assignWaitresses(day) {
+  for (const waitress of day.waitresses) {
+    if (waitress.task) continue;
+    const ready = day.customers.find((c) => c.state === 'ready' && !c.busy);
+    const seated = day.customers.find((c) => c.state === 'seated' && !c.busy);
+    const customer = ready || seated;
+    if (!customer) continue;
+    customer.busy = true;
+    const base = ready ? SERVE_TIME : ORDER_TIME;
+    waitress.task = { customer, remaining: base / (0.5 + waitress.skill) };
+  }
+}
+
+function stepWaitresses(day) {
+  for (const waitress of day.waitresses) {
+    const task = waitress.task;
+    if (!task) continue;
+    task.remaining -= CAFE_TICK;
+    if (task.remaining > 0) continue;
+    const customer = task.customer;
+    waitress.task = null;
+    customer.busy = false;
+    if (customer.state === 'gone') continue;
+    if (customer.state === 'seated') {
+      customer.state = 'ordered';
+    } else if (customer.state === 'ready') {
+      customer.state = 'eating';
+      customer.server = waitress;
+      emit('customer-served', customer);
+    }
+  }
+}
+
+// Each cook works on the oldest order nobody else is cooking
+function stepKitchen(day) {
+  for (const cook of day.cooks) {
+    if (cook.task && cook.task.customer.state !== 'ordered') cook.task = null;
+    if (!cook.task) {
+      const customer = day.customers.find((c) => c.state === 'ordered' && !day.cooks.some((k) => k.task && k.task.customer === c));
+      if (!customer) continue;
+      cook.task = { customer };
+    }
+    const customer = cook.task.customer;
+    customer.cooked += CAFE_TICK * (0.5 + cook.skill);
+    if (customer.cooked >= customer.order.cook) {
+      customer.state = 'ready';
+      cook.served++;
+      cook.task = null;
+    }
+  }
+}
+
+// One café tick
+export function stepCafe(day) {
+  day.time += CAFE_TICK;
+  if (day.open && day.time >= DAY_LENGTH) {
+    day.open = false;
+    emit('cafe-closing', day);
+  }
+  while (day.open && day.time >= day.nextArrival) {
+    arrive(day);
+    day.nextArrival = nextArrivalTime(day);
+  }
+  for (const customer of [...day.customers]) {
+    if (customer.state === 'queue') {
+      const seat = freeSeat(day);
+      if (seat !== null) {
+        customer.seat = seat;
+        customer.state = 'seated';
+      }
+    }
+    if (customer.state === 'eating') {
+      customer.eaten += CAFE_TICK;
+      if (customer.eaten >= EAT_TIME) leave(day, customer, true);
+      continue;
+    }
+    customer.waited += CAFE_TICK;
+    if (customer.waited > CUSTOMER_TYPES[customer.type].patience) leave(day, customer, false);
+  }
+  stepWaitresses(day);
+  stepKitchen(day);
+  assignWaitresses(day);
+  // Whoever is still waiting at the end of the grace period goes home
+  if (!day.open && day.time >= DAY_LENGTH + CLOSING_GRACE) {
+    for (const customer of [...day.customers]) leave(day, customer, false);
+  }
+}
+
+// Whether the day is over: closed and everyone gone
+export function isCafeDayOver(day) {
+  return !day.open && day.customers.length === 0;
+}
+
+// Advance by a variable frame time in fixed ticks. Returns whether the day
+// is over.
+export function advanceCafe(day, dt) {
+  day.accumulator += dt;
+  while (day.accumulator >= CAFE_TICK && !isCafeDayOver(day)) {
+    stepCafe(day);
+    day.accumulator -= CAFE_TICK;
+  }
+  return isCafeDayOver(day);
+}
+
+// Close the books: pay the day's takings and keep the report. Returns it.
+export function endCafeDay(state, day) {
+  const report = day.report;
+  report.income = report.sales + report.tips;
+  report.satisfaction = report.served > 0 ? report.satisfaction / report.served : 0;
+  // Staff of the day, by customers served or dishes cooked, and the XP the
+  // gals earned for the shift
+  report.staff = [...day.waitresses, ...day.cooks, ...day.performers].map((w) => {
+    const xp = w.gal ? shiftXp(w.served) : 0;
+    const levels = w.gal ? gainXp(w.gal, xp) : 0;
+    return { name: w.gal ? w.gal.name : 'Uka', role: w.role, served: w.served, xp, levels };
+  });
+  earnYen(state, report.income, 'cafe', `Day ${report.day}`);
+  state.cafe.hype *= HYPE.carryOver;
+  state.cafe.lastReport = report;
+  state.cafe.day++;
+  emit('cafe-day-ended', report);
+  return report;
+}
@@ -0,0 +1,100 @@
+/*
+ * Capsules
+ *
+ * In the machine a capsule is a rigid sphere whose seam lies across its local
+ * Y axis. The prongs only hold one when they close near its centre with the
+ * seam roughly level, where the tips can catch the lip; otherwise they slip
+ * and knock it rolling into its neighbours. Won capsules go into the player's
+ * stash unopened and reveal their gal when opened in the café.
+ */
+
+import * as CANNON from 'cannon-es';
+import { acquireGal } from './gals.js';
+import { addGirlToInventory } from './economy.js';
+import { emit } from '../events.js';
+
+// Chance that closed prongs hold `prize`: 1 dead centre with the seam level,
+// falling to 0 at `alignment.tolerance` capsule radii off centre. A capsule
+// lying on its side keeps `alignment.tiltFactor` of that.
+export function capsuleGripChance(claw, prize) {
+  const { tolerance, tiltFactor } = claw.config.alignment;
+  const head = claw.head.position;
+  const pos = prize.body.position;
+  const offset = Math.hypot(pos.x - head.x, pos.z - head.z) / prize.radius;
+  const centred = Math.max(0, 1 - offset / tolerance);
+  const axis = prize.body.quaternion.vmult(new CANNON.Vec3(0, 1, 0));
+  const level = Math.abs(axis.y);
+  return centred * (tiltFactor + (1 - tiltFactor) * level);
+}
+
+// Capsule the prongs closed around, if any
+function capsuleInClaw(machine, claw) {
+  const head = claw.head.position;
+  let found = null;
+  let nearest = Infinity;
+  for (const prize of machine.prizes) {
+    if (prize.kind !== 'capsule') continue;
+    const pos = prize.body.position;
+    if (pos.y > head.y || pos.y < head.y - claw.config.prongLength - prize.radius) continue;
+    const d = Math.hypot(pos.x - head.x, pos.z - head.z);
+    if (d < claw.config.prongSpread + prize.radius && d < nearest) {
+      found = prize;
+      nearest = d;
+    }
+  }
+  return found;
+}
+
+// Roll whether the closed claw holds its capsule. On a miss the capsule is
+// shoved away from the claw with some spin. Returns true when the prongs
+// should go slack.
+export function checkCapsuleGrip(machine, claw, random) {
+  const prize = capsuleInClaw(machine, claw);
+  if (!prize) return false;
+  const chance = capsuleGripChance(claw, prize);
+  const held = random() < chance;
+  emit('capsule-grip', { prize, chance, held });
+  if (held) return false;
+  knockCapsule(prize, claw, random);
+  return true;
+}
+
+function knockCapsule(prize, claw, random) {
+  const head = claw.head.position;
+  const pos = prize.body.position;
+  let dx = pos.x - head.x;
+  let dz = pos.z - head.z;
+  const length = Math.hypot(dx, dz);
+  if (length < 1e-3) {
+    // Dead centre but still slipped: pick a seeded direction
+    const angle = random() * Math.PI * 2;
+    dx = Math.cos(angle);
+    dz = Math.sin(angle);
+  } else {
+    dx /= length;
+    dz /= length;
+  }
+  const strength = claw.config.alignment.knock * prize.body.mass;
+  prize.body.applyImpulse(new CANNON.Vec3(dx * strength, strength * 0.3, dz * strength));
+  // Spin about the axis that rolls it the way it was shoved
+  prize.body.angularVelocity.set(dz * strength * 2, 0, -dx * strength * 2);
+}
+
+// Put a won capsule in the stash without revealing it
+export function stashCapsule(state, prize, { arcade = null, machine = null, date = new Date().toISOString() } = {}) {
+  const capsule = { gal: prize.gal, hue: prize.hue, acquired: { arcade, machine, date } };
+  state.capsules.push(capsule);
+  emit('capsule-stashed', capsule);
+  return capsule;
+}
+
+// Open the oldest stashed capsule and add its gal to the collection. Returns
+// the gal, or null when the stash is empty.
+export function openCapsule(state) {
+  const capsule = state.capsules.shift();
+  if (!capsule) return null;
+  const gal = acquireGal(state, capsule.gal, capsule.acquired);
+  addGirlToInventory(state, gal);
+  emit('capsule-opened', gal);
+  return gal;
+}
@@ -0,0 +1,287 @@
+/*
+ * Physically simulated claw
+ *
+ * The claw is a kinematic head with dynamic prongs hung from hinge
+ * constraints. Hinge motors act as servos that swing the prongs between their
+ * open and closed angles; the motor force limit is the grip strength, so a
+ * prize is only held as firmly as the prongs can squeeze it. One play is a
+ * single button-triggered cycle:
+ *
+ *   idle -> descend -> close -> raise -> return -> settle -> open -> done
+ *
+ * Whether the grip stays strong after the lift or drops to the weak setting
+ * is the operator's payout, decided per play before the machine is built
+ * (see startPayoutPlay in clawmachines.js). When `livePrizes` is set the
+ * held gal wriggles and may escape (see escape.js). With `config.alignment`
+ * the prongs only hold a capsule they closed on squarely (see capsules.js).
+ * State is plain data on the claw object; a view only has to mirror `head`
+ * and `prongs`.
+ */
+
+import * as CANNON from 'cannon-es';
+import { GROUP } from './world.js';
+import { updateEscape, resetEscape } from './escape.js';
+import { removePrize } from './prizes.js';
+import { checkCapsuleGrip } from './capsules.js';
+import { emit } from '../events.js';
+
+const HEAD_HALF = new CANNON.Vec3(0.5, 0.25, 0.5);
+const PRONG_HALF_WIDTH = 0.08;
+const PRONG_HALF_DEPTH = 0.18;
+const PRONG_MASS = 0.3;
+// Servo tuning: rad/s per radian of error, capped
+const SERVO_GAIN = 8;
+const SERVO_MAX_SPEED = 4;
+// How long the prongs go slack after a gal wriggles free or a capsule slips
+const ESCAPE_SLACK_TIME = 0.6;
+// Keep the claw this far inside the pit walls
+const WALL_MARGIN = 1;
+// Pause above the chute so a swinging prize drops straight in
+const SETTLE_TIME = 0.5;
+
+// Build the claw above its home position (normally above the chute)
+export function createClaw(world, config, { home, pitSize, livePrizes = false, payout = false }) {
+  const head = new CANNON.Body({
+    mass: 0,
+    type: CANNON.Body.KINEMATIC,
+    shape: new CANNON.Box(HEAD_HALF),
+    collisionFilterGroup: GROUP.CLAW,
+    collisionFilterMask: GROUP.PRIZE,
+  });
+  head.position.set(home.x, config.homeHeight, home.z);
+  world.addBody(head);
+  const prongs = [];
+  const length = config.prongLength;
+  for (let i = 0; i < config.prongs; i++) {
+    const theta = (i / config.prongs) * Math.PI * 2;
+    const radial = new CANNON.Vec3(Math.cos(theta), 0, Math.sin(theta));
+    const tangent = new CANNON.Vec3(-Math.sin(theta), 0, Math.cos(theta));
+    const pivot = new CANNON.Vec3(radial.x * config.prongSpread, -HEAD_HALF.y, radial.z * config.prongSpread);
+    // Local X points outwards and local Z along the hinge axis; then swing open
+    const facing = new CANNON.Quaternion().setFromAxisAngle(new CANNON.Vec3(0, 1, 0), -theta);
+    const swing = new CANNON.Quaternion().setFromAxisAngle(tangent, config.openAngle);
+    const body = new CANNON.Body({
+      mass: PRONG_MASS,
+      shape: new CANNON.Box(new CANNON.Vec3(PRONG_HALF_WIDTH, length / 2, PRONG_HALF_DEPTH)),
+      collisionFilterGroup: GROUP.CLAW,
+      collisionFilterMask: GROUP.STATIC | GROUP.PRIZE,
+      angularDamping: 0.5,
+    });
+    body.quaternion = swing.mult(facing);
+    const offset = body.quaternion.vmult(new CANNON.Vec3(0, -length / 2, 0));
+    body.position.set(head.position.x + pivot.x + offset.x, head.position.y + pivot.y + offset.y, head.position.z + pivot.z + offset.z);
+    world.addBody(body);
+    const hinge = new CANNON.HingeConstraint(head, body, {
+      pivotA: pivot,
+      axisA: tangent,
+      pivotB: new CANNON.Vec3(0, length / 2, 0),
+      axisB: new CANNON.Vec3(0, 0, 1),
+      collideConnected: false,
+    });
+    hinge.enableMotor();
+    hinge.setMotorMaxForce(config.gripForce);
+    world.addConstraint(hinge);
+    prongs.push({ body, hinge, radial, size: { x: PRONG_HALF_WIDTH * 2, y: length, z: PRONG_HALF_DEPTH * 2 } });
+  }
+  return {
+    config,
+    head,
+    prongs,
+    home: { x: home.x, z: home.z },
+    limit: pitSize / 2 - WALL_MARGIN,
+    state: 'idle',
+    timer: 0,
+    targetAngle: config.openAngle,
+    gripForce: config.gripForce,
+    // Current grip relative to full strength (1 = gripForce)
+    grip: 1,
+    // Whether this play keeps its full grip after the lift
+    payout,
+    grabbed: null,
+    livePrizes,
+    slackTimer: 0,
+  };
+}
+
+// Prong angle from hanging straight down, positive when the tip points out
+function prongAngle(claw, prong) {
+  const tip = prong.body.quaternion.vmult(new CANNON.Vec3(0, -1, 0));
+  return Math.atan2(tip.dot(prong.radial), -tip.y);
+}
+
+// Hinge motors chase the target angle with the current force limit
+function driveProngs(claw) {
+  const slack = claw.slackTimer > 0;
+  for (const prong of claw.prongs) {
+    const target = slack ? claw.config.openAngle : claw.targetAngle;
+    const error = target - prongAngle(claw, prong);
+    prong.hinge.setMotorSpeed(-Math.max(-SERVO_MAX_SPEED, Math.min(SERVO_MAX_SPEED, error * SERVO_GAIN)));
+    prong.hinge.setMotorMaxForce(slack ? 0.5 : claw.gripForce);
+  }
+}
+
+function setGripForce(claw, force) {
+  claw.gripForce = force;
+  claw.grip = force / claw.config.gripForce;
+}
+
+// Move the kinematic head towards a point this tick by setting its velocity,
+// so the solver sees real motion rather than a teleport
+function moveHead(claw, x, y, z, dt) {
+  const pos = claw.head.position;
+  claw.head.velocity.set((x - pos.x) / dt, (y - pos.y) / dt, (z - pos.z) / dt);
+}
+
+// Step towards (x, z) at `speed`; returns true once there
+function approach(claw, x, z, speed, dt) {
+  const dx = x - claw.head.position.x;
+  const dz = z - claw.head.position.z;
+  const dist = Math.hypot(dx, dz);
+  const step = speed * dt;
+  if (dist <= step) {
+    moveHead(claw, x, claw.head.position.y, z, dt);
+    return true;
+  }
+  moveHead(claw, claw.head.position.x + (dx / dist) * step, claw.head.position.y, claw.head.position.z + (dz / dist) * step, dt);
+  return false;
+}
+
+// Distance from the head's underside to whatever is below its centre
+function clearanceBelow(machine, claw) {
+  const from = new CANNON.Vec3(claw.head.position.x, claw.head.position.y - HEAD_HALF.y, claw.head.position.z);
+  const to = new CANNON.Vec3(from.x, -1, from.z);
+  const result = new CANNON.RaycastResult();
+  machine.world.raycastClosest(from, to, { collisionFilterMask: GROUP.STATIC | GROUP.PRIZE, skipBackfaces: true }, result);
+  return result.hasHit ? result.distance : Infinity;
+}
+
+// Prize currently lifted inside the prongs, if any
+function findHeldPrize(machine, claw) {
+  const head = claw.head.position;
+  const reach = claw.config.prongSpread + 0.4;
+  for (const prize of machine.prizes) {
+    const pos = prize.body.position;
+    if (pos.y > head.y || pos.y < head.y - claw.config.prongLength - 0.6) continue;
+    if (Math.hypot(pos.x - head.x, pos.z - head.z) > reach) continue;
+    // Only count it once it is actually rising with the claw
+    if (claw.grabbed === prize || prize.body.velocity.y > claw.config.raiseSpeed * 0.5) return prize;
+  }
+  return null;
+}
+
+function setState(claw, state, timer = 0) {
+  claw.state = state;
+  claw.timer = timer;
+  emit('claw-state', claw);
+}
+
+// Advance the claw by one fixed tick
+export function updateClaw(machine, input, dt) {
+  const claw = machine.claw;
+  const config = claw.config;
+  const pressed = input.action && !machine.prevAction;
+  const head = claw.head.position;
+  claw.timer -= dt;
+  claw.slackTimer -= dt;
+  claw.head.velocity.setZero();
+  switch (claw.state) {
+    case 'idle': {
+      // Player positions the claw
+      const x = Math.max(-claw.limit, Math.min(claw.limit, head.x + input.moveX * config.moveSpeed * dt));
+      const z = Math.max(-claw.limit, Math.min(claw.limit, head.z + input.moveZ * config.moveSpeed * dt));
+      moveHead(claw, x, head.y, z, dt);
+      if (pressed) {
+        setGripForce(claw, config.gripForce);
+        setState(claw, 'descend');
+      }
+      break;
+    }
+    case 'descend': {
+      // Stop just above whatever is below, at the floor, or on a second press
+      const tipDepth = config.prongLength * Math.cos(config.openAngle);
+      const clearance = clearanceBelow(machine, claw);
+      const hitPrize = clearance < 0.15;
+      const hitFloor = head.y - HEAD_HALF.y - tipDepth < 0.1;
+      if (pressed || hitPrize || hitFloor) {
+        claw.targetAngle = config.closedAngle;
+        setState(claw, 'close', config.closeTime);
+      } else {
+        moveHead(claw, head.x, head.y - config.descendSpeed * dt, head.z, dt);
+      }
+      break;
+    }
+    case 'close':
+      if (claw.timer <= 0) {
+        if (config.alignment && checkCapsuleGrip(machine, claw, machine.rng.stream('play'))) {
+          claw.slackTimer = ESCAPE_SLACK_TIME;
+        }
+        setState(claw, 'raise');
+      }
+      break;
+    case 'raise':
+      if (head.y >= config.homeHeight) {
+        // Operator setting: most plays lose their grip at the top
+        if (!claw.payout) setGripForce(claw, config.weakGripForce);
+        setState(claw, 'return');
+      } else {
+        moveHead(claw, head.x, Math.min(config.homeHeight, head.y + config.raiseSpeed * dt), head.z, dt);
+      }
+      break;
+    case 'return':
+      if (approach(claw, claw.home.x, claw.home.z, config.moveSpeed, dt)) {
+        setState(claw, 'settle', SETTLE_TIME);
+      }
+      break;
+    case 'settle':
+      if (claw.timer <= 0) {
+        claw.targetAngle = config.openAngle;
+        setGripForce(claw, config.gripForce);
+        setState(claw, 'open', config.openTime);
+      }
+      break;
+    case 'open':
+      // The play is used up; the claw stays parked over the chute
+      if (claw.timer <= 0) setState(claw, 'done');
+      break;
+    default:
+      break;
+  }
+  updateHeldPrize(machine, claw, dt);
+  driveProngs(claw);
+}
+
+// Track the lifted prize and let a live gal fight the claw
+function updateHeldPrize(machine, claw, dt) {
+  const lifting = claw.state === 'raise' || claw.state === 'return' || claw.state === 'settle';
+  const held = lifting ? findHeldPrize(machine, claw) : null;
+  if (held !== claw.grabbed) {
+    if (claw.grabbed) resetEscape(claw.grabbed);
+    claw.grabbed = held;
+    if (held) emit('prize-grabbed', { prize: held, claw });
+  }
+  if (!held || !claw.livePrizes || !held.gal) return;
+  const escaped = updateEscape(held, claw.grip, machine.rng.stream('play'), dt);
+  if (held.wriggle) {
+    // Apply the wriggle as a real shove against the prongs
+    const mass = held.body.mass;
+    held.body.applyImpulse(new CANNON.Vec3(held.wriggle.x * mass, 0, held.wriggle.z * mass));
+    held.wriggle = null;
+  }
+  if (escaped) claw.slackTimer = ESCAPE_SLACK_TIME;
+}
+
+// Prizes that dropped through the chute hole. Returns the prizes removed from
+// the machine this tick.
+export function checkChute(machine) {
+  const chute = machine.chute;
+  const won = [];
+  for (let i = machine.prizes.length - 1; i >= 0; i--) {
+    const prize = machine.prizes[i];
+    const pos = prize.body.position;
+    if (pos.y < -1 && Math.abs(pos.x - chute.x) < chute.size && Math.abs(pos.z - chute.z) < chute.size) {
+      removePrize(machine, prize);
+      won.push(prize);
+    }
+  }
+  return won;
+}
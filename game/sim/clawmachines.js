@@ -0,0 +1,100 @@
+/*
+ * Claw machines: the girls and capsule pits. Both share the pit, chute and
+ * physical claw (see claw.js); they differ in what lies in the pit. The
+ * operator payout is banked across plays in state.payout, per machine type.
+ */
+
+import * as CANNON from 'cannon-es';
+import { addClawPit } from './world.js';
+import { createClaw, updateClaw, checkChute } from './claw.js';
+import { addPrize, addSoftPrize } from './prizes.js';
+import { SOFT_PARTICLES } from './softbody.js';
+import { registerMachine } from './registry.js';
+import { PIT, CLAW_MACHINES, SOFT_BODY } from '../data/machines.js';
+
+// Random spot in the middle of the pit, clear of the chute corner, dropped
+// from a little height
+function pitSpawnPosition(random) {
+  return { x: (random() - 0.5) * 10, y: 3 + random() * 2, z: -5 + random() * 8.5 };
+}
+
+// Decide whether the next play of `type` keeps its full grip. Every play adds
+// payoutRate to the type's bank and a strong play takes 1 out of it, so the
+// rate holds across plays. A new bank starts at an offset drawn from
+// `random` so the strong play is not always the same one. Machines other
+// than the claw machines never pay out this way.
+export function startPayoutPlay(state, type, random) {
+  const config = CLAW_MACHINES[type];
+  if (!config) return false;
+  const bank = (state.payout[type] ?? random() * config.payoutRate) + config.payoutRate;
+  const payout = bank >= 1;
+  state.payout[type] = payout ? bank - 1 : bank;
+  return payout;
+}
+
+// Pit, chute and claw shared by the claw machines
+function setupClawMachine(machine, type, livePrizes) {
+  machine.statics = addClawPit(machine.world, PIT);
+  machine.chute = PIT.chute;
+  machine.claw = createClaw(machine.world, CLAW_MACHINES[type], {
+    home: PIT.chute,
+    pitSize: PIT.size,
+    livePrizes,
+    payout: machine.payout,
+  });
+}
+
+function clawFinished(machine) {
+  return machine.claw.state === 'done';
+}
+
+// Girls as plush soft bodies while the particle budget lasts, then as rigid
+// sphere proxies
+function spawnGirls(machine, { random, softBodies }) {
+  setupClawMachine(machine, 'girls', true);
+  let particles = 0;
+  for (let i = 0; i < 8; i++) {
+    const position = pitSpawnPosition(random);
+    const soft = softBodies && particles + SOFT_PARTICLES <= SOFT_BODY.maxParticles;
+    const prize = soft
+      ? addSoftPrize(machine, 'girl', { radius: 0.6, mass: 0.5, stiffness: SOFT_BODY.stiffness, damping: SOFT_BODY.damping }, position)
+      : addPrize(machine, 'girl', new CANNON.Sphere(0.6), 0.5, position);
+    if (soft) particles += SOFT_PARTICLES;
+    prize.radius = 0.6;
+  }
+}
+
+// Capsules as rigid spheres dropped at random tilts. They roll freely, with a
+// little angular damping so they come to rest.
+function spawnCapsules(machine, { random }) {
+  setupClawMachine(machine, 'capsules', false);
+  for (let i = 0; i < 8; i++) {
+    const prize = addPrize(machine, 'capsule', new CANNON.Sphere(0.7), 0.7, pitSpawnPosition(random));
+    prize.body.quaternion.setFromEuler((random() - 0.5) * Math.PI, random() * Math.PI * 2, (random() - 0.5) * Math.PI);
+    prize.body.angularDamping = 0.3;
+    prize.radius = 0.7;
+  }
+}
+
+// Claw pits keep their floor plane below the chute to catch won prizes
+registerMachine('girls', {
+  label: 'Girls',
+  cost: 200,
+  floorY: -4,
+  prompt: (machine, keys) => `Girls Machine: use ${keys.move} to move, ${keys.grab} to drop the claw (again to close early). One drop per play. ${keys.back} to quit.`,
+  spawn: spawnGirls,
+  update: updateClaw,
+  checkWins: checkChute,
+  finished: clawFinished,
+});
+
+registerMachine('capsules', {
+  label: 'Capsules',
+  cost: 200,
+  floorY: -4,
+  prompt: (machine, keys) => `Capsule Machine: use ${keys.move} to move, ${keys.grab} to drop the claw (again to close early). One drop per play. ${keys.back} to quit.`,
+  spawn: spawnCapsules,
+  update: updateClaw,
+  checkWins: checkChute,
+  finished: clawFinished,
+});
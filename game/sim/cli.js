@@ -0,0 +1,32 @@
+/*
+ * Command line entry for headless simulation:
+ *
+ *   node game/sim/cli.js <girls|capsules|bridge|ringhook|pusher|ropecut|dropgoal|balance> [plays] [ticksPerPlay] [seed]
+ *
+ * Prints a JSON summary of prizes won and the ledger totals by source. Requires cannon-es to be resolvable
+ * from Node (npm install cannon-es).
+ */
+
+import { simulatePlays } from './headless.js';
+import { MACHINE_TYPES } from './machine.js';
+import { parseSeed, randomSeed } from './rng.js';
+import { ledgerSummary } from './economy.js';
+
+const [type = 'girls', plays = '100', ticks = '1800', seedText] = process.argv.slice(2);
+if (!MACHINE_TYPES.includes(type)) {
+  console.error(`Unknown machine type "${type}". Expected one of: ${MACHINE_TYPES.join(', ')}`);
+  process.exit(1);
+}
+const seed = parseSeed(seedText) ?? randomSeed();
+const result = simulatePlays(type, { plays: Number(plays), ticks: Number(ticks), seed });
+console.log(JSON.stringify({
+  type,
+  seed,
+  plays: result.plays,
+  unpaid: result.unpaid,
+  prizes: result.prizes,
+  byRarity: result.byRarity,
+  yen: result.state.yen,
+  ledger: ledgerSummary(result.state),
+  missionsCompleted: result.state.missions.filter((m) => m.status === 'complete').length,
+}, null, 2));
@@ -0,0 +1,93 @@
+/*
+ * In-game clock
+ *
+ * Game time is a count of in-game minutes since midnight before day 1, kept
+ * in state.clock so it survives a save. It only moves when advanceClock is
+ * called with real seconds, so headless runs drive it however they like.
+ * Everything that depends on the time of day (lighting, arcade schedules,
+ * café rushes, mission deadlines) reads it through these helpers.
+ */
+
+import { emit } from '../events.js';
+import { CLOCK, LIGHTING } from '../data/schedule.js';
+
+const MINUTES_PER_DAY = 24 * 60;
+
+export function createClock() {
+  return { minutes: ((CLOCK.start.day - 1) * 24 + CLOCK.start.hour) * 60 };
+}
+
+export function clockMinutes(state) {
+  return state.clock.minutes;
+}
+
+// Day, weekday and fractional hour of a game minute count
+export function timeAt(minutes) {
+  const day = Math.floor(minutes / MINUTES_PER_DAY) + 1;
+  return {
+    minutes,
+    day,
+    weekday: CLOCK.weekdays[(day - 1) % CLOCK.weekdays.length],
+    hour: (minutes % MINUTES_PER_DAY) / 60,
+  };
+}
+
+export function gameTime(state) {
+  return timeAt(state.clock.minutes);
+}
+
+// Run the clock on by `seconds` of real time. Emits 'hour-changed' and
+// 'day-changed' with the new time when it passes them.
+export function advanceClock(state, seconds) {
+  const before = timeAt(state.clock.minutes);
+  state.clock.minutes += seconds * CLOCK.minutesPerSecond;
+  const after = timeAt(state.clock.minutes);
+  if (Math.floor(after.hour) !== Math.floor(before.hour) || after.day !== before.day) emit('hour-changed', after);
+  if (after.day !== before.day) emit('day-changed', after);
+  return after;
+}
+
+// "Mon 14:05"
+export function formatClock(time) {
+  const whole = Math.floor(time.hour * 60);
+  return `${time.weekday} ${String(Math.floor(whole / 60)).padStart(2, '0')}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+// An hour of a schedule, which may run past midnight, as "02:00"
+export function formatHour(hour) {
+  const h = Math.floor(hour) % 24;
+  const m = Math.round((hour % 1) * 60);
+  return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+}
+
+// "3h 20m" or "45m" for a span of game minutes
+export function formatDuration(minutes) {
+  const whole = Math.max(0, Math.ceil(minutes));
+  const h = Math.floor(whole / 60);
+  return h > 0 ? `${h}h ${String(whole % 60).padStart(2, '0')}m` : `${whole}m`;
+}
+
+function mixColor(a, b, t) {
+  let out = 0;
+  for (const shift of [16, 8, 0]) {
+    const ca = (a >> shift) & 0xff;
+    const cb = (b >> shift) & 0xff;
+    out |= Math.round(ca + (cb - ca) * t) << shift;
+  }
+  return out;
+}
+
+// Overworld lighting at a fractional hour, blended between the keyframes in
+// data/schedule.js
+export function lightingAt(hour) {
+  const next = LIGHTING.findIndex((k) => k.hour > hour);
+  const b = LIGHTING[next === -1 ? LIGHTING.length - 1 : next];
+  const a = LIGHTING[Math.max(0, (next === -1 ? LIGHTING.length : next) - 1)];
+  const t = b.hour > a.hour ? (hour - a.hour) / (b.hour - a.hour) : 0;
+  return {
+    sky: mixColor(a.sky, b.sky, t),
+    sun: a.sun + (b.sun - a.sun) * t,
+    ambient: a.ambient + (b.ambient - a.ambient) * t,
+    lamps: a.lamps + (b.lamps - a.lamps) * t,
+  };
+}
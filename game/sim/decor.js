@@ -0,0 +1,113 @@
+/*
+ * Décor placement
+ *
+ * Owned décor lives in state.decor, one entry per item:
+ *
+ *   { id, item, placed, x, z, rotation }
+ *
+ * `item` names a DECOR_CATALOGUE entry. A placed item covers the grid cells
+ * from (x, z) to (x + w, z + d), where w × d is its footprint after
+ * `rotation` quarter turns; stored items keep their last spot but take no
+ * room and give no buffs. Placement never overlaps the walls, the reserved
+ * areas or another placed item.
+ */
+
+import { emit } from '../events.js';
+import { CAFE_GRID, DECOR_CATALOGUE } from '../data/decor.js';
+
+export function getDecorDef(item) {
+  const def = DECOR_CATALOGUE[item];
+  if (!def) throw new Error(`Unknown décor item: ${item}`);
+  return def;
+}
+
+export function ownsDecor(state, item) {
+  return state.decor.some((entry) => entry.item === item);
+}
+
+// Footprint in cells for a rotation
+export function footprint(item, rotation) {
+  const { w, d } = getDecorDef(item).footprint;
+  return rotation % 2 ? { w: d, d: w } : { w, d };
+}
+
+function overlaps(a, b) {
+  return a.x < b.x + b.w && b.x < a.x + a.w && a.z < b.z + b.d && b.z < a.z + a.d;
+}
+
+function cellsOf(entry) {
+  return { x: entry.x, z: entry.z, ...footprint(entry.item, entry.rotation) };
+}
+
+// Whether `entry` fits at (x, z) turned `rotation` times; it is ignored
+// itself when checking other items
+export function canPlace(state, entry, x, z, rotation) {
+  const rect = { x, z, ...footprint(entry.item, rotation) };
+  if (rect.x < CAFE_GRID.min || rect.z < CAFE_GRID.min) return false;
+  if (rect.x + rect.w > CAFE_GRID.max || rect.z + rect.d > CAFE_GRID.max) return false;
+  if (CAFE_GRID.reserved.some((area) => overlaps(rect, area))) return false;
+  return state.decor.every((other) => other === entry || !other.placed || !overlaps(rect, cellsOf(other)));
+}
+
+// First free spot for an entry, scanning from the back wall, or null
+export function findFreeSpot(state, entry, rotation = entry.rotation) {
+  for (let z = CAFE_GRID.min; z < CAFE_GRID.max; z++) {
+    for (let x = CAFE_GRID.min; x < CAFE_GRID.max; x++) {
+      if (canPlace(state, entry, x, z, rotation)) return { x, z, rotation };
+    }
+  }
+  return null;
+}
+
+// Add a newly owned item, set out in the first free spot (or stored if the
+// café is full). Returns the entry.
+export function addDecor(state, item) {
+  getDecorDef(item);
+  const id = state.decor.reduce((max, entry) => Math.max(max, entry.id), 0) + 1;
+  const entry = { id, item, placed: false, x: 0, z: 0, rotation: 0 };
+  state.decor.push(entry);
+  placeDecor(state, entry);
+  emit('decor-added', entry);
+  return entry;
+}
+
+// Put a stored item back out at its last spot or, failing that, the first
+// free one. Returns whether it found room.
+export function placeDecor(state, entry) {
+  const spot = canPlace(state, entry, entry.x, entry.z, entry.rotation)
+    ? { x: entry.x, z: entry.z, rotation: entry.rotation }
+    : findFreeSpot(state, entry);
+  if (!spot) return false;
+  Object.assign(entry, spot, { placed: true });
+  return true;
+}
+
+// Move and/or turn a placed item. Returns false, leaving it where it was, if
+// the new spot is blocked.
+export function moveDecor(state, entry, x, z, rotation = entry.rotation) {
+  if (!entry.placed || !canPlace(state, entry, x, z, rotation)) return false;
+  Object.assign(entry, { x, z, rotation });
+  return true;
+}
+
+export function storeDecor(entry) {
+  entry.placed = false;
+}
+
+// Centre of a placed item on the floor and its turn in radians, for drawing
+export function decorTransform(entry) {
+  const { w, d } = footprint(entry.item, entry.rotation);
+  return { x: entry.x + w / 2, z: entry.z + d / 2, angle: -entry.rotation * (Math.PI / 2) };
+}
+
+// Buffs of every placed item added together
+export function decorBuffs(state) {
+  const buffs = {};
+  for (const entry of state.decor) {
+    if (!entry.placed) continue;
+    for (const [buff, value] of Object.entries(getDecorDef(entry.item).buffs || {})) {
+      buffs[buff] = (buffs[buff] || 0) + value;
+    }
+  }
+  return buffs;
+}
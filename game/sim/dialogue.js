@@ -0,0 +1,146 @@
+/*
+ * Dialogue and story events
+ *
+ * Walks the dialogue trees in data/dialogue.js against the game state and
+ * keeps the story's persistent state in state.story:
+ *
+ *   { flags, seen }
+ *
+ * flags are set by dialogue choices and game events and read by conditions;
+ * seen lists the ids of `once` story events that have fired. A conversation
+ * in progress is a plain { dialogue, node } object owned by the caller and
+ * never saved.
+ */
+
+import { emit } from '../events.js';
+import { RARITIES } from './economy.js';
+import { activeMissions, availableMissions, acceptMission } from './missions.js';
+import { DIALOGUES, STORY_EVENTS, RARE_PULL_RARITY } from '../data/dialogue.js';
+
+export function createStoryState() {
+  return { flags: {}, seen: [] };
+}
+
+function missionStatus(state, id) {
+  const record = state.missions.find((m) => m.id === id);
+  return record ? record.status : null;
+}
+
+// Whether a condition from the dialogue data holds. No condition always does.
+export function checkCondition(state, condition) {
+  if (!condition) return true;
+  if ('all' in condition) return condition.all.every((c) => checkCondition(state, c));
+  if ('any' in condition) return condition.any.some((c) => checkCondition(state, c));
+  if ('not' in condition) return !checkCondition(state, condition.not);
+  if ('flag' in condition) {
+    const value = state.story.flags[condition.flag];
+    return 'equals' in condition ? value === condition.equals : Boolean(value);
+  }
+  if ('missionComplete' in condition) return missionStatus(state, condition.missionComplete) === 'complete';
+  if ('missionActive' in condition) return activeMissions(state).some((m) => m.id === condition.missionActive);
+  if ('missionAvailable' in condition) return availableMissions(state).some((d) => d.id === condition.missionAvailable);
+  if ('missionsOffered' in condition) return (availableMissions(state).length > 0) === condition.missionsOffered;
+  if ('owns' in condition) {
+    const { class: galClass, rarity, minRarity, count = 1 } = condition.owns;
+    const min = minRarity ? RARITIES.indexOf(minRarity) : 0;
+    const owned = state.inventory.filter((g) =>
+      (!galClass || g.class === galClass) &&
+      (!rarity || g.rarity === rarity) &&
+      RARITIES.indexOf(g.rarity) >= min);
+    return owned.length >= count;
+  }
+  if ('yenAtLeast' in condition) return state.yen >= condition.yenAtLeast;
+  throw new Error(`Unknown dialogue condition: ${JSON.stringify(condition)}`);
+}
+
+function getDialogue(id) {
+  const dialogue = DIALOGUES[id];
+  if (!dialogue) throw new Error(`Unknown dialogue: ${id}`);
+  return dialogue;
+}
+
+// Follow branch-only nodes (no text) to the node that is actually shown, or
+// null when the conversation ends
+function settle(state, dialogue, nodeId) {
+  let id = nodeId;
+  while (id) {
+    const node = dialogue.nodes[id];
+    if (!node) throw new Error(`Unknown dialogue node: ${id}`);
+    if (node.text) return id;
+    id = nextNode(state, node);
+  }
+  return null;
+}
+
+function nextNode(state, node) {
+  if (!Array.isArray(node.next)) return node.next || null;
+  const branch = node.next.find((b) => checkCondition(state, b.condition));
+  return branch ? branch.node : null;
+}
+
+// Start a conversation. Returns null if it has nothing to say.
+export function startDialogue(state, id) {
+  const dialogue = getDialogue(id);
+  const node = settle(state, dialogue, dialogue.start);
+  if (!node) return null;
+  emit('dialogue-started', { dialogue: id });
+  return { dialogue: id, node };
+}
+
+// What the player sees now: { speaker, text, choices }, where choices are the
+// ones whose conditions hold. Null once the conversation has ended.
+export function currentLine(state, conversation) {
+  if (!conversation || !conversation.node) return null;
+  const dialogue = getDialogue(conversation.dialogue);
+  const node = dialogue.nodes[conversation.node];
+  const flags = state.story.flags;
+  return {
+    speaker: dialogue.speaker,
+    text: node.text.replace(/\{(\w+)\}/g, (match, flag) => (flag in flags ? String(flags[flag]) : match)),
+    choices: (node.choices || []).filter((c) => checkCondition(state, c.condition)),
+  };
+}
+
+function endIfDone(conversation) {
+  if (!conversation.node) emit('dialogue-ended', { dialogue: conversation.dialogue });
+}
+
+// Move past a line without choices
+export function continueDialogue(state, conversation) {
+  const node = getDialogue(conversation.dialogue).nodes[conversation.node];
+  if (node.choices) return;
+  conversation.node = settle(state, getDialogue(conversation.dialogue), nextNode(state, node));
+  endIfDone(conversation);
+}
+
+// Pick one of the choices from currentLine. Returns its `action`, if any, for
+// the presentation to carry out.
+export function chooseDialogue(state, conversation, choice) {
+  if (choice.set) Object.assign(state.story.flags, choice.set);
+  if (choice.accept) acceptMission(state, choice.accept);
+  conversation.node = settle(state, getDialogue(conversation.dialogue), choice.next);
+  endIfDone(conversation);
+  return choice.action || null;
+}
+
+// The dialogue a story event starts when the player enters a location, or
+// null. Firing marks `once` events as seen and clears their flags.
+export function enterLocation(state, location) {
+  const story = state.story;
+  const event = STORY_EVENTS.find((e) =>
+    e.trigger === 'enter' &&
+    e.location === location &&
+    !(e.once && story.seen.includes(e.id)) &&
+    checkCondition(state, e.condition));
+  if (!event) return null;
+  if (event.once) story.seen.push(event.id);
+  for (const flag of event.clear || []) delete story.flags[flag];
+  emit('story-event', event);
+  return event.dialogue;
+}
+
+// Remember a rare pull so Uka can react to it on the next visit
+export function recordPull(state, gal) {
+  if (RARITIES.indexOf(gal.rarity) < RARITIES.indexOf(RARE_PULL_RARITY)) return;
+  Object.assign(state.story.flags, { rarePull: true, rarePullName: gal.name, rarePullRarity: gal.rarity });
+}
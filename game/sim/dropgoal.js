@@ -0,0 +1,134 @@
+/*
+ * Drop-through goal machine: the player slides a dropper along the top of an
+ * upright board and presses the button to let a ball go. It rattles down
+ * through rows of pegs between two panes of glass into one of the numbered
+ * slots along the bottom. Each slot has a tier, the lowest rarity a ball
+ * landing there pays out at; the outer slots pay nothing. Every ball is a
+ * prize rolled like any other, and landing in a tiered slot raises it to that
+ * tier if it rolled lower. A play is a fixed number of balls, one at a time,
+ * and only pays out the ball that landed in the best slot, once the last one
+ * is down.
+ */
+
+import * as CANNON from 'cannon-es';
+import { FIXED_DT, addStaticBox } from './world.js';
+import { addPrize, removePrize, raisePrizeRarity } from './prizes.js';
+import { registerMachine } from './registry.js';
+import { RARITIES } from './economy.js';
+import { emit } from '../events.js';
+import { DROP_GOAL } from '../data/machines.js';
+
+const WALL_THICKNESS = 0.2;
+// A ball this slow down in a slot has come to rest
+const REST_SPEED = 0.3;
+
+// Glass, side walls, slot dividers and the pegs, as static descriptors
+export function addGoalBoard(world, config) {
+  const { width, height, depth } = config.board;
+  const t = WALL_THICKNESS;
+  const statics = [
+    addStaticBox(world, { x: width + 2 * t, y: height, z: t }, { x: 0, y: height / 2, z: -(depth + t) / 2 }, 'floor'),
+    addStaticBox(world, { x: width + 2 * t, y: height, z: t }, { x: 0, y: height / 2, z: (depth + t) / 2 }, 'barrier'),
+  ];
+  for (const side of [-1, 1]) {
+    statics.push(addStaticBox(world, { x: t, y: height, z: depth }, { x: side * (width + t) / 2, y: height / 2, z: 0 }, 'bar'));
+  }
+  const slotWidth = width / config.slots.length;
+  for (let i = 1; i < config.slots.length; i++) {
+    statics.push(addStaticBox(world, { x: 0.08, y: config.slotHeight, z: depth }, { x: -width / 2 + i * slotWidth, y: config.slotHeight / 2, z: 0 }, 'bar'));
+  }
+  // Staggered rows of diamond pegs, leaving out any that would stand closer
+  // to a wall than a ball is wide
+  const { rows, spacing, size, bottom } = config.pegs;
+  const edge = width / 2 - size * Math.SQRT1_2 - 2 * config.ball.radius - 0.05;
+  for (let row = 0; row < rows; row++) {
+    const offset = row % 2 ? spacing / 2 : 0;
+    for (let x = -width / 2 + spacing / 2 + offset; x < width / 2; x += spacing) {
+      if (Math.abs(x) > edge) continue;
+      const peg = addStaticBox(world, { x: size, y: size, z: depth }, { x, y: bottom + row * spacing, z: 0 }, 'peg');
+      peg.body.quaternion.setFromEuler(0, 0, Math.PI / 4);
+      peg.body.aabbNeedsUpdate = true;
+      statics.push(peg);
+    }
+  }
+  return statics;
+}
+
+// Slide the dropper and let a ball go on a fresh press, if the last one has
+// landed and there are balls left. Call before stepping the world.
+export function updateDropGoal(machine, input, dt) {
+  const goal = machine.dropGoal;
+  const config = goal.config;
+  const { radius, mass } = config.ball;
+  const limit = config.board.width / 2 - radius - 0.05;
+  goal.dropperX = Math.max(-limit, Math.min(limit, goal.dropperX + input.moveX * config.dropper.moveSpeed * dt));
+  const pressed = input.action && !machine.prevAction;
+  if (pressed && goal.ballsLeft > 0 && machine.prizes.length === 0) {
+    const prize = addPrize(machine, 'ball', new CANNON.Sphere(radius), mass, { x: goal.dropperX, y: config.board.height - radius - 0.1, z: 0 });
+    prize.radius = radius;
+    goal.ballsLeft--;
+    emit('ball-dropped', goal);
+  }
+}
+
+// A ball wedged at rest above the slots for the stuck time is lost, so the
+// play can still end
+function loseStuckBall(machine, prize) {
+  removePrize(machine, prize);
+  prize.lost = true;
+  machine.lost.push(prize);
+  emit('prize-lost', prize);
+}
+
+// Balls at rest in a slot: a tiered slot pays out at no less than its tier,
+// an empty one loses the ball. The best slot so far keeps its ball, which is
+// won once every ball is down. Returns the prizes won this tick.
+export function checkGoalSlots(machine) {
+  const goal = machine.dropGoal;
+  const config = goal.config;
+  const slotWidth = config.board.width / config.slots.length;
+  const won = [];
+  for (const prize of [...machine.prizes]) {
+    const { position, velocity } = prize.body;
+    const resting = velocity.length() <= REST_SPEED;
+    if (position.y > config.slotHeight) {
+      // Seconds at rest above the slots
+      prize.stuck = resting ? (prize.stuck || 0) + FIXED_DT : 0;
+      if (prize.stuck >= config.stuckTime) loseStuckBall(machine, prize);
+      continue;
+    }
+    if (!resting) continue;
+    const index = Math.max(0, Math.min(config.slots.length - 1, Math.floor((position.x + config.board.width / 2) / slotWidth)));
+    const tier = config.slots[index];
+    removePrize(machine, prize);
+    if (tier) raisePrizeRarity(machine, prize, tier);
+    if (tier && (!goal.best || RARITIES.indexOf(tier) > RARITIES.indexOf(goal.best.tier))) goal.best = { prize, tier };
+    // Slots are numbered from 1, left to right
+    emit('ball-landed', { prize, slot: index + 1, tier, best: goal.best && goal.best.prize === prize });
+    if (!tier) {
+      prize.lost = true;
+      machine.lost.push(prize);
+      emit('prize-lost', prize);
+    }
+  }
+  if (goal.best && goal.ballsLeft === 0 && machine.prizes.length === 0) {
+    won.push(goal.best.prize);
+    goal.best = null;
+  }
+  return won;
+}
+
+registerMachine('dropgoal', {
+  label: 'Drop Goal',
+  cost: 200,
+  prompt: (machine, keys) => `Drop Goal: ${keys.sideways} to move the dropper, ${keys.grab} to drop a ball (${machine.dropGoal.ballsLeft} per play). The ball in the best slot pays out, at no less than that slot's rarity; the end slots pay nothing. ${keys.back} to quit.`,
+  spawn(machine) {
+    machine.world.defaultContactMaterial.restitution = DROP_GOAL.restitution;
+    machine.statics = addGoalBoard(machine.world, DROP_GOAL);
+    // `best` is the ball in the best slot so far and that slot's tier
+    machine.dropGoal = { config: DROP_GOAL, dropperX: 0, ballsLeft: DROP_GOAL.balls, best: null };
+  },
+  update: updateDropGoal,
+  checkWins: checkGoalSlots,
+  finished: (machine) => machine.dropGoal.ballsLeft === 0 && machine.prizes.length === 0,
+});
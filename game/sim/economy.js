@@ -0,0 +1,132 @@
+/*
+ * Economy
+ *
+ * Pure game rules operating on the persistent game state: yen and the
+ * collection. Prize rolls live in loot.js, missions in missions.js, play
+ * prices in pricing.js and the prize exchange and décor shop in exchange.js.
+ * Nothing here touches the DOM or Three.js, so the same rules run in the
+ * browser and under Node.
+ *
+ * Every change to state.yen goes through adjustYen (or earnYen / spendYen,
+ * which also feed missions) and is written to the ledger in state.ledger:
+ *
+ *   { opening, nextId, entries, totals }
+ *
+ * Each entry is { id, amount, balance, source, detail, minutes, date }:
+ * the signed change, the balance after it, a LEDGER_SOURCES key, a note,
+ * and when it happened in game minutes and as a real ISO date. Only the
+ * latest LEDGER_LIMIT entries are kept; older ones fold into `opening`, so
+ * opening plus the kept amounts is always the balance. `totals` sums
+ * { in, out, count } per source over everything ever recorded.
+ */
+
+import { emit } from '../events.js';
+import { trackMissions } from './missions.js';
+import { createStoryState, recordPull } from './dialogue.js';
+import { createCafeState } from './cafe.js';
+import { createClock, clockMinutes } from './clock.js';
+import { STARTING_YEN, LEDGER_LIMIT } from '../data/economy.js';
+
+export const RARITIES = ['Common', 'Rare', 'Super Rare', 'Legendary', 'Ultimate'];
+export const CLASSES = ['Maid', 'Idol', 'Tech', 'Shrine', 'Neko'];
+
+// Fresh persistent state for a new game
+export function createGameState() {
+  const state = {
+    yen: 0,
+    // Every yen change so far (see adjustYen)
+    ledger: createLedger(),
+    // Prepaid plays from bundles, by arcade name then machine type (see
+    // pricing.js)
+    credits: {},
+    // Prize exchange tickets (see exchange.js)
+    tickets: 0,
+    // Missions taken from Uka's board (see missions.js)
+    missions: [],
+    // Gals won so far (see gals.js); ids come from nextGalId
+    inventory: [],
+    nextGalId: 1,
+    // Won capsules waiting to be opened in the café (see capsules.js)
+    capsules: [],
+    // Owned café décor and where it stands (see decor.js)
+    decor: [],
+    // Plays since the last pity-qualifying win, per loot pool (see loot.js)
+    pity: {},
+    // Operator payout bank per claw machine type (see clawmachines.js)
+    payout: {},
+    // Story flags and fired story events (see dialogue.js)
+    story: createStoryState(),
+    // Café staff and business days (see cafe.js)
+    cafe: createCafeState(),
+    // In-game time (see clock.js)
+    clock: createClock(),
+  };
+  adjustYen(state, STARTING_YEN, 'start');
+  return state;
+}
+
+// An empty ledger whose history starts from a balance of `opening`
+export function createLedger(opening = 0) {
+  return { opening, nextId: 1, entries: [], totals: {} };
+}
+
+// Change the balance by `amount` (negative to take yen) and record it in the
+// ledger under `source`, with an optional `detail` note. Does not feed
+// missions; use earnYen and spendYen for money the player earns and spends.
+export function adjustYen(state, amount, source, detail = '') {
+  if (amount === 0) return null;
+  state.yen += amount;
+  const ledger = state.ledger;
+  const entry = {
+    id: ledger.nextId++,
+    amount,
+    balance: state.yen,
+    source,
+    detail,
+    minutes: clockMinutes(state),
+    date: new Date().toISOString(),
+  };
+  ledger.entries.push(entry);
+  while (ledger.entries.length > LEDGER_LIMIT) ledger.opening += ledger.entries.shift().amount;
+  const total = ledger.totals[source] || (ledger.totals[source] = { in: 0, out: 0, count: 0 });
+  if (amount > 0) total.in += amount;
+  else total.out -= amount;
+  total.count++;
+  emit('yen-changed', entry);
+  return entry;
+}
+
+// Whether the kept ledger entries account for the whole balance
+export function ledgerBalances(state) {
+  const ledger = state.ledger;
+  return ledger.entries.reduce((sum, entry) => sum + entry.amount, ledger.opening) === state.yen;
+}
+
+// Per-source totals, biggest movers first: [{ source, in, out, net, count }]
+export function ledgerSummary(state) {
+  return Object.entries(state.ledger.totals)
+    .map(([source, t]) => ({ source, ...t, net: t.in - t.out }))
+    .sort((a, b) => b.in + b.out - (a.in + a.out));
+}
+
+// Pay yen to the player
+export function earnYen(state, amount, source, detail) {
+  adjustYen(state, amount, source, detail);
+  trackMissions(state, { type: 'earn', amount, source });
+}
+
+// Deduct yen if affordable. Returns whether the payment went through.
+export function spendYen(state, amount, source, detail) {
+  if (state.yen < amount) return false;
+  adjustYen(state, -amount, source, detail);
+  trackMissions(state, { type: 'spend', amount, source });
+  return true;
+}
+
+// Add rescued girl to inventory and update missions
+export function addGirlToInventory(state, girl) {
+  state.inventory.push(girl);
+  trackMissions(state, { type: 'gal', gal: girl });
+  recordPull(state, girl);
+  emit('inventory-changed', girl);
+}
@@ -0,0 +1,47 @@
+/*
+ * Escape behaviour for live prizes
+ *
+ * While a gal is held by a claw she wriggles at a rate set by her personality.
+ * Every wriggle shoves her sideways and rolls against escapeChance; a success
+ * drops her back into the pit. Only machines whose prizes are loose gals use
+ * this (capsules and boxes stay put).
+ */
+
+import { PERSONALITIES, RARITY_ESCAPE_MULTIPLIER } from '../data/gals.js';
+import { emit } from '../events.js';
+
+// Upper bound so even an Ultimate Diva can be carried by a strong grip
+const MAX_ESCAPE_CHANCE = 0.9;
+
+// Chance that one wriggle breaks free for this gal against a claw grip.
+// grip 1 is the reference strength; 2 halves the chance.
+export function escapeChance(gal, grip) {
+  const personality = PERSONALITIES[gal.personality].escape;
+  const rarity = RARITY_ESCAPE_MULTIPLIER[gal.rarity] || 1;
+  return Math.min(MAX_ESCAPE_CHANCE, (personality.chance * rarity) / Math.max(0.05, grip));
+}
+
+// Advance the held prize's wriggle timer by one tick. Returns true when she
+// escaped this tick; the claw then goes slack and lets her drop.
+export function updateEscape(prize, grip, random, dt) {
+  const escape = PERSONALITIES[prize.gal.personality].escape;
+  if (prize.wriggleTimer === undefined) prize.wriggleTimer = 1 / escape.wriggleRate;
+  prize.wriggleTimer -= dt;
+  if (prize.wriggleTimer > 0) return false;
+  // Jitter the interval so wriggles do not feel metronomic
+  prize.wriggleTimer = (0.5 + random()) / escape.wriggleRate;
+  const angle = random() * Math.PI * 2;
+  prize.wriggle = { x: Math.cos(angle) * escape.wriggleImpulse, z: Math.sin(angle) * escape.wriggleImpulse };
+  emit('prize-wriggle', prize);
+  if (random() < escapeChance(prize.gal, grip)) {
+    emit('prize-escaped', prize);
+    return true;
+  }
+  return false;
+}
+
+// Forget wriggle state once a prize is no longer held
+export function resetEscape(prize) {
+  delete prize.wriggleTimer;
+  delete prize.wriggle;
+}
@@ -0,0 +1,84 @@
+/*
+ * Prize exchange and décor shop
+ *
+ * The counter at every arcade takes duplicate gals for yen or exchange
+ * tickets, and hands out prizes for tickets. Favourites are never taken.
+ * The café shop sells décor for yen; like the exchange's décor prizes, each
+ * item can be owned once. Rates, prizes and shop prices live in
+ * data/economy.js.
+ */
+
+import { emit } from '../events.js';
+import { earnYen, spendYen } from './economy.js';
+import { trackMissions } from './missions.js';
+import { addDecor, ownsDecor } from './decor.js';
+import { TRADE_IN, EXCHANGE_PRIZES, DECOR_SHOP } from '../data/economy.js';
+
+// Duplicates the counter will take: not favourited, newest first
+export function tradeableGals(state) {
+  return state.inventory.filter((g) => g.duplicateOf && !g.favorite).sort((a, b) => b.id - a.id);
+}
+
+// What a gal fetches: { yen, tickets }
+export function tradeValue(gal) {
+  return TRADE_IN[gal.rarity];
+}
+
+// Trade a duplicate for `payout`, 'yen' or 'tickets'. She leaves the roster
+// and any café role. Returns whether the trade went through.
+export function tradeIn(state, galId, payout) {
+  const gal = tradeableGals(state).find((g) => g.id === galId);
+  if (!gal) return false;
+  state.inventory.splice(state.inventory.indexOf(gal), 1);
+  state.cafe.staff = state.cafe.staff.filter((s) => s.galId !== galId);
+  const value = tradeValue(gal);
+  if (payout === 'tickets') state.tickets += value.tickets;
+  else earnYen(state, value.yen, 'exchange', `Traded ${gal.name} (${gal.rarity})`);
+  emit('gal-traded', { gal, payout, value });
+  return true;
+}
+
+export function getExchangePrize(id) {
+  const prize = EXCHANGE_PRIZES.find((p) => p.id === id);
+  if (!prize) throw new Error(`Unknown exchange prize: ${id}`);
+  return prize;
+}
+
+// Prizes on the counter and whether the player can take each now
+export function exchangePrizes(state) {
+  return EXCHANGE_PRIZES.map((prize) => ({
+    ...prize,
+    owned: Boolean(prize.decor && ownsDecor(state, prize.decor)),
+    affordable: state.tickets >= prize.tickets,
+  }));
+}
+
+// Swap tickets for a prize. Returns whether it went through.
+export function redeemPrize(state, id) {
+  const prize = getExchangePrize(id);
+  if (state.tickets < prize.tickets || (prize.decor && ownsDecor(state, prize.decor))) return false;
+  state.tickets -= prize.tickets;
+  if (prize.yen) earnYen(state, prize.yen, 'exchange', `Redeemed ${prize.tickets} tickets`);
+  if (prize.decor) {
+    addDecor(state, prize.decor);
+    trackMissions(state, { type: 'decor' });
+  }
+  emit('prize-redeemed', prize);
+  return true;
+}
+
+// Décor for sale: [{ item, price, owned }]
+export function shopItems(state) {
+  return Object.entries(DECOR_SHOP).map(([item, price]) => ({ item, price, owned: ownsDecor(state, item) }));
+}
+
+// Buy a décor item, which is set out in the café straight away. Returns
+// whether it went through.
+export function buyDecor(state, item) {
+  const price = DECOR_SHOP[item];
+  if (price === undefined || ownsDecor(state, item)) return false;
+  if (!spendYen(state, price, 'shop', item)) return false;
+  addDecor(state, item);
+  trackMissions(state, { type: 'decor' });
+  return true;
+}
@@ -0,0 +1,102 @@
+/*
+ * Gal entities
+ *
+ * A Gal is rolled when a prize is spawned (so personality can matter while she
+ * is still in the machine) and stamped with an id and acquisition metadata
+ * when she is won. Gals are plain JSON so they persist in saves as-is.
+ */
+
+import { STATS, CLASS_BASE_STATS, RARITY_STAT_MULTIPLIER, PERSONALITIES, GIVEN_NAMES, FAMILY_NAMES } from '../data/gals.js';
+
+function pick(list, random) {
+  return list[Math.floor(random() * list.length)];
+}
+
+// Stats from class and rarity, shifted by personality and a little variance
+export function rollStats(galClass, rarity, personality, random) {
+  const base = CLASS_BASE_STATS[galClass] || CLASS_BASE_STATS.Maid;
+  const multiplier = RARITY_STAT_MULTIPLIER[rarity] || 1;
+  const modifiers = PERSONALITIES[personality].stats;
+  const stats = {};
+  for (const stat of STATS) {
+    const variance = Math.floor(random() * 3) - 1;
+    stats[stat] = Math.max(1, Math.round(base[stat] * multiplier) + (modifiers[stat] || 0) + variance);
+  }
+  return stats;
+}
+
+// Roll a not-yet-acquired gal for prize contents ({ class, rarity, featured })
+export function rollGal(contents, random) {
+  const personality = pick(Object.keys(PERSONALITIES), random);
+  return {
+    name: `${pick(GIVEN_NAMES, random)} ${pick(FAMILY_NAMES, random)}`,
+    class: contents.class,
+    rarity: contents.rarity,
+    featured: !!contents.featured,
+    personality,
+    stats: rollStats(contents.class, contents.rarity, personality, random),
+  };
+}
+
+// Key that identifies duplicates: same class at the same rarity
+export function duplicateKey(gal) {
+  return `${gal.class}|${gal.rarity}`;
+}
+
+// Stamp a won gal with a unique id and where/when she was won. The first gal
+// of a class/rarity is the original; later ones point at her via duplicateOf.
+// She starts at level 1 with the stats she was rolled with as her base (see
+// progression.js).
+export function acquireGal(state, gal, { arcade = null, machine = null, date = new Date().toISOString() } = {}) {
+  const key = duplicateKey(gal);
+  const original = state.inventory.find((g) => !g.duplicateOf && duplicateKey(g) === key);
+  return {
+    ...gal,
+    id: state.nextGalId++,
+    acquired: { arcade, machine, date },
+    favorite: false,
+    duplicateOf: original ? original.id : null,
+    level: 1,
+    xp: 0,
+    limitBreaks: 0,
+    baseStats: { ...gal.stats },
+    costume: null,
+  };
+}
+
+// Duplicates owned per original gal id
+export function duplicateCounts(state) {
+  const counts = {};
+  for (const gal of state.inventory) {
+    if (gal.duplicateOf) counts[gal.duplicateOf] = (counts[gal.duplicateOf] || 0) + 1;
+  }
+  return counts;
+}
+
+const RARITY_ORDER = Object.keys(RARITY_STAT_MULTIPLIER);
+
+// Sorters for the roster, by key
+export const ROSTER_SORTS = {
+  newest: (a, b) => b.id - a.id,
+  rarity: (a, b) => RARITY_ORDER.indexOf(b.rarity) - RARITY_ORDER.indexOf(a.rarity) || b.id - a.id,
+  name: (a, b) => a.name.localeCompare(b.name),
+  class: (a, b) => a.class.localeCompare(b.class) || b.id - a.id,
+  power: (a, b) => totalStats(b) - totalStats(a),
+};
+
+export function totalStats(gal) {
+  return STATS.reduce((sum, stat) => sum + gal.stats[stat], 0);
+}
+
+// Filter and sort the inventory for the roster view
+export function queryRoster(state, { sort = 'newest', galClass = null, rarity = null, favoritesOnly = false } = {}) {
+  return state.inventory
+    .filter((g) => (!galClass || g.class === galClass) && (!rarity || g.rarity === rarity) && (!favoritesOnly || g.favorite))
+    .sort(ROSTER_SORTS[sort] || ROSTER_SORTS.newest);
+}
+
+export function toggleFavorite(state, galId) {
+  const gal = state.inventory.find((g) => g.id === galId);
+  if (gal) gal.favorite = !gal.favorite;
+  return gal;
+}
@@ -0,0 +1,220 @@
+/*
+ * Headless play runner
+ *
+ * Drives machines without a renderer so CI can simulate thousands of plays and
+ * check payout rates, missions and regressions on a machine with no GPU.
+ */
+
+import * as CANNON from 'cannon-es';
+import { createMachine, stepMachine, disposeMachine, isMachineOver, IDLE_INPUT } from './machine.js';
+import { createGameState, addGirlToInventory } from './economy.js';
+import { availableMissions, acceptMission, trackMissions, expireMissions } from './missions.js';
+import { createRng, randomSeed } from './rng.js';
+import { advanceClock, clockMinutes } from './clock.js';
+import { resolveLootTable, startPityPlay, recordPityWin } from './loot.js';
+import { acquireGal } from './gals.js';
+import { stashCapsule, openCapsule } from './capsules.js';
+import { payForPlay } from './pricing.js';
+import { FIXED_DT } from './world.js';
+import { startPayoutPlay } from './clawmachines.js';
+
+// Scripted player for claw machines: line up over the nearest prize, press
+// the button once and let the claw cycle run.
+export function clawPolicy(machine) {
+  const claw = machine.claw;
+  if (claw.state !== 'idle') return IDLE_INPUT;
+  const head = claw.head.position;
+  let nearest = null;
+  let nearestDist = Infinity;
+  for (const prize of machine.prizes) {
+    const d = Math.hypot(prize.body.position.x - head.x, prize.body.position.z - head.z);
+    if (d < nearestDist) {
+      nearest = prize;
+      nearestDist = d;
+    }
+  }
+  if (!nearest) return IDLE_INPUT;
+  const dx = nearest.body.position.x - head.x;
+  const dz = nearest.body.position.z - head.z;
+  if (Math.hypot(dx, dz) < 0.1) {
+    // Alternate so the press registers as a fresh edge
+    return { ...IDLE_INPUT, action: !machine.prevAction };
+  }
+  return {
+    moveX: Math.max(-1, Math.min(1, dx * 5)),
+    moveZ: Math.max(-1, Math.min(1, dz * 5)),
+    action: false,
+  };
+}
+
+// Scripted player for the bridge: from beside the first box, aim sideways at
+// the front end of its long side and give it a short push to swing it square
+// to the gap
+export function bridgePolicy(machine) {
+  const pusher = machine.bridge.pusher;
+  const box = machine.prizes[0];
+  if (!box || (pusher.state !== 'aim' && pusher.state !== 'charge')) return IDLE_INPUT;
+  if (pusher.state === 'charge') return { ...IDLE_INPUT, action: pusher.charge < 0.3 };
+  const size = machine.bridge.config.boxSize;
+  // End of the long side nearest the player
+  const long = box.body.quaternion.vmult(new CANNON.Vec3(0, 0, 1));
+  const reach = (long.z < 0 ? -1 : 1) * (size.z / 2 - 0.1);
+  const dx = box.body.position.x + long.x * reach - size.x / 2 - 0.2 - pusher.x;
+  const dz = box.body.position.z + long.z * reach - pusher.z;
+  const daim = Math.PI / 2 - pusher.aim;
+  if (Math.abs(dx) < 0.05 && Math.abs(dz) < 0.05 && Math.abs(daim) < 0.05) return { ...IDLE_INPUT, action: true };
+  return {
+    moveX: Math.max(-1, Math.min(1, dx * 5)),
+    moveZ: Math.max(-1, Math.min(1, dz * 5)),
+    aim: Math.max(-1, Math.min(1, daim * 5)),
+    action: false,
+  };
+}
+
+// Scripted player for the ring hook: lower in front of the first prize, push
+// the tip back through its ring, lift, carry it over the chute and lower it
+export function ringHookPolicy(machine) {
+  const { config, hook } = machine.ringHook;
+  const prize = machine.prizes[0];
+  if (!prize) return IDLE_INPUT;
+  const press = { ...IDLE_INPUT, action: !machine.prevAction };
+  const pos = hook.body.position;
+  const target = prize.body.position;
+  const steer = (x, z) => ({ ...IDLE_INPUT, moveX: Math.max(-1, Math.min(1, (x - pos.x) * 5)), moveZ: Math.max(-1, Math.min(1, (z - pos.z) * 5)) });
+  const near = (x, z) => Math.abs(x - pos.x) < 0.03 && Math.abs(z - pos.z) < 0.03;
+  const carrying = target.y > config.shelf.top + config.prizeSize.y;
+  const overChute = pos.z > config.shelf.front + 1.2;
+  const ringY = target.y + config.prizeSize.y / 2 + config.ring.radius * 0.25;
+  const threaded = target.z + config.prizeSize.z / 2 + 0.07;
+  switch (hook.state) {
+    case 'up':
+      if (carrying) return near(target.x, config.shelf.front + 1.5) ? press : steer(target.x, config.shelf.front + 1.5);
+      return near(target.x, threaded + config.hook.tip) ? press : steer(target.x, threaded + config.hook.tip);
+    case 'lower':
+      return !carrying && pos.y <= ringY ? press : IDLE_INPUT;
+    case 'hold':
+      if (overChute || pos.z <= threaded + 0.03) return press;
+      return steer(pos.x, threaded);
+    default:
+      return IDLE_INPUT;
+  }
+}
+
+// Scripted player for the pusher: sweep the dropper across the shelf and drop
+// a token every second
+export function pusherPolicy(machine) {
+  const sweep = Math.sin(machine.tick / 90) - machine.pusher.shelf.dropperX / 3;
+  return { ...IDLE_INPUT, moveX: Math.max(-1, Math.min(1, sweep)), action: machine.tick % 60 === 0 };
+}
+
+// Scripted player for the rope cut: line the blade up under the first rope
+// still hanging and sweep it back and forth across it with the blade out
+export function ropeCutPolicy(machine) {
+  const { cutter, ropes } = machine.ropeCut;
+  const rope = ropes.find((r) => !r.cut);
+  if (!rope) return IDLE_INPUT;
+  const dx = rope.anchor.position.x - cutter.x;
+  if (Math.abs(dx) > 0.05) return { ...IDLE_INPUT, moveX: Math.max(-1, Math.min(1, dx * 5)), moveZ: -cutter.z };
+  // Keep going the way we were until the end of the sweep
+  let dir = cutter.vz < 0 ? -1 : 1;
+  if (cutter.z > 0.8) dir = -1;
+  else if (cutter.z < -0.8) dir = 1;
+  return { ...IDLE_INPUT, moveZ: dir, action: true };
+}
+
+// Scripted player for the drop goal: drop every ball from straight above the
+// middle slot
+export function dropGoalPolicy(machine) {
+  const goal = machine.dropGoal;
+  const slotWidth = goal.config.board.width / goal.config.slots.length;
+  // Aim a little off a peg so the ball does not balance on it
+  const dx = slotWidth * 0.2 - goal.dropperX;
+  if (Math.abs(dx) > 0.05) return { ...IDLE_INPUT, moveX: Math.max(-1, Math.min(1, dx * 5)) };
+  return { ...IDLE_INPUT, action: !machine.prevAction };
+}
+
+// Scripted player for the balance beam: lower the ram on the inner side of
+// the first prize (one of the inner pair) and shove it, and anything beyond
+// it, off the end
+export function balancePolicy(machine) {
+  const { config, ram } = machine.balance;
+  const prize = machine.prizes[0];
+  if (!prize) return IDLE_INPUT;
+  const pos = ram.body.position;
+  const target = prize.body.position;
+  const side = target.x < 0 ? -1 : 1;
+  const behindX = target.x - side * (config.prizeSize.x / 2 + ram.size / 2 + 0.1);
+  const lowered = pos.y < config.pivotHeight + config.beam.thickness / 2 + ram.size;
+  const steer = (x, z, action) => ({ ...IDLE_INPUT, moveX: Math.max(-1, Math.min(1, (x - pos.x) * 5)), moveZ: Math.max(-1, Math.min(1, (z - pos.z) * 5)), action });
+  if (lowered) return steer(pos.x + side, target.z, true);
+  const there = Math.abs(behindX - pos.x) < 0.05 && Math.abs(target.z - pos.z) < 0.05;
+  return steer(behindX, target.z, there);
+}
+
+export function defaultPolicy(type) {
+  if (type === 'bridge') return bridgePolicy;
+  if (type === 'pusher') return pusherPolicy;
+  if (type === 'ringhook') return ringHookPolicy;
+  if (type === 'ropecut') return ropeCutPolicy;
+  if (type === 'dropgoal') return dropGoalPolicy;
+  if (type === 'balance') return balancePolicy;
+  return clawPolicy;
+}
+
+// Run one play until it is over, for at most `ticks` ticks. Returns the
+// prizes won.
+export function runPlay(machine, policy = defaultPolicy(machine.type), ticks = 60 * 30) {
+  const won = [];
+  for (let i = 0; i < ticks && !isMachineOver(machine); i++) {
+    won.push(...stepMachine(machine, policy(machine)));
+  }
+  return won;
+}
+
+// Take every mission on offer, as far as the active limit allows
+function acceptOffers(state) {
+  for (const def of availableMissions(state)) acceptMission(state, def.id);
+}
+
+// Simulate many plays of one machine type, feeding prizes through the real
+// economy and mission rules; capsules are stashed and opened after each play.
+// Plays are paid for at the arcade's prices while the yen lasts and run free
+// after that, counted in `unpaid`, so the ledger shows what a batch costs.
+// Each play runs until it is over or for `ticks` ticks, whichever comes
+// first, and gets its own seed derived from `seed`, so a whole batch is
+// reproducible. The game clock runs on simulated time, one play after another.
+// Returns the final game state and totals.
+export function simulatePlays(type, { plays = 100, ticks = 60 * 30, arcade = { themes: [] }, seed = randomSeed(), policy } = {}) {
+  const playSeeds = createRng(seed).stream('plays');
+  const state = createGameState();
+  acceptOffers(state);
+  const byRarity = {};
+  let prizes = 0;
+  let unpaid = 0;
+  for (let i = 0; i < plays; i++) {
+    const paid = payForPlay(state, arcade, type);
+    if (!paid) unpaid++;
+    const lootTable = resolveLootTable(arcade, type, clockMinutes(state));
+    const minRarity = paid === 'free' ? null : startPityPlay(state, lootTable);
+    const playSeed = Math.floor(playSeeds() * 4294967296);
+    const payout = startPayoutPlay(state, type, createRng(playSeed).stream('payout'));
+    const machine = createMachine(type, { arcade, seed: playSeed, lootTable, minRarity, payout, wallet: state });
+    const place = { arcade: arcade.name || null, machine: type };
+    if (paid !== 'free') trackMissions(state, { type: 'play', ...place });
+    for (const prize of runPlay(machine, policy || defaultPolicy(type), ticks)) {
+      recordPityWin(state, lootTable, prize.rarity);
+      trackMissions(state, { type: 'win', ...place });
+      const acquired = { ...place };
+      if (prize.kind === 'capsule') stashCapsule(state, prize, acquired);
+      else addGirlToInventory(state, acquireGal(state, prize.gal, acquired));
+      byRarity[prize.rarity] = (byRarity[prize.rarity] || 0) + 1;
+      prizes++;
+    }
+    while (openCapsule(state));
+    disposeMachine(machine);
+    advanceClock(state, machine.tick * FIXED_DT);
+    expireMissions(state);
+    acceptOffers(state);
+  }
+  return { state, seed, plays, unpaid, prizes, byRarity };
+}
@@ -0,0 +1,151 @@
+/*
+ * Loot resolution, rolls, pity and odds disclosure
+ *
+ * Turns the declarative tables in data/loot.js into the effective table for an
+ * arcade + machine at a point in game time, rolls prizes from it and tracks pity.
+ * The pity counter lives in the persistent game state (state.pity) keyed by
+ * table.pityKey: the standard pool shares one counter, and each banner that
+ * defines its own pity has a separate one.
+ */
+
+import { DEFAULT_LOOT_TABLE, MACHINE_LOOT, ARCADE_LOOT, BANNERS } from '../data/loot.js';
+import { RARITIES, CLASSES } from './economy.js';
+import { timeAt } from './clock.js';
+
+// Banners running for this arcade and machine at game minute `minutes`
+// (see clock.js)
+export function activeBanners(arcade, machineType, minutes) {
+  const { day } = timeAt(minutes);
+  return BANNERS.filter((banner) => {
+    if (day < banner.startDay || day >= banner.endDay) return false;
+    if (banner.arcades && !banner.arcades.includes(arcade.name)) return false;
+    if (banner.machines && !banner.machines.includes(machineType)) return false;
+    return true;
+  });
+}
+
+// Layer a table override on top of a base table
+function mergeTable(base, override) {
+  if (!override) return base;
+  return {
+    rarityWeights: override.rarityWeights ? { ...override.rarityWeights } : base.rarityWeights,
+    classWeights: { ...base.classWeights, ...override.classWeights },
+    featured: override.featured ? [...base.featured, ...override.featured] : base.featured,
+    pity: override.pity || base.pity,
+  };
+}
+
+// Effective loot table for a machine in an arcade at game minute `minutes`.
+// Events running at the arcade in game time (see sim/schedule.js) weight its
+// themes last.
+export function resolveLootTable(arcade, machineType, minutes) {
+  let table = { ...DEFAULT_LOOT_TABLE };
+  table = mergeTable(table, MACHINE_LOOT[machineType]);
+  table = mergeTable(table, ARCADE_LOOT[arcade.name]);
+  let pityKey = 'standard';
+  const banners = activeBanners(arcade, machineType, minutes);
+  for (const banner of banners) {
+    table = mergeTable(table, banner);
+    if (banner.pity) pityKey = banner.id;
+  }
+  for (const event of arcade.events || []) table = mergeTable(table, { classWeights: event.themeWeights });
+  // Classes this arcade can drop, weighted
+  const pool = arcade.themes && arcade.themes.length > 0 ? arcade.themes : CLASSES;
+  const classWeights = {};
+  for (const c of pool) classWeights[c] = table.classWeights[c] ?? 1;
+  return {
+    ...table,
+    classWeights,
+    pityKey,
+    banners: banners.map((b) => ({ id: b.id, name: b.name, endDay: b.endDay })),
+    events: (arcade.events || []).map((e) => e.name),
+  };
+}
+
+// Pick a key from { key: weight } using one roll of `random`
+function pickWeighted(weights, random) {
+  const entries = Object.entries(weights).filter(([, w]) => w > 0);
+  const total = entries.reduce((sum, [, w]) => sum + w, 0);
+  let roll = random() * total;
+  for (const [key, weight] of entries) {
+    roll -= weight;
+    if (roll < 0) return key;
+  }
+  return entries[entries.length - 1][0];
+}
+
+function rarityIndex(rarity) {
+  return RARITIES.indexOf(rarity);
+}
+
+// Roll a rarity, optionally never below `minRarity` (used by pity)
+export function rollLootRarity(table, random, minRarity = null) {
+  let weights = table.rarityWeights;
+  if (minRarity) {
+    weights = {};
+    for (const [rarity, weight] of Object.entries(table.rarityWeights)) {
+      if (rarityIndex(rarity) >= rarityIndex(minRarity)) weights[rarity] = weight;
+    }
+  }
+  return pickWeighted(weights, random);
+}
+
+// Roll the contents of one prize: { class, rarity, featured }
+export function rollPrizeContents(table, random, minRarity = null) {
+  const rarity = rollLootRarity(table, random, minRarity);
+  for (const feature of table.featured) {
+    if (feature.rarity === rarity && random() < feature.share) {
+      return { class: feature.class, rarity, featured: true };
+    }
+  }
+  return { class: pickWeighted(table.classWeights, random), rarity, featured: false };
+}
+
+// Count a paid play against pity. Returns the rarity this session must
+// guarantee, or null when pity has not kicked in yet.
+export function startPityPlay(state, table) {
+  const count = (state.pity[table.pityKey] || 0) + 1;
+  state.pity[table.pityKey] = count;
+  return count >= table.pity.plays ? table.pity.minRarity : null;
+}
+
+// Reset pity when a prize at or above the table's pity rarity is won
+export function recordPityWin(state, table, rarity) {
+  if (rarityIndex(rarity) >= rarityIndex(table.pity.minRarity)) {
+    state.pity[table.pityKey] = 0;
+  }
+}
+
+// Plays left before pity guarantees a prize
+export function playsUntilPity(state, table) {
+  return Math.max(0, table.pity.plays - (state.pity[table.pityKey] || 0));
+}
+
+// Probabilities for odds disclosure, worked out the way rollPrizeContents
+// rolls: per rarity, per class (featured prizes included) and per featured
+// gal. Featured entries are checked in order within their rarity, so each
+// only gets the share the ones before it left.
+export function effectiveOdds(table) {
+  const rarityTotal = Object.values(table.rarityWeights).reduce((a, b) => a + b, 0);
+  const classTotal = Object.values(table.classWeights).filter((w) => w > 0).reduce((a, b) => a + b, 0);
+  const rarityChance = (rarity) => (table.rarityWeights[rarity] || 0) / rarityTotal;
+  const rarities = RARITIES.slice().reverse()
+    .filter((rarity) => table.rarityWeights[rarity] > 0)
+    .map((rarity) => ({ rarity, chance: rarityChance(rarity) }));
+  // What is left of each rarity for the class roll once its featured entries
+  // have had their turn
+  const left = {};
+  const featured = table.featured.map((feature) => {
+    const remaining = left[feature.rarity] ?? rarityChance(feature.rarity);
+    left[feature.rarity] = remaining * (1 - feature.share);
+    return { class: feature.class, rarity: feature.rarity, chance: remaining * feature.share };
+  });
+  const classRoll = RARITIES.reduce((sum, rarity) => sum + (left[rarity] ?? rarityChance(rarity)), 0);
+  const classChances = {};
+  for (const [name, weight] of Object.entries(table.classWeights)) {
+    classChances[name] = weight > 0 ? classRoll * weight / classTotal : 0;
+  }
+  for (const feature of featured) classChances[feature.class] = (classChances[feature.class] || 0) + feature.chance;
+  const classes = Object.entries(classChances).map(([name, chance]) => ({ class: name, chance }));
+  return { rarities, classes, featured, pity: table.pity, banners: table.banners, events: table.events || [] };
+}
@@ -0,0 +1,147 @@
+/*
+ * Machine simulation
+ *
+ * A machine is a self-contained play session: a cannon-es world, its prizes,
+ * and the per-type control logic registered in registry.js. It advances in
+ * fixed ticks from plain input
+ * ({ moveX, moveZ, aim, action }) and reports the prizes won. The browser layer
+ * mirrors `prizes`, `claw` and `statics` onto Three.js meshes; headless runs just
+ * call advanceMachine in a loop. All randomness comes from the machine's seed
+ * (see rng.js), so a seed plus the per-tick inputs reproduces a session.
+ *
+ * A machine is one paid play. Once its type reports the play finished it runs
+ * on for RUN_ON_TIME so prizes already on their way out still land, and is
+ * then over: advanceMachine stops stepping it and a new play needs a new
+ * machine.
+ */
+
+import { FIXED_DT, MAX_TICKS_PER_ADVANCE, createPhysicsWorld } from './world.js';
+import { getMachineDefinition, machineTypes } from './registry.js';
+import { resolveLootTable } from './loot.js';
+import { applySprings } from './softbody.js';
+import { createRng, randomSeed } from './rng.js';
+import { createClock } from './clock.js';
+import { PIT } from '../data/machines.js';
+// Each of these registers its machine types, in menu order
+import './clawmachines.js';
+import './bridge.js';
+import './ringhook.js';
+import './pusher.js';
+import './ropecut.js';
+import './dropgoal.js';
+import './balance.js';
+
+export const MACHINE_TYPES = machineTypes();
+
+export const PIT_SIZE = PIT.size;
+
+// Seconds a finished play keeps running before it is over
+const RUN_ON_TIME = 2;
+
+// Input for a tick where nothing is pressed. `aim` turns the bridge pusher.
+export const IDLE_INPUT = Object.freeze({ moveX: 0, moveZ: 0, aim: 0, action: false });
+
+// Create a machine of the given type for an arcade ({ name, themes }). Without
+// a seed a random one is picked; it is kept on machine.seed for bug reports.
+// `minRarity` guarantees one prize of at least that rarity (pity) and
+// `payout` lets a claw play keep its grip (see startPayoutPlay). With
+// `softBodies` off, loose gals use rigid sphere proxies (low-end fallback).
+// `wallet` is the game state that machines taking yen mid-session (pusher
+// tokens) pay from and into. Without a loot table, the arcade's is resolved
+// at game minute `minutes`, by default the start of a new game.
+export function createMachine(type, { arcade, seed = randomSeed(), minutes = createClock().minutes, lootTable = resolveLootTable(arcade, type, minutes), minRarity = null, payout = false, softBodies = true, wallet = null }) {
+  const definition = getMachineDefinition(type);
+  const rng = createRng(seed);
+  const spawn = rng.stream('spawn');
+  const machine = {
+    type,
+    arcade,
+    seed: rng.seed,
+    rng,
+    lootTable,
+    minRarity,
+    payout,
+    wallet,
+    world: null,
+    floorY: definition.floorY,
+    prizes: [],
+    // Prizes lost rather than won (fell out of bounds or into an empty slot)
+    lost: [],
+    claw: null,
+    // Bridge config and pusher arm
+    bridge: null,
+    // Ring hook config and hook
+    ringHook: null,
+    // Pusher config, shelf and loose tokens
+    pusher: null,
+    // Rope cut config, blade carriage and ropes
+    ropeCut: null,
+    // Drop goal config, dropper position and balls left
+    dropGoal: null,
+    // Balance beam config, plank and ram
+    balance: null,
+    chute: null,
+    statics: [],
+    // Soft-body springs, applied before every world step
+    springs: [],
+    tick: 0,
+    accumulator: 0,
+    prevAction: false,
+    // Ticks run since the play finished, and whether it is over
+    runOn: 0,
+    over: false,
+    // Called with every tick's input and the prizes it won while a replay
+    // is being recorded (see replay.js)
+    recorder: null,
+  };
+  machine.world = createPhysicsWorld({ floorY: machine.floorY });
+  definition.spawn(machine, { random: spawn, softBodies });
+  return machine;
+}
+
+// Run exactly one fixed tick. Returns the prizes won during it.
+export function stepMachine(machine, input = IDLE_INPUT) {
+  const definition = getMachineDefinition(machine.type);
+  applySprings(machine.springs);
+  definition.update(machine, input, FIXED_DT);
+  machine.world.step(FIXED_DT);
+  const won = definition.checkWins(machine);
+  if (!machine.over && definition.finished && definition.finished(machine)) {
+    machine.runOn++;
+    machine.over = machine.runOn * FIXED_DT >= RUN_ON_TIME;
+  }
+  if (machine.recorder) machine.recorder(input, won);
+  machine.prevAction = input.action;
+  machine.tick++;
+  return won;
+}
+
+// Whether the play is used up and everything it set moving has landed
+export function isMachineOver(machine) {
+  return machine.over;
+}
+
+// Advance by a variable frame time using as many fixed ticks as fit. The same
+// input is held for every tick of the frame. Returns all prizes won; a
+// machine that is over no longer steps.
+export function advanceMachine(machine, dt, input = IDLE_INPUT) {
+  machine.accumulator += dt;
+  const won = [];
+  let ticks = 0;
+  while (machine.accumulator >= FIXED_DT && ticks < MAX_TICKS_PER_ADVANCE && !machine.over) {
+    won.push(...stepMachine(machine, input));
+    machine.accumulator -= FIXED_DT;
+    ticks++;
+  }
+  // Drop time we could not catch up on rather than carrying it forever
+  if (ticks === MAX_TICKS_PER_ADVANCE || machine.over) machine.accumulator = 0;
+  return won;
+}
+
+// Remove a machine's bodies so it can be garbage collected
+export function disposeMachine(machine) {
+  for (const constraint of [...machine.world.constraints]) machine.world.removeConstraint(constraint);
+  for (const body of [...machine.world.bodies]) machine.world.removeBody(body);
+  machine.prizes = [];
+  machine.springs = [];
+}
@@ -0,0 +1,175 @@
+/*
+ * Mission engine
+ *
+ * Tracks the missions the player has taken from Uka's board (definitions in
+ * data/missions.js). state.missions holds one record per mission that has
+ * left the board, in the order they were taken:
+ *
+ *   { id, status, progress, plays, deadline }
+ *
+ * status is 'active', 'complete', 'failed' (time or plays ran out) or
+ * 'declined'; only active missions make progress. Progress comes from
+ * trackMissions, which the economy and the arcade call as things happen.
+ * Deadlines are in-game minutes on the clock in sim/clock.js, which is saved
+ * with the state; callers may pass `now` to check against another time.
+ */
+
+import { emit } from '../events.js';
+import { ownsDecor, addDecor } from './decor.js';
+import { clockMinutes } from './clock.js';
+import { adjustYen } from './economy.js';
+import { MISSION_DEFS, MAX_ACTIVE_MISSIONS } from '../data/missions.js';
+
+export function getMissionDef(id) {
+  const def = MISSION_DEFS.find((d) => d.id === id);
+  if (!def) throw new Error(`Unknown mission: ${id}`);
+  return def;
+}
+
+function findRecord(state, id) {
+  return state.missions.find((m) => m.id === id);
+}
+
+function isComplete(state, id) {
+  const record = findRecord(state, id);
+  return Boolean(record && record.status === 'complete');
+}
+
+// A rival branch counts as taken once it is accepted, whatever became of it
+function isTaken(state, id) {
+  const record = findRecord(state, id);
+  return Boolean(record && record.status !== 'declined');
+}
+
+export function activeMissions(state) {
+  return state.missions.filter((m) => m.status === 'active');
+}
+
+// Missions Uka can offer now: not yet taken or declined, prerequisites done
+// and no rival branch taken
+export function availableMissions(state) {
+  return MISSION_DEFS.filter((def) =>
+    !findRecord(state, def.id) &&
+    (def.requires || []).every((id) => isComplete(state, id)) &&
+    !(def.excludes || []).some((id) => isTaken(state, id)));
+}
+
+// Whether a win or play at this arcade and machine counts for the objective
+function matchesPlace(objective, event) {
+  return (!objective.arcade || objective.arcade === event.arcade) &&
+    (!objective.machine || objective.machine === event.machine);
+}
+
+// Whether yen earned or spent counts for the objective
+function matchesSource(objective, event) {
+  return !objective.sources || objective.sources.includes(event.source);
+}
+
+// Per objective type: the progress needed, and the progress after an event.
+// Events are { type: 'gal', gal } | { type: 'win', arcade, machine } |
+// { type: 'play', arcade, machine } | { type: 'spend' | 'earn', amount, source } |
+// { type: 'decor' }.
+const OBJECTIVES = {
+  collect: {
+    required: (o) => o.count,
+    progress: (o, record, event) =>
+      record.progress + (event.type === 'gal' && event.gal.class === o.class && o.rarities.includes(event.gal.rarity) ? 1 : 0),
+  },
+  win: {
+    required: (o) => o.count,
+    progress: (o, record, event) => record.progress + (event.type === 'win' && matchesPlace(o, event) ? 1 : 0),
+  },
+  winWithin: {
+    required: (o) => o.count,
+    progress: (o, record, event) => record.progress + (event.type === 'win' && matchesPlace(o, event) ? 1 : 0),
+  },
+  spend: {
+    required: (o) => o.amount,
+    progress: (o, record, event) => record.progress + (event.type === 'spend' && matchesSource(o, event) ? event.amount : 0),
+  },
+  earn: {
+    required: (o) => o.amount,
+    progress: (o, record, event) => record.progress + (event.type === 'earn' && matchesSource(o, event) ? event.amount : 0),
+  },
+  ownDecor: {
+    required: () => 1,
+    progress: (o, record, event, state) => (ownsDecor(state, o.item) ? 1 : 0),
+  },
+};
+
+export function missionRequired(def) {
+  return OBJECTIVES[def.objective.type].required(def.objective);
+}
+
+// Take a mission from the board. Returns false if it is not on offer or the
+// player already has as many active missions as allowed.
+export function acceptMission(state, id, now = clockMinutes(state)) {
+  const def = getMissionDef(id);
+  if (!availableMissions(state).includes(def) || activeMissions(state).length >= MAX_ACTIVE_MISSIONS) return false;
+  const record = { id, status: 'active', progress: 0, plays: 0, deadline: def.timeLimit ? now + def.timeLimit * 60 : null };
+  state.missions.push(record);
+  emit('mission-accepted', { mission: record, def });
+  // Objectives about what the player already owns may be met straight away
+  updateRecord(state, record, def, { type: 'decor' });
+  return true;
+}
+
+// Turn a mission down. It leaves the board for good.
+export function declineMission(state, id) {
+  const def = getMissionDef(id);
+  if (!availableMissions(state).includes(def)) return false;
+  const record = { id, status: 'declined', progress: 0, plays: 0, deadline: null };
+  state.missions.push(record);
+  emit('mission-declined', { mission: record, def });
+  return true;
+}
+
+function failMission(record, def, reason) {
+  record.status = 'failed';
+  emit('mission-failed', { mission: record, def, reason });
+}
+
+function completeMission(state, record, def) {
+  record.status = 'complete';
+  // Rewards go straight to the wallet so they never count as earnings
+  adjustYen(state, def.reward, 'mission', def.description);
+  if (def.decor && !ownsDecor(state, def.decor)) addDecor(state, def.decor);
+  emit('mission-complete', { mission: record, def });
+  // A décor reward may finish another mission
+  if (def.decor) trackMissions(state, { type: 'decor' });
+}
+
+function updateRecord(state, record, def, event) {
+  const objective = def.objective;
+  if (objective.type === 'winWithin' && event.type === 'play' && matchesPlace(objective, event)) {
+    record.plays++;
+    if (record.plays > objective.plays) {
+      failMission(record, def, 'plays');
+      return;
+    }
+  }
+  const type = OBJECTIVES[objective.type];
+  record.progress = Math.min(type.required(objective), type.progress(objective, record, event, state));
+  if (record.progress >= type.required(objective)) completeMission(state, record, def);
+}
+
+// Feed something that happened to every active mission
+export function trackMissions(state, event) {
+  for (const record of activeMissions(state)) {
+    // An earlier mission's décor reward may already have finished this one
+    if (record.status === 'active') updateRecord(state, record, getMissionDef(record.id), event);
+  }
+}
+
+// Fail active missions whose time limit has passed
+export function expireMissions(state, now = clockMinutes(state)) {
+  for (const record of activeMissions(state)) {
+    if (record.deadline !== null && now > record.deadline) failMission(record, getMissionDef(record.id), 'time');
+  }
+}
+
+// In-game minutes left on a timed mission, or null
+export function minutesLeft(state, record, now = clockMinutes(state)) {
+  if (record.deadline === null) return null;
+  return Math.max(0, Math.ceil(record.deadline - now));
+}
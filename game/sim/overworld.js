@@ -0,0 +1,200 @@
+/*
+ * Overworld rules
+ *
+ * Walking the streets of data/overworld.js: the player is a circle pushed out
+ * of building footprints and kept inside the map, buildings are entered
+ * through their doorways, and pedestrians follow the sidewalks and crossings
+ * from corner to corner. Positions are plain { x, z } objects so this runs
+ * without Three.js.
+ */
+
+import { getMissionDef, activeMissions } from './missions.js';
+import { gameTime } from './clock.js';
+import { arcadeAt } from './schedule.js';
+import { OVERWORLD_MAP, PEDESTRIANS } from '../data/overworld.js';
+
+// Outward direction of each wall a door can face
+const FACINGS = { n: { x: 0, z: -1 }, s: { x: 0, z: 1 }, e: { x: 1, z: 0 }, w: { x: -1, z: 0 } };
+// How far in front of a door its doorway is centred, and how close to that
+// point the player has to stand
+const DOORWAY_DEPTH = 1.5;
+const DOORWAY_RADIUS = 2;
+
+export function getLocation(name, map = OVERWORLD_MAP) {
+  return map.locations.find((l) => l.name === name) || null;
+}
+
+// Every solid footprint: location buildings and the rest
+export function solidBuildings(map = OVERWORLD_MAP) {
+  return [...map.locations.map((l) => l.building), ...map.buildings];
+}
+
+// Push a circle out of one footprint. Returns whether it overlapped.
+function pushOut(pos, radius, b) {
+  const halfW = b.w / 2;
+  const halfD = b.d / 2;
+  const nearX = Math.max(b.x - halfW, Math.min(b.x + halfW, pos.x));
+  const nearZ = Math.max(b.z - halfD, Math.min(b.z + halfD, pos.z));
+  const dx = pos.x - nearX;
+  const dz = pos.z - nearZ;
+  const dist = Math.hypot(dx, dz);
+  if (dist >= radius) return false;
+  if (dist > 0) {
+    pos.x = nearX + (dx / dist) * radius;
+    pos.z = nearZ + (dz / dist) * radius;
+    return true;
+  }
+  // Centre inside the footprint: leave by the nearest wall
+  const exits = [
+    { depth: pos.x - (b.x - halfW), x: b.x - halfW - radius, z: pos.z },
+    { depth: b.x + halfW - pos.x, x: b.x + halfW + radius, z: pos.z },
+    { depth: pos.z - (b.z - halfD), x: pos.x, z: b.z - halfD - radius },
+    { depth: b.z + halfD - pos.z, x: pos.x, z: b.z + halfD + radius },
+  ];
+  const exit = exits.reduce((best, e) => (e.depth < best.depth ? e : best));
+  pos.x = exit.x;
+  pos.z = exit.z;
+  return true;
+}
+
+// Move a circle of `radius` by (dx, dz), sliding along any building it runs
+// into and staying inside the map. Updates and returns `pos`.
+export function moveWithCollision(pos, dx, dz, radius, map = OVERWORLD_MAP) {
+  pos.x += dx;
+  pos.z += dz;
+  for (const building of solidBuildings(map)) pushOut(pos, radius, building);
+  const limit = map.bounds - radius;
+  pos.x = Math.max(-limit, Math.min(limit, pos.x));
+  pos.z = Math.max(-limit, Math.min(limit, pos.z));
+  return pos;
+}
+
+// Centre of a location's doorway, just outside its door
+export function doorwayPoint(location) {
+  const out = FACINGS[location.door.facing];
+  return { x: location.door.x + out.x * DOORWAY_DEPTH, z: location.door.z + out.z * DOORWAY_DEPTH };
+}
+
+// The location whose doorway `pos` is standing in, or null
+export function doorwayAt(pos, map = OVERWORLD_MAP) {
+  for (const location of map.locations) {
+    const point = doorwayPoint(location);
+    if (Math.hypot(pos.x - point.x, pos.z - point.z) < DOORWAY_RADIUS) return location;
+  }
+  return null;
+}
+
+// Where each active mission can be worked on, as a Set of location names:
+// the arcade it names, arcades running its machine today or leaning to its
+// class, and the café for décor
+export function missionTargets(state, map = OVERWORLD_MAP) {
+  const targets = new Set();
+  const time = gameTime(state);
+  const arcades = map.locations.filter((l) => l.kind === 'arcade').map((l) => arcadeAt(l, time));
+  for (const record of activeMissions(state)) {
+    const objective = getMissionDef(record.id).objective;
+    if (objective.arcade) {
+      targets.add(objective.arcade);
+    } else if (objective.machine) {
+      for (const a of arcades) if (a.machines.includes(objective.machine)) targets.add(a.name);
+    } else if (objective.type === 'collect') {
+      for (const a of arcades) if (a.themes.includes(objective.class)) targets.add(a.name);
+    } else if (objective.type === 'ownDecor') {
+      targets.add('Cafe');
+    }
+  }
+  return targets;
+}
+
+// Corners and crossings pedestrians walk between. Each road crossing has a
+// corner on each of its four sides, on the middle of the sidewalk. Corners
+// link to the next crossing's corner along the same sidewalk, and across the
+// road to the neighbouring corners by the zebra crossings.
+export function sidewalkGraph(map = OVERWORLD_MAP) {
+  const reach = map.roadWidth / 2 + map.sidewalk / 2;
+  const nodes = [];
+  const index = new Map();
+  const key = (ai, si, sx, sz) => `${ai},${si},${sx},${sz}`;
+  map.avenues.forEach((x, ai) => {
+    map.streets.forEach((z, si) => {
+      for (const sx of [-1, 1]) {
+        for (const sz of [-1, 1]) {
+          index.set(key(ai, si, sx, sz), nodes.length);
+          nodes.push({ x: x + sx * reach, z: z + sz * reach, links: [] });
+        }
+      }
+    });
+  });
+  const link = (a, b) => {
+    if (a === undefined || b === undefined) return;
+    nodes[a].links.push(b);
+    nodes[b].links.push(a);
+  };
+  map.avenues.forEach((x, ai) => {
+    map.streets.forEach((z, si) => {
+      for (const s of [-1, 1]) {
+        // Zebra crossings over the avenue and over the street
+        link(index.get(key(ai, si, -1, s)), index.get(key(ai, si, 1, s)));
+        link(index.get(key(ai, si, s, -1)), index.get(key(ai, si, s, 1)));
+        // Along the sidewalk to the next crossing south and east
+        link(index.get(key(ai, si, s, 1)), index.get(key(ai, si + 1, s, -1)));
+        link(index.get(key(ai, si, 1, s)), index.get(key(ai + 1, si, -1, s)));
+      }
+    });
+  });
+  return nodes;
+}
+
+function between([min, max], random) {
+  return min + random() * (max - min);
+}
+
+// Scatter pedestrians on the sidewalk corners
+export function createPedestrians(random, map = OVERWORLD_MAP) {
+  const graph = sidewalkGraph(map);
+  const pedestrians = [];
+  for (let i = 0; i < PEDESTRIANS.count; i++) {
+    const from = Math.floor(random() * graph.length);
+    const to = graph[from].links[Math.floor(random() * graph[from].links.length)];
+    pedestrians.push({
+      id: i,
+      x: graph[from].x,
+      z: graph[from].z,
+      from,
+      to,
+      speed: between(PEDESTRIANS.speed, random),
+      pause: 0,
+      color: PEDESTRIANS.colors[Math.floor(random() * PEDESTRIANS.colors.length)],
+    });
+  }
+  return { graph, pedestrians };
+}
+
+// Walk every pedestrian towards their next corner; on arrival they may stop
+// a moment, then head on to a linked corner other than the one they came from
+export function stepPedestrians(crowd, dt, random) {
+  const { graph } = crowd;
+  for (const p of crowd.pedestrians) {
+    if (p.pause > 0) {
+      p.pause -= dt;
+      continue;
+    }
+    const target = graph[p.to];
+    const dx = target.x - p.x;
+    const dz = target.z - p.z;
+    const dist = Math.hypot(dx, dz);
+    const step = p.speed * dt;
+    if (dist > step) {
+      p.x += (dx / dist) * step;
+      p.z += (dz / dist) * step;
+      continue;
+    }
+    p.x = target.x;
+    p.z = target.z;
+    const onward = target.links.filter((n) => n !== p.from);
+    const choices = onward.length > 0 ? onward : target.links;
+    p.from = p.to;
+    p.to = choices[Math.floor(random() * choices.length)];
+    if (random() < PEDESTRIANS.pauseChance) p.pause = between(PEDESTRIANS.pauseTime, random);
+  }
+}
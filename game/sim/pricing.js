@@ -0,0 +1,57 @@
+/*
+ * Play pricing
+ *
+ * What a play costs on each machine at each arcade, multi-play bundles and
+ * the prepaid credits they leave in state.credits (prices in
+ * data/economy.js). Credits are kept per arcade and machine type and never
+ * expire; a play uses one before charging the single price.
+ */
+
+import { spendYen } from './economy.js';
+import { getMachineDefinition } from './registry.js';
+import { playCost } from './schedule.js';
+import { PLAY_BUNDLES, ARCADE_PRICES } from '../data/economy.js';
+
+// Prices of `type` at `arcade` (from arcadeAt), with any discount running:
+// { play, bundle: { plays, price } | null }. Machines that charge as they
+// go, like the pusher, have a play price of 0 and no bundle.
+export function machinePrices(arcade, type) {
+  const listPrice = getMachineDefinition(type).cost;
+  const own = (ARCADE_PRICES[arcade.name] || {})[type] || {};
+  const play = own.play ?? listPrice;
+  const bundle = 'bundle' in own ? own.bundle : PLAY_BUNDLES[type] || null;
+  return {
+    play: playCost(arcade, play),
+    bundle: bundle && play > 0 ? { plays: bundle.plays, price: playCost(arcade, bundle.price) } : null,
+  };
+}
+
+export function creditsFor(state, arcade, type) {
+  return (state.credits[arcade.name] || {})[type] || 0;
+}
+
+// Start a play: use a credit if there is one, otherwise pay the single price.
+// Returns 'credit' or 'paid', 'free' on machines with a play price of 0, or
+// null if the player cannot afford it. Free plays do not count as plays for
+// pity or missions.
+export function payForPlay(state, arcade, type) {
+  const { play } = machinePrices(arcade, type);
+  if (play === 0) return 'free';
+  const credits = creditsFor(state, arcade, type);
+  if (credits > 0) {
+    state.credits[arcade.name][type] = credits - 1;
+    return 'credit';
+  }
+  const { label } = getMachineDefinition(type);
+  return spendYen(state, play, 'play', `${label} at ${arcade.name}`) ? 'paid' : null;
+}
+
+// Buy the machine's bundle of prepaid plays. Returns whether it went through.
+export function buyBundle(state, arcade, type) {
+  const { bundle } = machinePrices(arcade, type);
+  const { label } = getMachineDefinition(type);
+  if (!bundle || !spendYen(state, bundle.price, 'bundle', `${bundle.plays} × ${label} at ${arcade.name}`)) return false;
+  const credits = state.credits[arcade.name] || (state.credits[arcade.name] = {});
+  credits[type] = (credits[type] || 0) + bundle.plays;
+  return true;
+}
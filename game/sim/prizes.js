@@ -0,0 +1,88 @@
+/*
+ * Prize bodies
+ *
+ * Creating and removing prizes in a machine world. Every prize rolls its
+ * contents from the machine's loot table and seed when it is spawned. A prize
+ * is usually one rigid body; soft gals also carry `soft` (see softbody.js),
+ * whose core doubles as `body`, and ring-hook prizes carry `links` and the
+ * `constraints` tying them on (see ringhook.js), as do rope-cut prizes for
+ * the piece of rope that falls with them (see ropecut.js).
+ */
+
+import * as CANNON from 'cannon-es';
+import { GROUP } from './world.js';
+import { rollPrizeContents } from './loot.js';
+import { RARITIES } from './economy.js';
+import { rollGal } from './gals.js';
+import { createSoftBody } from './softbody.js';
+
+let nextPrizeId = 1;
+
+// Class, rarity and the gal inside, from the machine's loot table and seed
+function rollContents(machine, minRarity) {
+  const contents = rollPrizeContents(machine.lootTable, machine.rng.stream('loot'), minRarity);
+  return {
+    class: contents.class,
+    rarity: contents.rarity,
+    featured: contents.featured,
+    // The gal inside, rolled now so her personality matters during the play
+    gal: rollGal(contents, machine.rng.stream('gal')),
+  };
+}
+
+function registerPrize(machine, kind, body) {
+  // The first prize of a pity session is rolled at the guaranteed rarity.
+  // Machines that spawn prizes as they go (drop goal balls, pusher restocks)
+  // must not hand it out again, so it is used up here.
+  const minRarity = machine.minRarity;
+  machine.minRarity = null;
+  const prize = {
+    id: nextPrizeId++,
+    kind,
+    body,
+    ...rollContents(machine, minRarity),
+    // Cosmetic only, but rolled here so a session looks the same every run
+    hue: machine.rng.stream('cosmetic')(),
+  };
+  machine.prizes.push(prize);
+  return prize;
+}
+
+// Re-roll a prize's contents at a rarity floor if it is below it (drop goal
+// slot tiers). A prize already at or above the floor keeps what it had.
+export function raisePrizeRarity(machine, prize, minRarity) {
+  if (RARITIES.indexOf(prize.rarity) >= RARITIES.indexOf(minRarity)) return;
+  Object.assign(prize, rollContents(machine, minRarity));
+}
+
+// Rigid prize with a single shape
+export function addPrize(machine, kind, shape, mass, position) {
+  const body = new CANNON.Body({ mass, shape, collisionFilterGroup: GROUP.PRIZE });
+  body.position.set(position.x, position.y, position.z);
+  machine.world.addBody(body);
+  return registerPrize(machine, kind, body);
+}
+
+// Plush prize built from a spring-joined particle cluster
+export function addSoftPrize(machine, kind, options, position) {
+  const soft = createSoftBody(machine.world, options, position);
+  machine.springs.push(...soft.springs);
+  const prize = registerPrize(machine, kind, soft.core);
+  prize.soft = soft;
+  return prize;
+}
+
+// Take a prize out of the machine, including any soft-body particles
+export function removePrize(machine, prize) {
+  const index = machine.prizes.indexOf(prize);
+  if (index !== -1) machine.prizes.splice(index, 1);
+  machine.world.removeBody(prize.body);
+  if (prize.soft) {
+    for (const particle of prize.soft.particles) machine.world.removeBody(particle);
+    machine.springs = machine.springs.filter((spring) => !prize.soft.springs.includes(spring));
+  }
+  if (prize.links) {
+    for (const constraint of prize.constraints) machine.world.removeConstraint(constraint);
+    for (const link of prize.links) machine.world.removeBody(link);
+  }
+}
@@ -0,0 +1,159 @@
+/*
+ * Gal progression
+ *
+ * Levels, fusion, limit breaks, rarity upgrades and costumes, all driven by
+ * the tables in data/progression.js. Each gal carries
+ *
+ *   { level, xp, limitBreaks, baseStats, costume }
+ *
+ * where `xp` counts towards her next level, `baseStats` are the stats she was
+ * rolled with (rescaled when her rarity goes up) and `costume` names the
+ * costume she wears, or null. Her `stats` are always worked out from these by
+ * refreshStats, so everything else keeps reading gal.stats.
+ *
+ * Only duplicates (gals with duplicateOf set) that are not favourites can be
+ * fused away, like at the exchange counter.
+ */
+
+import { emit } from '../events.js';
+import { spendYen, RARITIES } from './economy.js';
+import { duplicateKey } from './gals.js';
+import { STATS, RARITY_STAT_MULTIPLIER } from '../data/gals.js';
+import { LEVELS, XP_GAINS, FUSION_XP, RARITY_UPGRADES, COSTUMES } from '../data/progression.js';
+
+function findGal(state, galId) {
+  return state.inventory.find((g) => g.id === galId) || null;
+}
+
+export function levelCap(gal) {
+  return LEVELS.caps[gal.rarity] + gal.limitBreaks * LEVELS.perLimitBreak;
+}
+
+// XP to go from `level` to the next
+export function xpToNext(level) {
+  return LEVELS.xpBase + LEVELS.xpPerLevel * (level - 1);
+}
+
+// Costumes she can wear: her class's, up to her rarity, lowest first
+export function unlockedCostumes(gal) {
+  const costumes = COSTUMES[gal.class] || {};
+  return RARITIES.slice(0, RARITIES.indexOf(gal.rarity) + 1).filter((r) => costumes[r]).map((r) => costumes[r]);
+}
+
+export function wornCostume(gal) {
+  return unlockedCostumes(gal).find((c) => c.name === gal.costume) || null;
+}
+
+// Work out her stats from her base stats, level and costume
+export function refreshStats(gal) {
+  const growth = 1 + LEVELS.statGrowth * (gal.level - 1);
+  const bonus = (wornCostume(gal) || { stats: {} }).stats;
+  for (const stat of STATS) gal.stats[stat] = Math.round(gal.baseStats[stat] * growth) + (bonus[stat] || 0);
+  return gal;
+}
+
+// Add XP, levelling her up as far as her cap allows. XP past the cap waits
+// (up to one level's worth) for her next limit break. Emits 'gal-levelled'
+// with her new level. Returns the levels gained.
+export function gainXp(gal, amount) {
+  const before = gal.level;
+  gal.xp += Math.round(amount);
+  while (gal.level < levelCap(gal) && gal.xp >= xpToNext(gal.level)) {
+    gal.xp -= xpToNext(gal.level);
+    gal.level++;
+  }
+  if (gal.level >= levelCap(gal)) gal.xp = Math.min(gal.xp, xpToNext(gal.level));
+  if (gal.level === before) return 0;
+  refreshStats(gal);
+  emit('gal-levelled', { gal, level: gal.level, gained: gal.level - before });
+  return gal.level - before;
+}
+
+// XP for a day on café staff, serving or cooking `served` times
+export function shiftXp(served) {
+  return XP_GAINS.shift + served * XP_GAINS.perServed;
+}
+
+// XP for starring in a Para-Para show (a showResult from sim/rhythm.js)
+export function showXp(result) {
+  return XP_GAINS.show * result.accuracy + (result.fullCombo ? XP_GAINS.fullCombo : 0);
+}
+
+// Gals that can be fused into `target`
+export function fusionMaterials(state, target) {
+  return state.inventory.filter((g) => g.duplicateOf && !g.favorite && g.id !== target.id);
+}
+
+export function canLimitBreak(target, material) {
+  return duplicateKey(material) === duplicateKey(target) && target.limitBreaks < LEVELS.maxLimitBreaks;
+}
+
+// Fuse a duplicate into a gal, using her up: `mode` 'xp' adds her FUSION_XP,
+// 'limit' spends her on a limit break (same class and rarity only). Returns
+// null if the fusion is not allowed, otherwise { mode, xp, levels }.
+export function fuseGals(state, targetId, materialId, mode) {
+  const target = findGal(state, targetId);
+  if (!target) return null;
+  const material = fusionMaterials(state, target).find((g) => g.id === materialId);
+  if (!material || (mode === 'limit' && !canLimitBreak(target, material))) return null;
+  state.inventory.splice(state.inventory.indexOf(material), 1);
+  state.cafe.staff = state.cafe.staff.filter((s) => s.galId !== material.id);
+  let xp = 0;
+  if (mode === 'limit') target.limitBreaks++;
+  else xp = FUSION_XP[material.rarity];
+  // A limit break may free XP that was waiting at the old cap
+  const levels = gainXp(target, xp);
+  const result = { mode, xp, levels };
+  emit('gals-fused', { target, material, ...result });
+  return result;
+}
+
+// The next rarity and its price once she has every limit break and sits at
+// her cap, otherwise null
+export function rarityUpgrade(gal) {
+  const upgrade = RARITY_UPGRADES[gal.rarity];
+  if (!upgrade || gal.limitBreaks < LEVELS.maxLimitBreaks || gal.level < levelCap(gal)) return null;
+  return upgrade;
+}
+
+// Give her duplicates a new original once she changes rarity: the oldest of
+// them, if any. She herself joins her new rarity as a duplicate if it already
+// has an original.
+function rekeyDuplicates(state, gal) {
+  const left = state.inventory.filter((g) => g.duplicateOf === gal.id);
+  if (left.length > 0) {
+    const [original, ...rest] = left.sort((a, b) => a.id - b.id);
+    original.duplicateOf = null;
+    for (const g of rest) g.duplicateOf = original.id;
+  }
+  const original = state.inventory.find((g) => g !== gal && !g.duplicateOf && duplicateKey(g) === duplicateKey(gal));
+  gal.duplicateOf = original ? original.id : null;
+}
+
+// Pay to raise her to the next rarity. Her base stats scale up, her limit
+// breaks start over and the new rarity's costume is unlocked. Emits
+// 'rarity-upgraded'. Returns whether it went through.
+export function upgradeRarity(state, galId) {
+  const gal = findGal(state, galId);
+  const upgrade = gal && rarityUpgrade(gal);
+  if (!upgrade || !spendYen(state, upgrade.yen, 'upgrade', `${gal.name} to ${upgrade.to}`)) return false;
+  const scale = RARITY_STAT_MULTIPLIER[upgrade.to] / RARITY_STAT_MULTIPLIER[gal.rarity];
+  for (const stat of STATS) gal.baseStats[stat] = Math.round(gal.baseStats[stat] * scale);
+  gal.rarity = upgrade.to;
+  gal.limitBreaks = 0;
+  rekeyDuplicates(state, gal);
+  refreshStats(gal);
+  const costume = (COSTUMES[gal.class] || {})[gal.rarity] || null;
+  emit('rarity-upgraded', { gal, costume });
+  return true;
+}
+
+// Put on one of her unlocked costumes, or take it off with null. Returns
+// whether it changed.
+export function wearCostume(state, galId, name) {
+  const gal = findGal(state, galId);
+  if (!gal || (name !== null && !unlockedCostumes(gal).some((c) => c.name === name))) return false;
+  gal.costume = name;
+  refreshStats(gal);
+  return true;
+}
@@ -0,0 +1,186 @@
+/*
+ * Pusher (coin pusher) machine: a bed of tokens and prize boxes lies on a
+ * table while a kinematic shelf slides back and forth over its back half. The
+ * player moves a dropper along the front of the shelf and presses the button
+ * to drop a token, paid for from the machine's wallet (the game state). Whatever falls
+ * off the front edge pays out: tokens refund their cost and prizes are won.
+ * Spills off the sides are lost. The table persists for as long as the
+ * machine does; won or lost prizes are restocked on the shelf.
+ */
+
+import * as CANNON from 'cannon-es';
+import { GROUP, addStaticBox } from './world.js';
+import { addPrize, removePrize } from './prizes.js';
+import { spendYen, adjustYen } from './economy.js';
+import { registerMachine } from './registry.js';
+import { emit } from '../events.js';
+import { PUSHER } from '../data/machines.js';
+
+// How far below the table top something counts as fallen
+const FALL_DEPTH = 1;
+
+// Table, the back wall the shelf slides under and side rails that stop short
+// of the front so spills only happen near the edge
+export function addPusherTable(world, config) {
+  const { width, depth, front } = config.table;
+  const back = front - depth;
+  const thickness = 0.4;
+  const wallHeight = 2.5;
+  const railLength = depth - config.sideGap;
+  const statics = [
+    addStaticBox(world, { x: width, y: thickness, z: depth }, { x: 0, y: -thickness / 2, z: back + depth / 2 }, 'floor'),
+    // Leaves a slot just above the shelf so items on it are scraped off
+    addStaticBox(world, { x: width, y: wallHeight, z: 0.3 }, { x: 0, y: config.shelf.height + 0.05 + wallHeight / 2, z: back - 0.15 }, 'barrier'),
+  ];
+  for (const side of [-1, 1]) {
+    statics.push(addStaticBox(world, { x: 0.2, y: 1, z: railLength }, { x: side * (width / 2 + 0.1), y: 0.5, z: back + railLength / 2 }, 'barrier'));
+  }
+  return statics;
+}
+
+// Shelf front face position along z at time t (seconds)
+function shelfFront(config, t) {
+  const { shelfFront: mid, stroke, period } = config.shelf;
+  return mid + (stroke / 2) * Math.sin((2 * Math.PI * t) / period);
+}
+
+// The sliding shelf, a kinematic box resting on the table
+export function createShelf(world, config) {
+  const { height, depth } = config.shelf;
+  const body = new CANNON.Body({
+    mass: 0,
+    type: CANNON.Body.KINEMATIC,
+    shape: new CANNON.Box(new CANNON.Vec3(config.table.width / 2, height / 2, depth / 2)),
+    collisionFilterGroup: GROUP.CLAW,
+    collisionFilterMask: GROUP.PRIZE,
+  });
+  body.position.set(0, height / 2, shelfFront(config, 0) - depth / 2);
+  world.addBody(body);
+  return {
+    body,
+    size: { x: config.table.width, y: height, z: depth },
+    dropperX: 0,
+  };
+}
+
+function addToken(machine, config, position) {
+  const { radius, height, mass } = config.token;
+  const body = new CANNON.Body({
+    mass,
+    shape: new CANNON.Cylinder(radius, radius, height, 10),
+    collisionFilterGroup: GROUP.PRIZE,
+    linearDamping: 0.05,
+    angularDamping: 0.3,
+  });
+  body.position.set(position.x, position.y, position.z);
+  machine.world.addBody(body);
+  machine.pusher.tokens.push(body);
+  return body;
+}
+
+function addPusherPrize(machine, config, position) {
+  const half = config.prizeSize / 2;
+  const prize = addPrize(machine, 'box', new CANNON.Box(new CANNON.Vec3(half, half, half)), config.prizeMass, position);
+  prize.size = { x: config.prizeSize, y: config.prizeSize, z: config.prizeSize };
+  return prize;
+}
+
+// Lay the starting bed of tokens from just past the shelf's reach right up
+// to the front edge, with a few prizes among them. Like a real machine the
+// front row starts out overhanging, one good push from falling.
+export function stockTable(machine, config, random) {
+  const { width, front } = config.table;
+  const bedBack = config.shelf.shelfFront + config.shelf.stroke / 2 + config.token.radius;
+  const area = { x: width - 1, z: front - 0.05 - bedBack };
+  // Stack them in jittered layers of a grid, filled from the front edge back,
+  // so none start out overlapping
+  const { radius, height } = config.token;
+  const pitch = radius * 2 + 0.05;
+  const columns = Math.floor(area.x / pitch) + 1;
+  const rows = Math.floor(area.z / pitch) + 1;
+  for (let i = 0; i < config.startTokens; i++) {
+    const layer = Math.floor(i / (columns * rows));
+    const cell = i % (columns * rows);
+    const x = -area.x / 2 + (cell % columns) * pitch + (random() - 0.5) * 0.04;
+    const z = front - 0.05 - Math.floor(cell / columns) * pitch - random() * 0.04;
+    addToken(machine, config, { x, y: height / 2 + 0.01 + layer * (height + 0.02), z });
+  }
+  for (let i = 0; i < config.prizes; i++) {
+    addPusherPrize(machine, config, { x: (random() - 0.5) * area.x * 0.6, y: 1, z: bedBack + area.z * (0.3 + random() * 0.4) });
+  }
+}
+
+// Steer the dropper, drop a paid token on a fresh press and drive the shelf.
+// Call before stepping the world.
+export function updatePusher(machine, input, dt) {
+  const config = machine.pusher.config;
+  const shelf = machine.pusher.shelf;
+  const limit = config.table.width / 2 - config.token.radius;
+  shelf.dropperX = Math.max(-limit, Math.min(limit, shelf.dropperX + input.moveX * config.dropper.moveSpeed * dt));
+  if (input.action && !machine.prevAction) {
+    if (machine.wallet && spendYen(machine.wallet, config.token.cost, 'token', 'Token dropped')) {
+      addToken(machine, config, { x: shelf.dropperX, y: config.dropper.height, z: config.dropper.z });
+      emit('token-dropped', { cost: config.token.cost });
+    } else {
+      emit('token-refused', { cost: config.token.cost });
+    }
+  }
+  // Velocity that lands the shelf on its next position after this tick
+  const t = (machine.tick + 1) * dt;
+  const target = shelfFront(config, t) - config.shelf.depth / 2;
+  shelf.body.velocity.set(0, 0, (target - shelf.body.position.z) / dt);
+}
+
+// Tokens and prizes that fell: off the front pays, off the sides is lost.
+// Returns the prizes won this tick.
+export function checkPusherEdges(machine) {
+  const config = machine.pusher.config;
+  const { front } = config.table;
+  const pastFront = (pos) => pos.z > front && Math.abs(pos.x) < config.table.width / 2;
+  for (const token of [...machine.pusher.tokens]) {
+    if (token.position.y > -FALL_DEPTH) continue;
+    machine.world.removeBody(token);
+    machine.pusher.tokens.splice(machine.pusher.tokens.indexOf(token), 1);
+    if (pastFront(token.position)) {
+      // Only the token's own cost comes back, so it is not earnings that
+      // count towards missions
+      if (machine.wallet) adjustYen(machine.wallet, config.token.cost, 'token', 'Token paid out');
+      emit('token-won', { value: config.token.cost });
+    } else {
+      emit('token-lost', {});
+    }
+  }
+  const won = [];
+  for (const prize of [...machine.prizes]) {
+    const pos = prize.body.position;
+    if (pos.y > -FALL_DEPTH) continue;
+    removePrize(machine, prize);
+    if (pastFront(pos)) {
+      won.push(prize);
+    } else {
+      prize.lost = true;
+      machine.lost.push(prize);
+      emit('prize-lost', prize);
+    }
+    // Restock on the shelf so the table always has prizes to chase
+    const x = (machine.rng.stream('spawn')() - 0.5) * (config.table.width - 2);
+    addPusherPrize(machine, config, { x, y: config.shelf.height + 0.5, z: config.dropper.z });
+  }
+  return won;
+}
+
+// Free to sit at: every token is paid for as it is dropped
+registerMachine('pusher', {
+  label: 'Pusher',
+  cost: 0,
+  floorY: -3,
+  prompt: (machine, keys) => `Pusher: ${keys.sideways} to move the dropper, ${keys.grab} to drop a token (¥${machine.pusher.config.token.cost}). Whatever falls over the front edge is yours; side spills are lost. ${keys.back} to quit.`,
+  spawn(machine, { random }) {
+    machine.world.defaultContactMaterial.friction = PUSHER.friction;
+    machine.statics = addPusherTable(machine.world, PUSHER);
+    machine.pusher = { config: PUSHER, shelf: createShelf(machine.world, PUSHER), tokens: [] };
+    stockTable(machine, PUSHER, random);
+  },
+  update: updatePusher,
+  checkWins: checkPusherEdges,
+});
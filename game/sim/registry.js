@@ -0,0 +1,44 @@
+/*
+ * Machine registry
+ *
+ * Every machine type registers one definition here, and createMachine,
+ * stepMachine and the arcade menu work from it rather than knowing the types.
+ * A definition is a plain object:
+ *
+ *   label      name shown in the arcade menu
+ *   cost       yen charged to start a play (0 for machines that charge as
+ *              they go, like the pusher)
+ *   floorY     height of the world's floor plane (default 0)
+ *   prompt     (machine, keys) => how-to-play text shown when the play
+ *              starts; `keys` names the bound controls as { move, sideways,
+ *              aim, grab, back }
+ *   spawn      (machine, { random, softBodies }) builds the statics, the
+ *              type's own state and the starting prizes
+ *   update     (machine, input, dt) drives the controls; runs before the
+ *              world step each tick
+ *   checkWins  (machine) => prizes won this tick; runs after the world step
+ *   finished   (machine) => whether the play is used up: no moves left and
+ *              the controls at rest. Optional; machines without it (the
+ *              pusher) play on until the player leaves
+ *
+ * Types register in the order their modules are imported by machine.js, which
+ * is also the order they are listed in.
+ */
+
+const REGISTRY = new Map();
+
+export function registerMachine(type, definition) {
+  if (REGISTRY.has(type)) throw new Error(`Machine type already registered: ${type}`);
+  REGISTRY.set(type, { type, floorY: 0, ...definition });
+}
+
+export function getMachineDefinition(type) {
+  const definition = REGISTRY.get(type);
+  if (!definition) throw new Error(`Unknown machine type: ${type}`);
+  return definition;
+}
+
+// Registered type names, in registration order
+export function machineTypes() {
+  return [...REGISTRY.keys()];
+}
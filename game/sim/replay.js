@@ -0,0 +1,187 @@
+/*
+ * Replays
+ *
+ * A replay holds everything needed to run one machine session again exactly.
+ * Machines take all their randomness from the seed and run in fixed ticks
+ * (see machine.js), so the same start and the same input every tick give the
+ * same session:
+ *
+ *   { version, type, arcade: { name, themes }, seed, lootTable, minRarity,
+ *     payout, softBodies, yen, ticks, inputs, prizes }
+ *
+ * `inputs` lists runs of identical ticks as [count, moveX, moveZ, aim,
+ * action] with action 0 or 1. `yen` is what the wallet held when the session
+ * began, for machines that take yen as they go (pusher); yen paid in from
+ * elsewhere mid-session, such as mission rewards, is not replayed. `prizes`
+ * are the prizes the session won, { tick, kind, class, rarity, gal }, so a
+ * replay doubles as a regression test: run it again and the same prizes
+ * should drop on the same ticks (see replaycli.js).
+ */
+
+import { createMachine, stepMachine, disposeMachine, MACHINE_TYPES } from './machine.js';
+import { createGameState, adjustYen } from './economy.js';
+import { MAX_TICKS_PER_ADVANCE, FIXED_DT } from './world.js';
+
+export const REPLAY_VERSION = 2;
+
+// What a replay keeps of a prize; prize ids differ from run to run
+function prizeRecord(prize, tick) {
+  return { tick, kind: prize.kind, class: prize.class, rarity: prize.rarity, gal: prize.gal.name };
+}
+
+function recordTick(recording, tick, input, won) {
+  const step = [input.moveX || 0, input.moveZ || 0, input.aim || 0, input.action ? 1 : 0];
+  const last = recording.inputs[recording.inputs.length - 1];
+  if (last && step.every((value, i) => value === last[i + 1])) last[0]++;
+  else recording.inputs.push([1, ...step]);
+  recording.ticks++;
+  for (const prize of won) recording.prizes.push(prizeRecord(prize, tick));
+}
+
+// Record a session from its first tick: the machine's start now, and every
+// tick it runs from here on. `softBodies` and `yen` are what it was created
+// with and the wallet's balance. Returns the recording, which fills in as the
+// machine runs.
+export function startRecording(machine, { softBodies = true, yen = 0 } = {}) {
+  const recording = {
+    version: REPLAY_VERSION,
+    type: machine.type,
+    arcade: { name: machine.arcade.name || null, themes: machine.arcade.themes || [] },
+    seed: machine.seed,
+    lootTable: JSON.parse(JSON.stringify(machine.lootTable)),
+    minRarity: machine.minRarity,
+    payout: machine.payout,
+    softBodies,
+    yen,
+    ticks: 0,
+    inputs: [],
+    prizes: [],
+  };
+  machine.recorder = (input, won) => recordTick(recording, machine.tick, input, won);
+  return recording;
+}
+
+// Read a replay file. Throws if it is not one this build can play.
+export function parseReplay(text) {
+  const recording = JSON.parse(text);
+  if (!recording || typeof recording !== 'object' || !Array.isArray(recording.inputs)) {
+    throw new Error('Not a Gatcha Gal Panic replay');
+  }
+  if (recording.version !== REPLAY_VERSION) {
+    throw new Error(`Replay version ${recording.version} does not match this build (${REPLAY_VERSION})`);
+  }
+  if (!MACHINE_TYPES.includes(recording.type)) throw new Error(`Unknown machine type "${recording.type}"`);
+  return recording;
+}
+
+function expandInputs(recording) {
+  const inputs = [];
+  for (const [count, moveX, moveZ, aim, action] of recording.inputs) {
+    const input = Object.freeze({ moveX, moveZ, aim, action: action === 1 });
+    for (let i = 0; i < count; i++) inputs.push(input);
+  }
+  return inputs;
+}
+
+// A fresh machine at the recording's start, with a wallet holding its yen
+function restart(replay) {
+  const { recording } = replay;
+  const wallet = createGameState();
+  adjustYen(wallet, recording.yen - wallet.yen, 'carried', 'Replay');
+  replay.machine = createMachine(recording.type, {
+    arcade: recording.arcade,
+    seed: recording.seed,
+    lootTable: recording.lootTable,
+    minRarity: recording.minRarity,
+    payout: recording.payout,
+    softBodies: recording.softBodies,
+    wallet,
+  });
+  replay.tick = 0;
+  replay.won = [];
+  replay.accumulator = 0;
+}
+
+// Set up a recording to be played back. `paused` and `speed` (1 is real
+// time) steer advanceReplay; `won` collects the prizes won so far in the
+// same form as recording.prizes.
+export function createReplay(recording) {
+  const replay = { recording, inputs: expandInputs(recording), machine: null, tick: 0, won: [], accumulator: 0, paused: false, speed: 1 };
+  restart(replay);
+  return replay;
+}
+
+export function isReplayOver(replay) {
+  return replay.tick >= replay.inputs.length;
+}
+
+// Run the next recorded tick. Returns the prizes won during it.
+export function stepReplay(replay) {
+  if (isReplayOver(replay)) return [];
+  const tick = replay.tick;
+  const won = stepMachine(replay.machine, replay.inputs[tick]);
+  replay.tick++;
+  for (const prize of won) replay.won.push(prizeRecord(prize, tick));
+  return won;
+}
+
+// Play back by a frame time at the replay's speed, like advanceMachine.
+// Returns the prizes won.
+export function advanceReplay(replay, dt) {
+  if (replay.paused) return [];
+  replay.accumulator += dt * replay.speed;
+  const won = [];
+  let ticks = 0;
+  while (replay.accumulator >= FIXED_DT && ticks < MAX_TICKS_PER_ADVANCE && !isReplayOver(replay)) {
+    won.push(...stepReplay(replay));
+    replay.accumulator -= FIXED_DT;
+    ticks++;
+  }
+  if (ticks === MAX_TICKS_PER_ADVANCE || isReplayOver(replay)) replay.accumulator = 0;
+  return won;
+}
+
+// Jump to `tick`. Machines cannot run backwards, so going back starts a new
+// machine from the top and runs it forward; replay.machine is then a
+// different machine. Returns the prizes won on the way.
+export function seekReplay(replay, tick) {
+  const target = Math.max(0, Math.min(tick, replay.inputs.length));
+  if (target < replay.tick) {
+    disposeMachine(replay.machine);
+    restart(replay);
+  }
+  const won = [];
+  while (replay.tick < target) won.push(...stepReplay(replay));
+  return won;
+}
+
+// Run a whole recording headlessly. Returns the prizes won, in the form of
+// recording.prizes.
+export function runReplay(recording) {
+  const replay = createReplay(recording);
+  while (!isReplayOver(replay)) stepReplay(replay);
+  disposeMachine(replay.machine);
+  return replay.won;
+}
+
+// Index of the first prize that differs between two prize lists, or -1.
+// `actual` may stop short of `expected` while a replay is still running;
+// pass `complete` false to only compare what it has so far.
+export function firstMismatch(expected, actual, complete = true) {
+  const same = (a, b) => a && b && ['tick', 'kind', 'class', 'rarity', 'gal'].every((key) => a[key] === b[key]);
+  const length = complete ? Math.max(expected.length, actual.length) : actual.length;
+  for (let i = 0; i < length; i++) {
+    if (!same(expected[i], actual[i])) return i;
+  }
+  return -1;
+}
+
+// Run a recording and compare the prizes with the ones it recorded. Returns
+// { ok, expected, actual, mismatch } where `mismatch` is the index of the
+// first prize that differs, or -1.
+export function checkReplay(recording) {
+  const expected = recording.prizes;
+  const actual = runReplay(recording);
+  const mismatch = firstMismatch(expected, actual);
+  return { ok: mismatch === -1, expected, actual, mismatch };
+}
@@ -0,0 +1,62 @@
+/*
+ * Command line entry for replays:
+ *
+ *   node game/sim/replaycli.js [replay.json ...]
+ *   node game/sim/replaycli.js --record <girls|capsules|bridge|...> [ticks] [seed]
+ *
+ * The first form re-runs each replay and checks it wins the same prizes on
+ * the same ticks, printing a JSON result per file and exiting with status 1
+ * if any differ, so saved replays can run as regression tests. With no files
+ * it checks every replay in game/replays, one recorded session per machine
+ * type. The second plays one session with the headless scripted player and
+ * prints it as a replay file. Requires cannon-es to be resolvable from Node.
+ */
+
+import { readFileSync, readdirSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { createMachine, disposeMachine, MACHINE_TYPES } from './machine.js';
+import { createRng, parseSeed, randomSeed } from './rng.js';
+import { runPlay, defaultPolicy } from './headless.js';
+import { createGameState } from './economy.js';
+import { startPayoutPlay } from './clawmachines.js';
+import { startRecording, parseReplay, checkReplay } from './replay.js';
+
+const REPLAYS_DIR = new URL('../replays/', import.meta.url);
+
+const args = process.argv.slice(2);
+if (args[0] === '--record') {
+  const [, type = 'girls', ticks = '1800', seedText] = args;
+  if (!MACHINE_TYPES.includes(type)) {
+    console.error(`Unknown machine type "${type}". Expected one of: ${MACHINE_TYPES.join(', ')}`);
+    process.exit(1);
+  }
+  const wallet = createGameState();
+  const seed = parseSeed(seedText) ?? randomSeed();
+  const payout = startPayoutPlay(wallet, type, createRng(seed).stream('payout'));
+  const machine = createMachine(type, { arcade: { themes: [] }, seed, payout, wallet });
+  const recording = startRecording(machine, { yen: wallet.yen });
+  runPlay(machine, defaultPolicy(type), Number(ticks));
+  disposeMachine(machine);
+  console.log(JSON.stringify(recording));
+} else {
+  let files = args;
+  if (files.length === 0) {
+    files = readdirSync(REPLAYS_DIR).filter((name) => name.endsWith('.json')).sort().map((name) => fileURLToPath(new URL(name, REPLAYS_DIR)));
+  }
+  let failed = false;
+  for (const file of files) {
+    const recording = parseReplay(readFileSync(file, 'utf8'));
+    const { ok, expected, actual, mismatch } = checkReplay(recording);
+    if (!ok) failed = true;
+    console.log(JSON.stringify({
+      file,
+      type: recording.type,
+      seed: recording.seed,
+      ticks: recording.ticks,
+      ok,
+      prizes: actual.length,
+      ...(ok ? {} : { expected: expected[mismatch] || null, actual: actual[mismatch] || null }),
+    }, null, 2));
+  }
+  process.exit(failed ? 1 : 0);
+}
@@ -0,0 +1,162 @@
+/*
+ * Para-Para rhythm shows
+ *
+ * Parses beatmaps from data/beatmaps.js into charts of timed notes and judges
+ * presses against them. Nothing here reads the frame rate or the wall clock:
+ * every call takes the show time in seconds, so a show can be judged in the
+ * browser from key event timestamps or headlessly from a recorded list of
+ * presses, with the same result.
+ */
+
+import { BEATMAPS, LANES, JUDGE_WINDOWS, JUDGE_POINTS } from '../data/beatmaps.js';
+
+const HEADER_KEYS = ['title', 'bpm', 'offset'];
+const BEATS_PER_MEASURE = 4;
+
+// Parse beatmap text into { title, bpm, offset, notes, length }. Notes are
+// { id, time, lane, beat } in time order. Throws on malformed lines.
+export function parseChart(text) {
+  const chart = { title: 'Untitled', bpm: 0, offset: 0, notes: [], length: 0 };
+  let measure = 0;
+  text.split('\n').forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) return;
+    const header = line.match(/^(\w+):\s*(.*)$/);
+    if (header) {
+      const [, key, value] = header;
+      if (!HEADER_KEYS.includes(key)) throw new Error(`Unknown beatmap header "${key}" on line ${index + 1}`);
+      chart[key] = key === 'title' ? value : Number(value);
+      return;
+    }
+    const rows = line.split(/\s+/);
+    rows.forEach((row, i) => {
+      if (row.length !== LANES.length || /[^x.]/.test(row)) {
+        throw new Error(`Bad beatmap row "${row}" on line ${index + 1}`);
+      }
+      const beat = (measure + i / rows.length) * BEATS_PER_MEASURE;
+      for (let lane = 0; lane < row.length; lane++) {
+        if (row[lane] === 'x') chart.notes.push({ id: chart.notes.length, beat, lane, time: 0 });
+      }
+    });
+    measure++;
+  });
+  if (!(chart.bpm > 0)) throw new Error('Beatmap needs a positive bpm');
+  for (const note of chart.notes) note.time = chart.offset + (note.beat * 60) / chart.bpm;
+  chart.length = chart.offset + (measure * BEATS_PER_MEASURE * 60) / chart.bpm;
+  return chart;
+}
+
+const charts = new Map();
+
+// Parsed chart of a beatmap in data/beatmaps.js, parsed once
+export function getChart(id) {
+  if (!BEATMAPS[id]) throw new Error(`Unknown beatmap: ${id}`);
+  if (!charts.has(id)) charts.set(id, parseChart(BEATMAPS[id]));
+  return charts.get(id);
+}
+
+// Lane a key code plays, or -1
+export function laneForKey(code) {
+  return LANES.findIndex((lane) => lane.keys.includes(code));
+}
+
+// The show clock runs from timestamps in milliseconds. performance.now() and
+// key event timeStamps share a time base, so presses are judged when they
+// happened rather than on the frame that saw them.
+export function createShowClock(startMs) {
+  return { start: startMs };
+}
+
+export function showTime(clock, nowMs) {
+  return (nowMs - clock.start) / 1000;
+}
+
+// A run through a chart. `inputs` records every press so the run can be
+// judged again headlessly.
+export function createShow(chart) {
+  return {
+    chart,
+    judgments: chart.notes.map(() => null),
+    combo: 0,
+    maxCombo: 0,
+    counts: { perfect: 0, great: 0, miss: 0 },
+    points: 0,
+    inputs: [],
+  };
+}
+
+function judge(show, note, judgment, offset) {
+  show.judgments[note.id] = { judgment, offset };
+  show.counts[judgment]++;
+  show.points += JUDGE_POINTS[judgment];
+  show.combo = judgment === 'miss' ? 0 : show.combo + 1;
+  show.maxCombo = Math.max(show.maxCombo, show.combo);
+  return { note, judgment, offset };
+}
+
+// Notes more than the Great window behind `time` that were never hit are
+// missed. Call before judging a press and as the show runs. Returns the
+// judgments made.
+export function advanceShow(show, time) {
+  const missed = [];
+  for (const note of show.chart.notes) {
+    if (note.time > time - JUDGE_WINDOWS.great) break;
+    if (!show.judgments[note.id]) missed.push(judge(show, note, 'miss', null));
+  }
+  return missed;
+}
+
+// Judge a press in a lane at show time `time`. It takes the nearest unjudged
+// note in the lane within the Miss window. Returns { note, judgment, offset }
+// or null for a press with no note near enough.
+export function hitNote(show, time, lane) {
+  show.inputs.push({ time, lane });
+  advanceShow(show, time);
+  let nearest = null;
+  for (const note of show.chart.notes) {
+    if (note.lane !== lane || show.judgments[note.id]) continue;
+    if (Math.abs(note.time - time) > JUDGE_WINDOWS.miss) continue;
+    if (!nearest || Math.abs(note.time - time) < Math.abs(nearest.time - time)) nearest = note;
+  }
+  if (!nearest) return null;
+  const offset = time - nearest.time;
+  const distance = Math.abs(offset);
+  const judgment = distance <= JUDGE_WINDOWS.perfect ? 'perfect' : distance <= JUDGE_WINDOWS.great ? 'great' : 'miss';
+  return judge(show, nearest, judgment, offset);
+}
+
+// Whether every note is judged and the chart has played out
+export function isShowOver(show, time) {
+  return show.judgments.every(Boolean) && time >= show.chart.length;
+}
+
+// Summary of a finished run. Accuracy is 0-1 over the best possible points.
+export function showResult(show) {
+  const notes = show.chart.notes.length;
+  return {
+    title: show.chart.title,
+    notes,
+    ...show.counts,
+    maxCombo: show.maxCombo,
+    score: show.points,
+    fullCombo: notes > 0 && show.counts.miss === 0,
+    accuracy: notes > 0 ? show.points / (notes * JUDGE_POINTS.perfect) : 0,
+  };
+}
+
+// Judge a recorded run: presses as [{ time, lane }] in show seconds, in any
+// order
+export function judgeRecording(chart, inputs) {
+  const show = createShow(chart);
+  for (const input of [...inputs].sort((a, b) => a.time - b.time)) hitNote(show, input.time, input.lane);
+  advanceShow(show, Infinity);
+  return showResult(show);
+}
+
+// Judge a recording saved with the result it should get, as
+// { beatmap, inputs, expected }; only the keys in `expected` are compared
+export function checkShowRecording(recording) {
+  const actual = judgeRecording(getChart(recording.beatmap), recording.inputs);
+  const mismatch = Object.keys(recording.expected).filter((key) => actual[key] !== recording.expected[key]);
+  return { ok: mismatch.length === 0, expected: recording.expected, actual, mismatch };
+}
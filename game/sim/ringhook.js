@@ -0,0 +1,183 @@
+/*
+ * Ring hook (loop lift) machine: boxed prizes stand on a shelf, each with a
+ * ring on top built from small link bodies locked end to end. The player
+ * steers a thin L-shaped hook whose tip points back into the machine. The
+ * button steps the hook through its moves:
+ *
+ *   up -> lower -> hold -> lift -> (hold | up)
+ *
+ * and it can be steered at any height, so the way to win is to lower the tip
+ * to ring height in front of a prize, push it back through the ring, lift,
+ * and carry the prize over the lip at the shelf's front edge. A prize that
+ * drops past the lip is won; one that falls off the sides is lost. The hook
+ * can only be lowered so many times per play, and the play is finished once
+ * it is back up after the last.
+ */
+
+import * as CANNON from 'cannon-es';
+import { GROUP, addStaticBox, addPitWalls } from './world.js';
+import { addPrize, removePrize } from './prizes.js';
+import { registerMachine } from './registry.js';
+import { emit } from '../events.js';
+import { RING_HOOK } from '../data/machines.js';
+
+// Walls around the cabinet; the shelf leaves a gap on each side
+const CABINET_SIZE = 12;
+// Gap between the hook and whatever it is held above
+const HOOK_CLEARANCE = 0.02;
+
+// Shelf, front lip and cabinet walls, as static descriptors for the view
+export function addRingHookCabinet(world, config) {
+  const { width, depth, front, top, lipHeight } = config.shelf;
+  const thickness = 0.4;
+  addPitWalls(world, CABINET_SIZE);
+  return [
+    addStaticBox(world, { x: width, y: thickness, z: depth }, { x: 0, y: top - thickness / 2, z: front - depth / 2 }, 'floor'),
+    addStaticBox(world, { x: width, y: lipHeight, z: 0.15 }, { x: 0, y: top + lipHeight / 2, z: front - 0.075 }, 'barrier'),
+  ];
+}
+
+// Stand the prizes along the shelf, each with a ring arching over its top
+export function addRingPrizes(machine, config, random) {
+  const { width, front, top } = config.shelf;
+  const size = config.prizeSize;
+  const shape = new CANNON.Box(new CANNON.Vec3(size.x / 2, size.y / 2, size.z / 2));
+  const spacing = (width - 2) / Math.max(1, config.prizes - 1);
+  for (let i = 0; i < config.prizes; i++) {
+    const x = -(width - 2) / 2 + i * spacing + (random() - 0.5) * 0.6;
+    const z = front - 1.5 - random() * 2;
+    const prize = addPrize(machine, 'ringbox', shape, config.prizeMass, { x, y: top + size.y / 2 + 0.01, z });
+    prize.size = size;
+    addRing(machine, prize, config.ring);
+  }
+}
+
+// An arch of link spheres from one side of the prize top to the other, each
+// locked to its neighbours and the end links locked to the prize
+function addRing(machine, prize, ring) {
+  const world = machine.world;
+  const base = prize.body.position;
+  const topY = base.y + prize.size.y / 2;
+  const links = [];
+  for (let i = 0; i < ring.links; i++) {
+    const theta = (Math.PI * (i + 0.5)) / ring.links;
+    const link = new CANNON.Body({
+      mass: ring.linkMass,
+      shape: new CANNON.Sphere(ring.linkRadius),
+      collisionFilterGroup: GROUP.PRIZE,
+      // Links only need to touch the hook
+      collisionFilterMask: GROUP.CLAW,
+    });
+    link.position.set(base.x + ring.radius * Math.cos(theta), topY + ring.radius * Math.sin(theta), base.z);
+    world.addBody(link);
+    links.push(link);
+  }
+  const constraints = [new CANNON.LockConstraint(prize.body, links[0])];
+  for (let i = 1; i < links.length; i++) constraints.push(new CANNON.LockConstraint(links[i - 1], links[i]));
+  constraints.push(new CANNON.LockConstraint(links[links.length - 1], prize.body));
+  for (const constraint of constraints) world.addConstraint(constraint);
+  prize.links = links;
+  prize.constraints = constraints;
+}
+
+// The hook: a kinematic body whose origin is the corner between shaft and tip
+export function createHook(world, config) {
+  const { shaft, tip, thickness } = config.hook;
+  const half = thickness / 2;
+  const body = new CANNON.Body({
+    mass: 0,
+    type: CANNON.Body.KINEMATIC,
+    collisionFilterGroup: GROUP.CLAW,
+    collisionFilterMask: GROUP.PRIZE,
+  });
+  // Shaft up from the corner, tip back into the machine, barb at the end
+  const parts = [
+    { size: { x: thickness, y: shaft, z: thickness }, offset: { x: 0, y: shaft / 2, z: 0 } },
+    { size: { x: thickness, y: thickness, z: tip }, offset: { x: 0, y: 0, z: -tip / 2 } },
+    { size: { x: thickness, y: 0.12, z: thickness }, offset: { x: 0, y: 0.06, z: -tip } },
+  ];
+  for (const part of parts) {
+    body.addShape(new CANNON.Box(new CANNON.Vec3(part.size.x / 2, part.size.y / 2, part.size.z / 2)), new CANNON.Vec3(part.offset.x, part.offset.y, part.offset.z));
+  }
+  body.position.set(0, config.homeHeight, config.shelf.front + 1);
+  world.addBody(body);
+  return { body, parts, state: 'up', half, lowers: config.lowers };
+}
+
+// Lowest the hook may go with its corner at z: on the shelf, over the lip, or
+// clear of the shelf above the chute
+function hookFloor(config, hook, z) {
+  const { front, top, lipHeight } = config.shelf;
+  const tipEnd = z - config.hook.tip - hook.half;
+  if (tipEnd > front + hook.half) return top - 2;
+  if (z + hook.half > front - 0.15) return top + lipHeight + hook.half + HOOK_CLEARANCE;
+  return top + hook.half + HOOK_CLEARANCE;
+}
+
+// Steer the hook for one tick; call before stepping the world
+export function updateRingHook(machine, input, dt) {
+  const config = machine.ringHook.config;
+  const hook = machine.ringHook.hook;
+  const pressed = input.action && !machine.prevAction;
+  const pos = hook.body.position;
+  if (pressed && (hook.state !== 'up' || hook.lowers > 0)) {
+    const next = { up: 'lower', lower: 'hold', hold: 'lift', lift: 'hold' };
+    hook.state = next[hook.state];
+    if (hook.state === 'lower') hook.lowers--;
+    emit('hook-state', hook);
+  }
+  let y = pos.y;
+  if (hook.state === 'lower') {
+    y -= config.descendSpeed * dt;
+  } else if (hook.state === 'lift') {
+    y = Math.min(config.homeHeight, y + config.raiseSpeed * dt);
+    if (y === config.homeHeight) hook.state = 'up';
+  }
+  const limitX = config.shelf.width / 2;
+  const x = Math.max(-limitX, Math.min(limitX, pos.x + input.moveX * config.moveSpeed * dt));
+  let z = Math.max(config.shelf.front - config.shelf.depth + 0.5, Math.min(CABINET_SIZE / 2 - 1, pos.z + input.moveZ * config.moveSpeed * dt));
+  // The hook cannot slide sideways into the shelf or lip
+  if (hookFloor(config, hook, z) > y) z = pos.z;
+  const floor = hookFloor(config, hook, z);
+  if (y <= floor) {
+    y = floor;
+    if (hook.state === 'lower') hook.state = 'hold';
+  }
+  hook.body.velocity.set((x - pos.x) / dt, (y - pos.y) / dt, (z - pos.z) / dt);
+}
+
+// Prizes below the shelf top: past the lip is a win, anywhere else is lost.
+// Returns the prizes won this tick.
+export function checkRingDrops(machine) {
+  const config = machine.ringHook.config;
+  const won = [];
+  const { front, top } = config.shelf;
+  for (const prize of [...machine.prizes]) {
+    const pos = prize.body.position;
+    if (pos.y >= top - 0.5) continue;
+    removePrize(machine, prize);
+    if (pos.z > front) {
+      won.push(prize);
+    } else {
+      prize.lost = true;
+      machine.lost.push(prize);
+      emit('prize-lost', prize);
+    }
+  }
+  return won;
+}
+
+registerMachine('ringhook', {
+  label: 'Ring Hook',
+  cost: 200,
+  prompt: (machine, keys) => `Ring Hook: ${keys.move} to move the hook, ${keys.grab} to lower / stop / lift (${machine.ringHook.hook.lowers} lowers per play). Thread a ring, lift the prize over the front lip and drop it in the chute. ${keys.back} to quit.`,
+  spawn(machine, { random }) {
+    machine.world.solver.iterations = RING_HOOK.solverIterations;
+    machine.statics = addRingHookCabinet(machine.world, RING_HOOK);
+    machine.ringHook = { config: RING_HOOK, hook: createHook(machine.world, RING_HOOK) };
+    addRingPrizes(machine, RING_HOOK, random);
+  },
+  update: updateRingHook,
+  checkWins: checkRingDrops,
+  finished: (machine) => machine.ringHook.hook.state === 'up' && machine.ringHook.hook.lowers === 0,
+});
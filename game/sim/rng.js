@@ -0,0 +1,63 @@
+/*
+ * Seedable random numbers
+ *
+ * Every random roll in the simulation goes through a named stream derived from
+ * a single session seed, so the same seed and the same inputs reproduce the
+ * same prize layout and rarities. Streams are independent: drawing an extra
+ * cosmetic colour never shifts the loot rolls.
+ *
+ * Known streams: 'loot' (class and rarity rolls), 'spawn' (prize layout),
+ * 'cosmetic' (colours and other purely visual rolls), 'play' (randomness
+ * during a play such as nudges), 'customers' (café arrivals and orders).
+ */
+
+// FNV-1a hash of a string to a 32-bit unsigned integer
+function hashString(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// mulberry32: small, fast and good enough for game rolls
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return function random() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// A fresh seed for sessions the player did not seed explicitly
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+// Accept a seed typed by a player or pasted from a bug report. Numbers are used
+// as-is; any other text is hashed. Returns null for empty input.
+export function parseSeed(text) {
+  const trimmed = String(text ?? '').trim();
+  if (!trimmed) return null;
+  if (/^\d+$/.test(trimmed)) return Number(trimmed) >>> 0;
+  return hashString(trimmed);
+}
+
+// Create the random service for one session. stream(name) always returns the
+// same generator for a name, so callers can look it up wherever they need it.
+export function createRng(seed) {
+  const streams = new Map();
+  return {
+    seed: seed >>> 0,
+    stream(name) {
+      if (!streams.has(name)) {
+        streams.set(name, mulberry32(hashString(name) ^ (seed >>> 0)));
+      }
+      return streams.get(name);
+    },
+  };
+}
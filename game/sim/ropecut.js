@@ -0,0 +1,162 @@
+/*
+ * Rope cut (string break) machine: prizes hang from a rail on ropes built
+ * from particle chains held together by distance constraints. The player
+ * steers a blade carriage below the rail and holds the button to extend the
+ * blade. Every time the extended blade passes across a rope it frays it, more
+ * the faster the pass; once a rope's fray damage reaches its strength the
+ * link the blade is on gives way and the prize drops into the chute below.
+ * Stronger ropes hold rarer prizes, so an Ultimate takes more passes than a
+ * Common. The blade only lasts so many passes per play, and the play is
+ * finished once it is dull or every rope is cut.
+ *
+ * The blade is a sensor: it never pushes the ropes, and contact is worked out
+ * from the particle positions each tick.
+ */
+
+import * as CANNON from 'cannon-es';
+import { GROUP, addStaticBox } from './world.js';
+import { addPrize, removePrize } from './prizes.js';
+import { registerMachine } from './registry.js';
+import { emit } from '../events.js';
+import { ROPE_CUT } from '../data/machines.js';
+
+// Hang each prize from its own anchor on the rail by a chain of particles
+export function addRopePrizes(machine, config, random) {
+  const { segments, length, particleRadius, particleMass } = config.rope;
+  const size = config.prizeSize;
+  const shape = new CANNON.Box(new CANNON.Vec3(size.x / 2, size.y / 2, size.z / 2));
+  const step = length / segments;
+  const ropes = [];
+  for (let i = 0; i < config.ropes; i++) {
+    const x = (i - (config.ropes - 1) / 2) * config.spacing + (random() - 0.5) * 0.3;
+    const anchor = new CANNON.Body({ mass: 0, type: CANNON.Body.STATIC, position: new CANNON.Vec3(x, config.railHeight, 0) });
+    machine.world.addBody(anchor);
+    const particles = [];
+    const constraints = [];
+    let above = anchor;
+    for (let j = 1; j <= segments; j++) {
+      const particle = new CANNON.Body({
+        mass: particleMass,
+        shape: new CANNON.Sphere(particleRadius),
+        position: new CANNON.Vec3(x, config.railHeight - j * step, 0),
+        collisionFilterGroup: GROUP.PRIZE,
+        // Ropes only rest against the cabinet, never tangle with each other
+        collisionFilterMask: GROUP.STATIC,
+        linearDamping: 0.3,
+      });
+      machine.world.addBody(particle);
+      constraints.push(new CANNON.DistanceConstraint(above, particle, step));
+      particles.push(particle);
+      above = particle;
+    }
+    const prize = addPrize(machine, 'ropebox', shape, config.prizeMass, { x, y: config.railHeight - length - size.y / 2, z: 0 });
+    prize.size = size;
+    constraints.push(new CANNON.PointToPointConstraint(above, new CANNON.Vec3(), prize.body, new CANNON.Vec3(0, size.y / 2, 0)));
+    for (const constraint of constraints) machine.world.addConstraint(constraint);
+    ropes.push({
+      prize,
+      anchor,
+      particles,
+      constraints,
+      damage: 0,
+      strength: config.strength[prize.rarity],
+      cut: false,
+      // Whether the blade was touching the rope last tick
+      touching: false,
+    });
+  }
+  return ropes;
+}
+
+// Blade carriage, parked in front of the ropes with the blade retracted
+export function createCutter(config) {
+  return { x: 0, z: config.blade.reach, extended: false, vx: 0, vz: 0, passes: config.blade.passes };
+}
+
+// Index of the particle the blade is on, or -1. The blade lies along X.
+function bladeContact(config, cutter, rope) {
+  const { height, length, thickness, width } = config.blade;
+  const r = config.rope.particleRadius;
+  let best = -1;
+  let bestDist = Infinity;
+  rope.particles.forEach((particle, i) => {
+    const p = particle.position;
+    if (Math.abs(p.x - cutter.x) > length / 2 + r || Math.abs(p.z - cutter.z) > width / 2 + r) return;
+    const dy = Math.abs(p.y - height);
+    if (dy <= thickness / 2 + r && dy < bestDist) {
+      best = i;
+      bestDist = dy;
+    }
+  });
+  return best;
+}
+
+// Steer the carriage, fray the ropes the blade passes across and break the
+// ones worn through. Call before stepping the world.
+export function updateRopeCut(machine, input, dt) {
+  const { config, cutter, ropes } = machine.ropeCut;
+  const { moveSpeed, reach, fullSpeed } = config.blade;
+  const limitX = ((config.ropes - 1) / 2) * config.spacing + 1;
+  const x = Math.max(-limitX, Math.min(limitX, cutter.x + input.moveX * moveSpeed * dt));
+  const z = Math.max(-reach, Math.min(reach, cutter.z + input.moveZ * moveSpeed * dt));
+  cutter.vx = (x - cutter.x) / dt;
+  cutter.vz = (z - cutter.z) / dt;
+  cutter.x = x;
+  cutter.z = z;
+  cutter.extended = input.action && cutter.passes > 0;
+  for (const rope of ropes) {
+    if (rope.cut) continue;
+    const contact = cutter.extended ? bladeContact(config, cutter, rope) : -1;
+    const touching = contact !== -1;
+    if (touching && !rope.touching) {
+      // A fresh pass: damage by how fast the blade crossed the rope
+      const particle = rope.particles[contact];
+      const speed = Math.hypot(cutter.vx - particle.velocity.x, cutter.vz - particle.velocity.z);
+      rope.damage = Math.min(rope.strength, rope.damage + Math.min(1, speed / fullSpeed));
+      cutter.passes--;
+      emit('rope-fray', rope);
+      if (rope.damage >= rope.strength) cutRope(machine, rope, contact);
+      if (cutter.passes === 0) emit('blade-dull', cutter);
+    }
+    rope.touching = touching;
+  }
+}
+
+// Break the link above the particle the blade is on. The piece below falls
+// with the prize and is removed along with it; the stub stays on the rail.
+function cutRope(machine, rope, index) {
+  machine.world.removeConstraint(rope.constraints[index]);
+  rope.cut = true;
+  rope.prize.links = rope.particles.slice(index);
+  rope.prize.constraints = rope.constraints.slice(index + 1);
+  emit('rope-cut', rope);
+}
+
+// Cut prizes that have dropped into the chute. Returns the prizes won.
+export function checkRopeDrops(machine) {
+  const config = machine.ropeCut.config;
+  const won = [];
+  for (const rope of machine.ropeCut.ropes) {
+    const prize = rope.prize;
+    if (!rope.cut || !machine.prizes.includes(prize) || prize.body.position.y > config.winHeight) continue;
+    removePrize(machine, prize);
+    won.push(prize);
+  }
+  return won;
+}
+
+registerMachine('ropecut', {
+  label: 'Rope Cut',
+  cost: 200,
+  prompt: (machine, keys) => `Rope Cut: ${keys.move} to move the blade, hold ${keys.grab} to put it out and sweep it across a rope to fray it. Rarer prizes hang on stronger ropes; the blade lasts ${machine.ropeCut.cutter.passes} passes. ${keys.back} to quit.`,
+  spawn(machine, { random }) {
+    machine.world.solver.iterations = ROPE_CUT.solverIterations;
+    const railLength = (ROPE_CUT.ropes + 1) * ROPE_CUT.spacing;
+    machine.statics = [addStaticBox(machine.world, { x: railLength, y: 0.2, z: 0.2 }, { x: 0, y: ROPE_CUT.railHeight + 0.1, z: 0 }, 'bar')];
+    machine.ropeCut = { config: ROPE_CUT, cutter: createCutter(ROPE_CUT), ropes: [] };
+    machine.ropeCut.ropes = addRopePrizes(machine, ROPE_CUT, random);
+  },
+  update: updateRopeCut,
+  checkWins: checkRopeDrops,
+  finished: (machine) => machine.ropeCut.cutter.passes === 0 || machine.ropeCut.ropes.every((rope) => rope.cut),
+});
@@ -0,0 +1,73 @@
+/*
+ * Arcade schedules
+ *
+ * What an arcade is like at a given in-game time: whether it is open, which
+ * machines are in today's rotation, and which happy hours and events are on
+ * with their play cost and loot themes (data/schedule.js). Arcades without a
+ * schedule are always open with their usual line-up.
+ *
+ * Late hours belong to the day they started on: at 1:00 on Saturday an
+ * arcade open until 2:00 is still running Friday's line-up and events.
+ */
+
+import { ARCADE_SCHEDULES } from '../data/schedule.js';
+import { timeAt } from './clock.js';
+
+// The day and hour to read a schedule with: today's, or yesterday's running
+// past midnight
+function scheduleTimes(time) {
+  const times = [{ day: time.day, weekday: time.weekday, hour: time.hour }];
+  if (time.day > 1) {
+    const yesterday = timeAt(time.minutes - 24 * 60);
+    times.push({ day: yesterday.day, weekday: yesterday.weekday, hour: time.hour + 24 });
+  }
+  return times;
+}
+
+function within(hour, from, to) {
+  return hour >= from && hour < to;
+}
+
+// Events running at `time`
+function activeEvents(schedule, time) {
+  const times = scheduleTimes(time);
+  return schedule.events.filter((event) =>
+    times.some((t) => within(t.hour, event.from, event.to) && (!event.days || event.days.includes(t.weekday))));
+}
+
+// The arcade at `time` (from sim/clock.js): a copy with
+//   open        whether it is open
+//   opensAt     its opening hour
+//   closesAt    its closing hour
+//   machines    today's line-up
+//   themes      its themes plus any an event brings in
+//   events      events running now
+//   cost        multiplier on play prices: the best discount running
+export function arcadeAt(arcade, time) {
+  const schedule = ARCADE_SCHEDULES[arcade.name];
+  if (!schedule) return { machines: [], ...arcade, open: true, opensAt: 0, closesAt: 24, events: [], cost: 1 };
+  const times = scheduleTimes(time);
+  const business = times.find((t) => within(t.hour, schedule.hours.open, schedule.hours.close)) || times[0];
+  const open = times.some((t) => within(t.hour, schedule.hours.open, schedule.hours.close));
+  const events = open ? activeEvents(schedule, time) : [];
+  const themes = [...arcade.themes];
+  for (const event of events) {
+    for (const c of Object.keys(event.themeWeights || {})) if (!themes.includes(c)) themes.push(c);
+  }
+  return {
+    ...arcade,
+    open,
+    opensAt: schedule.hours.open,
+    closesAt: schedule.hours.close,
+    machines: schedule.rotation[(business.day - 1) % schedule.rotation.length],
+    themes,
+    events,
+    cost: events.reduce((best, e) => Math.min(best, e.cost), 1),
+  };
+}
+
+// Price of a play on a machine with list price `cost` at an arcade from
+// arcadeAt
+export function playCost(arcade, cost) {
+  return Math.round(cost * (arcade.cost ?? 1));
+}
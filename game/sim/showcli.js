@@ -0,0 +1,55 @@
+/*
+ * Command line entry for judging Para-Para shows headlessly:
+ *
+ *   node game/sim/showcli.js <beatmap> [recording.json]
+ *   node game/sim/showcli.js <beatmap> --offset <seconds>
+ *   node game/sim/showcli.js --check [recording.json ...]
+ *
+ * A recording is a JSON list of presses [{ "time": seconds, "lane": 0-3 }],
+ * or an object with such a list as `inputs`. Without one, every note is hit
+ * exactly on time, shifted by the optional offset (negative is early).
+ * Prints the judged result as JSON.
+ *
+ * The --check form judges recordings saved as { beatmap, inputs, expected }
+ * and compares the result with `expected` (judgement counts, max combo,
+ * score), printing a JSON result per file and exiting with status 1 if any
+ * differ. With no files it checks every recording in game/replays/shows.
+ */
+
+import { readFileSync, readdirSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { getChart, judgeRecording, checkShowRecording } from './rhythm.js';
+import { BEATMAPS } from '../data/beatmaps.js';
+
+const SHOWS_DIR = new URL('../replays/shows/', import.meta.url);
+
+const [id, source, offsetText] = process.argv.slice(2);
+if (id === '--check') {
+  let files = process.argv.slice(3);
+  if (files.length === 0) {
+    files = readdirSync(SHOWS_DIR).filter((name) => name.endsWith('.json')).sort().map((name) => fileURLToPath(new URL(name, SHOWS_DIR)));
+  }
+  let failed = false;
+  for (const file of files) {
+    const recording = JSON.parse(readFileSync(file, 'utf8'));
+    const { ok, expected, actual, mismatch } = checkShowRecording(recording);
+    if (!ok) failed = true;
+    const differs = Object.fromEntries(mismatch.map((key) => [key, { expected: expected[key], actual: actual[key] }]));
+    console.log(JSON.stringify({ file, beatmap: recording.beatmap, ok, ...(ok ? {} : { differs }) }, null, 2));
+  }
+  process.exit(failed ? 1 : 0);
+}
+if (!BEATMAPS[id]) {
+  console.error(`Unknown beatmap "${id}". Expected one of: ${Object.keys(BEATMAPS).join(', ')}`);
+  process.exit(1);
+}
+const chart = getChart(id);
+let inputs;
+if (source && source !== '--offset') {
+  const recording = JSON.parse(readFileSync(source, 'utf8'));
+  inputs = Array.isArray(recording) ? recording : recording.inputs;
+} else {
+  const offset = source === '--offset' ? Number(offsetText) : 0;
+  inputs = chart.notes.map((note) => ({ time: note.time + offset, lane: note.lane }));
+}
+console.log(JSON.stringify({ beatmap: id, ...judgeRecording(chart, inputs) }, null, 2));
@@ -0,0 +1,91 @@
+/*
+ * Plush soft bodies
+ *
+ * A soft gal is a small core particle surrounded by six surface particles on
+ * the ±X/±Y/±Z axes, tied together with damped springs (core to surface,
+ * neighbouring surface pairs, and opposite pairs for volume). The cluster
+ * squishes against walls, piles up and can be pinched by a claw prong, while
+ * the core stands in for the prize position everywhere else in the rules.
+ *
+ * Springs are forces, not solver constraints, so the machine applies them
+ * before every world step (applySprings).
+ */
+
+import * as CANNON from 'cannon-es';
+import { GROUP } from './world.js';
+
+// Surface particle directions; index 2k and 2k+1 are opposite on axis k
+const AXES = [
+  [1, 0, 0], [-1, 0, 0],
+  [0, 1, 0], [0, -1, 0],
+  [0, 0, 1], [0, 0, -1],
+];
+
+export const SOFT_PARTICLES = AXES.length + 1;
+
+// Build a soft body of overall `radius` and total `mass` centred at position.
+// Returns { core, particles, springs, restDistance }.
+export function createSoftBody(world, { radius, mass, stiffness, damping }, position) {
+  const surfaceRadius = radius * 0.36;
+  const restDistance = radius - surfaceRadius;
+  // Small enough that the core never overlaps a surface particle at rest
+  const coreRadius = restDistance - surfaceRadius - 0.01;
+  const core = new CANNON.Body({
+    mass: mass * 0.4,
+    shape: new CANNON.Sphere(coreRadius),
+    collisionFilterGroup: GROUP.PRIZE,
+    linearDamping: 0.1,
+  });
+  core.position.set(position.x, position.y, position.z);
+  world.addBody(core);
+  const particles = AXES.map(([x, y, z]) => {
+    const body = new CANNON.Body({
+      mass: (mass * 0.6) / AXES.length,
+      shape: new CANNON.Sphere(surfaceRadius),
+      collisionFilterGroup: GROUP.PRIZE,
+      linearDamping: 0.1,
+    });
+    body.position.set(position.x + x * restDistance, position.y + y * restDistance, position.z + z * restDistance);
+    world.addBody(body);
+    return body;
+  });
+  const springs = [];
+  const tie = (a, b, restLength) => {
+    springs.push(new CANNON.Spring(a, b, { restLength, stiffness, damping }));
+  };
+  for (const particle of particles) tie(core, particle, restDistance);
+  for (let i = 0; i < AXES.length; i++) {
+    for (let j = i + 1; j < AXES.length; j++) {
+      const opposite = Math.floor(i / 2) === Math.floor(j / 2);
+      tie(particles[i], particles[j], opposite ? restDistance * 2 : restDistance * Math.SQRT2);
+    }
+  }
+  return { core, particles, springs, restDistance };
+}
+
+export function applySprings(springs) {
+  for (const spring of springs) spring.applyForce();
+}
+
+// Deformed position of a point on the plush surface, relative to the core.
+// `direction` is a unit vector in the rest pose and `distance` how far out the
+// point sits. Each axis component is carried by the surface particle on that
+// side, which reproduces rigid motion exactly and bends with the squish.
+export function deformOffset(soft, direction, distance, out) {
+  const core = soft.core.position;
+  const scale = distance / soft.restDistance;
+  out.x = 0;
+  out.y = 0;
+  out.z = 0;
+  const components = [direction.x, direction.y, direction.z];
+  for (let axis = 0; axis < 3; axis++) {
+    const weight = components[axis];
+    if (weight === 0) continue;
+    const particle = soft.particles[axis * 2 + (weight > 0 ? 0 : 1)].position;
+    const w = Math.abs(weight) * scale;
+    out.x += (particle.x - core.x) * w;
+    out.y += (particle.y - core.y) * w;
+    out.z += (particle.z - core.z) * w;
+  }
+  return out;
+}
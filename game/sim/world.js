@@ -0,0 +1,77 @@
+/*
+ * Physics world helpers
+ *
+ * Every machine runs its own cannon-es world stepped at a fixed rate so that a
+ * play behaves the same whether it is rendered at 30fps, 144fps or not at all.
+ */
+
+import * as CANNON from 'cannon-es';
+
+export const FIXED_DT = 1 / 60;
+// Cap on ticks per advance so a stalled tab does not spiral trying to catch up
+export const MAX_TICKS_PER_ADVANCE = 10;
+
+// Collision groups. Statics keep cannon's default group so anything added
+// without a filter still collides with prizes.
+export const GROUP = { STATIC: 1, PRIZE: 2, CLAW: 4 };
+
+// Create a world with gravity and a static floor plane at floorY
+export function createPhysicsWorld({ floorY = 0 } = {}) {
+  const world = new CANNON.World({ gravity: new CANNON.Vec3(0, -9.82, 0) });
+  const floorBody = new CANNON.Body({ mass: 0, shape: new CANNON.Plane(), material: new CANNON.Material('floor') });
+  floorBody.quaternion.setFromEuler(-Math.PI / 2, 0, 0);
+  floorBody.position.y = floorY;
+  world.addBody(floorBody);
+  return world;
+}
+
+// Add a static box and return a descriptor ({ body, size, role }) that a view
+// can mirror. Position is the box centre.
+export function addStaticBox(world, size, position, role) {
+  const body = new CANNON.Body({ mass: 0, shape: new CANNON.Box(new CANNON.Vec3(size.x / 2, size.y / 2, size.z / 2)) });
+  body.position.set(position.x, position.y, position.z);
+  world.addBody(body);
+  return { body, size, role };
+}
+
+// Four infinite planes facing inwards around a square pit of the given size
+export function addPitWalls(world, size) {
+  const wallMat = new CANNON.Material('wall');
+  function addWall(x, z, rotation) {
+    const body = new CANNON.Body({ mass: 0, material: wallMat });
+    body.addShape(new CANNON.Plane());
+    body.position.set(x, 0, z);
+    body.quaternion.setFromEuler(0, rotation, 0);
+    world.addBody(body);
+  }
+  // +X wall
+  addWall(size / 2, 0, -Math.PI / 2);
+  // -X wall
+  addWall(-size / 2, 0, Math.PI / 2);
+  // +Z wall
+  addWall(0, size / 2, Math.PI);
+  // -Z wall
+  addWall(0, -size / 2, 0);
+}
+
+// A claw pit: walls, a floor at y = 0 with a hole for the chute in the corner
+// and a low barrier so prizes only enter the chute from above. The world's
+// own floor plane should sit below the chute to catch won prizes.
+export function addClawPit(world, pit) {
+  const half = pit.size / 2;
+  const chute = pit.chute;
+  // Chute edges on the inner side (the hole runs to the pit walls)
+  const innerX = chute.x + chute.size / 2;
+  const innerZ = chute.z - chute.size / 2;
+  const thickness = 0.5;
+  addPitWalls(world, pit.size);
+  const statics = [];
+  // Floor: everything behind the chute, plus the strip beside it
+  statics.push(addStaticBox(world, { x: pit.size, y: thickness, z: innerZ + half }, { x: 0, y: -thickness / 2, z: (innerZ - half) / 2 }, 'floor'));
+  statics.push(addStaticBox(world, { x: half - innerX, y: thickness, z: half - innerZ }, { x: (innerX + half) / 2, y: -thickness / 2, z: (innerZ + half) / 2 }, 'floor'));
+  // Barrier along the two open sides of the chute
+  const h = chute.barrierHeight;
+  statics.push(addStaticBox(world, { x: 0.2, y: h, z: half - innerZ }, { x: innerX, y: h / 2, z: (innerZ + half) / 2 }, 'barrier'));
+  statics.push(addStaticBox(world, { x: innerX + half, y: h, z: 0.2 }, { x: (innerX - half) / 2, y: h / 2, z: innerZ }, 'barrier'));
+  return statics;
+}
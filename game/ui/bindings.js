@@ -0,0 +1,82 @@
+/*
+ * Controls screen
+ *
+ * Overlay for rebinding the keys of each input action, opened from the HUD.
+ * Click a key slot and press the new key; Backspace clears the slot and Esc
+ * cancels. Gamepad buttons are listed for reference. Bindings are kept by
+ * game/input.js.
+ */
+
+import { getBindings, bindKey, resetBindings, keyName } from '../input.js';
+import { ACTIONS, KEY_SLOTS } from '../data/input.js';
+
+const bindingsEl = document.getElementById('bindings');
+
+const BUTTON_NAMES = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3', 'D-pad ↑', 'D-pad ↓', 'D-pad ←', 'D-pad →'];
+
+// Slot waiting for a key: { action, slot }, or null
+let capturing = null;
+
+function render() {
+  const bindings = getBindings();
+  let rows = '';
+  for (const [action, def] of Object.entries(ACTIONS)) {
+    let slots = '';
+    for (let slot = 0; slot < KEY_SLOTS; slot++) {
+      const code = bindings[action][slot];
+      const waiting = capturing && capturing.action === action && capturing.slot === slot;
+      slots += `<td><button data-action="${action}" data-slot="${slot}"${waiting ? ' class="waiting"' : ''}>${waiting ? 'Press a key…' : code ? keyName(code) : '—'}</button></td>`;
+    }
+    rows += `<tr><td>${def.label}</td>${slots}<td><small>${def.buttons.map((b) => BUTTON_NAMES[b]).join(', ')}</small></td></tr>`;
+  }
+  bindingsEl.innerHTML = '<div class="bindings-head"><strong>Controls</strong> <small>click a key to rebind · Backspace clears · Esc to close</small></div>' +
+    `<table><thead><tr><th>Action</th><th colspan="${KEY_SLOTS}">Keys</th><th>Gamepad</th></tr></thead><tbody>${rows}</tbody></table>` +
+    '<p><button data-reset="1">Reset to defaults</button> <small>The left stick moves and the right stick aims.</small></p>';
+}
+
+export function isBindingsOpen() {
+  return bindingsEl.style.display === 'block';
+}
+
+export function openBindings() {
+  capturing = null;
+  bindingsEl.onclick = (event) => {
+    const { action, slot, reset } = event.target.dataset;
+    if (!action && !reset) return;
+    event.target.blur();
+    if (reset) {
+      resetBindings();
+      capturing = null;
+    } else {
+      capturing = { action, slot: Number(slot) };
+    }
+    render();
+  };
+  render();
+  bindingsEl.style.display = 'block';
+}
+
+export function closeBindings() {
+  capturing = null;
+  bindingsEl.style.display = 'none';
+}
+
+// Take a key press while the screen is open: bind it to the waiting slot, or
+// close on Esc when nothing is waiting. Gamepad and touch presses can only
+// close it.
+export function bindingsKey(event) {
+  if (event.repeat || !event.code) return;
+  event.preventDefault();
+  if (event.actions) {
+    if (event.actions.includes('back')) closeBindings();
+    return;
+  }
+  if (!capturing) {
+    if (event.code === 'Escape') closeBindings();
+    return;
+  }
+  if (event.code === 'Backspace') bindKey(capturing.action, capturing.slot, null);
+  else if (event.code !== 'Escape') bindKey(capturing.action, capturing.slot, event.code);
+  capturing = null;
+  render();
+}
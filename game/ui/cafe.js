@@ -0,0 +1,96 @@
+/*
+ * Café views
+ *
+ * The staff panel, for putting gals from the roster into café roles, and the
+ * end-of-day report. Rendering is plain DOM; the rules live in sim/cafe.js.
+ */
+
+import { roleOf, roleSkill, assignRole, staffFor } from '../sim/cafe.js';
+import { timeAt, formatClock } from '../sim/clock.js';
+import { CAFE_ROLES } from '../data/cafe.js';
+
+const staffEl = document.getElementById('staff');
+const reportEl = document.getElementById('cafe-report');
+
+let onChange = null;
+
+function option(value, label, selected) {
+  return `<option value="${value}"${selected ? ' selected' : ''}>${label}</option>`;
+}
+
+function renderStaff(state) {
+  const filled = Object.entries(CAFE_ROLES).map(([role, def]) => `${def.label} ${staffFor(state, role).length}/${def.slots}`).join(' · ');
+  let rows = '';
+  for (const gal of state.inventory) {
+    const current = roleOf(state, gal.id) || '';
+    const skills = Object.entries(CAFE_ROLES).map(([role, def]) => `${def.label.slice(0, 4)} ${Math.round(roleSkill(gal, role) * 100)}`).join(' · ');
+    rows += '<tr>' +
+      `<td><strong>${gal.name}</strong></td><td>${gal.class}</td><td>${gal.rarity}</td>` +
+      `<td><small>${skills}</small></td>` +
+      `<td><select data-id="${gal.id}">${option('', 'Off duty', !current)}` +
+      `${Object.entries(CAFE_ROLES).map(([role, def]) => option(role, def.label, current === role)).join('')}</select></td>` +
+      '</tr>';
+  }
+  staffEl.innerHTML = `<div class="staff-head"><strong>Café Staff</strong> <small>${filled} · changes apply from the next day · T or Esc to close</small></div>` +
+    (rows ? `<table><tbody>${rows}</tbody></table>` : '<p>No gals yet. Uka will cover the café alone until you win some.</p>');
+}
+
+export function isStaffPanelOpen() {
+  return staffEl.style.display === 'block';
+}
+
+// Show the staff panel. `changed` is called after an assignment changes and
+// `refused(role)` when a role is already full.
+export function openStaffPanel(state, { changed, refused } = {}) {
+  onChange = changed;
+  staffEl.onchange = (event) => {
+    const galId = Number(event.target.dataset.id);
+    const role = event.target.value || null;
+    event.target.blur();
+    if (!assignRole(state, galId, role)) {
+      if (refused) refused(CAFE_ROLES[role].label);
+    } else if (onChange) {
+      onChange();
+    }
+    renderStaff(state);
+  };
+  renderStaff(state);
+  staffEl.style.display = 'block';
+}
+
+export function closeStaffPanel() {
+  staffEl.style.display = 'none';
+}
+
+// What each role's count in the report means
+const REPORT_COUNTS = { waitress: 'served', kitchen: 'cooked', performer: 'shows all day' };
+
+export function showDayReport(report) {
+  const staff = report.staff.map((s) => {
+    const count = s.role === 'performer' ? REPORT_COUNTS.performer : `${s.served} ${REPORT_COUNTS[s.role]}`;
+    const xp = s.xp ? ` · +${s.xp} XP${s.levels ? ' · level up!' : ''}` : '';
+    return `<li>${s.name} (${CAFE_ROLES[s.role].label}): ${count}${xp}</li>`;
+  }).join('');
+  reportEl.innerHTML = `<strong>End of Day ${report.day}</strong> <small>opened ${formatClock(timeAt(report.opened))}</small>` +
+    '<table><tbody>' +
+    `<tr><td>Customers served</td><td>${report.served}</td></tr>` +
+    `<tr><td>Walked out</td><td>${report.walkouts}</td></tr>` +
+    `<tr><td>VIP visits</td><td>${report.vips}</td></tr>` +
+    `<tr><td>Hype</td><td>${Math.round(report.hype * 100)}%</td></tr>` +
+    `<tr><td>Average satisfaction</td><td>${Math.round(report.satisfaction * 100)}%</td></tr>` +
+    `<tr><td>Sales</td><td>¥${report.sales}</td></tr>` +
+    `<tr><td>Tips</td><td>¥${report.tips}</td></tr>` +
+    `<tr><td><strong>Income</strong></td><td><strong>¥${report.income}</strong></td></tr>` +
+    '</tbody></table>' +
+    `<ul>${staff}</ul>` +
+    '<small>N to open for the next day</small>';
+  reportEl.style.display = 'block';
+}
+
+export function isDayReportOpen() {
+  return reportEl.style.display === 'block';
+}
+
+export function hideDayReport() {
+  reportEl.style.display = 'none';
+}
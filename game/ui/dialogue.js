@@ -0,0 +1,74 @@
+/*
+ * Dialogue box
+ *
+ * Shows one conversation at a time along the bottom of the screen: the
+ * speaker, the line and numbered choices. Grab or confirm moves past a line
+ * without choices and the select actions pick a choice. Rendering is plain
+ * DOM; the tree is walked by sim/dialogue.js.
+ */
+
+import { startDialogue, currentLine, continueDialogue, chooseDialogue } from '../sim/dialogue.js';
+import { isAction, selectIndex, actionKeyName } from '../input.js';
+
+const dialogueEl = document.getElementById('dialogue');
+
+// The conversation on screen and what to do with choice actions and the end
+let open = null;
+
+function render() {
+  const line = currentLine(open.state, open.conversation);
+  const choices = line.choices.map((choice, i) => `<li><strong>${i + 1}</strong> ${choice.text}</li>`).join('');
+  dialogueEl.innerHTML = `<div class="dialogue-speaker">${line.speaker}</div>` +
+    `<p>${line.text}</p>` +
+    (choices ? `<ol>${choices}</ol>` : `<small>${actionKeyName('grab')} to continue</small>`);
+}
+
+// After a step: close once the conversation has run out
+function update() {
+  if (open.conversation.node) {
+    render();
+    return;
+  }
+  const { onEnd } = open;
+  closeDialogue();
+  if (onEnd) onEnd();
+}
+
+export function isDialogueOpen() {
+  return open !== null;
+}
+
+// Start a conversation from data/dialogue.js. `onAction(action)` carries out
+// a choice's action and `onEnd()` runs when it finishes. Returns whether
+// there was anything to say.
+export function openDialogue(state, id, { onAction, onEnd } = {}) {
+  const conversation = startDialogue(state, id);
+  if (!conversation) return false;
+  open = { state, conversation, onAction, onEnd };
+  dialogueEl.style.display = 'block';
+  render();
+  return true;
+}
+
+export function closeDialogue() {
+  open = null;
+  dialogueEl.style.display = 'none';
+}
+
+// Feed a key press to the open conversation. Returns whether it was used.
+export function dialogueKey(event) {
+  if (!open || event.repeat) return false;
+  const line = currentLine(open.state, open.conversation);
+  if ((isAction(event, 'grab') || isAction(event, 'confirm')) && line.choices.length === 0) {
+    continueDialogue(open.state, open.conversation);
+    update();
+    return true;
+  }
+  const choice = line.choices[selectIndex(event)];
+  if (!choice) return false;
+  const { onAction } = open;
+  const action = chooseDialogue(open.state, open.conversation, choice);
+  update();
+  if (action && onAction) onAction(action);
+  return true;
+}
@@ -0,0 +1,103 @@
+/*
+ * Fusion view
+ *
+ * Café overlay for raising a gal: fuse duplicates into her for XP or a limit
+ * break, upgrade her rarity and pick her costume. Rendering is plain DOM; the
+ * rules live in sim/progression.js.
+ */
+
+import { ROSTER_SORTS } from '../sim/gals.js';
+import {
+  levelCap, xpToNext, unlockedCostumes, fusionMaterials, canLimitBreak, fuseGals, rarityUpgrade,
+  upgradeRarity, wearCostume,
+} from '../sim/progression.js';
+import { LEVELS, FUSION_XP, RARITY_UPGRADES } from '../data/progression.js';
+
+const fusionEl = document.getElementById('fusion');
+
+// The gal being raised survives closing and reopening the panel
+const view = { galId: null };
+
+let onChange = null;
+
+function option(value, label, selected) {
+  return `<option value="${value}"${selected ? ' selected' : ''}>${label}</option>`;
+}
+
+function stars(gal) {
+  return '★'.repeat(gal.limitBreaks) + '☆'.repeat(LEVELS.maxLimitBreaks - gal.limitBreaks);
+}
+
+function renderUpgrade(state, gal) {
+  const next = RARITY_UPGRADES[gal.rarity];
+  if (!next) return '<p><small>Top rarity reached.</small></p>';
+  const upgrade = rarityUpgrade(gal);
+  if (!upgrade) return `<p><small>Upgrade to ${next.to} (¥${next.yen}) once she has every limit break and reaches level ${LEVELS.caps[gal.rarity] + LEVELS.maxLimitBreaks * LEVELS.perLimitBreak}.</small></p>`;
+  return `<p><button data-upgrade="${gal.id}"${state.yen >= upgrade.yen ? '' : ' disabled'}>Upgrade to ${upgrade.to} for ¥${upgrade.yen}</button></p>`;
+}
+
+function render(state) {
+  const gals = [...state.inventory].sort(ROSTER_SORTS.rarity);
+  if (gals.length === 0) {
+    fusionEl.innerHTML = '<div class="fusion-head"><strong>Gal Progression</strong> <small>F or Esc to close</small></div><p>No gals yet.</p>';
+    return;
+  }
+  const gal = gals.find((g) => g.id === view.galId) || gals[0];
+  view.galId = gal.id;
+  const cap = levelCap(gal);
+  const xp = gal.level < cap ? `${gal.xp}/${xpToNext(gal.level)} XP` : 'at level cap';
+  const stats = Object.entries(gal.stats).map(([stat, value]) => `${stat.slice(0, 3)} ${value}`).join(' · ');
+  const costumes = unlockedCostumes(gal);
+  let materials = '';
+  for (const m of fusionMaterials(state, gal)) {
+    const limit = canLimitBreak(gal, m) ? ` <button data-material="${m.id}" data-mode="limit">Limit break</button>` : '';
+    materials += '<tr>' +
+      `<td><strong>${m.name}</strong> <small>Lv ${m.level}</small></td><td>${m.class}</td><td>${m.rarity}</td>` +
+      `<td><button data-material="${m.id}" data-mode="xp">+${FUSION_XP[m.rarity]} XP</button>${limit}</td>` +
+      '</tr>';
+  }
+  fusionEl.innerHTML = '<div class="fusion-head"><strong>Gal Progression</strong> <small>F or Esc to close</small></div>' +
+    `<p><select data-field="gal">${gals.map((g) => option(g.id, `${g.name} — ${g.rarity} ${g.class} Lv ${g.level}`, g === gal)).join('')}</select></p>` +
+    `<p><strong>Level ${gal.level}/${cap}</strong> · ${xp} · limit breaks ${stars(gal)}<br/><small>${stats}</small></p>` +
+    `<p>Costume: <select data-field="costume">${option('', 'None', !gal.costume)}` +
+    `${costumes.map((c) => option(c.name, c.name, gal.costume === c.name)).join('')}</select>` +
+    `${costumes.length === 0 ? ' <small>Rare and up unlock costumes</small>' : ''}</p>` +
+    renderUpgrade(state, gal) +
+    '<h4>Fuse a duplicate</h4>' +
+    (materials ? `<table><tbody>${materials}</tbody></table>` : '<p>No duplicates to fuse. Favourites are never used up.</p>');
+}
+
+export function isFusionOpen() {
+  return fusionEl.style.display === 'block';
+}
+
+// Show the panel. `changed` is called after anything about a gal changes.
+export function openFusion(state, changed) {
+  onChange = changed;
+  const done = (ok) => {
+    if (ok && onChange) onChange();
+    render(state);
+  };
+  fusionEl.onchange = (event) => {
+    const field = event.target.dataset.field;
+    event.target.blur();
+    if (field === 'gal') {
+      view.galId = Number(event.target.value);
+      render(state);
+    } else if (field === 'costume') {
+      done(wearCostume(state, view.galId, event.target.value || null));
+    }
+  };
+  fusionEl.onclick = (event) => {
+    const { material, mode, upgrade } = event.target.dataset;
+    if (!material && !upgrade) return;
+    event.target.blur();
+    done(material ? fuseGals(state, view.galId, Number(material), mode) : upgradeRarity(state, Number(upgrade)));
+  };
+  render(state);
+  fusionEl.style.display = 'block';
+}
+
+export function closeFusion() {
+  fusionEl.style.display = 'none';
+}
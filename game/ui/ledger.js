@@ -0,0 +1,52 @@
+/*
+ * Ledger panel
+ *
+ * HUD panel listing where the yen has come from and gone: totals by source
+ * and the latest transactions, with a check that the kept entries add up to
+ * the balance. Rendering is plain DOM; the ledger lives in sim/economy.js.
+ */
+
+import { ledgerSummary, ledgerBalances } from '../sim/economy.js';
+import { timeAt, formatClock } from '../sim/clock.js';
+import { LEDGER_SOURCES } from '../data/economy.js';
+
+const ledgerEl = document.getElementById('ledger');
+
+// Transactions shown, newest first
+const RECENT = 12;
+
+function yen(amount) {
+  return `${amount < 0 ? '−' : ''}¥${Math.abs(amount)}`;
+}
+
+function render(state) {
+  const totals = ledgerSummary(state).map((t) =>
+    `<tr><td>${LEDGER_SOURCES[t.source] || t.source}</td><td>${yen(t.in)}</td><td>${yen(-t.out)}</td><td><strong>${yen(t.net)}</strong></td><td>${t.count}</td></tr>`).join('');
+  const recent = state.ledger.entries.slice(-RECENT).reverse().map((entry) =>
+    `<tr><td><small>Day ${timeAt(entry.minutes).day} ${formatClock(timeAt(entry.minutes))}</small></td>` +
+    `<td>${entry.detail || LEDGER_SOURCES[entry.source] || entry.source}</td>` +
+    `<td class="${entry.amount < 0 ? 'ledger-out' : 'ledger-in'}">${yen(entry.amount)}</td><td>${yen(entry.balance)}</td></tr>`).join('');
+  ledgerEl.innerHTML = `<div class="ledger-head"><strong>Ledger</strong> <small>¥${state.yen} · ${state.tickets} tickets · ` +
+    `${ledgerBalances(state) ? 'balanced' : 'does not add up!'} · L to close</small></div>` +
+    '<table><thead><tr><th>Source</th><th>In</th><th>Out</th><th>Net</th><th>#</th></tr></thead>' +
+    `<tbody>${totals}</tbody></table>` +
+    `<table><tbody>${recent || '<tr><td>No transactions yet.</td></tr>'}</tbody></table>`;
+}
+
+export function isLedgerOpen() {
+  return ledgerEl.style.display === 'block';
+}
+
+// Redraw if it is showing, after the balance changes
+export function refreshLedger(state) {
+  if (isLedgerOpen()) render(state);
+}
+
+export function toggleLedger(state) {
+  if (isLedgerOpen()) {
+    ledgerEl.style.display = 'none';
+  } else {
+    render(state);
+    ledgerEl.style.display = 'block';
+  }
+}
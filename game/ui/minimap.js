@@ -0,0 +1,122 @@
+/*
+ * Minimap and compass
+ *
+ * Overworld HUD in the top right corner: a map of the streets with every
+ * arcade, the café, pedestrians and the player, and above it a compass strip
+ * showing which way the player is heading and the bearing to each location.
+ * Locations with work for an active mission get a ring on the map and a
+ * highlight on the compass. Both are 2D canvases redrawn every frame.
+ */
+
+const minimapEl = document.getElementById('minimap');
+
+const MAP_SIZE = 180;
+const COMPASS_WIDTH = 180;
+const COMPASS_HEIGHT = 28;
+// Degrees either side of the heading the compass shows
+const COMPASS_SPAN = 90;
+const CARDINALS = [['N', 0], ['E', 90], ['S', 180], ['W', 270]];
+const TARGET_COLOR = '#ff3d7f';
+
+function canvas(className, width, height) {
+  let el = minimapEl.querySelector(`canvas.${className}`);
+  if (!el) {
+    el = document.createElement('canvas');
+    el.className = className;
+    el.width = width;
+    el.height = height;
+    minimapEl.appendChild(el);
+  }
+  return el;
+}
+
+function color(hex) {
+  return `#${hex.toString(16).padStart(6, '0')}`;
+}
+
+// Compass bearing in degrees from `from` to `to`, clockwise from north (-z)
+function bearing(from, to) {
+  return ((Math.atan2(to.x - from.x, -(to.z - from.z)) * 180) / Math.PI + 360) % 360;
+}
+
+function drawMap(map, { player, heading, pedestrians, targets }) {
+  const ctx = canvas('minimap-map', MAP_SIZE, MAP_SIZE).getContext('2d');
+  const scale = MAP_SIZE / (map.bounds * 2);
+  const px = (x) => (x + map.bounds) * scale;
+  const rect = (b) => [px(b.x - b.w / 2), px(b.z - b.d / 2), b.w * scale, b.d * scale];
+  ctx.fillStyle = '#eef1f8';
+  ctx.fillRect(0, 0, MAP_SIZE, MAP_SIZE);
+  ctx.fillStyle = '#9aa0b4';
+  for (const x of map.avenues) ctx.fillRect(px(x - map.roadWidth / 2), 0, map.roadWidth * scale, MAP_SIZE);
+  for (const z of map.streets) ctx.fillRect(0, px(z - map.roadWidth / 2), MAP_SIZE, map.roadWidth * scale);
+  ctx.fillStyle = '#d0d4e0';
+  for (const b of map.buildings) ctx.fillRect(...rect(b));
+  for (const location of map.locations) {
+    ctx.fillStyle = color(location.color);
+    ctx.fillRect(...rect(location.building));
+    if (targets.has(location.name)) {
+      ctx.strokeStyle = TARGET_COLOR;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(px(location.building.x), px(location.building.z), (Math.max(location.building.w, location.building.d) / 2 + 3) * scale, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+  }
+  ctx.fillStyle = '#555';
+  for (const p of pedestrians) ctx.fillRect(px(p.x) - 1, px(p.z) - 1, 2, 2);
+  // Player arrow pointing the way they last moved
+  ctx.save();
+  ctx.translate(px(player.x), px(player.z));
+  ctx.rotate((heading * Math.PI) / 180);
+  ctx.fillStyle = '#3333ff';
+  ctx.beginPath();
+  ctx.moveTo(0, -6);
+  ctx.lineTo(4, 5);
+  ctx.lineTo(-4, 5);
+  ctx.closePath();
+  ctx.fill();
+  ctx.restore();
+}
+
+function drawCompass(map, { player, heading, targets }) {
+  const ctx = canvas('minimap-compass', COMPASS_WIDTH, COMPASS_HEIGHT).getContext('2d');
+  const offset = (degrees) => ((degrees - heading + 540) % 360) - 180;
+  const x = (delta) => COMPASS_WIDTH / 2 + (delta / COMPASS_SPAN) * (COMPASS_WIDTH / 2);
+  ctx.fillStyle = 'rgba(30,20,50,0.85)';
+  ctx.fillRect(0, 0, COMPASS_WIDTH, COMPASS_HEIGHT);
+  ctx.textAlign = 'center';
+  ctx.font = 'bold 11px sans-serif';
+  ctx.fillStyle = '#fff';
+  for (const [label, degrees] of CARDINALS) {
+    const delta = offset(degrees);
+    if (Math.abs(delta) <= COMPASS_SPAN) ctx.fillText(label, x(delta), 11);
+  }
+  for (const location of map.locations) {
+    const delta = offset(bearing(player, location.building));
+    if (Math.abs(delta) > COMPASS_SPAN) continue;
+    const target = targets.has(location.name);
+    ctx.fillStyle = color(location.color);
+    ctx.beginPath();
+    ctx.arc(x(delta), 20, target ? 5 : 3, 0, Math.PI * 2);
+    ctx.fill();
+    if (target) {
+      ctx.strokeStyle = TARGET_COLOR;
+      ctx.lineWidth = 2;
+      ctx.stroke();
+    }
+  }
+  ctx.fillStyle = '#ffd700';
+  ctx.fillRect(COMPASS_WIDTH / 2 - 1, 0, 2, 5);
+}
+
+// Redraw both for the player at `player` ({ x, z }) heading `heading`
+// degrees clockwise from north. `targets` is a Set of location names.
+export function drawMinimap(map, view) {
+  minimapEl.style.display = 'block';
+  drawCompass(map, view);
+  drawMap(map, view);
+}
+
+export function hideMinimap() {
+  minimapEl.style.display = 'none';
+}
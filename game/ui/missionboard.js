@@ -0,0 +1,85 @@
+/*
+ * Mission board
+ *
+ * Café overlay Uka hands over when you talk to her: the missions under way
+ * with their progress and limits, and the ones on offer to accept or decline.
+ * Rendering is plain DOM; all rules go through sim/missions.js.
+ */
+
+import { activeMissions, availableMissions, acceptMission, declineMission, getMissionDef, missionRequired, minutesLeft } from '../sim/missions.js';
+import { formatDuration } from '../sim/clock.js';
+import { MAX_ACTIVE_MISSIONS } from '../data/missions.js';
+
+const boardEl = document.getElementById('mission-board');
+
+let onChange = null;
+
+function reward(def) {
+  return `¥${def.reward}${def.decor ? ` + ${def.decor}` : ''}`;
+}
+
+// Time and play limits still running on an active mission
+function limits(state, record, def) {
+  const parts = [];
+  const minutes = minutesLeft(state, record);
+  if (minutes !== null) parts.push(`${formatDuration(minutes)} left`);
+  if (def.objective.type === 'winWithin') parts.push(`${Math.max(0, def.objective.plays - record.plays)} plays left`);
+  return parts.join(' · ');
+}
+
+function render(state) {
+  const active = activeMissions(state);
+  let rows = '';
+  for (const record of active) {
+    const def = getMissionDef(record.id);
+    rows += '<tr>' +
+      `<td><strong>${def.description}</strong></td>` +
+      `<td>${record.progress}/${missionRequired(def)}</td>` +
+      `<td><small>${limits(state, record, def)}</small></td>` +
+      `<td><small>${reward(def)}</small></td>` +
+      '</tr>';
+  }
+  const full = active.length >= MAX_ACTIVE_MISSIONS;
+  let offers = '';
+  for (const def of availableMissions(state)) {
+    const limit = def.timeLimit ? ` · ${def.timeLimit}h limit` : '';
+    offers += '<tr>' +
+      `<td><strong>${def.description}</strong></td>` +
+      `<td><small>${reward(def)}${limit}</small></td>` +
+      `<td><button data-action="accept" data-id="${def.id}"${full ? ' disabled' : ''}>Accept</button> ` +
+      `<button data-action="decline" data-id="${def.id}">Decline</button></td>` +
+      '</tr>';
+  }
+  const done = state.missions.filter((m) => m.status === 'complete').length;
+  boardEl.innerHTML = `<div class="board-head"><strong>Uka's Mission Board</strong> <small>${done} complete · Space or Esc to close</small></div>` +
+    `<h4>Under way (${active.length}/${MAX_ACTIVE_MISSIONS})</h4>` +
+    (rows ? `<table><tbody>${rows}</tbody></table>` : '<p>No missions under way.</p>') +
+    '<h4>On offer</h4>' +
+    (offers ? `<table><tbody>${offers}</tbody></table>` : '<p>Nothing new right now. Check back later!</p>') +
+    '<p><small>Declined missions do not come back, and taking one of Uka\'s favours turns down its rival.</small></p>';
+}
+
+export function isMissionBoardOpen() {
+  return boardEl.style.display === 'block';
+}
+
+// Show the board. `changed` is called after a mission is accepted or declined.
+export function openMissionBoard(state, changed) {
+  onChange = changed;
+  boardEl.onclick = (event) => {
+    const { action, id } = event.target.dataset;
+    if (!action) return;
+    // Space closes the board, so it must not also press the button again
+    event.target.blur();
+    if (action === 'accept') acceptMission(state, id);
+    else declineMission(state, id);
+    if (onChange) onChange();
+    render(state);
+  };
+  render(state);
+  boardEl.style.display = 'block';
+}
+
+export function closeMissionBoard() {
+  boardEl.style.display = 'none';
+}
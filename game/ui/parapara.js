@@ -0,0 +1,153 @@
+/*
+ * Para-Para stage
+ *
+ * Overlay for an Idol's rhythm show: notes scroll down four lanes onto the
+ * hit line and each press is judged from its key event timestamp. Drawing is
+ * a 2D canvas redrawn every frame; the chart and the judging live in
+ * sim/rhythm.js.
+ */
+
+import { createShow, createShowClock, showTime, hitNote, advanceShow, isShowOver, showResult, laneForKey } from '../sim/rhythm.js';
+import { wornCostume } from '../sim/progression.js';
+import { LANES } from '../data/beatmaps.js';
+
+const stageEl = document.getElementById('parapara');
+
+const WIDTH = 320;
+const HEIGHT = 480;
+const HIT_Y = 420;
+// Pixels a note falls per second
+const SCROLL_SPEED = 300;
+const LANE_COLORS = ['#ff62a1', '#4da6ff', '#7ad97a', '#ffb36b'];
+const JUDGMENT_LABELS = { perfect: 'PERFECT', great: 'GREAT', miss: 'MISS' };
+// Seconds a judgment stays on screen
+const FLASH_TIME = 0.4;
+// Notes are only missed this far behind the frame time, so a press whose
+// event arrives just after the frame is still judged on its own timestamp
+const EVENT_LAG = 0.05;
+
+// The show on stage: { show, clock, star, onEnd, flash, pressed }
+let open = null;
+
+function canvas() {
+  let el = stageEl.querySelector('canvas');
+  if (!el) {
+    el = document.createElement('canvas');
+    el.width = WIDTH;
+    el.height = HEIGHT;
+    stageEl.appendChild(el);
+  }
+  return el;
+}
+
+function draw(time) {
+  const ctx = canvas().getContext('2d');
+  const laneWidth = WIDTH / LANES.length;
+  ctx.clearRect(0, 0, WIDTH, HEIGHT);
+  ctx.fillStyle = 'rgba(30,20,50,0.9)';
+  ctx.fillRect(0, 0, WIDTH, HEIGHT);
+  LANES.forEach((lane, i) => {
+    const held = open.pressed.has(i);
+    ctx.fillStyle = held ? 'rgba(255,255,255,0.15)' : 'rgba(255,255,255,0.04)';
+    ctx.fillRect(i * laneWidth + 2, 0, laneWidth - 4, HEIGHT);
+    ctx.strokeStyle = LANE_COLORS[i];
+    ctx.lineWidth = held ? 4 : 2;
+    ctx.strokeRect(i * laneWidth + 8, HIT_Y - 10, laneWidth - 16, 20);
+    ctx.fillStyle = '#ddd';
+    ctx.font = '12px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillText(lane.label, (i + 0.5) * laneWidth, HEIGHT - 20);
+  });
+  // The star's costume lights the top of the stage
+  const costume = wornCostume(open.star);
+  if (costume) {
+    ctx.fillStyle = `#${costume.color.toString(16).padStart(6, '0')}`;
+    ctx.globalAlpha = 0.5;
+    ctx.fillRect(0, 0, WIDTH, 34);
+    ctx.globalAlpha = 1;
+  }
+  const { show } = open;
+  for (const note of show.chart.notes) {
+    if (show.judgments[note.id]) continue;
+    const y = HIT_Y - (note.time - time) * SCROLL_SPEED;
+    if (y < -20) break;
+    ctx.fillStyle = LANE_COLORS[note.lane];
+    ctx.fillRect(note.lane * laneWidth + 8, y - 8, laneWidth - 16, 16);
+  }
+  ctx.fillStyle = '#fff';
+  ctx.textAlign = 'center';
+  ctx.font = 'bold 16px sans-serif';
+  ctx.fillText(`${show.chart.title} — ${open.star.name}`, WIDTH / 2, 24);
+  if (time < 0 || show.chart.notes.length === 0 || time < show.chart.notes[0].time - 1) {
+    ctx.font = '14px sans-serif';
+    ctx.fillText('Arrows or D F J K on the beat · Esc to stop', WIDTH / 2, 48);
+  }
+  if (show.combo > 1) {
+    ctx.font = 'bold 20px sans-serif';
+    ctx.fillText(`${show.combo} combo`, WIDTH / 2, HIT_Y - 140);
+  }
+  if (open.flash && time - open.flash.time < FLASH_TIME) {
+    ctx.font = 'bold 28px sans-serif';
+    ctx.fillStyle = open.flash.judgment === 'miss' ? '#ff6b6b' : open.flash.judgment === 'perfect' ? '#ffd700' : '#7af0ff';
+    ctx.fillText(JUDGMENT_LABELS[open.flash.judgment], WIDTH / 2, HIT_Y - 100);
+  }
+}
+
+export function isShowOpen() {
+  return open !== null;
+}
+
+// Put `star` on stage for a chart from sim/rhythm.js. The show starts at
+// `nowMs` (a performance.now() timestamp) and `onEnd(result, inputs)` gets
+// the showResult and the recorded presses once the chart has played out.
+export function openShow(chart, star, nowMs, onEnd) {
+  open = { show: createShow(chart), clock: createShowClock(nowMs), star, onEnd, flash: null, pressed: new Set() };
+  stageEl.style.display = 'block';
+  draw(showTime(open.clock, nowMs));
+}
+
+// Stop the show without a result
+export function closeShow() {
+  open = null;
+  stageEl.style.display = 'none';
+}
+
+// Lane a press hits: by key, or by action for gamepad and touch presses
+function laneFor(event) {
+  if (event.actions) return LANES.findIndex((lane) => event.actions.includes(lane.action));
+  return laneForKey(event.code);
+}
+
+// Judge a lane key press at the time the event happened. Returns whether the
+// key was a lane key.
+export function showKey(event) {
+  if (!open) return false;
+  const lane = laneFor(event);
+  if (lane === -1) return false;
+  if (event.repeat) return true;
+  const time = showTime(open.clock, event.timeStamp);
+  open.pressed.add(lane);
+  const hit = hitNote(open.show, time, lane);
+  if (hit) open.flash = { judgment: hit.judgment, time };
+  return true;
+}
+
+export function showKeyUp(event) {
+  if (open) open.pressed.delete(laneFor(event));
+}
+
+// Run the show up to `nowMs`: miss notes that went by, redraw and finish
+// once the chart is over
+export function updateShow(nowMs) {
+  if (!open) return;
+  const time = showTime(open.clock, nowMs);
+  const missed = advanceShow(open.show, time - EVENT_LAG);
+  if (missed.length > 0) open.flash = { judgment: 'miss', time };
+  if (isShowOver(open.show, time - EVENT_LAG)) {
+    const { show, onEnd } = open;
+    closeShow();
+    if (onEnd) onEnd(showResult(show), show.inputs);
+    return;
+  }
+  draw(time);
+}
@@ -0,0 +1,133 @@
+/*
+ * Replay player
+ *
+ * Bar along the bottom while a replay plays back: play and pause, stepping a
+ * tick at a time, a scrubber over the whole session, playback speed and the
+ * prizes won so far against the ones recorded. The replay runs in
+ * sim/replay.js; the demo steps it each frame and redraws the machine.
+ */
+
+import { isAction } from '../input.js';
+import { firstMismatch } from '../sim/replay.js';
+import { FIXED_DT } from '../sim/world.js';
+
+const replayEl = document.getElementById('replay');
+
+const SPEEDS = [0.1, 0.25, 0.5, 1, 2];
+
+// The replay on screen and the demo's { seek(tick), close() }
+let open = null;
+
+function formatTicks(ticks) {
+  const seconds = ticks * FIXED_DT;
+  return `${Math.floor(seconds / 60)}:${(seconds % 60).toFixed(1).padStart(4, '0')}`;
+}
+
+function render() {
+  const { recording } = open.replay;
+  const speeds = SPEEDS.map((speed) => `<option value="${speed}"${speed === 1 ? ' selected' : ''}>${speed}×</option>`).join('');
+  replayEl.innerHTML = '<div class="replay-controls">' +
+    '<button data-replay="back" title="Back one tick">⏮</button>' +
+    '<button data-replay="toggle" class="replay-toggle"></button>' +
+    '<button data-replay="forward" title="Forward one tick">⏭</button>' +
+    `<input type="range" min="0" max="${recording.ticks}" value="0" />` +
+    `<select>${speeds}</select>` +
+    '<button data-replay="close">Close</button>' +
+    '</div>' +
+    `<div><strong>Replay</strong> · ${recording.type} · ${recording.arcade.name || 'headless'} · seed ${recording.seed} · <span class="replay-time"></span></div>` +
+    '<div class="replay-prizes"></div>';
+  const range = replayEl.querySelector('input');
+  // Show where the thumb is while dragging, and only re-run on release
+  range.oninput = () => {
+    replayEl.querySelector('.replay-time').textContent = `${formatTicks(Number(range.value))} / ${formatTicks(recording.ticks)}`;
+  };
+  range.onchange = () => {
+    range.blur();
+    open.seek(Number(range.value));
+  };
+  const speed = replayEl.querySelector('select');
+  speed.onchange = () => {
+    speed.blur();
+    open.replay.speed = Number(speed.value);
+  };
+}
+
+// Play or pause; at the end, play again from the top
+function togglePlay() {
+  const { replay } = open;
+  if (replay.tick >= replay.recording.ticks) {
+    replay.paused = false;
+    open.seek(0);
+  } else {
+    replay.paused = !replay.paused;
+  }
+}
+
+function step(ticks) {
+  open.replay.paused = true;
+  open.seek(open.replay.tick + ticks);
+}
+
+export function isReplayBarOpen() {
+  return open !== null;
+}
+
+// Show the controls for a replay from sim/replay.js. `seek(tick)` jumps the
+// replay and redraws it and `close()` leaves the player.
+export function openReplayBar(replay, { seek, close }) {
+  open = { replay, seek, close };
+  replayEl.onclick = (event) => {
+    const action = event.target.dataset.replay;
+    if (!action) return;
+    event.target.blur();
+    if (action === 'toggle') togglePlay();
+    else if (action === 'back') step(-1);
+    else if (action === 'forward') step(1);
+    else if (action === 'close') open.close();
+  };
+  render();
+  replayEl.style.display = 'block';
+  updateReplayBar();
+}
+
+export function closeReplayBar() {
+  open = null;
+  replayEl.style.display = 'none';
+}
+
+// Bring the bar up to date with the replay; call once a frame
+export function updateReplayBar() {
+  if (!open) return;
+  const { replay } = open;
+  const { recording } = replay;
+  const range = replayEl.querySelector('input');
+  if (document.activeElement !== range) {
+    range.value = replay.tick;
+    replayEl.querySelector('.replay-time').textContent = `${formatTicks(replay.tick)} / ${formatTicks(recording.ticks)}`;
+  }
+  const over = replay.tick >= recording.ticks;
+  replayEl.querySelector('.replay-toggle').textContent = replay.paused || over ? '▶' : '⏸';
+  const mismatch = firstMismatch(recording.prizes, replay.won, over);
+  const verdict = mismatch !== -1
+    ? '<span class="replay-differs">Prizes differ from the recording!</span>'
+    : over ? 'Same prizes as recorded.' : '';
+  const prizes = recording.prizes.map((prize, i) => {
+    const state = i < replay.won.length ? (i === mismatch ? '✗' : '✓') : '·';
+    return `<li>${state} ${formatTicks(prize.tick)} ${prize.rarity} ${prize.class} ${prize.kind} (${prize.gal})</li>`;
+  }).join('');
+  replayEl.querySelector('.replay-prizes').innerHTML =
+    `Won ${replay.won.length} of ${recording.prizes.length} recorded prizes. ${verdict}` + (prizes ? `<ul>${prizes}</ul>` : '');
+}
+
+// Keys while watching: grab plays and pauses, aim steps a tick back or
+// forward and left and right skip a second. Returns whether it was used.
+export function replayKey(event) {
+  if (!open || event.repeat) return false;
+  if (isAction(event, 'grab')) togglePlay();
+  else if (isAction(event, 'aimLeft')) step(-1);
+  else if (isAction(event, 'aimRight')) step(1);
+  else if (isAction(event, 'moveLeft')) step(-Math.round(1 / FIXED_DT));
+  else if (isAction(event, 'moveRight')) step(Math.round(1 / FIXED_DT));
+  else return false;
+  return true;
+}
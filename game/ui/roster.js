@@ -0,0 +1,85 @@
+/*
+ * Roster view
+ *
+ * Café overlay for browsing the collection: sort, filter by class/rarity,
+ * show favourites only and toggle a gal's favourite star. Rendering is plain
+ * DOM; all queries go through sim/gals.js.
+ */
+
+import { queryRoster, toggleFavorite, duplicateCounts, ROSTER_SORTS } from '../sim/gals.js';
+import { CLASSES, RARITIES } from '../sim/economy.js';
+
+const rosterEl = document.getElementById('roster');
+
+// Current filters survive closing and reopening the roster
+const view = { sort: 'newest', galClass: '', rarity: '', favoritesOnly: false };
+
+let onChange = null;
+
+function option(value, label, selected) {
+  return `<option value="${value}"${selected ? ' selected' : ''}>${label}</option>`;
+}
+
+function renderControls() {
+  return '<div class="roster-controls">' +
+    `<select data-field="sort">${Object.keys(ROSTER_SORTS).map((key) => option(key, `Sort: ${key}`, view.sort === key)).join('')}</select>` +
+    `<select data-field="galClass">${option('', 'All classes', !view.galClass)}${CLASSES.map((c) => option(c, c, view.galClass === c)).join('')}</select>` +
+    `<select data-field="rarity">${option('', 'All rarities', !view.rarity)}${RARITIES.map((r) => option(r, r, view.rarity === r)).join('')}</select>` +
+    `<label><input type="checkbox" data-field="favoritesOnly"${view.favoritesOnly ? ' checked' : ''}/> Favourites</label>` +
+    '</div>';
+}
+
+function render(state) {
+  const gals = queryRoster(state, {
+    sort: view.sort,
+    galClass: view.galClass || null,
+    rarity: view.rarity || null,
+    favoritesOnly: view.favoritesOnly,
+  });
+  const dupes = duplicateCounts(state);
+  let rows = '';
+  for (const gal of gals) {
+    const stats = Object.entries(gal.stats).map(([stat, value]) => `${stat.slice(0, 3)} ${value}`).join(' · ');
+    const where = gal.acquired.arcade ? `${gal.acquired.arcade} (${gal.acquired.machine})` : 'Unknown';
+    const date = gal.acquired.date ? new Date(gal.acquired.date).toLocaleDateString() : '';
+    rows += '<tr>' +
+      `<td><button class="roster-fav" data-id="${gal.id}">${gal.favorite ? '★' : '☆'}</button></td>` +
+      `<td><strong>${gal.name}</strong> <small>Lv ${gal.level}${gal.costume ? ` · ${gal.costume}` : ''}</small>${gal.duplicateOf ? ' <small>(dupe)</small>' : ''}${dupes[gal.id] ? ` <small>+${dupes[gal.id]}</small>` : ''}</td>` +
+      `<td>${gal.class}</td><td>${gal.rarity}</td><td>${gal.personality}</td>` +
+      `<td><small>${stats}</small></td><td><small>${where}<br/>${date}</small></td>` +
+      '</tr>';
+  }
+  rosterEl.innerHTML = `<div class="roster-head"><strong>Roster</strong> <small>${gals.length}/${state.inventory.length} gals · R or Esc to close</small></div>` +
+    renderControls() +
+    (rows ? `<table><tbody>${rows}</tbody></table>` : '<p>No gals match.</p>');
+}
+
+function handleInput(state, event) {
+  const field = event.target.dataset.field;
+  if (!field) return;
+  view[field] = event.target.type === 'checkbox' ? event.target.checked : event.target.value;
+  event.target.blur();
+  render(state);
+}
+
+export function isRosterOpen() {
+  return rosterEl.style.display === 'block';
+}
+
+// Show the roster. `changed` is called after a gal is (un)favourited.
+export function openRoster(state, changed) {
+  onChange = changed;
+  rosterEl.onchange = (event) => handleInput(state, event);
+  rosterEl.onclick = (event) => {
+    if (!event.target.classList.contains('roster-fav')) return;
+    toggleFavorite(state, Number(event.target.dataset.id));
+    if (onChange) onChange();
+    render(state);
+  };
+  render(state);
+  rosterEl.style.display = 'block';
+}
+
+export function closeRoster() {
+  rosterEl.style.display = 'none';
+}
@@ -0,0 +1,96 @@
+/*
+ * Shop views
+ *
+ * The arcade's prize exchange counter, for trading duplicate gals and
+ * spending tickets, and the café's décor shop. Rendering is plain DOM; the
+ * rules live in sim/exchange.js.
+ */
+
+import { tradeableGals, tradeValue, tradeIn, exchangePrizes, redeemPrize, shopItems, buyDecor } from '../sim/exchange.js';
+import { getDecorDef } from '../sim/decor.js';
+import { BUFF_LABELS } from '../data/decor.js';
+
+const exchangeEl = document.getElementById('exchange');
+const shopEl = document.getElementById('decor-shop');
+
+let onChange = null;
+
+function buffText(item) {
+  return Object.entries(getDecorDef(item).buffs).map(([buff, value]) => `+${Math.round(value * 100)}% ${BUFF_LABELS[buff]}`).join(', ');
+}
+
+function renderExchange(state) {
+  let gals = '';
+  for (const gal of tradeableGals(state)) {
+    const value = tradeValue(gal);
+    gals += '<tr>' +
+      `<td><strong>${gal.name}</strong></td><td>${gal.class}</td><td>${gal.rarity}</td>` +
+      `<td><button data-trade="${gal.id}" data-payout="yen">¥${value.yen}</button> ` +
+      `<button data-trade="${gal.id}" data-payout="tickets">${value.tickets} tickets</button></td>` +
+      '</tr>';
+  }
+  let prizes = '';
+  for (const prize of exchangePrizes(state)) {
+    const action = prize.owned ? '<small>Owned</small>' : `<button data-redeem="${prize.id}"${prize.affordable ? '' : ' disabled'}>${prize.tickets} tickets</button>`;
+    prizes += `<tr><td><strong>${prize.label}</strong>${prize.decor ? ` <small>décor: ${buffText(prize.decor)}</small>` : ''}</td><td>${action}</td></tr>`;
+  }
+  exchangeEl.innerHTML = `<div class="shop-head"><strong>Prize Exchange</strong> <small>${state.tickets} tickets · X or Esc to close</small></div>` +
+    '<h4>Trade duplicates</h4>' +
+    (gals ? `<table><tbody>${gals}</tbody></table>` : '<p>No duplicates to trade. Favourites are never taken.</p>') +
+    `<h4>Prizes</h4><table><tbody>${prizes}</tbody></table>`;
+}
+
+export function isExchangeOpen() {
+  return exchangeEl.style.display === 'block';
+}
+
+// Show the exchange counter. `changed` is called after a trade or prize.
+export function openExchange(state, changed) {
+  onChange = changed;
+  exchangeEl.onclick = (event) => {
+    const { trade, payout, redeem } = event.target.dataset;
+    if (!trade && !redeem) return;
+    event.target.blur();
+    const done = trade ? tradeIn(state, Number(trade), payout) : redeemPrize(state, redeem);
+    if (done && onChange) onChange();
+    renderExchange(state);
+  };
+  renderExchange(state);
+  exchangeEl.style.display = 'block';
+}
+
+export function closeExchange() {
+  exchangeEl.style.display = 'none';
+}
+
+function renderShop(state) {
+  let rows = '';
+  for (const { item, price, owned } of shopItems(state)) {
+    const action = owned ? '<small>Owned</small>' : `<button data-item="${item}"${state.yen >= price ? '' : ' disabled'}>¥${price}</button>`;
+    rows += `<tr><td><strong>${item}</strong></td><td><small>${buffText(item)}</small></td><td>${action}</td></tr>`;
+  }
+  shopEl.innerHTML = `<div class="shop-head"><strong>Décor Shop</strong> <small>¥${state.yen} · set out straight away, arrange with P · B or Esc to close</small></div>` +
+    `<table><tbody>${rows}</tbody></table>`;
+}
+
+export function isDecorShopOpen() {
+  return shopEl.style.display === 'block';
+}
+
+// Show the décor shop. `changed` is called after a purchase.
+export function openDecorShop(state, changed) {
+  onChange = changed;
+  shopEl.onclick = (event) => {
+    const item = event.target.dataset.item;
+    if (!item) return;
+    event.target.blur();
+    if (buyDecor(state, item) && onChange) onChange();
+    renderShop(state);
+  };
+  renderShop(state);
+  shopEl.style.display = 'block';
+}
+
+export function closeDecorShop() {
+  shopEl.style.display = 'none';
+}
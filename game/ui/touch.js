@@ -0,0 +1,54 @@
+/*
+ * Touch controls
+ *
+ * On-screen buttons for phones and tablets: a direction pad and aim buttons
+ * on the left, grab, confirm, back and the select buttons on the right. Each
+ * presses its input action (game/input.js) for as long as it is held. Shown
+ * on touch screens, or anywhere with ?touch=1.
+ */
+
+import { pressAction, releaseAction } from '../input.js';
+
+const touchEl = document.getElementById('touch-controls');
+
+const LAYOUT = {
+  'touch-pad': [
+    ['aimLeft', '⟲'], ['moveUp', '▲'], ['aimRight', '⟳'],
+    ['moveLeft', '◀'], ['moveDown', '▼'], ['moveRight', '▶'],
+  ],
+  'touch-buttons': [
+    ['select1', '1'], ['select2', '2'], ['select3', '3'], ['select4', '4'],
+    ['back', 'Back'], ['confirm', 'OK'], ['grab', 'Grab'],
+  ],
+};
+
+export function touchControlsWanted() {
+  const forced = new URLSearchParams(window.location.search).get('touch');
+  if (forced !== null) return forced !== '0';
+  return 'ontouchstart' in window || navigator.maxTouchPoints > 0;
+}
+
+function press(event) {
+  const action = event.target.dataset.action;
+  if (!action) return;
+  event.preventDefault();
+  event.target.setPointerCapture(event.pointerId);
+  event.target.classList.add('held');
+  pressAction(action, 'Touch');
+}
+
+function release(event) {
+  const action = event.target.dataset.action;
+  if (!action) return;
+  event.target.classList.remove('held');
+  releaseAction(action, 'Touch');
+}
+
+export function showTouchControls() {
+  touchEl.innerHTML = Object.entries(LAYOUT).map(([group, buttons]) =>
+    `<div class="${group}">${buttons.map(([action, label]) => `<button data-action="${action}">${label}</button>`).join('')}</div>`).join('');
+  touchEl.onpointerdown = press;
+  touchEl.onpointerup = release;
+  touchEl.onpointercancel = release;
+  touchEl.style.display = 'block';
+}